@@ -1,5 +1,8 @@
 const EventEmitter = require('events');
 const chalk = require('chalk');
+const { raceWithAbort } = require('../utils/cancellation');
+const { CollaborationChannel } = require('../communication/collaboration-channel');
+const { ToolLoop } = require('./tool-loop');
 
 /**
  * 태스크 정의 클래스
@@ -14,7 +17,8 @@ class Task {
         this.complexity = config.complexity || 'medium'; // low, medium, high
         this.dependencies = config.dependencies || [];
         this.assignee = config.assignee || null;
-        this.status = 'pending'; // pending, in_progress, completed, failed
+        this.upstreamContext = config.upstreamContext || []; // 선행 태스크 산출물 요약
+        this.status = 'pending'; // pending, in_progress, retrying, completed, failed
         this.progress = 0; // 0-100
         this.result = null;
         this.error = null;
@@ -24,6 +28,8 @@ class Task {
         this.estimatedTime = config.estimatedTime || 0;
         this.actualTime = 0;
         this.metadata = config.metadata || {};
+        this.history = config.history || []; // 실행 시도 기록
+        this.signal = null; // 취소 신호 (AbortSignal, 실행 중에만 설정)
     }
 
     /**
@@ -63,6 +69,69 @@ class Task {
         this.actualTime = this.completedAt - this.startedAt;
     }
 
+    /**
+     * 재시도 대기 (실패한 시도 후 백오프 중에도 동시 실행 수에 포함되도록 실패와 구분)
+     */
+    waitForRetry() {
+        this.status = 'retrying';
+    }
+
+    /**
+     * 태스크 취소
+     * @param {Error|string} reason - 취소 사유
+     */
+    cancel(reason) {
+        this.status = 'cancelled';
+        this.completedAt = new Date();
+        this.error = reason;
+        this.actualTime = this.startedAt ? this.completedAt - this.startedAt : 0;
+    }
+
+    /**
+     * 실행 시도 기록
+     * @param {Object} entry - 시도 정보 ({ attempt, agentId, status, error, errorClass, delay, startedAt, endedAt })
+     */
+    recordAttempt(entry) {
+        this.history.push({
+            ...entry,
+            error: entry.error?.message || entry.error || null
+        });
+    }
+
+    /**
+     * 태스크를 실행 전 상태로 되돌림 (재개 시 미완료 태스크 재실행용)
+     */
+    reset() {
+        this.status = 'pending';
+        this.progress = 0;
+        this.result = null;
+        this.error = null;
+        this.startedAt = null;
+        this.completedAt = null;
+        this.actualTime = 0;
+    }
+
+    /**
+     * 직렬화된 태스크 정보로부터 태스크 복원
+     * @param {Object} data - toJSON() 결과
+     * @returns {Task} 복원된 태스크
+     */
+    static fromJSON(data) {
+        const task = new Task(data);
+        const toDate = (value) => (value ? new Date(value) : null);
+
+        task.status = data.status || 'pending';
+        task.progress = data.progress || 0;
+        task.result = data.result ?? null;
+        task.error = data.error ?? null;
+        task.createdAt = toDate(data.createdAt) || task.createdAt;
+        task.startedAt = toDate(data.startedAt);
+        task.completedAt = toDate(data.completedAt);
+        task.actualTime = data.actualTime || 0;
+
+        return task;
+    }
+
     /**
      * 태스크 정보를 JSON으로 직렬화
      */
@@ -75,6 +144,7 @@ class Task {
             complexity: this.complexity,
             dependencies: this.dependencies,
             assignee: this.assignee,
+            upstreamContext: this.upstreamContext,
             status: this.status,
             progress: this.progress,
             result: this.result,
@@ -84,11 +154,30 @@ class Task {
             completedAt: this.completedAt,
             estimatedTime: this.estimatedTime,
             actualTime: this.actualTime,
-            metadata: this.metadata
+            metadata: this.metadata,
+            history: this.history
         };
     }
 }
 
+/**
+ * 리뷰 수정 요청을 프롬프트 섹션으로 변환 (리뷰 요약, 코멘트, 리뷰한 산출물)
+ * @param {Object} entry - 리뷰 피드백 ({ round, reviewer, verdict, summary, comments, deliverable })
+ * @returns {string} 프롬프트 섹션
+ */
+function formatReviewFeedback(entry) {
+    const comments = (entry.comments || []).map(comment =>
+        `- [${comment.severity}] ${comment.message}${comment.location ? ` (${comment.location})` : ''}`
+    );
+
+    return [
+        `### Round ${entry.round} (${entry.reviewer}: ${entry.verdict})`,
+        entry.summary,
+        comments.length > 0 ? `Comments:\n${comments.join('\n')}` : '',
+        entry.deliverable ? `Reviewed deliverable:\n${entry.deliverable}` : ''
+    ].filter(Boolean).join('\n\n');
+}
+
 /**
  * 기본 에이전트 클래스 - 모든 AI 에이전트의 베이스 클래스
  */
@@ -129,6 +218,11 @@ class BaseAgent extends EventEmitter {
         this.maxConcurrentTasks = 1;
         this.taskTimeout = 300000; // 5분
         this.heartbeatInterval = 30000; // 30초
+        // 도구 사용 루프 (예산: 모델 호출 단계 수, 누적 토큰 수)
+        this.toolLoop = new ToolLoop(this, { maxSteps: config.maxToolSteps, maxTokens: config.maxToolTokens });
+        
+        // 협업 메시지 (collaboration.connect로 메시지 브로커 연결)
+        this.collaboration = new CollaborationChannel(this, { timeout: config.collaborationTimeout });
         
         this.setupEventHandlers();
         this.startHeartbeat();
@@ -197,6 +291,7 @@ class BaseAgent extends EventEmitter {
     async executeTask(task) {
         // 전처리
         await this.preprocessTask(task);
+        let timeoutId = null;
         
         try {
             // 태스크 시작
@@ -205,16 +300,17 @@ class BaseAgent extends EventEmitter {
             this.status = 'busy';
             this.emit('task_started', task);
 
-            // 타임아웃 설정
+            // 타임아웃 설정 (워크플로우 정의의 단계별 타임아웃 우선)
+            const timeout = task.metadata?.timeout || this.taskTimeout;
             const timeoutPromise = new Promise((_, reject) => {
-                setTimeout(() => reject(new Error('Task timeout')), this.taskTimeout);
+                timeoutId = setTimeout(() => reject(new Error('Task timeout')), timeout);
             });
 
             // 실제 태스크 실행 (하위 클래스에서 구현)
             const executionPromise = this.executeTaskImplementation(task);
             
-            // 타임아웃과 실행을 경쟁
-            const result = await Promise.race([executionPromise, timeoutPromise]);
+            // 타임아웃, 취소 신호와 실행을 경쟁
+            const result = await raceWithAbort(Promise.race([executionPromise, timeoutPromise]), task.signal);
             
             // 태스크 완료
             task.complete(result);
@@ -223,13 +319,16 @@ class BaseAgent extends EventEmitter {
             return result;
             
         } catch (error) {
-            // 태스크 실패
-            task.fail(error);
+            // 태스크 실패 (이미 취소 처리된 태스크는 취소 상태 유지)
+            if (task.status !== 'cancelled') {
+                task.fail(error);
+            }
             this.emit('task_failed', task, error);
             throw error;
             
         } finally {
-            // 후처리
+            // 후처리 (태스크가 끝난 뒤 타임아웃 타이머가 남지 않도록 정리)
+            clearTimeout(timeoutId);
             this.currentTask = null;
             this.status = 'idle';
             await this.postprocessTask(task);
@@ -301,9 +400,13 @@ class BaseAgent extends EventEmitter {
     }
 
     /**
-     * 태스크에 필요한 도구 목록 반환
+     * 태스크에 필요한 도구 목록 반환 (워크플로우 단계에 선언된 도구 우선)
      */
     getRequiredTools(task) {
+        if (task.metadata?.requiredTools) {
+            return task.metadata.requiredTools;
+        }
+
         // 태스크 타입에 따라 필요한 도구 결정
         const toolMap = {
             'research': ['web_search', 'data_analysis'],
@@ -378,6 +481,47 @@ class BaseAgent extends EventEmitter {
         }
     }
 
+    /**
+     * 선행 태스크 산출물 컨텍스트와 재작업/리뷰 피드백을 프롬프트 섹션으로 변환
+     * @param {Task} task - 태스크
+     * @returns {string} 프롬프트 섹션 (컨텍스트가 없으면 빈 문자열)
+     */
+    formatUpstreamContext(task) {
+        const parts = [];
+
+        if (task.upstreamContext?.length > 0) {
+            const sections = task.upstreamContext.map(entry =>
+                `### ${entry.type} (${entry.taskId})\n${entry.description || ''}\n\n${entry.summary}`
+            );
+            parts.push(`Deliverables from prerequisite tasks (build on these results):\n\n${sections.join('\n\n')}`);
+        }
+
+        // 테스트 실패로 재작업하는 경우 테스트 출력 전달
+        const feedback = task.metadata?.reworkFeedback || [];
+        if (feedback.length > 0) {
+            const sections = feedback.map(entry => `### Round ${entry.round} (${entry.taskId})\n${entry.summary}`);
+            parts.push(`Tests failed on your previous deliverable. Fix the failures in the workspace:\n\n${sections.join('\n\n')}`);
+        }
+
+        // 리뷰에서 수정 요청을 받은 경우 리뷰 코멘트와 이전 산출물 전달
+        const reviews = task.metadata?.reviewFeedback || [];
+        if (reviews.length > 0) {
+            parts.push(`The reviewer requested changes to your previous deliverable. Address every comment and submit the complete revised deliverable:\n\n${reviews.map(formatReviewFeedback).join('\n\n')}`);
+        }
+
+        return parts.join('\n\n');
+    }
+
+    /**
+     * 태스크와 별개인 단일 프롬프트에 대한 모델 응답 (협업 메시지 응답용, 하위 클래스에서 구현)
+     * @param {string} prompt - 프롬프트
+     * @param {AbortSignal} signal - 취소 신호
+     * @returns {Promise<string>} 응답 텍스트
+     */
+    async completePrompt() {
+        throw new Error(`completePrompt must be implemented by ${this.constructor.name}`);
+    }
+
     /**
      * 작업 부하 업데이트
      */
@@ -511,6 +655,9 @@ class BaseAgent extends EventEmitter {
             this.currentTask.fail(new Error('Agent shutdown'));
         }
         
+        // 협업 메시지 구독 해제
+        this.collaboration.disconnect();
+        
         // 연결 종료
         for (const [name, connection] of this.activeConnections) {
             try {
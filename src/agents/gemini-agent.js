@@ -1,9 +1,8 @@
 const { BaseAgent, Task } = require('./base-agent');
 const { ResponseParser } = require('../utils/response-parser');
-const fetch = require('node-fetch');
-const { execSync, spawn } = require('child_process');
-const fs = require('fs').promises;
-const path = require('path');
+const { ProcessRunner } = require('../utils/process-runner');
+const { createProvider } = require('../providers/provider-registry');
+const { parseToolCalls, renderTranscript } = require('../utils/tool-call-protocol');
 require('dotenv').config();
 
 /**
@@ -21,8 +20,9 @@ class GeminiAgent extends BaseAgent {
         this.apiKey = config.apiKey || process.env.GEMINI_API_KEY || null;
         this.apiBaseUrl = config.apiBaseUrl || process.env.GEMINI_API_URL || 'https://generativelanguage.googleapis.com/v1beta/models';
         
-        // 응답 파서 초기화
+        // 응답 파서 및 CLI 실행기 초기화
         this.responseParser = new ResponseParser();
+        this.processRunner = new ProcessRunner();
         
         // Gemini 특화 능력 기본값
         if (!this.capabilities || this.capabilities.length === 0) {
@@ -102,13 +102,9 @@ class GeminiAgent extends BaseAgent {
     async validateLocalCLI() {
         try {
             // Gemini CLI 버전 확인
-            const result = execSync(`${this.cliPath} --version`, { 
-                encoding: 'utf8', 
-                timeout: 5000,
-                stdio: 'pipe'
-            });
+            const { stdout } = await this.processRunner.run(this.cliPath, ['--version'], { timeout: 5000 });
             
-            console.log(`🔍 Gemini CLI 버전: ${result.trim()}`);
+            console.log(`🔍 Gemini CLI 버전: ${stdout.trim()}`);
             return true;
         } catch (error) {
             console.log(`❌ Gemini CLI 확인 실패: ${error.message}`);
@@ -119,40 +115,32 @@ class GeminiAgent extends BaseAgent {
     /**
      * 로컬 CLI를 통한 Gemini 호출
      * @param {string} prompt - 전송할 프롬프트
+     * @param {AbortSignal} signal - 취소 신호 (취소 시 CLI 프로세스 종료)
+     * @param {Function} onChunk - 출력 청크 콜백 (CLI stdout을 받는 대로 전달)
      * @returns {Promise<string>} Gemini 응답
      */
-    async callLocalCLI(prompt) {
+    async callLocalCLI(prompt, signal = null, onChunk = null) {
         const startTime = Date.now();
         
         try {
-            // 임시 파일에 프롬프트 저장
-            const tempDir = path.join(__dirname, '../../temp');
-            await fs.mkdir(tempDir, { recursive: true });
-            
-            const promptFile = path.join(tempDir, `gemini_prompt_${Date.now()}.txt`);
-            await fs.writeFile(promptFile, prompt);
-
-            // Gemini CLI 실행
-            const command = `${this.cliPath} --model ${this.model} --file "${promptFile}"`;
-            const result = execSync(command, { 
-                encoding: 'utf8', 
+            // Gemini CLI 실행 (셸 없이 stdin으로 프롬프트 전달, 취소 시 CLI 프로세스 종료)
+            const { stdout: result } = await this.processRunner.run(this.cliPath, ['--model', this.model], {
+                input: prompt,
                 timeout: 30000,
-                maxBuffer: 1024 * 1024 * 10 // 10MB
+                signal,
+                onStdout: onChunk
             });
 
-            // 임시 파일 정리
-            await fs.unlink(promptFile);
-
             // 메트릭 업데이트
-            this.metrics.apiCalls++;
-            const responseTime = Date.now() - startTime;
-            this.metrics.averageResponseTime = 
-                (this.metrics.averageResponseTime * (this.metrics.apiCalls - 1) + responseTime) / this.metrics.apiCalls;
+            this.recordApiCall(startTime);
 
             return result.trim();
 
         } catch (error) {
             this.emit('cli_error', error);
+            if (signal?.aborted) {
+                throw signal.reason;
+            }
             throw new Error(`Gemini CLI execution failed: ${error.message}`);
         }
     }
@@ -276,13 +264,20 @@ class GeminiAgent extends BaseAgent {
             const prompt = this.generatePrompt(task);
             
             let response, result;
+            const onChunk = (chunk) => this.emit('task_output_chunk', task, chunk);
             
-            // 로컬 CLI 또는 API 호출
-            if (this.useLocalCLI && this.status === 'ready') {
-                const cliResponse = await this.callLocalCLI(prompt);
+            // 로컬 CLI 또는 API 호출 (응답은 스트리밍으로 받으며 청크 단위로 전달)
+            if (this.toolLoop.getToolDefinitions().length > 0) {
+                // 할당된 도구가 있으면 도구 사용 루프로 실행
+                const { text } = await this.toolLoop.run(task, prompt, (messages, tools) =>
+                    this.callWithTools(messages, tools, task.signal, onChunk)
+                );
+                result = this.processLocalCLIResponse(text, task);
+            } else if (this.useLocalCLI && this.status === 'ready') {
+                const cliResponse = await this.callLocalCLI(prompt, task.signal, onChunk);
                 result = this.processLocalCLIResponse(cliResponse, task);
             } else {
-                response = await this.callGeminiAPI(prompt);
+                response = await this.callGeminiAPI(prompt, task.signal, onChunk);
                 result = this.processResponse(response, task);
             }
             
@@ -308,6 +303,7 @@ class GeminiAgent extends BaseAgent {
             return {
                 success: false,
                 error: error.message,
+                cause: error, // 재시도 분류용 원래 오류 (status, code, errorClass)
                 executionTime,
                 model: this.model,
                 source: this.useLocalCLI ? 'local-cli' : 'api'
@@ -358,6 +354,9 @@ class GeminiAgent extends BaseAgent {
         
         const taskDescription = `Task: ${task.description}`;
         
+        // 선행 태스크 산출물
+        const upstreamContext = this.formatUpstreamContext(task);
+        
         let taskData = '';
         if (task.data && Object.keys(task.data).length > 0) {
             taskData = `Additional context: ${JSON.stringify(task.data, null, 2)}`;
@@ -378,6 +377,7 @@ class GeminiAgent extends BaseAgent {
             roleContext,
             specificInstructions,
             taskDescription,
+            upstreamContext,
             taskData,
             outputFormat
         ].filter(Boolean).join('\n\n');
@@ -386,68 +386,23 @@ class GeminiAgent extends BaseAgent {
     /**
      * Gemini API 호출
      * @param {string|Object} prompt - 전송할 프롬프트 (텍스트 또는 멀티모달)
-     * @returns {Promise<Object>} API 응답
+     * @param {AbortSignal} signal - 취소 신호 (취소 시 요청 중단)
+     * @param {Function} onChunk - 텍스트 청크 콜백 (지정하면 streamGenerateContent로 요청)
+     * @returns {Promise<Object>} API 응답 (스트리밍이어도 같은 형태로 조립)
      */
-    async callGeminiAPI(prompt) {
+    async callGeminiAPI(prompt, signal = null, onChunk = null) {
         const startTime = Date.now();
         
         // 프롬프트가 문자열이면 기본 텍스트 형태로, 객체면 멀티모달로 처리
-        const contents = typeof prompt === 'string' 
-            ? [{ parts: [{ text: prompt }] }]
-            : this.formatMultimodalContent(prompt);
-
-        const requestBody = {
-            contents,
-            generationConfig: {
-                temperature: 0.7,
-                maxOutputTokens: 4000,
-                topK: 40,
-                topP: 0.95
-            },
-            safetySettings: [
-                {
-                    category: "HARM_CATEGORY_HARASSMENT",
-                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                },
-                {
-                    category: "HARM_CATEGORY_HATE_SPEECH", 
-                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                }
-            ]
-        };
-
-        const url = `${this.apiBaseUrl}/${this.model}:generateContent?key=${this.apiKey}`;
+        const contents = typeof prompt === 'string' ? prompt : this.formatMultimodalContent(prompt);
 
         try {
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(requestBody)
-            });
-
-            if (!response.ok) {
-                const error = await response.json();
-                throw new Error(error.error?.message || `API error: ${response.status}`);
-            }
+            const { usage, raw } = await this.getProvider().complete(contents, { signal, onChunk });
 
-            const data = await response.json();
-            
             // API 호출 통계 업데이트
-            this.metrics.apiCalls++;
-            const responseTime = Date.now() - startTime;
-            this.metrics.averageResponseTime = 
-                (this.metrics.averageResponseTime * (this.metrics.apiCalls - 1) + responseTime) / this.metrics.apiCalls;
-
-            // usage 정보가 있으면 토큰 사용량 업데이트
-            if (data.usageMetadata) {
-                this.metrics.totalTokensUsed += 
-                    (data.usageMetadata.promptTokenCount || 0) + 
-                    (data.usageMetadata.candidatesTokenCount || 0);
-            }
+            this.recordApiCall(startTime, usage);
 
-            return data;
+            return raw;
             
         } catch (error) {
             this.emit('api_error', error);
@@ -455,6 +410,73 @@ class GeminiAgent extends BaseAgent {
         }
     }
 
+    /**
+     * 도구 정의와 함께 Gemini 호출 (도구 사용 루프의 한 단계)
+     * API는 제공자의 도구 호출 형식을 사용하고, 로컬 CLI는 텍스트 도구 호출 프로토콜로 대화 전체를 전달한다.
+     * @param {Array<Object>} messages - 대화 메시지 목록
+     * @param {Array<Object>} tools - 도구 정의
+     * @param {AbortSignal} signal - 취소 신호
+     * @param {Function} onChunk - 텍스트 청크 콜백
+     * @returns {Promise<Object>} 응답 ({ text, toolCalls, usage })
+     */
+    async callWithTools(messages, tools, signal = null, onChunk = null) {
+        if (this.useLocalCLI && this.status === 'ready') {
+            const cliResponse = await this.callLocalCLI(renderTranscript(messages, tools), signal, onChunk);
+            return { ...parseToolCalls(cliResponse), usage: null };
+        }
+
+        const startTime = Date.now();
+
+        try {
+            const response = await this.getProvider().complete(messages, { tools, signal, onChunk });
+            this.recordApiCall(startTime, response.usage);
+            return response;
+        } catch (error) {
+            this.emit('api_error', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 단일 프롬프트에 대한 Gemini 응답 (협업 메시지 응답용, 로컬 CLI 우선)
+     * @param {string} prompt - 프롬프트
+     * @param {AbortSignal} signal - 취소 신호
+     * @returns {Promise<string>} 응답 텍스트
+     */
+    async completePrompt(prompt, signal = null) {
+        if (this.useLocalCLI && this.status === 'ready') {
+            return this.callLocalCLI(prompt, signal);
+        }
+
+        const { text } = await this.callWithTools([{ role: 'user', content: prompt }], [], signal);
+        return text;
+    }
+
+    /**
+     * 현재 설정(모델, API 키, 엔드포인트)으로 Gemini 제공자 생성
+     * @returns {GeminiProvider} 제공자
+     */
+    getProvider() {
+        return createProvider('gemini', { model: this.model, apiKey: this.apiKey, baseUrl: this.apiBaseUrl });
+    }
+
+    /**
+     * API 호출 통계 업데이트
+     * @param {number} startTime - 호출 시작 시각
+     * @param {Object} usage - 토큰 사용량 ({ inputTokens, outputTokens }, 없으면 호출 수와 응답 시간만 기록)
+     */
+    recordApiCall(startTime, usage = null) {
+        this.metrics.apiCalls++;
+        const responseTime = Date.now() - startTime;
+        this.metrics.averageResponseTime = 
+            (this.metrics.averageResponseTime * (this.metrics.apiCalls - 1) + responseTime) / this.metrics.apiCalls;
+
+        // usage 정보가 있으면 토큰 사용량 업데이트
+        if (usage) {
+            this.metrics.totalTokensUsed += usage.inputTokens + usage.outputTokens;
+        }
+    }
+
     /**
      * 멀티모달 콘텐츠 형식화
      * @param {Object} content - 텍스트와 이미지가 포함된 콘텐츠
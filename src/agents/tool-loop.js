@@ -0,0 +1,163 @@
+const { isCancellation } = require('../utils/cancellation');
+
+// 도구 사용 루프에서 모델에 노출하는 도구 이름 구분자 (도구__메서드)
+const TOOL_NAME_SEPARATOR = '__';
+// 모델에 돌려주는 도구 결과 최대 길이 (문자 수)
+const MAX_TOOL_RESULT_LENGTH = 20000;
+const TOOL_BUDGET_EXHAUSTED_PROMPT = 'The tool budget for this task is exhausted. Do not call any more tools; give your final answer now using the results you already have.';
+
+/**
+ * 모델 호출 토큰 사용량 누적
+ * @param {Object} total - 누적 사용량 ({ inputTokens, outputTokens })
+ * @param {Object} usage - 호출 1회 사용량 (로컬 CLI처럼 없으면 무시)
+ */
+function addUsage(total, usage) {
+    total.inputTokens += usage?.inputTokens || 0;
+    total.outputTokens += usage?.outputTokens || 0;
+}
+
+/**
+ * 도구 실행 결과를 모델에 돌려줄 텍스트로 변환
+ * MCP 결과는 텍스트 콘텐츠를 이어 붙이고, 그 외 결과는 JSON으로 변환한 뒤 최대 길이로 자른다.
+ * @param {*} result - 도구 실행 결과
+ * @returns {string} 결과 텍스트
+ */
+function formatToolResult(result) {
+    const texts = (Array.isArray(result?.content) ? result.content : [])
+        .filter(item => item.type === 'text')
+        .map(item => item.text);
+    const text = texts.length > 0 ? texts.join('\n') : JSON.stringify(result ?? null, null, 2);
+
+    return text.length > MAX_TOOL_RESULT_LENGTH
+        ? `${text.slice(0, MAX_TOOL_RESULT_LENGTH)}\n... (${text.length - MAX_TOOL_RESULT_LENGTH} characters truncated)`
+        : text;
+}
+
+/**
+ * 도구 사용 루프 - 에이전트에 배정된 도구를 모델에 노출하고, 모델이 요청한 도구 호출을 실행해 결과를 돌려준다.
+ * 도구 실행은 에이전트의 useTool을 거치고, 단계마다 에이전트에서 tool_step 이벤트가 발생한다.
+ */
+class ToolLoop {
+    /**
+     * @param {BaseAgent} agent - 도구를 가진 에이전트
+     * @param {Object} options - 루프 예산 ({ maxSteps: 모델 호출 단계 수, maxTokens: 누적 토큰 수 })
+     */
+    constructor(agent, options = {}) {
+        this.agent = agent;
+        this.maxSteps = options.maxSteps || 8;
+        this.maxTokens = options.maxTokens || 100000;
+    }
+
+    /**
+     * 모델에 전달할 도구 정의 목록
+     * 메서드 스키마를 제공하는 도구(getToolSchemas)의 메서드를 `도구__메서드` 이름의 개별 도구로 펼친다.
+     * @returns {Array<Object>} 도구 정의 ({ name, description, inputSchema, toolName, method })
+     */
+    getToolDefinitions() {
+        return [...this.agent.availableTools.entries()]
+            .filter(([, tool]) => typeof tool.getToolSchemas === 'function')
+            .flatMap(([toolName, tool]) => tool.getToolSchemas().map(schema => ({
+                name: `${toolName}${TOOL_NAME_SEPARATOR}${schema.name}`,
+                description: schema.description || `${toolName} ${schema.name}`,
+                inputSchema: schema.inputSchema || { type: 'object' },
+                toolName,
+                method: schema.name
+            })));
+    }
+
+    /**
+     * 도구 사용 루프 실행
+     * 모델이 요청한 도구를 실행해 결과를 돌려주고, 최종 답변이 나오거나 예산(단계 수, 토큰 수)을 다 쓸 때까지 반복한다.
+     * 예산을 다 쓰면 더 이상 도구를 호출하지 말고 답하라는 지시와 함께 한 번 더 호출하고, 그 응답을 최종 답변으로 사용한다.
+     * @param {Task} task - 실행 중인 태스크
+     * @param {string} prompt - 태스크 프롬프트
+     * @param {Function} callModel - 모델 호출 함수 ((messages, tools) => Promise<{ text, toolCalls, usage }>)
+     * @returns {Promise<Object>} 최종 응답 ({ text, steps, usage, stopReason: final_answer | budget_exhausted })
+     */
+    async run(task, prompt, callModel) {
+        const tools = this.getToolDefinitions();
+        const messages = [{ role: 'user', content: prompt }];
+        const usage = { inputTokens: 0, outputTokens: 0 };
+
+        for (let steps = 0; ; steps++) {
+            const exhausted = this.isBudgetExhausted(steps, usage);
+            if (exhausted) {
+                messages.push({ role: 'user', content: TOOL_BUDGET_EXHAUSTED_PROMPT });
+            }
+
+            const response = await callModel(messages, tools);
+            addUsage(usage, response.usage);
+
+            const toolCalls = response.toolCalls || [];
+            if (exhausted || toolCalls.length === 0) {
+                return { text: response.text, steps, usage, stopReason: exhausted ? 'budget_exhausted' : 'final_answer' };
+            }
+
+            messages.push({ role: 'assistant', content: response.text, toolCalls });
+            const results = [];
+            for (const call of toolCalls) {
+                results.push(await this.executeToolCall(task, call, tools));
+            }
+            messages.push({ role: 'tool', results });
+        }
+    }
+
+    /**
+     * 도구 사용 루프 예산 소진 여부
+     * @param {number} steps - 진행한 단계 수
+     * @param {Object} usage - 누적 토큰 사용량 ({ inputTokens, outputTokens })
+     * @returns {boolean} 소진 여부
+     */
+    isBudgetExhausted(steps, usage) {
+        return steps >= this.maxSteps
+            || usage.inputTokens + usage.outputTokens >= this.maxTokens;
+    }
+
+    /**
+     * 모델이 요청한 도구 호출 1건 실행 (단계마다 에이전트에서 tool_step 이벤트 발생)
+     * @param {Task} task - 실행 중인 태스크
+     * @param {Object} call - 도구 호출 ({ id, name, arguments, error })
+     * @param {Array<Object>} definitions - 도구 정의 목록
+     * @returns {Promise<Object>} 도구 결과 ({ id, name, content, isError })
+     */
+    async executeToolCall(task, call, definitions) {
+        const definition = definitions.find(tool => tool.name === call.name);
+        const startTime = Date.now();
+        const { content, isError } = await this.invokeToolCall(task, call, definition);
+
+        this.agent.emit('tool_step', task, {
+            id: call.id,
+            name: call.name,
+            toolName: definition ? definition.toolName : call.name,
+            method: definition ? definition.method : null,
+            arguments: call.arguments,
+            duration: Date.now() - startTime,
+            isError
+        });
+
+        return { id: call.id, name: call.name, content, isError };
+    }
+
+    /**
+     * 도구 호출을 에이전트의 useTool로 실행
+     * 도구 오류는 모델이 대처할 수 있도록 isError 결과로 돌려주며, 취소만 그대로 전파한다.
+     * @returns {Promise<Object>} 실행 결과 ({ content, isError })
+     */
+    async invokeToolCall(task, call, definition) {
+        try {
+            if (call.error || !definition) {
+                throw new Error(call.error || `Unknown tool: ${call.name}`);
+            }
+
+            const result = await this.agent.useTool(definition.toolName, definition.method, call.arguments, { signal: task.signal });
+            return { content: formatToolResult(result), isError: false };
+        } catch (error) {
+            if (task.signal?.aborted || isCancellation(error)) {
+                throw error;
+            }
+            return { content: error.message, isError: true };
+        }
+    }
+}
+
+module.exports = { ToolLoop, formatToolResult };
@@ -5,8 +5,187 @@ const { ClaudeGeminiTeamSystem } = require('./index.js');
 const { Dashboard } = require('./visualization/dashboard.js');
 const { WebDashboardBridge } = require('./visualization/web-dashboard-bridge.js');
 const { ApiConfigManager } = require('./utils/api-config.js');
+const { MCPToolManager } = require('./tools/mcp-tool-manager.js');
+const { MessageBroker } = require('./communication/message-broker.js');
+const { ConversationLog } = require('./communication/conversation-log.js');
+const { summarizeCollaborationMessage } = require('./communication/collaboration-protocol.js');
+const mcpToolsConfig = require('../config/mcp-tools.json');
+const teamConfig = require('../config/team-config.json');
+const readline = require('readline');
 const chalk = require('chalk');
 
+/**
+ * 실행 중인 워크플로우 키보드 제어 연결 ([p] 일시 정지 [r] 재개 [c] 취소)
+ * 도구 호출 승인 요청이 있으면 [y] 승인 [n] 거부 [a] 항상 허용으로 가장 오래된 요청에 응답한다.
+ * 터미널이 아니면(헤드리스/CI) 승인자로 연결하지 않으므로 ask 호출은 unattended 설정대로 바로 결정된다.
+ * @param {ClaudeGeminiTeamSystem} teamSystem - 팀 시스템
+ * @returns {Function} 제어 해제 함수
+ */
+function attachWorkflowControls(teamSystem) {
+    if (!process.stdin.isTTY) {
+        return () => {};
+    }
+
+    const engine = teamSystem.workflowEngine;
+    const toolManager = teamSystem.toolManager;
+    const respond = (decision) => {
+        const [request] = toolManager.getPendingApprovals();
+        if (request) {
+            toolManager.resolveApproval(request.id, decision);
+        }
+    };
+    const actions = {
+        p: (runId) => engine.workflowControl.pauseWorkflow(runId),
+        r: (runId) => engine.workflowControl.resumeWorkflow(runId),
+        c: (runId) => engine.workflowControl.cancelWorkflow(runId, 'Cancelled from CLI'),
+        y: () => respond('approve'),
+        n: () => respond('deny'),
+        a: () => respond('always_allow')
+    };
+    const onApprovalRequested = () => console.log(chalk.yellow('🔐 [y] 승인  [n] 거부  [a] 항상 허용'));
+
+    const onKeypress = (str, key = {}) => {
+        if (key.ctrl && key.name === 'c') {
+            process.exit(130);
+        }
+
+        const action = actions[key.name];
+        if (!action || !teamSystem.currentRunId) {
+            return;
+        }
+
+        try {
+            action(teamSystem.currentRunId);
+        } catch (error) {
+            console.log(chalk.yellow(`⚠️  ${error.message}`));
+        }
+    };
+
+    readline.emitKeypressEvents(process.stdin);
+    process.stdin.setRawMode(true);
+    process.stdin.on('keypress', onKeypress);
+    toolManager.on('approval_requested', onApprovalRequested);
+    const detachApprover = toolManager.policy.attachApprover('cli');
+    console.log(chalk.gray('🎮 [p] 일시 정지  [r] 재개  [c] 취소'));
+
+    return () => {
+        process.stdin.off('keypress', onKeypress);
+        detachApprover();
+        toolManager.off('approval_requested', onApprovalRequested);
+        process.stdin.setRawMode(false);
+        process.stdin.pause();
+    };
+}
+
+/**
+ * 승인자가 없을 때 ask 도구 호출 처리 설정 (--unattended-approval)
+ * @param {ClaudeGeminiTeamSystem} teamSystem - 팀 시스템
+ * @param {string} decision - deny 또는 approve (없으면 mcp-tools.json의 policy.unattended)
+ */
+function applyUnattendedApproval(teamSystem, decision) {
+    if (decision) {
+        teamSystem.toolManager.policy.setUnattendedDecision(decision);
+    }
+}
+
+/**
+ * 웹 대시보드를 팀 시스템의 워크플로우 엔진, 도구 관리자, 메시지 브로커에 연결
+ * @param {ClaudeGeminiTeamSystem} teamSystem - 팀 시스템
+ * @param {number} port - 웹 서버 포트
+ * @returns {Promise<WebDashboardBridge>} 시작된 브리지
+ */
+async function attachWebDashboard(teamSystem, port) {
+    const bridge = new WebDashboardBridge({
+        webPort: port,
+        enableWebDashboard: true,
+        enableCLIDashboard: false,
+        syncMode: 'web-only'
+    });
+
+    bridge.connectWorkflowEngine(teamSystem.workflowEngine);
+    bridge.connectToolManager(teamSystem.toolManager);
+    bridge.connectMessageBroker(teamSystem.messageBroker);
+    await bridge.start();
+
+    return bridge;
+}
+
+/**
+ * 도구 호출 기록 한 줄 요약
+ * @param {Object} entry - 호출 기록
+ * @returns {string} 출력 문자열
+ */
+function formatToolCall(entry) {
+    const status = entry.error
+        ? chalk.red(`✗ ${entry.error.errorClass || 'error'}: ${entry.error.message}`)
+        : chalk.green(`✓ ${entry.resultDigest.slice(0, 12)}`);
+    const replayed = entry.replayedFrom ? chalk.gray(` (재생: ${entry.replayedFrom})`) : '';
+    const caller = [entry.runId, entry.taskId, entry.agentId].filter(Boolean).join(' / ') || 'system';
+
+    return `${chalk.gray(entry.timestamp)} ${chalk.cyan(`${entry.tool}.${entry.method}`)} ${entry.duration}ms ${status}${replayed}\n  ${chalk.gray(caller)}`;
+}
+
+/**
+ * 데드 레터 한 건 요약 (실패 이력 포함)
+ * @param {Message} message - 데드 레터
+ * @returns {string} 출력 문자열
+ */
+function formatDeadLetter(message) {
+    const header = `${chalk.gray(message.id)} ${chalk.cyan(message.type)} ${message.from || 'system'} → ${message.to} ${chalk.red(message.deadLetterReason)}`;
+    const failures = message.failures.map(failure => chalk.gray(`  ${new Date(failure.failedAt).toISOString()} ${failure.reason}`));
+
+    return [header, ...failures].join('\n');
+}
+
+/**
+ * 협업 대화 스레드 한 건 요약 (messages thread 명령용)
+ */
+function formatThreadEntry(entry) {
+    const time = chalk.gray(new Date(entry.timestamp).toISOString());
+    return `${time} ${chalk.gray(`[${entry.taskId}]`)} ${entry.from} → ${entry.to} ${chalk.cyan(entry.type)} ${summarizeCollaborationMessage(entry)}`;
+}
+
+/**
+ * 데드 레터 명령용 메시지 브로커 (저장소만 연결하고 메시지 처리는 실행 중인 시스템에 맡김)
+ * 메모리 저장소의 데드 레터는 실행 중인 프로세스 안에만 있으므로 redis 저장소에서만 사용할 수 있다.
+ * @returns {Promise<MessageBroker>} 저장소가 연결된 브로커
+ */
+async function openDeadLetterBroker() {
+    const storeType = teamConfig.communication?.store?.type || 'memory';
+    if (storeType === 'memory') {
+        throw new Error('메모리 저장소의 데드 레터는 실행 중인 프로세스에만 있습니다. team-config.json의 communication.store.type을 redis로 설정하거나 start --web-dashboard의 데드 레터 패널을 사용하세요.');
+    }
+
+    const broker = new MessageBroker(teamConfig);
+    await broker.store.connect();
+    return broker;
+}
+
+/**
+ * 데드 레터 명령 옵션을 브로커 selector로 변환 (재전송/삭제는 메시지 ID, 조건, --all 중 하나 필요)
+ * @param {string} messageId - 메시지 ID
+ * @param {Object} options - 명령 옵션
+ * @param {boolean} requireSelection - 조건 없이 전체를 대상으로 하는 것을 막을지 여부
+ * @returns {string|Object} selector
+ */
+function deadLetterSelector(messageId, options, requireSelection = true) {
+    if (messageId) {
+        return messageId;
+    }
+
+    const filter = Object.fromEntries(Object.entries({
+        from: options.sender,
+        to: options.recipient,
+        type: options.type,
+        reason: options.reason
+    }).filter(([, value]) => value));
+
+    if (requireSelection && Object.keys(filter).length === 0 && !options.all) {
+        throw new Error('메시지 ID, 조건(--recipient, --sender, --type, --reason) 또는 --all 옵션이 필요합니다.');
+    }
+    return filter;
+}
+
 // CLI 버전 정보
 program
     .version('1.0.0')
@@ -16,19 +195,44 @@ program
 program
     .command('start')
     .description('프로젝트 시작')
-    .argument('<project>', '프로젝트 설명')
+    .argument('[project]', '프로젝트 설명 (--workflow 사용 시 생략 가능)')
     .option('-v, --verbose', '상세 로그 출력')
+    .option('-w, --workflow <file>', '워크플로우 정의 파일 (YAML/JSON, AI 계획 생략)')
+    .option('--web-dashboard [port]', '웹 대시보드에서 진행 상황 확인 및 일시 정지/취소')
+    .option('--replay <runId>', '이전 실행의 도구 호출 기록으로 응답 (외부 도구를 호출하지 않음)')
+    .option('--replay-live', '재생 중 기록에 없는 도구 호출은 실제로 실행')
+    .option('--unattended-approval <decision>', '승인자(터미널, 대시보드)가 없을 때 승인이 필요한 도구 호출 처리 (deny|approve)')
     .action(async (project, options) => {
         console.log(chalk.bold.blue('🚀 Claude-Gemini 팀 시스템 시작'));
         
         try {
+            if (!project && !options.workflow) {
+                throw new Error('프로젝트 설명 또는 --workflow 옵션이 필요합니다.');
+            }
+            
             const teamSystem = new ClaudeGeminiTeamSystem();
             
             if (options.verbose) {
                 console.log(chalk.gray('상세 로그 모드 활성화'));
             }
             
-            await teamSystem.executeProject(project);
+            applyUnattendedApproval(teamSystem, options.unattendedApproval);
+            
+            if (options.webDashboard) {
+                await attachWebDashboard(teamSystem, parseInt(options.webDashboard === true ? '8080' : options.webDashboard));
+            }
+            
+            if (options.replay) {
+                await teamSystem.toolManager.startReplay(options.replay, { onMiss: options.replayLive ? 'execute' : 'error' });
+                console.log(chalk.gray(`⏪ 도구 호출 재생: ${options.replay}`));
+            }
+            
+            const detachControls = attachWorkflowControls(teamSystem);
+            try {
+                await teamSystem.executeProject(project, { workflowFile: options.workflow });
+            } finally {
+                detachControls();
+            }
             
         } catch (error) {
             console.error(chalk.bold.red('❌ 실행 실패:'), error.message);
@@ -36,6 +240,37 @@ program
         }
     });
 
+// 중단된 프로젝트 재개 명령
+program
+    .command('resume')
+    .description('체크포인트에서 중단된 프로젝트 재개')
+    .argument('<runId>', '실행 ID (프로젝트 시작 시 출력됨)')
+    .option('--real-ai', '실제 AI 에이전트로 재개')
+    .option('--unattended-approval <decision>', '승인자(터미널, 대시보드)가 없을 때 승인이 필요한 도구 호출 처리 (deny|approve)')
+    .action(async (runId, options) => {
+        console.log(chalk.bold.blue('🔄 Claude-Gemini 팀 시스템 재개'));
+        
+        try {
+            const teamSystem = new ClaudeGeminiTeamSystem();
+            applyUnattendedApproval(teamSystem, options.unattendedApproval);
+            
+            if (options.realAi) {
+                await teamSystem.initializeTeam(true);
+            }
+            
+            const detachControls = attachWorkflowControls(teamSystem);
+            try {
+                await teamSystem.resumeProject(runId);
+            } finally {
+                detachControls();
+            }
+            
+        } catch (error) {
+            console.error(chalk.bold.red('❌ 재개 실패:'), error.message);
+            process.exit(1);
+        }
+    });
+
 // 팀원 추가 명령
 program
     .command('add-member')
@@ -93,6 +328,12 @@ program
             const teamSystem = new ClaudeGeminiTeamSystem();
             await teamSystem.initializeTeam();
             
+            // 도구 호출 승인 요청은 대시보드에서 [y]/[n]/[a]로 응답
+            dashboard.connectToolManager(teamSystem.toolManager);
+            teamSystem.toolManager.policy.attachApprover('dashboard');
+            // 에이전트 간 협업 메시지는 태스크별 대화 스레드로 표시 ([t])
+            dashboard.connectMessageBroker(teamSystem.messageBroker);
+            
             // 대시보드에 팀원 등록
             const teamMembers = teamSystem.teamManager.getTeamMembers();
             teamMembers.forEach(member => {
@@ -188,6 +429,199 @@ program
         }
     });
 
+// 도구 호출 기록 조회 명령
+const toolsCommand = program
+    .command('tools')
+    .description('MCP 도구 관련 명령');
+
+toolsCommand
+    .command('log')
+    .description('도구 호출 기록 조회 (shared/logs/tool-calls.jsonl)')
+    .option('--run <runId>', '실행 ID')
+    .option('--task <taskId>', '태스크 ID')
+    .option('--agent <agentId>', '에이전트 ID')
+    .option('--tool <name>', '도구 이름')
+    .option('--method <name>', '메서드')
+    .option('--errors', '실패한 호출만')
+    .option('--since <time>', '이 시각 이후 (ISO 8601)')
+    .option('-n, --limit <count>', '최근 N건', '50')
+    .option('--stats', '도구별 통계 출력')
+    .option('--json', 'JSON으로 출력')
+    .action(async (options) => {
+        try {
+            const toolManager = new MCPToolManager(mcpToolsConfig);
+            const filters = {
+                runId: options.run,
+                taskId: options.task,
+                agentId: options.agent,
+                tool: options.tool,
+                method: options.method,
+                status: options.errors ? 'error' : undefined,
+                since: options.since
+            };
+
+            if (options.stats) {
+                const stats = await toolManager.queryCallStats(filters);
+                if (options.json) {
+                    console.log(JSON.stringify(stats, null, 2));
+                    return;
+                }
+
+                console.log(chalk.bold.blue('📊 도구 사용 통계'));
+                console.log('='.repeat(40));
+                if (Object.keys(stats).length === 0) {
+                    console.log(chalk.gray('기록된 도구 호출이 없습니다.'));
+                }
+                Object.entries(stats).forEach(([tool, toolStats]) => {
+                    console.log(`${chalk.cyan(tool)}: ${toolStats.calls}회 (실패 ${toolStats.errors}, 재생 ${toolStats.replayed}), 평균 ${toolStats.averageDuration}ms`);
+                });
+                return;
+            }
+
+            const entries = await toolManager.callLog.query({ ...filters, limit: parseInt(options.limit) });
+            if (options.json) {
+                console.log(JSON.stringify(entries, null, 2));
+                return;
+            }
+
+            if (entries.length === 0) {
+                console.log(chalk.gray('기록된 도구 호출이 없습니다.'));
+                return;
+            }
+            entries.forEach(entry => console.log(formatToolCall(entry)));
+            
+        } catch (error) {
+            console.error(chalk.bold.red('❌ 도구 호출 기록 조회 실패:'), error.message);
+            process.exit(1);
+        }
+    });
+
+// 데드 레터 관리 명령
+const messagesCommand = program
+    .command('messages')
+    .description('에이전트 메시지 관련 명령');
+
+const dlqCommand = messagesCommand
+    .command('dlq')
+    .description('데드 레터 조회, 재전송, 삭제 (redis 메시지 저장소 필요)');
+
+const addDeadLetterFilters = (command) => command
+    .option('--recipient <agentId>', '수신 에이전트')
+    .option('--sender <agentId>', '발신 에이전트')
+    .option('--type <type>', '메시지 타입')
+    .option('--reason <text>', '최종 실패 사유에 포함된 문자열');
+
+addDeadLetterFilters(dlqCommand
+    .command('list')
+    .description('데드 레터 목록 (실패 이력 포함)'))
+    .option('--json', 'JSON으로 출력')
+    .action(async (options) => {
+        try {
+            const broker = await openDeadLetterBroker();
+            try {
+                const deadLetters = await broker.getDeadLetterMessages(deadLetterSelector(null, options, false));
+                if (options.json) {
+                    console.log(JSON.stringify(deadLetters, null, 2));
+                    return;
+                }
+
+                if (deadLetters.length === 0) {
+                    console.log(chalk.gray('데드 레터가 없습니다.'));
+                    return;
+                }
+                deadLetters.forEach(message => console.log(formatDeadLetter(message)));
+            } finally {
+                await broker.store.disconnect();
+            }
+        } catch (error) {
+            console.error(chalk.bold.red('❌ 데드 레터 조회 실패:'), error.message);
+            process.exit(1);
+        }
+    });
+
+addDeadLetterFilters(dlqCommand
+    .command('redrive')
+    .description('데드 레터를 다시 대기열에 추가')
+    .argument('[messageId]', '메시지 ID'))
+    .option('--to <agentId>', '다른 수신 에이전트로 재전송')
+    .option('--all', '모든 데드 레터 재전송')
+    .action(async (messageId, options) => {
+        try {
+            const broker = await openDeadLetterBroker();
+            try {
+                const { redriven, failed } = await broker.redrive(deadLetterSelector(messageId, options), { to: options.to });
+                redriven.forEach(message => console.log(chalk.green(`🔁 ${message.id} → ${message.to}`)));
+                failed.forEach(({ message, error }) => console.log(chalk.red(`❌ ${message.id}: ${error}`)));
+                console.log(chalk.bold(`재전송 ${redriven.length}건, 실패 ${failed.length}건`));
+            } finally {
+                await broker.store.disconnect();
+            }
+        } catch (error) {
+            console.error(chalk.bold.red('❌ 데드 레터 재전송 실패:'), error.message);
+            process.exit(1);
+        }
+    });
+
+addDeadLetterFilters(dlqCommand
+    .command('purge')
+    .description('데드 레터 삭제')
+    .argument('[messageId]', '메시지 ID'))
+    .option('--all', '모든 데드 레터 삭제')
+    .action(async (messageId, options) => {
+        try {
+            const broker = await openDeadLetterBroker();
+            try {
+                const purged = await broker.purgeDeadLetters(deadLetterSelector(messageId, options));
+                console.log(chalk.bold(`🗑️  데드 레터 ${purged.length}건 삭제`));
+            } finally {
+                await broker.store.disconnect();
+            }
+        } catch (error) {
+            console.error(chalk.bold.red('❌ 데드 레터 삭제 실패:'), error.message);
+            process.exit(1);
+        }
+    });
+
+messagesCommand
+    .command('thread')
+    .description('태스크별 에이전트 협업 대화 조회 (shared/logs/conversations.jsonl)')
+    .argument('[taskId]', '태스크 ID (없으면 최근 대화 전체)')
+    .option('--agent <agentId>', '발신 또는 수신 에이전트')
+    .option('--type <type>', '메시지 타입 (question, answer, review_request, review_feedback, handoff, blocker)')
+    .option('-n, --limit <count>', '최근 N건', '50')
+    .option('--json', 'JSON으로 출력')
+    .action(async (taskId, options) => {
+        try {
+            const conversationLog = new ConversationLog(teamConfig.communication.conversationLog);
+            const entries = await conversationLog.query({
+                taskId,
+                agentId: options.agent,
+                type: options.type,
+                limit: parseInt(options.limit)
+            });
+            if (options.json) {
+                console.log(JSON.stringify(entries, null, 2));
+                return;
+            }
+
+            if (entries.length === 0) {
+                console.log(chalk.gray('기록된 대화가 없습니다.'));
+                return;
+            }
+            entries.forEach(entry => {
+                console.log(formatThreadEntry(entry));
+                if (entry.type === 'review_feedback') {
+                    (entry.data.comments || []).forEach(comment => {
+                        console.log(chalk.gray(`    - [${comment.severity}] ${comment.message}${comment.location ? ` (${comment.location})` : ''}`));
+                    });
+                }
+            });
+        } catch (error) {
+            console.error(chalk.bold.red('❌ 대화 기록 조회 실패:'), error.message);
+            process.exit(1);
+        }
+    });
+
 // 대시보드 전용 명령
 program
     .command('dashboard')
@@ -496,20 +930,26 @@ program
     .description('API 연결 테스트')
     .option('--claude', 'Claude API만 테스트')
     .option('--gemini', 'Gemini API만 테스트')
+    .option('--openai', 'OpenAI 호환 서버(Ollama, llama.cpp 등)만 테스트')
     .action(async (options) => {
         console.log(chalk.bold.blue('🔍 API 연결 테스트 시작...'));
         
         try {
             const apiConfig = new ApiConfigManager();
+            const testAll = !options.claude && !options.gemini && !options.openai;
             let results = {};
             
-            if (options.claude || (!options.claude && !options.gemini)) {
+            if (options.claude || testAll) {
                 results.claude = await apiConfig.testApiConnection('claude');
             }
             
-            if (options.gemini || (!options.claude && !options.gemini)) {
+            if (options.gemini || testAll) {
                 results.gemini = await apiConfig.testApiConnection('gemini');
             }
+
+            if (options.openai) {
+                results.openai = await apiConfig.testApiConnection('openai');
+            }
             
             console.log(chalk.bold.blue('\n📊 테스트 결과:'));
             console.log(chalk.dim('─'.repeat(30)));
@@ -583,6 +1023,18 @@ program.on('--help', () => {
     console.log(chalk.gray('  # 프로젝트 시작'));
     console.log('  $ npm start "웹 애플리케이션 개발"');
     console.log('');
+    console.log(chalk.gray('  # 워크플로우 정의 파일로 시작 (AI 계획 생략)'));
+    console.log('  $ node src/cli.js start --workflow api-service.yaml');
+    console.log('');
+    console.log(chalk.gray('  # 실행 중 제어: [p] 일시 정지  [r] 재개  [c] 취소 (웹 대시보드에서도 가능)'));
+    console.log('  $ node src/cli.js start "웹 애플리케이션 개발" --web-dashboard 8080');
+    console.log('');
+    console.log(chalk.gray('  # 중단된 프로젝트 재개'));
+    console.log('  $ node src/cli.js resume plan_1700000000000');
+    console.log('');
+    console.log(chalk.gray('  # 로컬 모델로 오프라인 실행 (team-config.json team.members에 "provider": "openai" 팀원 선언)'));
+    console.log('  $ OPENAI_BASE_URL=http://localhost:11434/v1 node src/cli.js test-api --openai');
+    console.log('');
     console.log(chalk.gray('  # 고급 대시보드 (추천)'));
     console.log('  $ npm run dashboard');
     console.log('  $ npm run dashboard -- --mode progress');
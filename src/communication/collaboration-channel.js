@@ -0,0 +1,214 @@
+const { Message } = require('./message');
+const { ResponseParser } = require('../utils/response-parser');
+const {
+    COLLABORATION_MESSAGE_TYPES,
+    validateCollaborationPayload,
+    formatQuestionPrompt,
+    formatReviewPrompt
+} = require('./collaboration-protocol');
+
+// 협업 요청(질문, 리뷰)의 기본 응답 대기 시간 (상대 에이전트의 모델 호출 포함)
+const DEFAULT_COLLABORATION_TIMEOUT = 120000;
+
+const responseParser = new ResponseParser();
+
+/**
+ * 모델 응답에서 JSON 객체 추출 (코드 블록에 감싸진 JSON 포함)
+ * @returns {Object|null} 처음 찾은 JSON 객체
+ */
+function parseJsonResponse(text) {
+    try {
+        const parsed = JSON.parse(text);
+        return parsed && typeof parsed === 'object' ? parsed : null;
+    } catch {
+        // 코드 블록 등에 감싸진 JSON은 응답 파서로 추출
+    }
+
+    const json = responseParser.extractJSON(text).find(entry => entry.valid && entry.parsed && typeof entry.parsed === 'object');
+    return json ? json.parsed : null;
+}
+
+function omitUndefined(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * 협업 채널 - 에이전트의 협업 메시지(질문, 리뷰 요청, 핸드오프, 블로커) 송수신
+ * 받은 질문과 리뷰 요청에는 에이전트의 completePrompt로 답을 만들어 응답하고, 핸드오프와 블로커는 에이전트 이벤트로 알린다.
+ */
+class CollaborationChannel {
+    /**
+     * @param {BaseAgent} agent - 메시지를 주고받을 에이전트
+     * @param {Object} options - 옵션 ({ timeout: 응답 대기 시간 ms })
+     */
+    constructor(agent, options = {}) {
+        this.agent = agent;
+        this.timeout = options.timeout || DEFAULT_COLLABORATION_TIMEOUT;
+        this.messageBroker = null;
+    }
+
+    /**
+     * 메시지 브로커 연결
+     * @param {MessageBroker} messageBroker - 메시지 브로커
+     */
+    connect(messageBroker) {
+        this.messageBroker = messageBroker;
+        this.agent.on('message', (message) => {
+            this.handleMessage(message).catch(error => this.agent.log(`협업 응답 전송 실패: ${error.message}`, 'error'));
+        });
+        messageBroker.subscribe(this.agent.id, Object.keys(COLLABORATION_MESSAGE_TYPES), this.agent);
+    }
+
+    /**
+     * 메시지 브로커 구독 해제 (에이전트 종료 시)
+     */
+    disconnect() {
+        if (this.messageBroker) {
+            this.messageBroker.unsubscribe(this.agent.id);
+        }
+    }
+
+    /**
+     * 협업 메시지 전송
+     * 응답이 있는 타입(question, review_request)은 응답을 기다려 검증된 응답 data를 돌려준다.
+     * @param {string} type - 협업 메시지 타입
+     * @param {string} to - 수신 에이전트 ID
+     * @param {Object} payload - 메시지 data (타입별 스키마로 검증)
+     * @param {Object} options - 전송 옵션 ({ priority, timeout: 응답 대기 시간 ms })
+     * @returns {Promise<Object|null>} 응답 data (응답이 없는 타입이면 null)
+     */
+    async send(type, to, payload, options = {}) {
+        if (!this.messageBroker) {
+            throw new Error(`${this.agent.id} is not connected to a message broker`);
+        }
+        validateCollaborationPayload(type, payload);
+
+        const { replyType } = COLLABORATION_MESSAGE_TYPES[type];
+        if (!replyType) {
+            await this.messageBroker.publish(new Message({ type, from: this.agent.id, to, priority: options.priority, data: payload }));
+            return null;
+        }
+
+        const reply = await this.messageBroker.request(to, payload, {
+            type,
+            from: this.agent.id,
+            priority: options.priority,
+            timeout: options.timeout || this.timeout
+        });
+        return validateCollaborationPayload(replyType, reply.data);
+    }
+
+    /**
+     * 다른 에이전트에게 질문하고 답변 대기
+     * @param {string} to - 수신 에이전트 ID
+     * @param {Object} payload - 질문 ({ taskId, question, context })
+     * @returns {Promise<Object>} 답변 ({ taskId, answer, confidence })
+     */
+    async askQuestion(to, payload, options = {}) {
+        return this.send('question', to, payload, options);
+    }
+
+    /**
+     * 산출물 리뷰를 요청하고 리뷰 결과 대기
+     * @param {string} to - 리뷰 에이전트 ID
+     * @param {Object} payload - 리뷰 요청 ({ taskId, artifact, summary, criteria })
+     * @returns {Promise<Object>} 리뷰 결과 ({ taskId, verdict, summary, comments })
+     */
+    async requestReview(to, payload, options = {}) {
+        return this.send('review_request', to, payload, options);
+    }
+
+    /**
+     * 작업 인계 ({ taskId, summary, artifacts, nextSteps })
+     */
+    async sendHandoff(to, payload, options = {}) {
+        return this.send('handoff', to, payload, options);
+    }
+
+    /**
+     * 진행을 막는 문제 보고 ({ taskId, description, severity, needs })
+     */
+    async reportBlocker(to, payload, options = {}) {
+        return this.send('blocker', to, payload, options);
+    }
+
+    /**
+     * 받은 협업 메시지 처리
+     * 응답이 필요한 메시지는 처리에 실패해도 오류 응답을 보내 요청자가 시간 초과까지 기다리지 않게 한다.
+     * @param {Message} message - 받은 메시지
+     */
+    async handleMessage(message) {
+        const { replyType } = COLLABORATION_MESSAGE_TYPES[message.type] || {};
+
+        try {
+            validateCollaborationPayload(message.type, message.data);
+
+            if (message.type === 'question') {
+                this.agent.log(`질문 수신 (${message.from}): ${message.data.question}`, 'info');
+                await this.reply(message, await this.answerQuestion(message));
+            } else if (message.type === 'review_request') {
+                this.agent.log(`리뷰 요청 수신 (${message.from}, ${message.data.taskId})`, 'info');
+                await this.reply(message, await this.reviewArtifact(message));
+            } else {
+                // handoff_received, blocker_received, 시간 초과 후 도착한 answer_received/review_feedback_received
+                this.agent.emit(`${message.type}_received`, message);
+            }
+        } catch (error) {
+            this.agent.log(`협업 메시지 처리 실패 (${message.type} from ${message.from}): ${error.message}`, 'error');
+            if (replyType) {
+                await this.messageBroker.reply(message, { taskId: message.data?.taskId }, { type: replyType, error: error.message });
+            }
+        }
+    }
+
+    /**
+     * 요청 메시지에 협업 응답 전송 (응답 타입 스키마로 검증)
+     */
+    async reply(request, payload) {
+        const type = COLLABORATION_MESSAGE_TYPES[request.type].replyType;
+        validateCollaborationPayload(type, payload);
+        await this.messageBroker.reply(request, payload, { type });
+    }
+
+    /**
+     * 질문에 대한 답변 생성 (JSON이 아닌 응답은 전체 텍스트를 답변으로 사용)
+     * @param {Message} message - question 메시지
+     * @returns {Promise<Object>} answer data
+     */
+    async answerQuestion(message) {
+        const text = await this.agent.completePrompt(formatQuestionPrompt(this.agent, message));
+        const response = parseJsonResponse(text) || {};
+
+        return omitUndefined({
+            taskId: message.data.taskId,
+            answer: typeof response.answer === 'string' && response.answer ? response.answer : text.trim(),
+            confidence: response.confidence
+        });
+    }
+
+    /**
+     * 산출물 리뷰 결과 생성
+     * @param {Message} message - review_request 메시지
+     * @returns {Promise<Object>} review_feedback data (응답에 JSON 리뷰가 없으면 예외)
+     */
+    async reviewArtifact(message) {
+        const text = await this.agent.completePrompt(formatReviewPrompt(this.agent, message));
+        const response = parseJsonResponse(text);
+        if (!response) {
+            throw new Error('Review response did not contain a JSON verdict');
+        }
+
+        return omitUndefined({
+            taskId: message.data.taskId,
+            verdict: response.verdict,
+            summary: response.summary,
+            comments: (response.comments || []).map(comment => omitUndefined({
+                severity: comment.severity,
+                message: comment.message,
+                location: comment.location
+            }))
+        });
+    }
+}
+
+module.exports = { CollaborationChannel };
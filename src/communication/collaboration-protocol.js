@@ -0,0 +1,192 @@
+const { validateJsonSchema } = require('../utils/json-schema');
+
+const REVIEW_VERDICTS = ['approve', 'revise', 'reject'];
+const COMMENT_SEVERITIES = ['blocker', 'major', 'minor', 'nit'];
+
+/**
+ * 에이전트 간 협업 메시지 타입과 data 스키마
+ * 모든 협업 메시지는 대화 스레드를 묶는 taskId를 가진다.
+ * replyType이 있는 타입은 request()로 보내고 수신자가 replyType 메시지로 응답하며, 나머지는 응답 없이 알린다.
+ * summarize는 대시보드와 CLI에 표시할 한 줄 요약이다.
+ */
+const COLLABORATION_MESSAGE_TYPES = {
+    question: {
+        summarize: data => data.question,
+        replyType: 'answer',
+        schema: {
+            type: 'object',
+            required: ['taskId', 'question'],
+            properties: {
+                taskId: { type: 'string', minLength: 1 },
+                question: { type: 'string', minLength: 1 },
+                context: { type: 'string' }
+            }
+        }
+    },
+    answer: {
+        summarize: data => data.answer,
+        schema: {
+            type: 'object',
+            required: ['taskId', 'answer'],
+            properties: {
+                taskId: { type: 'string', minLength: 1 },
+                answer: { type: 'string', minLength: 1 },
+                confidence: { enum: ['low', 'medium', 'high'] }
+            }
+        }
+    },
+    review_request: {
+        summarize: data => data.summary || 'review requested',
+        replyType: 'review_feedback',
+        schema: {
+            type: 'object',
+            required: ['taskId', 'artifact'],
+            properties: {
+                taskId: { type: 'string', minLength: 1 },
+                artifact: { type: ['string', 'object', 'array'] },
+                summary: { type: 'string' },
+                criteria: { type: 'array', items: { type: 'string' } }
+            }
+        }
+    },
+    review_feedback: {
+        summarize: data => `${data.verdict}${data.summary ? `: ${data.summary}` : ''} (${(data.comments || []).length} comments)`,
+        schema: {
+            type: 'object',
+            required: ['taskId', 'verdict', 'comments'],
+            properties: {
+                taskId: { type: 'string', minLength: 1 },
+                verdict: { enum: REVIEW_VERDICTS },
+                summary: { type: 'string' },
+                comments: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['severity', 'message'],
+                        properties: {
+                            severity: { enum: COMMENT_SEVERITIES },
+                            message: { type: 'string', minLength: 1 },
+                            location: { type: 'string' }
+                        }
+                    }
+                }
+            }
+        }
+    },
+    handoff: {
+        summarize: data => data.summary,
+        schema: {
+            type: 'object',
+            required: ['taskId', 'summary'],
+            properties: {
+                taskId: { type: 'string', minLength: 1 },
+                summary: { type: 'string', minLength: 1 },
+                artifacts: { type: 'array' },
+                nextSteps: { type: 'array', items: { type: 'string' } }
+            }
+        }
+    },
+    blocker: {
+        summarize: data => `${data.severity ? `[${data.severity}] ` : ''}${data.description}`,
+        schema: {
+            type: 'object',
+            required: ['taskId', 'description'],
+            properties: {
+                taskId: { type: 'string', minLength: 1 },
+                description: { type: 'string', minLength: 1 },
+                severity: { enum: ['low', 'medium', 'high'] },
+                needs: { type: 'string' }
+            }
+        }
+    }
+};
+
+/**
+ * 협업 메시지 타입 여부
+ * @param {string} type - 메시지 타입
+ * @returns {boolean}
+ */
+function isCollaborationType(type) {
+    return Object.prototype.hasOwnProperty.call(COLLABORATION_MESSAGE_TYPES, type);
+}
+
+/**
+ * 협업 메시지 data 검증
+ * @param {string} type - 협업 메시지 타입
+ * @param {Object} payload - 메시지 data
+ * @returns {Object} payload (유효하지 않으면 예외)
+ */
+function validateCollaborationPayload(type, payload) {
+    if (!isCollaborationType(type)) {
+        throw new Error(`Unknown collaboration message type: ${type}. 가능한 타입: ${Object.keys(COLLABORATION_MESSAGE_TYPES).join(', ')}`);
+    }
+
+    const errors = validateJsonSchema(payload, COLLABORATION_MESSAGE_TYPES[type].schema, type);
+    if (errors.length > 0) {
+        throw new Error(`Invalid ${type} message: ${errors.join('; ')}`);
+    }
+    return payload;
+}
+
+/**
+ * 협업 메시지 한 줄 요약 (대시보드와 CLI 표시용)
+ * @param {Object} message - 협업 메시지 또는 대화 기록 항목 ({ type, data })
+ * @returns {string} 요약
+ */
+function summarizeCollaborationMessage({ type, data = {} }) {
+    if (data.error) {
+        return `error: ${data.error}`;
+    }
+    return isCollaborationType(type) ? COLLABORATION_MESSAGE_TYPES[type].summarize(data) : '';
+}
+
+/**
+ * 질문에 답하기 위한 프롬프트
+ * @param {BaseAgent} agent - 답하는 에이전트
+ * @param {Message} message - question 메시지
+ * @returns {string} 프롬프트
+ */
+function formatQuestionPrompt(agent, message) {
+    const { taskId, question, context } = message.data;
+
+    return [
+        `You are ${agent.name}, the ${agent.role} of the team. ${message.from} is working on task ${taskId} and asks you a question.`,
+        context ? `Context:\n${context}` : '',
+        `Question: ${question}`,
+        'Respond only in JSON with the keys "answer" (string) and "confidence" ("low", "medium" or "high").'
+    ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * 산출물 리뷰를 위한 프롬프트
+ * @param {BaseAgent} agent - 리뷰하는 에이전트
+ * @param {Message} message - review_request 메시지
+ * @returns {string} 프롬프트
+ */
+function formatReviewPrompt(agent, message) {
+    const { taskId, artifact, summary, criteria = [] } = message.data;
+    const deliverable = typeof artifact === 'string' ? artifact : JSON.stringify(artifact, null, 2);
+
+    return [
+        `You are ${agent.name}, the ${agent.role} of the team. Review the deliverable ${message.from} produced for task ${taskId}.`,
+        summary ? `Author's summary: ${summary}` : '',
+        criteria.length > 0 ? `Acceptance criteria:\n${criteria.map(criterion => `- ${criterion}`).join('\n')}` : '',
+        `Deliverable:\n${deliverable}`,
+        [
+            'Respond only in JSON with the keys:',
+            `- "verdict": ${REVIEW_VERDICTS.map(verdict => `"${verdict}"`).join(', ')}`,
+            '- "summary": one or two sentences on the overall assessment',
+            `- "comments": a list of { "severity": ${COMMENT_SEVERITIES.map(severity => `"${severity}"`).join(' | ')}, "message": string, "location": string }`
+        ].join('\n')
+    ].filter(Boolean).join('\n\n');
+}
+
+module.exports = {
+    COLLABORATION_MESSAGE_TYPES,
+    REVIEW_VERDICTS,
+    isCollaborationType,
+    validateCollaborationPayload,
+    summarizeCollaborationMessage,
+    formatQuestionPrompt,
+    formatReviewPrompt
+};
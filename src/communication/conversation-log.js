@@ -0,0 +1,119 @@
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+
+const PROJECT_ROOT = path.join(__dirname, '../..');
+const DEFAULT_LOG_PATH = 'shared/logs/conversations.jsonl';
+
+/**
+ * 태스크별 협업 대화 기록 (추가 전용 JSONL)
+ * 에이전트 간 협업 메시지(question, answer, review_request 등)를 taskId와 함께 한 줄씩 기록해
+ * 재시작 후에도 태스크의 대화 스레드를 CLI와 대시보드에서 다시 볼 수 있게 한다.
+ */
+class ConversationLog extends EventEmitter {
+    /**
+     * @param {Object} config - 설정 (team-config.json의 communication.conversationLog)
+     * @param {string|boolean} config.path - 기록 파일 경로 (프로젝트 루트 기준, false면 기록하지 않음)
+     */
+    constructor(config = {}) {
+        super();
+
+        this.logPath = config.path === false
+            ? null
+            : path.resolve(PROJECT_ROOT, config.path || DEFAULT_LOG_PATH);
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * 협업 메시지 기록 (발행 순서를 유지하도록 순차 기록)
+     * @param {Message} message - 협업 메시지
+     * @returns {Promise<Object>} 기록된 항목 (기록 실패는 record_error 이벤트로 알림)
+     */
+    record(message) {
+        const entry = {
+            id: message.id,
+            timestamp: new Date(message.timestamp).toISOString(),
+            taskId: message.data?.taskId || null,
+            type: message.type,
+            from: message.from,
+            to: message.to,
+            correlationId: message.correlationId,
+            data: message.data
+        };
+
+        if (!this.logPath) {
+            return Promise.resolve(entry);
+        }
+
+        this.writeQueue = this.writeQueue
+            .then(async () => {
+                await fs.mkdir(path.dirname(this.logPath), { recursive: true });
+                await fs.appendFile(this.logPath, `${JSON.stringify(entry)}\n`);
+            })
+            .catch(error => this.emit('record_error', error));
+
+        return this.writeQueue.then(() => entry);
+    }
+
+    /**
+     * 기록 조회 (기록 순서)
+     * @param {Object} filters - 조건 ({ taskId, agentId: 발신 또는 수신 에이전트, type, limit: 마지막 N건 })
+     * @returns {Promise<Array<Object>>} 조건에 맞는 기록
+     */
+    async query(filters = {}) {
+        if (!this.logPath) {
+            return [];
+        }
+
+        await this.writeQueue;
+
+        let content;
+        try {
+            content = await fs.readFile(this.logPath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const entries = content.split('\n')
+            .map(parseLine)
+            .filter(entry => entry && matchesFilters(entry, filters));
+
+        return filters.limit ? entries.slice(-filters.limit) : entries;
+    }
+
+    /**
+     * 태스크의 대화 스레드 조회
+     * @param {string} taskId - 태스크 ID
+     * @returns {Promise<Array<Object>>} 스레드 메시지 (기록 순서)
+     */
+    async getThread(taskId) {
+        return this.query({ taskId });
+    }
+}
+
+function parseLine(line) {
+    if (!line.trim()) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(line);
+    } catch {
+        return null; // 중단된 기록의 잘린 마지막 줄
+    }
+}
+
+function matchesFilters(entry, filters) {
+    if (filters.taskId && entry.taskId !== filters.taskId) {
+        return false;
+    }
+    if (filters.type && entry.type !== filters.type) {
+        return false;
+    }
+    return !filters.agentId || entry.from === filters.agentId || entry.to === filters.agentId;
+}
+
+module.exports = { ConversationLog };
@@ -1,74 +1,75 @@
 const EventEmitter = require('events');
 const chalk = require('chalk');
+const { Message } = require('./message');
+const { InMemoryMessageStore } = require('./message-store');
+const { RedisMessageStore } = require('./redis-message-store');
+const { ConversationLog } = require('./conversation-log');
+const { isCollaborationType } = require('./collaboration-protocol');
 
-/**
- * 메시지 클래스 - 에이전트 간 통신을 위한 메시지
- */
-class Message {
-    constructor(config) {
-        this.id = `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        this.type = config.type;
-        this.from = config.from;
-        this.to = config.to;
-        this.data = config.data || {};
-        this.content = config.content || config.data?.content || '';
-        this.priority = config.priority || config.data?.priority || 'normal';
-        this.timestamp = new Date();
-        this.status = 'pending';
-        this.acknowledgedAt = null;
-    }
-
-    /**
-     * 메시지 수신 확인
-     */
-    acknowledge() {
-        this.status = 'acknowledged';
-        this.acknowledgedAt = new Date();
-    }
-
-    /**
-     * JSON 직렬화
-     */
-    toJSON() {
-        return {
-            id: this.id,
-            type: this.type,
-            from: this.from,
-            to: this.to,
-            data: this.data,
-            content: this.content,
-            priority: this.priority,
-            timestamp: this.timestamp,
-            status: this.status,
-            acknowledgedAt: this.acknowledgedAt
-        };
-    }
-}
+const DEFAULT_REQUEST_TIMEOUT = 30000; // 30초
+const DEFAULT_QUEUE_SIZE = 1000; // 수신자별 최대 대기 메시지 수
+const OVERFLOW_POLICIES = ['block', 'drop-oldest', 'reject'];
+const CAPACITY_CHECK_INTERVAL_MS = 100; // block 정책에서 다른 프로세스의 처리를 확인하는 주기
 
 /**
  * 메시지 브로커 - 에이전트 간 통신 관리
+ * 수신자 ID로 보내는 직접 메시지, 팀 전체 브로드캐스트, 와일드카드 구독을 지원하는 토픽 발행,
+ * 메시지 ID로 응답을 연결하는 요청/응답(request/reply)을 제공한다.
+ * 직접 메시지는 team-config.json의 communication.store로 선택한 저장소(memory 또는 redis)를 거쳐 전달된다.
+ * 저장소는 수신자마다 우선순위 레인(critical, high, normal, low)을 두어 취소 같은 제어 메시지를 먼저 전달하고,
+ * 수신자별 대기열이 communication.queueSize에 이르면 communication.overflowPolicy에 따라
+ * 발행을 대기(block)시키거나, 가장 낮은 레인의 가장 오래된 메시지를 버리거나(drop-oldest), 발행을 거부(reject)한다.
+ * 유효 시간(ttl)이 지난 메시지는 전달하지 않고 데드 레터로 옮긴다.
+ * 협업 메시지(question, review_request 등)는 발행할 때 태스크별 대화 기록(communication.conversationLog)에 남긴다.
+ * 데드 레터는 실패 이력(failures)을 가지며, redrive()로 다시 보내거나 purgeDeadLetters()로 삭제할 수 있다.
  */
 class MessageBroker extends EventEmitter {
+    /**
+     * @param {Object} config - 팀 설정 (team-config.json의 communication: messageTimeout, messageTtl, queueSize, overflowPolicy, store, conversationLog)
+     */
     constructor(config = null) {
         super();
         
         this.config = config;
+        const communication = config?.communication || {};
         
         // 구독자 관리
         this.subscribers = new Map(); // agentId -> { messageTypes, handler }
+        this.topicSubscriptions = new Map(); // subscriptionId -> { id, agentId, pattern, matcher, handler }
+        this.teamManager = null; // 브로드캐스트 대상 조회용 (연결 전에는 구독 중인 에이전트)
+        
+        // 요청/응답 관리
+        this.pendingRequests = new Map(); // 요청 messageId -> { from, resolve, reject, timer }
+        this.requestTimeout = communication.messageTimeout ?? DEFAULT_REQUEST_TIMEOUT;
+        
+        // 대기열 제한과 유효 시간
+        this.queueSize = communication.queueSize || DEFAULT_QUEUE_SIZE;
+        this.overflowPolicy = communication.overflowPolicy || 'block';
+        if (!OVERFLOW_POLICIES.includes(this.overflowPolicy)) {
+            throw new Error(`Unknown overflow policy: ${this.overflowPolicy}. 가능한 정책: ${OVERFLOW_POLICIES.join(', ')}`);
+        }
+        this.blockTimeout = communication.blockTimeout ?? this.requestTimeout;
+        this.messageTtl = communication.messageTtl || null; // 기본 유효 시간 (ms, 없으면 만료 없음)
         
-        // 메시지 관리
-        this.messageQueue = new Map(); // messageId -> message
+        // 메시지 관리 (전달 대기 메시지와 데드 레터는 저장소, 히스토리와 상태는 프로세스 안에 보관)
+        this.store = createMessageStore(communication.store);
+        this.store.on('error', (error) => this.handleStoreError(error));
+        this.store.on('dead_lettered', (message) => this.emit('message_dead_lettered', message));
         this.messageHistory = new Map(); // messageId -> message
+        this.conversationLog = new ConversationLog(communication.conversationLog);
+        this.conversationLog.on('record_error', (error) => {
+            console.warn(chalk.yellow(`⚠️  협업 대화 기록 실패: ${error.message}`));
+        });
         this.agentStates = new Map(); // agentId -> state
-        this.deadLetterQueue = new Map(); // failed messages
         
         // 상태 관리
         this.isRunning = false;
         this.isInitialized = false;
         this.isShutdown = false;
-        this.processingInterval = null;
-        this.processingIntervalMs = 100; // 100ms마다 메시지 처리
+        this.processingInterval = null; // 다른 프로세스와 공유하는 저장소의 조회 주기
+        this.processingScheduled = false;
+        this.isProcessing = false;
+        this.processingRequested = false; // 처리 중에 들어온 메시지는 처리가 끝난 뒤 다시 처리
         this.cleanupInterval = null;
     }
 
@@ -115,10 +116,16 @@ class MessageBroker extends EventEmitter {
             // 정리 작업 스케줄러 중지
             this.stopCleanupScheduler();
             
+            // 응답 대기 중인 요청 거부
+            for (const messageId of this.pendingRequests.keys()) {
+                this.settleRequest(messageId, new Error('MessageBroker shut down'));
+            }
+            
             // 상태 초기화
             this.subscribers.clear();
-            this.messageQueue.clear();
+            this.topicSubscriptions.clear();
             this.messageHistory.clear();
+            await this.store.disconnect();
             
             this.isShutdown = true;
             this.isInitialized = false;
@@ -159,21 +166,34 @@ class MessageBroker extends EventEmitter {
         }
         
         if (message.retryCount < 3) {
+            message.recordFailure(reason);
             message.retryCount++;
             message.status = 'pending';
             
             // 1초 후 재시도
             setTimeout(() => {
-                this.messageQueue.set(message.id, message);
+                this.store.enqueue(message)
+                    .then(() => this.scheduleProcessing())
+                    .catch(error => this.handleStoreError(error));
             }, 1000 * message.retryCount);
             
             console.log(chalk.blue(`🔁 메시지 재시도 (${message.retryCount}/3): ${message.id}`));
         } else {
             console.error(chalk.red(`❌ 메시지 전달 최종 실패: ${message.id}`));
+            this.settleRequest(message.id, new Error(`Request ${message.id} to ${message.to} could not be delivered: ${reason}`));
+            this.store.deadLetter(message, reason).catch(error => this.handleStoreError(error));
             this.emit('message_permanently_failed', message);
         }
     }
 
+    /**
+     * 메시지 저장소 오류 처리 (연결 오류, 조회/기록 실패)
+     */
+    handleStoreError(error) {
+        console.warn(chalk.yellow(`⚠️  메시지 저장소 오류: ${error.message}`));
+        this.emit('store_error', error);
+    }
+
     /**
      * 전달 통계 업데이트
      */
@@ -198,6 +218,7 @@ class MessageBroker extends EventEmitter {
         this.cleanupInterval = setInterval(() => {
             this.cleanup();
         }, 300000); // 5분마다 정리 작업
+        this.cleanupInterval.unref(); // 정리 작업 때문에 프로세스가 종료되지 않는 일이 없도록
     }
 
     /**
@@ -223,29 +244,344 @@ class MessageBroker extends EventEmitter {
         });
         
         this.emit('subscriber_added', agentId);
+        this.scheduleProcessing();
     }
 
     /**
-     * 에이전트 구독 해제
+     * 에이전트 구독 해제 (에이전트의 토픽 구독도 함께 해제)
      * @param {string} agentId - 에이전트 ID
      */
     unsubscribe(agentId) {
         this.subscribers.delete(agentId);
+        for (const subscription of this.topicSubscriptions.values()) {
+            if (subscription.agentId === agentId) {
+                this.topicSubscriptions.delete(subscription.id);
+            }
+        }
         this.emit('subscriber_removed', agentId);
     }
 
+    /**
+     * 토픽 구독 등록 (에이전트당 여러 구독 가능)
+     * 토픽은 점(.)으로 구분하며, 패턴의 *는 한 단계, #은 0개 이상의 단계와 일치한다 (예: task.*.completed, workflow.#).
+     * @param {string} agentId - 에이전트 ID
+     * @param {string} pattern - 토픽 패턴
+     * @param {Function|EventEmitter} handler - 메시지 핸들러 (함수 또는 'message' 이벤트를 받는 EventEmitter)
+     * @returns {string} 구독 ID (unsubscribeTopic에 사용)
+     */
+    subscribeTopic(agentId, pattern, handler) {
+        const subscription = {
+            id: `sub_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            agentId,
+            pattern,
+            matcher: compileTopicPattern(pattern),
+            handler
+        };
+        this.topicSubscriptions.set(subscription.id, subscription);
+        
+        this.emit('topic_subscribed', { subscriptionId: subscription.id, agentId, pattern });
+        return subscription.id;
+    }
+
+    /**
+     * 토픽 구독 해제
+     * @param {string} subscriptionId - 구독 ID
+     * @returns {boolean} 해제 여부
+     */
+    unsubscribeTopic(subscriptionId) {
+        const subscription = this.topicSubscriptions.get(subscriptionId);
+        if (!subscription) {
+            return false;
+        }
+        
+        this.topicSubscriptions.delete(subscriptionId);
+        this.emit('topic_unsubscribed', { subscriptionId, agentId: subscription.agentId, pattern: subscription.pattern });
+        return true;
+    }
+
+    /**
+     * 토픽 발행 (일치하는 구독이 있는 에이전트마다 메시지 1개를 만들어 해당 에이전트의 일치하는 모든 핸들러에 즉시 전달)
+     * @param {string} topic - 토픽 (예: task.task_001.completed, 와일드카드 불가)
+     * @param {Object} data - 메시지 데이터
+     * @param {Object} options - 발행 옵션 ({ from, priority })
+     * @returns {Promise<Array<Message>>} 전달된 메시지 목록
+     */
+    async publishTopic(topic, data = {}, options = {}) {
+        if (!topic || /[*#]/.test(topic)) {
+            throw new Error(`Invalid topic: ${topic}`);
+        }
+        
+        const messages = [];
+        for (const [agentId, subscriptions] of this.getTopicSubscriptions(topic)) {
+            const message = new Message({
+                type: 'topic',
+                topic,
+                from: options.from,
+                to: agentId,
+                priority: options.priority,
+                data
+            });
+            this.messageHistory.set(message.id, message);
+            message.status = 'delivered';
+            
+            for (const { handler } of subscriptions) {
+                if (typeof handler === 'function') {
+                    handler(message);
+                } else {
+                    handler.emit('message', message);
+                }
+            }
+            messages.push(message);
+        }
+        
+        this.emit('topic_published', { topic, from: options.from, recipients: messages.map(message => message.to) });
+        return messages;
+    }
+
+    /**
+     * 토픽과 일치하는 구독을 에이전트별로 묶어 조회
+     * @param {string} topic - 토픽
+     * @returns {Map<string, Array<Object>>} agentId -> 구독 목록
+     */
+    getTopicSubscriptions(topic) {
+        const subscriptionsByAgent = new Map();
+        
+        for (const subscription of this.topicSubscriptions.values()) {
+            if (subscription.matcher.test(topic)) {
+                const subscriptions = subscriptionsByAgent.get(subscription.agentId) || [];
+                subscriptionsByAgent.set(subscription.agentId, [...subscriptions, subscription]);
+            }
+        }
+        
+        return subscriptionsByAgent;
+    }
+
+    /**
+     * 요청 메시지를 보내고 응답 대기 (응답은 reply()로 보내며 요청 메시지 ID로 연결됨)
+     * 수신자는 요청 타입(기본값 request)을 구독하고 있어야 한다.
+     * @param {string} to - 수신 에이전트 ID
+     * @param {Object} payload - 요청 데이터
+     * @param {Object} options - 요청 옵션 ({ from, type, priority, timeout: 응답 대기 시간 ms })
+     * @returns {Promise<Message>} 응답 메시지 (시간 초과, 전달 실패, 오류 응답이면 거부)
+     */
+    async request(to, payload = {}, options = {}) {
+        const message = new Message({
+            type: options.type || 'request',
+            from: options.from,
+            to,
+            priority: options.priority,
+            data: payload
+        });
+        const timeout = options.timeout ?? this.requestTimeout;
+        
+        const response = new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.settleRequest(message.id, new Error(`Request ${message.id} to ${to} timed out after ${timeout}ms`));
+            }, timeout);
+            this.pendingRequests.set(message.id, { from: message.from, resolve, reject, timer });
+        });
+        
+        try {
+            await this.publish(message);
+        } catch (error) {
+            // 발행 실패 (대기열 초과, 저장소 오류)는 대기 중인 요청을 정리하고 같은 오류로 거부
+            this.settleRequest(message.id, error);
+        }
+        return response;
+    }
+
+    /**
+     * 요청 메시지에 응답
+     * @param {Message} request - 받은 요청 메시지
+     * @param {Object} payload - 응답 데이터
+     * @param {Object} options - 응답 옵션 ({ type: 응답 메시지 타입 (기본값 reply), error: 요청자에게 오류로 전달할 메시지 })
+     * @returns {Promise<boolean>} 응답을 기다리던 요청이 있었는지 여부 (시간 초과 후 응답이면 false)
+     */
+    async reply(request, payload = {}, options = {}) {
+        const message = new Message({
+            type: options.type || 'reply',
+            from: request.to,
+            to: request.from,
+            correlationId: request.id,
+            data: options.error ? { ...payload, error: options.error } : payload
+        });
+        
+        const waiting = this.pendingRequests.has(request.id);
+        await this.publish(message);
+        return waiting;
+    }
+
+    /**
+     * 응답 대기 중인 요청 완료 (error가 있으면 거부)
+     */
+    settleRequest(messageId, error, reply = null) {
+        const pending = this.pendingRequests.get(messageId);
+        if (!pending) {
+            return;
+        }
+        
+        clearTimeout(pending.timer);
+        this.pendingRequests.delete(messageId);
+        if (error) {
+            pending.reject(error);
+        } else {
+            pending.resolve(reply);
+        }
+    }
+
     /**
      * 메시지 발행
      * @param {Message} message - 발행할 메시지
      */
     async publish(message) {
-        // 메시지 큐에 추가
-        this.messageQueue.set(message.id, message);
+        // 이 프로세스에서 대기 중인 요청에 대한 응답은 요청자에게 바로 전달
+        if (this.settleReply(message)) {
+            this.messageHistory.set(message.id, message);
+            this.recordConversation(message);
+            this.emit('message_published', message);
+            return;
+        }
+        
+        if (this.messageTtl && !message.expiresAt) {
+            message.setTtl(this.messageTtl);
+        }
+        
+        // 수신자 대기열 확인 후 메시지 저장소에 추가 (reject 정책이거나 block 대기 시간이 지나면 예외)
+        try {
+            await this.reserveCapacity(message.to);
+        } catch (error) {
+            message.status = 'failed';
+            throw error;
+        }
         
-        // 메시지 히스토리에 추가
         this.messageHistory.set(message.id, message);
+        await this.store.enqueue(message);
+        this.recordConversation(message);
         
         this.emit('message_published', message);
+        this.scheduleProcessing();
+    }
+
+    /**
+     * 협업 메시지를 태스크별 대화 기록에 추가 (기록은 발행을 기다리게 하지 않음)
+     * @param {Message} message - 발행한 메시지
+     */
+    recordConversation(message) {
+        if (!isCollaborationType(message.type)) {
+            return;
+        }
+        
+        this.conversationLog.record(message);
+        this.emit('collaboration_message', message);
+    }
+
+    /**
+     * 태스크의 협업 대화 스레드 조회
+     * @param {string} taskId - 태스크 ID
+     * @returns {Promise<Array<Object>>} 기록된 협업 메시지 (발행 순서)
+     */
+    async getThread(taskId) {
+        return this.conversationLog.getThread(taskId);
+    }
+
+    /**
+     * 수신자 대기열에 자리 확보 (overflowPolicy에 따라 대기, 오래된 메시지 제거, 거부)
+     * block 정책에서 여러 발행자가 동시에 대기하면 자리가 난 순간 함께 추가되어 queueSize를 조금 넘을 수 있다.
+     * @param {string} agentId - 수신 에이전트 ID
+     */
+    async reserveCapacity(agentId) {
+        const depth = await this.store.depth(agentId);
+        if (depth < this.queueSize) {
+            return;
+        }
+        
+        this.emit('queue_full', { agentId, depth, policy: this.overflowPolicy });
+        
+        if (this.overflowPolicy === 'reject') {
+            throw new Error(`Queue for ${agentId} is full (${this.queueSize} messages)`);
+        }
+        
+        if (this.overflowPolicy === 'drop-oldest') {
+            const dropped = await this.store.dropOldest(agentId, `Dropped: queue for ${agentId} is full`);
+            if (dropped) {
+                this.setHistoryStatus(dropped.id, 'failed');
+                this.settleRequest(dropped.id, new Error(`Request ${dropped.id} to ${agentId} was dropped: queue is full`));
+                this.emit('message_dropped', dropped);
+            }
+            return;
+        }
+        
+        await this.waitForCapacity(agentId);
+    }
+
+    /**
+     * 수신자 대기열에 자리가 날 때까지 대기 (blockTimeout이 지나면 예외)
+     */
+    async waitForCapacity(agentId) {
+        const deadline = Date.now() + this.blockTimeout;
+        
+        while (await this.store.depth(agentId) >= this.queueSize) {
+            const remaining = deadline - Date.now();
+            if (remaining <= 0) {
+                throw new Error(`Queue for ${agentId} is still full after ${this.blockTimeout}ms`);
+            }
+            
+            // 이 프로세스의 처리가 끝나거나, 다른 프로세스가 처리했을 수 있으므로 잠시 후 다시 확인
+            await new Promise(resolve => {
+                const done = () => {
+                    clearTimeout(timer);
+                    this.off('messages_processed', done);
+                    resolve();
+                };
+                const timer = setTimeout(done, Math.min(remaining, CAPACITY_CHECK_INTERVAL_MS));
+                this.once('messages_processed', done);
+            });
+        }
+    }
+
+    /**
+     * 히스토리의 메시지 상태 변경 (저장소에서 복원한 메시지는 히스토리의 메시지와 다른 객체일 수 있음)
+     */
+    setHistoryStatus(messageId, status) {
+        const message = this.messageHistory.get(messageId);
+        if (message) {
+            message.status = status;
+        }
+    }
+
+    /**
+     * 응답 메시지로 대기 중인 요청 완료 (오류 응답이면 거부)
+     * @returns {boolean} 대기 중인 요청이 있었는지 여부
+     */
+    settleReply(message) {
+        if (!message.correlationId || !this.pendingRequests.has(message.correlationId)) {
+            return false;
+        }
+        
+        message.status = 'delivered';
+        const error = message.data?.error ? new Error(message.data.error) : null;
+        this.settleRequest(message.correlationId, error, message);
+        return true;
+    }
+
+    /**
+     * 팀 관리자 연결 (브로드캐스트와 상태 공유 대상을 TeamManager에 등록된 팀원으로 결정)
+     * @param {TeamManager} teamManager - 팀 관리자
+     */
+    connectTeamManager(teamManager) {
+        this.teamManager = teamManager;
+    }
+
+    /**
+     * 팀 구성원 ID 목록 (팀 관리자가 연결되지 않았으면 구독 중인 에이전트)
+     * @returns {Array<string>} 에이전트 ID 목록
+     */
+    getTeamAgentIds() {
+        if (this.teamManager) {
+            return this.teamManager.getTeamMembers().map(member => member.id);
+        }
+        
+        return Array.from(this.subscribers.keys());
     }
 
     /**
@@ -254,9 +590,7 @@ class MessageBroker extends EventEmitter {
      */
     async broadcast(message) {
         // 모든 팀 구성원에게 메시지를 전달하고 히스토리에 저장
-        const teamMembers = ['claude_leader', 'claude_senior', 'gemini_researcher', 'gemini_developer'];
-        
-        for (const agentId of teamMembers) {
+        for (const agentId of this.getTeamAgentIds()) {
             if (agentId !== message.from) { // 발신자 제외
                 const clonedMessage = new Message({
                     type: message.type,
@@ -288,12 +622,19 @@ class MessageBroker extends EventEmitter {
             return;
         }
         
+        await this.store.connect();
         this.isRunning = true;
         
-        // 메시지 처리 루프 시작
-        this.processingInterval = setInterval(() => {
-            this.processMessages();
-        }, this.processingIntervalMs);
+        // 다른 프로세스가 추가한 메시지는 알림을 받을 수 없으므로 저장소가 지정한 주기로 조회
+        if (this.store.pollIntervalMs) {
+            this.processingInterval = setInterval(() => {
+                this.processMessages();
+            }, this.store.pollIntervalMs);
+            this.processingInterval.unref();
+        }
+        
+        // 시작 전에 쌓인 메시지 처리
+        this.scheduleProcessing();
         
         this.emit('started');
     }
@@ -317,24 +658,84 @@ class MessageBroker extends EventEmitter {
     }
 
     /**
-     * 메시지 처리
+     * 메시지 처리 예약 (발행, 구독, 시작 시 호출하며 같은 틱의 여러 요청은 한 번만 처리)
+     */
+    scheduleProcessing() {
+        if (!this.isRunning || this.processingScheduled) {
+            return;
+        }
+        
+        this.processingScheduled = true;
+        setImmediate(() => {
+            this.processingScheduled = false;
+            if (this.isRunning) {
+                this.processMessages();
+            }
+        });
+    }
+
+    /**
+     * 메시지 처리 (저장소에서 이 프로세스의 구독자와 응답 대기 중인 요청자에게 온 메시지를 우선순위 순서로 읽어 전달 후 ack)
      */
-    processMessages() {
-        const messages = Array.from(this.messageQueue.values());
+    async processMessages() {
+        if (this.isProcessing) {
+            this.processingRequested = true;
+            return;
+        }
+        this.isProcessing = true;
         
-        for (const message of messages) {
-            if (message.status === 'pending') {
+        try {
+            const requesters = Array.from(this.pendingRequests.values()).map(pending => pending.from);
+            const recipients = [...new Set([...this.subscribers.keys(), ...requesters])].filter(Boolean);
+            const deliveries = await this.store.read(recipients);
+            
+            for (const { message, receipt } of deliveries) {
+                if (message.isExpired()) {
+                    await this.expireMessage(message, receipt);
+                    continue;
+                }
+                
                 this.deliverMessage(message);
-                this.messageQueue.delete(message.id);
+                await this.store.ack(receipt);
+            }
+            
+            if (deliveries.length > 0) {
+                this.emit('messages_processed', deliveries.length);
+            }
+        } catch (error) {
+            this.handleStoreError(error);
+        } finally {
+            this.isProcessing = false;
+            if (this.processingRequested) {
+                this.processingRequested = false;
+                this.scheduleProcessing();
             }
         }
     }
 
+    /**
+     * 유효 시간이 지난 메시지를 데드 레터로 이동 (요청이면 요청자에게 오류 전달)
+     */
+    async expireMessage(message, receipt) {
+        message.status = 'expired';
+        this.setHistoryStatus(message.id, 'expired');
+        await this.store.deadLetter(message, 'Message expired', receipt);
+        
+        this.settleRequest(message.id, new Error(`Request ${message.id} to ${message.to} expired before delivery`));
+        this.emit('message_expired', message);
+    }
+
     /**
      * 메시지 전달
      * @param {Message} message - 전달할 메시지
      */
     deliverMessage(message) {
+        // 다른 프로세스에서 보낸 응답
+        if (this.settleReply(message)) {
+            this.emit('message_delivered', message);
+            return;
+        }
+        
         const subscription = this.subscribers.get(message.to);
         
         if (!subscription) {
@@ -373,7 +774,10 @@ class MessageBroker extends EventEmitter {
      */
     getQueueStatus() {
         return {
-            queueSize: this.messageQueue.size,
+            queueSize: this.store.size,
+            queueDepth: this.store.getDepths(), // agentId -> { total, critical, high, normal, low }
+            queueLimit: this.queueSize,
+            overflowPolicy: this.overflowPolicy,
             subscriberCount: this.subscribers.size,
             isRunning: this.isRunning,
             totalMessages: this.messageHistory.size,
@@ -397,6 +801,7 @@ class MessageBroker extends EventEmitter {
                     total: 0,
                     delivered: 0,
                     failed: 0,
+                    expired: 0,
                     pending: 0
                 };
             }
@@ -454,8 +859,7 @@ class MessageBroker extends EventEmitter {
         });
         
         // 모든 팀 구성원에게 상태 저장
-        const teamMembers = ['claude_leader', 'claude_senior', 'gemini_researcher', 'gemini_developer'];
-        for (const agentId of teamMembers) {
+        for (const agentId of this.getTeamAgentIds()) {
             this.setAgentState(agentId, state);
         }
         
@@ -504,7 +908,7 @@ class MessageBroker extends EventEmitter {
             
             // 받는 사람이 존재하지 않으면 실패
             if (messageData.toAgent === 'non_existent_agent' || messageData.to === 'non_existent_agent') {
-                this.deadLetterQueue.set(message.id, message);
+                await this.store.deadLetter(message, 'Recipient not found');
                 return false;
             }
             
@@ -518,10 +922,69 @@ class MessageBroker extends EventEmitter {
 
     /**
      * 데드 레터 큐 메시지 조회
+     * @param {Object} filter - 조회 조건 ({ from, to, type, reason: 최종 실패 사유에 포함된 문자열 })
      * @returns {Array} 실패한 메시지 목록
      */
-    async getDeadLetterMessages() {
-        return Array.from(this.deadLetterQueue.values());
+    async getDeadLetterMessages(filter = {}) {
+        return this.selectDeadLetters(filter);
+    }
+
+    /**
+     * 데드 레터 재전송 (실패 이력은 유지하고 재시도 횟수와 유효 시간은 새로 시작)
+     * 메시지별로 발행에 성공하면 데드 레터에서 삭제하고, 실패하면(대기열 초과 등) 데드 레터로 남긴다.
+     * @param {string|Object} selector - 메시지 ID 또는 조회 조건 (getDeadLetterMessages 참고)
+     * @param {Object} options - 재전송 옵션 ({ to: 다른 수신 에이전트 ID })
+     * @returns {Promise<Object>} { redriven: 재전송한 메시지, failed: [{ message, error }] }
+     */
+    async redrive(selector, options = {}) {
+        const result = { redriven: [], failed: [] };
+        
+        for (const deadLetter of await this.selectDeadLetters(selector)) {
+            // 발행이 실패해도 데드 레터는 그대로 남도록 복사본을 보냄
+            const message = Message.fromJSON(JSON.parse(JSON.stringify(deadLetter)));
+            message.resetForRedrive(options.to);
+            
+            try {
+                await this.publish(message);
+                await this.store.removeDeadLetters([deadLetter]);
+                result.redriven.push(message);
+            } catch (error) {
+                result.failed.push({ message: deadLetter, error: error.message });
+            }
+        }
+        
+        this.emit('dead_letters_redriven', result);
+        return result;
+    }
+
+    /**
+     * 데드 레터 삭제
+     * @param {string|Object} selector - 메시지 ID 또는 조회 조건 (빈 조건이면 전체 삭제)
+     * @returns {Promise<Array<Message>>} 삭제한 메시지 목록
+     */
+    async purgeDeadLetters(selector = {}) {
+        const deadLetters = await this.selectDeadLetters(selector);
+        await this.store.removeDeadLetters(deadLetters);
+        
+        this.emit('dead_letters_purged', deadLetters);
+        return deadLetters;
+    }
+
+    /**
+     * 메시지 ID 또는 조회 조건으로 데드 레터 선택 (ID로 찾지 못하면 예외)
+     */
+    async selectDeadLetters(selector = {}) {
+        const deadLetters = await this.store.getDeadLetters();
+        
+        if (typeof selector === 'string') {
+            const deadLetter = deadLetters.find(message => message.id === selector);
+            if (!deadLetter) {
+                throw new Error(`Dead letter not found: ${selector}`);
+            }
+            return [deadLetter];
+        }
+        
+        return deadLetters.filter(message => matchesDeadLetter(message, selector));
     }
 
     /**
@@ -541,4 +1004,56 @@ class MessageBroker extends EventEmitter {
     }
 }
 
-module.exports = { MessageBroker, Message };
\ No newline at end of file
+/**
+ * 메시지 저장소 생성
+ * @param {Object} config - 저장소 설정 (team-config.json의 communication.store: { type: memory | redis, redis: {...} })
+ * @returns {MessageStore} 메시지 저장소
+ */
+function createMessageStore(config = {}) {
+    const type = config?.type || 'memory';
+    
+    if (type === 'memory') {
+        return new InMemoryMessageStore();
+    }
+    if (type === 'redis') {
+        return new RedisMessageStore(config.redis);
+    }
+    
+    throw new Error(`Unknown message store: ${type}. 가능한 저장소: memory, redis`);
+}
+
+/**
+ * 데드 레터 조회 조건 확인
+ */
+function matchesDeadLetter(message, filter) {
+    return (!filter.from || message.from === filter.from)
+        && (!filter.to || message.to === filter.to)
+        && (!filter.type || message.type === filter.type)
+        && (!filter.reason || (message.deadLetterReason || '').includes(filter.reason));
+}
+
+/**
+ * 토픽 패턴을 정규식으로 변환 (* 한 단계, # 0개 이상의 단계)
+ */
+function compileTopicPattern(pattern) {
+    const segments = pattern.split('.');
+    let source = '';
+    
+    segments.forEach((segment, index) => {
+        if (segment === '#') {
+            if (index > 0) {
+                source += '(?:\\.[^.]+)*';
+            } else {
+                source += segments.length === 1 ? '.*' : '(?:[^.]+\\.)*';
+            }
+            return;
+        }
+        
+        const separator = index > 0 && !(index === 1 && segments[0] === '#') ? '\\.' : '';
+        source += separator + (segment === '*' ? '[^.]+' : segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+    });
+    
+    return new RegExp(`^${source}$`);
+}
+
+module.exports = { MessageBroker, Message, createMessageStore };
\ No newline at end of file
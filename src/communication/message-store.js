@@ -0,0 +1,184 @@
+const EventEmitter = require('events');
+const { PRIORITY_LANES } = require('./message');
+
+/**
+ * 메시지 저장소 기본 클래스
+ * MessageBroker는 전달 대기 메시지와 데드 레터를 저장소에 맡기고, 처리 루프에서 read -> 전달 -> ack 순서로 처리한다.
+ * ack되지 않은 메시지는 저장소가 다시 전달할 수 있으므로(재시작, 처리 중 장애) 전달은 최소 1회(at-least-once)다.
+ *
+ * 하위 클래스 구현 항목:
+ * - enqueue(message): 전달 대기 메시지 저장
+ * - read(recipients): 수신자들에게 전달할 메시지 조회 ([{ message, receipt }], 우선순위 레인 순서)
+ * - ack(receipt): 전달 완료 처리 (저장소에서 제거)
+ * - deadLetter(message, reason, receipt): 최종 실패 사유를 실패 이력에 추가하고 데드 레터로 이동 ('dead_lettered' 이벤트)
+ * - getDeadLetters(): 데드 레터 목록 (deadLetterReason, failures 포함)
+ * - removeDeadLetters(deadLetters): getDeadLetters()로 조회한 데드 레터 삭제 (재전송, 정리)
+ * - depth(agentId): 수신자의 전달 대기 메시지 수 (대기열 제한 확인용)
+ * - dropOldest(agentId, reason): 수신자의 가장 낮은 레인에서 가장 오래된 메시지를 데드 레터로 이동
+ * - size, getDepths(): 전달 대기 메시지 수와 수신자별 레인 깊이 (동기 조회용, 원격 저장소는 마지막 read 기준)
+ *
+ * 연결이 필요한 저장소는 connect/disconnect를 구현하고, 연결 오류는 'error' 이벤트로 알린다.
+ * 다른 프로세스가 추가한 메시지를 받을 수 있는 저장소는 pollIntervalMs를 지정해 브로커가 주기적으로 조회하게 한다.
+ */
+class MessageStore extends EventEmitter {
+    get pollIntervalMs() {
+        return null;
+    }
+
+    async connect() {}
+
+    async disconnect() {}
+
+    get size() {
+        return 0;
+    }
+
+    getDepths() {
+        return {};
+    }
+
+    async enqueue() {
+        throw new Error(`enqueue must be implemented by ${this.constructor.name}`);
+    }
+
+    async read() {
+        throw new Error(`read must be implemented by ${this.constructor.name}`);
+    }
+
+    async ack() {
+        throw new Error(`ack must be implemented by ${this.constructor.name}`);
+    }
+
+    async deadLetter() {
+        throw new Error(`deadLetter must be implemented by ${this.constructor.name}`);
+    }
+
+    async getDeadLetters() {
+        throw new Error(`getDeadLetters must be implemented by ${this.constructor.name}`);
+    }
+
+    async removeDeadLetters() {
+        throw new Error(`removeDeadLetters must be implemented by ${this.constructor.name}`);
+    }
+
+    async depth() {
+        throw new Error(`depth must be implemented by ${this.constructor.name}`);
+    }
+
+    async dropOldest() {
+        throw new Error(`dropOldest must be implemented by ${this.constructor.name}`);
+    }
+}
+
+/**
+ * 메모리 메시지 저장소 (기본값)
+ * 프로세스 안의 Map에 보관하므로 재시작하면 사라지며, 같은 프로세스의 에이전트끼리만 통신할 수 있다.
+ * 수신자와 관계없이 대기 중인 모든 메시지를 돌려주므로 구독자가 없는 수신자는 브로커의 전달 실패 처리를 거친다.
+ */
+class InMemoryMessageStore extends MessageStore {
+    constructor() {
+        super();
+        this.queues = new Map(); // agentId -> { lane -> Map(messageId -> message) }
+        this.deadLetters = new Map(); // messageId -> message
+    }
+
+    get size() {
+        let size = 0;
+        for (const lanes of this.queues.values()) {
+            size += countLanes(lanes);
+        }
+        return size;
+    }
+
+    getDepths() {
+        const depths = {};
+        for (const [agentId, lanes] of this.queues) {
+            depths[agentId] = { total: countLanes(lanes) };
+            for (const lane of PRIORITY_LANES) {
+                depths[agentId][lane] = lanes[lane].size;
+            }
+        }
+        return depths;
+    }
+
+    async enqueue(message) {
+        if (!this.queues.has(message.to)) {
+            this.queues.set(message.to, Object.fromEntries(PRIORITY_LANES.map(lane => [lane, new Map()])));
+        }
+        this.queues.get(message.to)[message.lane].set(message.id, message);
+    }
+
+    async read() {
+        const deliveries = [];
+        for (const lane of PRIORITY_LANES) {
+            for (const [agentId, lanes] of this.queues) {
+                for (const message of lanes[lane].values()) {
+                    if (message.status === 'pending') {
+                        deliveries.push({ message, receipt: { agentId, lane, id: message.id } });
+                    }
+                }
+            }
+        }
+        return deliveries;
+    }
+
+    async ack(receipt) {
+        const lanes = this.queues.get(receipt.agentId);
+        if (!lanes) {
+            return;
+        }
+
+        lanes[receipt.lane].delete(receipt.id);
+        if (countLanes(lanes) === 0) {
+            this.queues.delete(receipt.agentId);
+        }
+    }
+
+    async deadLetter(message, reason, receipt = null) {
+        if (receipt) {
+            await this.ack(receipt);
+        }
+
+        message.recordFailure(reason);
+        message.deadLetterReason = reason;
+        this.deadLetters.set(message.id, message);
+        this.emit('dead_lettered', message);
+    }
+
+    async getDeadLetters() {
+        return Array.from(this.deadLetters.values());
+    }
+
+    async removeDeadLetters(deadLetters) {
+        for (const message of deadLetters) {
+            this.deadLetters.delete(message.id);
+        }
+    }
+
+    async depth(agentId) {
+        const lanes = this.queues.get(agentId);
+        return lanes ? countLanes(lanes) : 0;
+    }
+
+    async dropOldest(agentId, reason) {
+        const lanes = this.queues.get(agentId);
+        const lane = lanes && [...PRIORITY_LANES].reverse().find(name => lanes[name].size > 0);
+        if (!lane) {
+            return null;
+        }
+
+        const [message] = lanes[lane].values();
+        await this.deadLetter(message, reason, { agentId, lane, id: message.id });
+        return message;
+    }
+
+    async disconnect() {
+        this.queues.clear();
+    }
+}
+
+function countLanes(lanes) {
+    return PRIORITY_LANES.reduce((sum, lane) => sum + lanes[lane].size, 0);
+}
+
+module.exports = { MessageStore, InMemoryMessageStore };
@@ -0,0 +1,135 @@
+// 우선순위 레인 (앞의 레인부터 전달)
+const PRIORITY_LANES = ['critical', 'high', 'normal', 'low'];
+const PRIORITY_ALIASES = { urgent: 'critical', medium: 'normal' };
+
+// 우선순위와 관계없이 critical 레인으로 전달하는 제어 메시지 타입
+const CONTROL_MESSAGE_TYPES = ['cancel', 'task_cancel', 'pause', 'resume', 'shutdown'];
+
+/**
+ * 메시지 클래스 - 에이전트 간 통신을 위한 메시지
+ */
+class Message {
+    constructor(config) {
+        this.id = `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        this.type = config.type;
+        this.from = config.from;
+        this.to = config.to;
+        this.data = config.data || {};
+        this.content = config.content || config.data?.content || '';
+        this.priority = config.priority || config.data?.priority || 'normal';
+        this.topic = config.topic || null; // 토픽 발행 메시지의 토픽
+        this.correlationId = config.correlationId || null; // 응답 메시지가 가리키는 요청 메시지 ID
+        this.timestamp = new Date();
+        this.status = 'pending';
+        this.acknowledgedAt = null;
+        this.retryCount = 0;
+        this.failures = []; // 전달 실패 이력 [{ reason, failedAt }] (데드 레터 재전송 후에도 유지)
+        this.deadLetterReason = null;
+        this.setTtl(config.ttl);
+    }
+
+    /**
+     * 우선순위 레인 (제어 메시지는 critical, 알 수 없는 우선순위는 normal)
+     */
+    get lane() {
+        if (CONTROL_MESSAGE_TYPES.includes(this.type)) {
+            return 'critical';
+        }
+        
+        const priority = PRIORITY_ALIASES[this.priority] || this.priority;
+        return PRIORITY_LANES.includes(priority) ? priority : 'normal';
+    }
+
+    /**
+     * 전달 유효 시간 설정 (메시지 생성 시각 기준)
+     * @param {number} ttl - 유효 시간 (ms, 없으면 만료 없음)
+     */
+    setTtl(ttl) {
+        this.ttl = ttl || null;
+        this.expiresAt = ttl ? new Date(this.timestamp.getTime() + ttl) : null;
+    }
+
+    /**
+     * 유효 시간 경과 여부
+     */
+    isExpired(now = Date.now()) {
+        return this.expiresAt !== null && this.expiresAt.getTime() <= now;
+    }
+
+    /**
+     * 메시지 수신 확인
+     */
+    acknowledge() {
+        this.status = 'acknowledged';
+        this.acknowledgedAt = new Date();
+    }
+
+    /**
+     * 전달 실패 기록
+     * @param {string} reason - 실패 사유
+     */
+    recordFailure(reason) {
+        this.failures.push({ reason, failedAt: new Date() });
+    }
+
+    /**
+     * 데드 레터 재전송 준비 (실패 이력은 유지하고 재시도 횟수와 유효 시간은 새로 시작)
+     * @param {string} to - 새 수신 에이전트 ID (없으면 원래 수신자)
+     */
+    resetForRedrive(to = this.to) {
+        this.to = to;
+        this.status = 'pending';
+        this.retryCount = 0;
+        this.deadLetterReason = null;
+        if (this.ttl) {
+            this.expiresAt = new Date(Date.now() + this.ttl);
+        }
+    }
+
+    /**
+     * JSON 직렬화
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            type: this.type,
+            from: this.from,
+            to: this.to,
+            data: this.data,
+            content: this.content,
+            priority: this.priority,
+            topic: this.topic,
+            correlationId: this.correlationId,
+            timestamp: this.timestamp,
+            status: this.status,
+            acknowledgedAt: this.acknowledgedAt,
+            retryCount: this.retryCount,
+            failures: this.failures,
+            deadLetterReason: this.deadLetterReason,
+            ttl: this.ttl,
+            expiresAt: this.expiresAt
+        };
+    }
+
+    /**
+     * 직렬화된 메시지 복원 (메시지 저장소에서 읽은 메시지용)
+     * @param {Object} json - toJSON() 결과
+     * @returns {Message} 메시지
+     */
+    static fromJSON(json) {
+        const message = new Message(json);
+        message.id = json.id;
+        message.timestamp = new Date(json.timestamp);
+        message.status = json.status || 'pending';
+        message.acknowledgedAt = json.acknowledgedAt ? new Date(json.acknowledgedAt) : null;
+        message.retryCount = json.retryCount || 0;
+        message.failures = (json.failures || []).map(failure => ({ ...failure, failedAt: new Date(failure.failedAt) }));
+        message.deadLetterReason = json.deadLetterReason || null;
+        message.ttl = json.ttl || null;
+        message.expiresAt = json.expiresAt ? new Date(json.expiresAt) : null;
+
+        return message;
+    }
+}
+
+module.exports = { Message, PRIORITY_LANES, CONTROL_MESSAGE_TYPES };
@@ -0,0 +1,293 @@
+const os = require('os');
+const { createClient } = require('redis');
+const { MessageStore } = require('./message-store');
+const { Message, PRIORITY_LANES } = require('./message');
+
+const DEFAULT_CLAIM_IDLE_MS = 30000; // 30초 동안 ack되지 않은 메시지는 다른 소비자가 가져감
+const DEFAULT_RECLAIM_INTERVAL_MS = 5000;
+const DEFAULT_POLL_INTERVAL_MS = 100; // 다른 프로세스가 추가한 메시지 확인 주기
+
+/**
+ * Redis Streams 메시지 저장소
+ * 수신 에이전트의 우선순위 레인마다 스트림(<keyPrefix>:inbox:<agentId>:<lane>)을 두고, 소비자 그룹으로 읽어 처리한 메시지는 ack 후 삭제한다.
+ * 여러 프로세스가 같은 그룹에 참여해 각자 구독 중인 에이전트의 스트림을 읽으므로 에이전트를 별도 프로세스로 실행할 수 있다.
+ * 소비자가 ack하지 못하고 중단된 메시지는 claimIdleMs가 지나면 다른 소비자가 다시 가져가고(XCLAIM),
+ * maxDeliveries번 전달되고도 ack되지 않은 메시지는 데드 레터 스트림(<keyPrefix>:dead-letter)으로 옮긴다.
+ */
+class RedisMessageStore extends MessageStore {
+    /**
+     * @param {Object} config - 설정 (team-config.json의 communication.store.redis)
+     * @param {string} config.url - Redis 주소 (기본값 redis://localhost:6379)
+     * @param {string} config.keyPrefix - 키 접두사
+     * @param {string} config.group - 소비자 그룹 이름
+     * @param {string} config.consumer - 소비자 이름 (기본값 호스트명-PID)
+     * @param {number} config.readCount - 스트림별 1회 최대 조회 수
+     * @param {number} config.claimIdleMs - 다른 소비자의 미확인 메시지를 가져오기까지의 대기 시간 (ms)
+     * @param {number} config.reclaimIntervalMs - 미확인 메시지 확인 주기 (ms)
+     * @param {number} config.maxDeliveries - 데드 레터로 옮기기 전 최대 전달 횟수
+     * @param {number} config.pollIntervalMs - 새 메시지 확인 주기 (ms)
+     */
+    constructor(config = {}) {
+        super();
+        this.url = config.url || 'redis://localhost:6379';
+        this.keyPrefix = config.keyPrefix || 'claude-gemini-team';
+        this.group = config.group || 'message-broker';
+        this.consumer = config.consumer || `${os.hostname()}-${process.pid}`;
+        this.readCount = config.readCount || 50;
+        this.claimIdleMs = config.claimIdleMs ?? DEFAULT_CLAIM_IDLE_MS;
+        this.reclaimIntervalMs = config.reclaimIntervalMs ?? DEFAULT_RECLAIM_INTERVAL_MS;
+        this.maxDeliveries = config.maxDeliveries || 3;
+        this.pollInterval = config.pollIntervalMs;
+
+        this.client = null;
+        this.groups = new Set(); // 소비자 그룹을 만든 스트림
+        this.lastReclaimAt = 0;
+        this.depths = {}; // 마지막 read 기준 수신자별 레인 깊이
+    }
+
+    get pollIntervalMs() {
+        return this.pollInterval || DEFAULT_POLL_INTERVAL_MS;
+    }
+
+    get size() {
+        return Object.values(this.depths).reduce((sum, depth) => sum + depth.total, 0);
+    }
+
+    getDepths() {
+        return this.depths;
+    }
+
+    get deadLetterKey() {
+        return `${this.keyPrefix}:dead-letter`;
+    }
+
+    inboxKey(agentId, lane) {
+        return `${this.keyPrefix}:inbox:${agentId}:${lane}`;
+    }
+
+    /**
+     * Redis 연결
+     */
+    async connect() {
+        if (this.client?.isOpen) {
+            return;
+        }
+
+        this.client = createClient({ url: this.url });
+        this.client.on('error', (error) => this.emit('error', error));
+        await this.client.connect();
+    }
+
+    /**
+     * Redis 연결 해제 (저장된 메시지는 유지)
+     */
+    async disconnect() {
+        if (this.client?.isOpen) {
+            await this.client.close();
+        }
+        this.client = null;
+        this.groups.clear();
+    }
+
+    async enqueue(message) {
+        const key = this.inboxKey(message.to, message.lane);
+        await this.ensureGroup(key);
+        await this.client.xAdd(key, '*', { message: JSON.stringify(message) });
+    }
+
+    /**
+     * 수신자 스트림에서 새 메시지와 다른 소비자가 처리하지 못한 메시지 조회
+     * @param {Array<string>} recipients - 이 프로세스에서 구독 중인 에이전트 ID
+     * @returns {Promise<Array<Object>>} [{ message, receipt: { key, id } }] (우선순위 레인 순서)
+     */
+    async read(recipients) {
+        const keys = PRIORITY_LANES.flatMap(lane => recipients.map(agentId => this.inboxKey(agentId, lane)));
+        if (keys.length === 0) {
+            this.depths = {};
+            return [];
+        }
+
+        await Promise.all(keys.map(key => this.ensureGroup(key)));
+        const reclaimed = await this.reclaim(keys);
+
+        let streams;
+        try {
+            streams = await this.client.xReadGroup(this.group, this.consumer, keys.map(key => ({ key, id: '>' })), { COUNT: this.readCount });
+        } catch (error) {
+            if (error.message.includes('NOGROUP')) {
+                this.groups.clear(); // 스트림이 외부에서 삭제된 경우 다음 조회 때 그룹 재생성
+            }
+            throw error;
+        }
+
+        await this.updateDepths(recipients);
+
+        const entries = (streams || []).flatMap(stream => stream.messages.map(entry => ({ key: stream.name, entry })));
+        const deliveries = await this.toDeliveries([...reclaimed, ...entries]);
+        return deliveries.sort((a, b) => PRIORITY_LANES.indexOf(a.message.lane) - PRIORITY_LANES.indexOf(b.message.lane));
+    }
+
+    async ack(receipt) {
+        await this.client.xAck(receipt.key, this.group, receipt.id);
+        await this.client.xDel(receipt.key, receipt.id);
+    }
+
+    async deadLetter(message, reason, receipt = null) {
+        message.recordFailure(reason);
+        message.deadLetterReason = reason;
+        await this.client.xAdd(this.deadLetterKey, '*', {
+            message: JSON.stringify(message),
+            reason,
+            failedAt: new Date().toISOString()
+        });
+
+        if (receipt) {
+            await this.ack(receipt);
+        }
+        this.emit('dead_lettered', message);
+    }
+
+    async getDeadLetters() {
+        const entries = await this.client.xRange(this.deadLetterKey, '-', '+');
+
+        return entries.flatMap(({ id, message: fields }) => {
+            const message = parseMessage(fields.message);
+            if (!message) {
+                return []; // 복원할 수 없어 옮겨진 항목
+            }
+
+            message.deadLetterReason = fields.reason;
+            message.deadLetterId = id; // removeDeadLetters에서 사용하는 데드 레터 스트림 항목 ID
+            return [message];
+        });
+    }
+
+    async removeDeadLetters(deadLetters) {
+        const ids = deadLetters.map(message => message.deadLetterId).filter(Boolean);
+        if (ids.length > 0) {
+            await this.client.xDel(this.deadLetterKey, ids);
+        }
+    }
+
+    async depth(agentId) {
+        const lengths = await Promise.all(PRIORITY_LANES.map(lane => this.client.xLen(this.inboxKey(agentId, lane))));
+        return lengths.reduce((sum, length) => sum + length, 0);
+    }
+
+    async dropOldest(agentId, reason) {
+        for (const lane of [...PRIORITY_LANES].reverse()) {
+            const key = this.inboxKey(agentId, lane);
+            const [entry] = await this.client.xRange(key, '-', '+', { COUNT: 1 });
+            if (entry) {
+                return this.deadLetterEntry(key, entry.id, reason);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 수신자별 레인 깊이 갱신 (ack 전인 메시지 포함)
+     */
+    async updateDepths(recipients) {
+        const depths = {};
+        for (const agentId of recipients) {
+            const lengths = await Promise.all(PRIORITY_LANES.map(lane => this.client.xLen(this.inboxKey(agentId, lane))));
+            const total = lengths.reduce((sum, length) => sum + length, 0);
+            if (total > 0) {
+                depths[agentId] = { total, ...Object.fromEntries(PRIORITY_LANES.map((lane, index) => [lane, lengths[index]])) };
+            }
+        }
+        this.depths = depths;
+    }
+
+    /**
+     * 스트림에 소비자 그룹 생성 (이미 있으면 무시)
+     */
+    async ensureGroup(key) {
+        if (this.groups.has(key)) {
+            return;
+        }
+
+        try {
+            await this.client.xGroupCreate(key, this.group, '0', { MKSTREAM: true });
+        } catch (error) {
+            if (!error.message.includes('BUSYGROUP')) {
+                throw error;
+            }
+        }
+        this.groups.add(key);
+    }
+
+    /**
+     * claimIdleMs 동안 ack되지 않은 메시지 가져오기 (전달 횟수를 초과한 메시지는 데드 레터로 이동)
+     */
+    async reclaim(keys) {
+        if (Date.now() - this.lastReclaimAt < this.reclaimIntervalMs) {
+            return [];
+        }
+        this.lastReclaimAt = Date.now();
+
+        const reclaimed = [];
+        for (const key of keys) {
+            const pending = await this.client.xPendingRange(key, this.group, '-', '+', this.readCount, { IDLE: this.claimIdleMs });
+            const exhausted = pending.filter(entry => entry.deliveriesCounter >= this.maxDeliveries);
+            const retryIds = pending.filter(entry => entry.deliveriesCounter < this.maxDeliveries).map(entry => entry.id);
+
+            for (const { id } of exhausted) {
+                await this.deadLetterEntry(key, id, `Not acknowledged after ${this.maxDeliveries} deliveries`);
+            }
+            if (retryIds.length > 0) {
+                const claimed = await this.client.xClaim(key, this.group, this.consumer, this.claimIdleMs, retryIds);
+                reclaimed.push(...claimed.filter(Boolean).map(entry => ({ key, entry })));
+            }
+        }
+
+        return reclaimed;
+    }
+
+    /**
+     * 스트림 항목을 데드 레터로 이동 (복원할 수 없는 항목은 원본 그대로 옮김)
+     * @returns {Promise<Message|null>} 옮긴 메시지
+     */
+    async deadLetterEntry(key, id, reason) {
+        const [entry] = await this.client.xRange(key, id, id);
+        const message = entry ? parseMessage(entry.message.message) : null;
+        if (message) {
+            await this.deadLetter(message, reason, { key, id });
+            return message;
+        }
+
+        if (entry) {
+            await this.client.xAdd(this.deadLetterKey, '*', { ...entry.message, reason, failedAt: new Date().toISOString() });
+        }
+        await this.ack({ key, id });
+        return null;
+    }
+
+    /**
+     * 스트림 항목을 메시지로 복원 (복원할 수 없는 항목은 데드 레터로 이동)
+     */
+    async toDeliveries(entries) {
+        const deliveries = [];
+
+        for (const { key, entry } of entries) {
+            try {
+                deliveries.push({ message: Message.fromJSON(JSON.parse(entry.message.message)), receipt: { key, id: entry.id } });
+            } catch (error) {
+                await this.deadLetterEntry(key, entry.id, `Invalid message: ${error.message}`);
+            }
+        }
+
+        return deliveries;
+    }
+}
+
+function parseMessage(serialized) {
+    try {
+        return Message.fromJSON(JSON.parse(serialized));
+    } catch {
+        return null;
+    }
+}
+
+module.exports = { RedisMessageStore };
@@ -0,0 +1,459 @@
+const { Task } = require('../agents/base-agent');
+const { ContextBuilder } = require('../utils/context-builder');
+const { ResponseParser } = require('../utils/response-parser');
+const { isCancellation, delay, raceWithAbort } = require('../utils/cancellation');
+
+// 후보 결과 결정 방식: judge(판정 에이전트가 승자 선택), merge(JSON 필드 병합), vote(열거형 필드 다수결)
+const DECISIONS = ['judge', 'merge', 'vote'];
+
+const DEFAULT_ENSEMBLE = {
+    size: 2,
+    decision: 'judge',
+    judge_role: 'leader',
+    vote_fields: []
+};
+
+// 후보로 선택하지 않는 팀원 상태
+const UNAVAILABLE_STATUSES = ['offline', 'error'];
+// 판정 프롬프트에 포함할 후보 산출물 길이
+const MAX_JUDGE_CANDIDATE_LENGTH = 6000;
+
+const responseParser = new ResponseParser();
+
+/**
+ * 다중 에이전트 합의(앙상블) 전략
+ * strategy: ensemble인 태스크를 여러 에이전트(가능하면 서로 다른 AI 제공자)에게 독립적으로 실행시키고,
+ * 판정 에이전트의 승자 선택, JSON 필드 병합, 열거형 필드 다수결 중 하나로 최종 결과를 정한다.
+ * 각 후보와 결정 근거는 태스크 결과의 ensemble 항목에 기록된다.
+ */
+class EnsembleStrategy {
+    /**
+     * @param {Object} config - 기본 설정 (team-config.json의 ensemble, 워크플로우 정의의 단계별 ensemble이 우선)
+     * @param {ContextBuilder} contextBuilder - 후보 결과에서 산출물을 추출할 컨텍스트 빌더
+     */
+    constructor(config = {}, contextBuilder = new ContextBuilder()) {
+        this.defaults = { ...DEFAULT_ENSEMBLE, ...config };
+        this.contextBuilder = contextBuilder;
+
+        if (!DECISIONS.includes(this.defaults.decision)) {
+            throw new Error(`Unknown ensemble decision: ${this.defaults.decision}. 가능한 방식: ${DECISIONS.join(', ')}`);
+        }
+    }
+
+    /**
+     * 태스크에 적용할 앙상블 설정 계산
+     * 우선순위: 워크플로우 정의의 단계별 ensemble > 기본 설정
+     * @param {Task} task - 대상 태스크
+     * @returns {Object} 앙상블 설정 ({ size, decision, judge_role, vote_fields })
+     */
+    resolve(task) {
+        return { ...this.defaults, ...task.metadata?.ensemble };
+    }
+
+    /**
+     * 후보 에이전트 선택
+     * 담당자를 첫 후보로 두고, 아직 쓰지 않은 AI 제공자 > 선호 역할 > 필요 능력 순으로 나머지를 고른다.
+     * 다른 태스크를 실행 중인 에이전트는 후보에서 제외한다.
+     * @param {Task} task - 앙상블 태스크
+     * @param {Array<Object>} members - 팀원 또는 에이전트 목록
+     * @param {Function} getProvider - 팀원의 AI 제공자 조회 함수 (member => string)
+     * @param {Set<string>} busyAgents - 작업 중인 에이전트 ID (담당자 제외)
+     * @returns {Array<Object>} 후보 팀원 (최대 size명, 사용할 수 있는 팀원이 적으면 더 적음)
+     */
+    selectAgents(task, members, getProvider, busyAgents = new Set()) {
+        const { size } = this.resolve(task);
+        const primary = members.find(member => member.id === task.assignee);
+        const selected = primary ? [primary] : [];
+        const remaining = members.filter(member =>
+            member !== primary && !busyAgents.has(member.id) && !UNAVAILABLE_STATUSES.includes(member.status)
+        );
+
+        const score = (member) => {
+            const providers = new Set(selected.map(getProvider));
+            const capabilities = task.metadata?.requiredCapabilities || [];
+            return (providers.has(getProvider(member)) ? 0 : 4) +
+                (member.role === task.metadata?.preferredRole ? 2 : 0) +
+                ((member.capabilities || []).some(capability => capabilities.includes(capability)) ? 1 : 0);
+        };
+
+        while (selected.length < size && remaining.length > 0) {
+            const best = remaining.reduce((top, member) => (score(member) > score(top) ? member : top));
+            selected.push(best);
+            remaining.splice(remaining.indexOf(best), 1);
+        }
+
+        return selected;
+    }
+
+    /**
+     * 판정 에이전트 선택 (후보가 아닌 judge_role 팀원 우선)
+     * 후보가 아니면서 다른 태스크를 실행 중인 팀원은 판정자로 고르지 않는다.
+     * @param {Task} task - 앙상블 태스크
+     * @param {Array<Object>} members - 팀원 또는 에이전트 목록
+     * @param {Array<string>} candidateIds - 후보 에이전트 ID
+     * @param {Set<string>} busyAgents - 작업 중인 에이전트 ID
+     * @returns {Object|null} 판정 팀원 (없으면 null)
+     */
+    selectJudge(task, members, candidateIds, busyAgents = new Set()) {
+        const judges = members.filter(member =>
+            member.role === this.resolve(task).judge_role && !UNAVAILABLE_STATUSES.includes(member.status) &&
+            (candidateIds.includes(member.id) || !busyAgents.has(member.id))
+        );
+
+        return judges.find(member => !candidateIds.includes(member.id)) || judges[0] || null;
+    }
+
+    /**
+     * 후보 에이전트가 실행할 태스크 사본 생성
+     * 후보는 원본 태스크의 상태를 바꾸지 않고 독립적으로 실행되며, 출력과 취소 신호는 원본 태스크 ID와 신호를 공유한다.
+     * @param {Task} task - 원본 태스크
+     * @param {string} agentId - 후보 에이전트 ID
+     * @returns {Task} 후보 태스크
+     */
+    createCandidateTask(task, agentId) {
+        const candidate = new Task({
+            ...task.toJSON(),
+            assignee: agentId,
+            metadata: { ...task.metadata, ensembleCandidate: agentId }
+        });
+        candidate.signal = task.signal;
+
+        return candidate;
+    }
+
+    /**
+     * 앙상블 태스크 실행
+     * 후보 에이전트들이 같은 태스크를 독립적으로 실행한 뒤 결정 방식(judge, merge, vote)으로 최종 결과를 정한다.
+     * 후보와 판정자는 앙상블이 끝날 때까지 다른 태스크에 배정되지 않도록 TaskRunner에 예약한다.
+     * @param {Task} task - 앙상블 태스크
+     * @param {Object} runtime - 실행 환경
+     * @param {Array<Object>} runtime.members - 팀원 또는 에이전트 목록
+     * @param {TaskRunner} runtime.taskRunner - 작업 중인 에이전트 예약과 제공자 조회에 쓸 TaskRunner
+     * @param {Function} runtime.runCandidate - 후보 태스크 실행 함수 ((candidate, member) => Promise<Object>)
+     * @param {LogVisualizer} runtime.logger - 후보 실패와 결정을 기록할 로거
+     * @param {number} runtime.simulationDelay - 시뮬레이션 판정 소요 시간 (ms)
+     * @returns {Promise<Object>} 최종 결과 (후보별 결과와 결정 근거는 result.ensemble에 기록)
+     */
+    async execute(task, runtime) {
+        const { members: teamMembers, taskRunner, logger } = runtime;
+        const { busyAgents } = taskRunner;
+        const members = this.selectAgents(task, teamMembers, member => taskRunner.getProvider(member), busyAgents);
+        const reserved = taskRunner.reserveAgents(members.map(member => member.id));
+        logger.info(task.assignee, `🗳️ 앙상블 실행: ${members.map(member => member.id).join(', ')}`);
+
+        try {
+            const candidates = await Promise.all(members.map(member => this.runCandidate(task, member, runtime)));
+
+            const judge = this.resolve(task).decision === 'judge'
+                ? this.selectJudge(task, teamMembers, members.map(member => member.id), busyAgents)
+                : null;
+            if (judge) {
+                reserved.push(...taskRunner.reserveAgents([judge.id]));
+            }
+            const result = await this.decide(task, candidates, judge && {
+                id: judge.id,
+                complete: (prompt) => (typeof judge.completePrompt === 'function'
+                    ? raceWithAbort(judge.completePrompt(prompt, task.signal), task.signal)
+                    : this.simulateJudgement(task, runtime.simulationDelay))
+            });
+
+            const { decision, winner, rationale } = result.ensemble;
+            logger.info(judge?.id || task.assignee, `🗳️ 앙상블 결정 (${decision})${winner ? `: ${winner}` : ''} - ${rationale}`);
+            return result;
+        } finally {
+            taskRunner.releaseAgents(reserved);
+        }
+    }
+
+    /**
+     * 후보 에이전트 1명의 실행 (실패는 결정에서 제외하도록 rejected로 기록, 취소는 전파)
+     * @param {Task} task - 앙상블 태스크
+     * @param {Object} member - 후보 팀원 또는 에이전트
+     * @param {Object} runtime - execute의 실행 환경
+     * @returns {Promise<Object>} 후보 실행 결과 ({ agentId, provider, status, result, error, duration })
+     */
+    async runCandidate(task, member, runtime) {
+        const startTime = Date.now();
+        const entry = { agentId: member.id, provider: runtime.taskRunner.getProvider(member) };
+        try {
+            const result = await runtime.runCandidate(this.createCandidateTask(task, member.id), member);
+            return { ...entry, status: 'fulfilled', result, duration: Date.now() - startTime };
+        } catch (error) {
+            if (isCancellation(error)) {
+                throw error;
+            }
+            runtime.logger.warn(member.id, `앙상블 후보 실패: ${error.message}`);
+            return { ...entry, status: 'rejected', error: error.message, duration: Date.now() - startTime };
+        }
+    }
+
+    /**
+     * 시뮬레이션 모드 앙상블 판정 (첫 후보 선택)
+     * @param {Task} task - 앙상블 태스크
+     * @param {number} duration - 판정 소요 시간 (ms)
+     * @returns {Promise<string>} 판정 응답 (JSON)
+     */
+    async simulateJudgement(task, duration = 0) {
+        await delay(duration, task.signal);
+
+        return JSON.stringify({ winner: 1, rationale: 'Picked the first candidate (simulation)' });
+    }
+
+    /**
+     * 후보 결과로 최종 결과 결정
+     * @param {Task} task - 앙상블 태스크
+     * @param {Array<Object>} candidates - 후보 실행 결과 ({ agentId, provider, status, result, error, duration })
+     * @param {Object|null} judge - 판정자 ({ id, complete: prompt => Promise<string> }, judge 방식에서만 사용)
+     * @returns {Promise<Object>} 태스크 결과 ({ success, data: { result }, source, ensemble })
+     */
+    async decide(task, candidates, judge = null) {
+        const options = this.resolve(task);
+        const entries = candidates.map(candidate => ({
+            ...candidate,
+            output: candidate.status === 'fulfilled' ? this.contextBuilder.extractDeliverable(candidate.result) : null
+        }));
+        const successful = entries.filter(entry => entry.status === 'fulfilled');
+
+        if (successful.length === 0) {
+            throw new Error(`All ${candidates.length} ensemble candidates failed: ${entries.map(entry => `${entry.agentId}: ${entry.error}`).join('; ')}`);
+        }
+
+        let decision;
+        if (options.decision === 'merge') {
+            decision = this.mergeCandidates(successful);
+        } else if (options.decision === 'vote') {
+            decision = this.voteCandidates(successful, options.vote_fields);
+        } else {
+            decision = await this.judgeCandidates(task, successful, judge);
+        }
+
+        const { result, ...details } = decision;
+        return {
+            success: true,
+            data: { result },
+            source: 'ensemble',
+            ensemble: {
+                decision: options.decision,
+                ...details,
+                candidates: entries.map(({ agentId, provider, status, output, error, duration }) =>
+                    ({ agentId, provider, status, output, error, duration })
+                )
+            }
+        };
+    }
+
+    /**
+     * 판정 에이전트가 승자 선택
+     * 후보가 하나뿐이거나 판정자가 없거나 판정 응답이 유효하지 않으면 첫 후보(담당자)를 유지한다.
+     * @param {Task} task - 앙상블 태스크
+     * @param {Array<Object>} successful - 성공한 후보 (output 포함)
+     * @param {Object|null} judge - 판정자 ({ id, complete })
+     * @returns {Promise<Object>} 결정 ({ result, winner, judge, rationale })
+     */
+    async judgeCandidates(task, successful, judge) {
+        const [primary] = successful;
+        if (successful.length === 1 || !judge) {
+            const rationale = successful.length === 1
+                ? 'Only one candidate succeeded'
+                : 'No judge available; kept the primary candidate';
+            return { result: primary.output, winner: primary.agentId, judge: null, rationale };
+        }
+
+        const verdict = parseJson(await judge.complete(this.formatJudgePrompt(task, successful))) || {};
+        const winner = successful[Number(verdict.winner) - 1] || successful.find(entry => entry.agentId === verdict.winner);
+        if (!winner) {
+            return {
+                result: primary.output,
+                winner: primary.agentId,
+                judge: judge.id,
+                rationale: 'Judge response did not name a valid candidate; kept the primary candidate'
+            };
+        }
+
+        return {
+            result: winner.output,
+            winner: winner.agentId,
+            judge: judge.id,
+            rationale: typeof verdict.rationale === 'string' ? verdict.rationale : ''
+        };
+    }
+
+    /**
+     * 판정 프롬프트 생성
+     * @param {Task} task - 앙상블 태스크
+     * @param {Array<Object>} successful - 성공한 후보 (output 포함)
+     * @returns {string} 프롬프트
+     */
+    formatJudgePrompt(task, successful) {
+        const sections = successful.map((entry, index) =>
+            `### Candidate ${index + 1} (${entry.agentId})\n${this.contextBuilder.truncate(entry.output, MAX_JUDGE_CANDIDATE_LENGTH)}`
+        );
+
+        return [
+            `Several team members answered the same ${task.type} task independently. Pick the best answer.`,
+            `Task: ${task.description}`,
+            sections.join('\n\n'),
+            [
+                'Respond only in JSON with the keys:',
+                `- "winner": the candidate number (1-${successful.length})`,
+                '- "rationale": why this candidate is better than the others'
+            ].join('\n')
+        ].join('\n\n');
+    }
+
+    /**
+     * JSON 후보의 필드 병합
+     * 모든 후보가 같은 값이면 그대로, 배열은 합집합, 객체는 재귀 병합하고, 값이 다른 필드는 다수결(동률이면 앞선 후보)로 정한다.
+     * @param {Array<Object>} successful - 성공한 후보 (output 포함)
+     * @returns {Object} 결정 ({ result, winner, rationale, conflicts })
+     */
+    mergeCandidates(successful) {
+        const structured = parseStructured(successful);
+        if (structured.length === 0) {
+            return keepPrimary(successful, 'No candidate returned a JSON object; kept the primary candidate');
+        }
+
+        const conflicts = [];
+        const result = mergeValues(structured.map(entry => entry.json), '', conflicts);
+        const rationale = conflicts.length > 0
+            ? `Merged ${structured.length} JSON candidates; ${conflicts.length} conflicting field(s) resolved by majority: ${conflicts.map(conflict => conflict.field).join(', ')}`
+            : `Merged ${structured.length} JSON candidates without conflicts`;
+
+        return { result, winner: null, rationale, conflicts };
+    }
+
+    /**
+     * 열거형 필드 다수결
+     * vote_fields(없으면 모든 후보의 최상위 문자열/숫자/불리언 필드)마다 다수 값을 고르고(동률이면 앞선 후보),
+     * 다수 값에 가장 많이 동의한 후보의 JSON에 다수 값을 반영해 결과로 사용한다.
+     * @param {Array<Object>} successful - 성공한 후보 (output 포함)
+     * @param {Array<string>} voteFields - 투표할 최상위 필드
+     * @returns {Object} 결정 ({ result, winner, rationale, votes })
+     */
+    voteCandidates(successful, voteFields = []) {
+        const structured = parseStructured(successful);
+        if (structured.length === 0) {
+            return keepPrimary(successful, 'No candidate returned a JSON object; kept the primary candidate');
+        }
+
+        const fields = voteFields.length > 0
+            ? voteFields
+            : [...new Set(structured.flatMap(entry => Object.keys(entry.json).filter(key => isScalar(entry.json[key]))))];
+
+        const votes = {};
+        for (const field of fields) {
+            const ballots = structured.filter(entry => entry.json[field] !== undefined).map(entry => entry.json[field]);
+            if (ballots.length > 0) {
+                const { value, count, counts } = majority(ballots);
+                votes[field] = { value, count, total: ballots.length, counts };
+            }
+        }
+
+        const agreement = (entry) => Object.entries(votes)
+            .filter(([field, vote]) => JSON.stringify(entry.json[field]) === JSON.stringify(vote.value)).length;
+        const winner = structured.reduce((top, entry) => (agreement(entry) > agreement(top) ? entry : top));
+        const majorities = Object.fromEntries(Object.entries(votes).map(([field, vote]) => [field, vote.value]));
+        const summary = Object.entries(votes)
+            .map(([field, vote]) => `${field}=${JSON.stringify(vote.value)} (${vote.count}/${vote.total})`)
+            .join(', ');
+
+        return {
+            result: { ...winner.json, ...majorities },
+            winner: winner.agentId,
+            rationale: summary
+                ? `Majority vote: ${summary}; ${winner.agentId} agreed with the most fields`
+                : 'No enumerated fields to vote on; kept the primary candidate',
+            votes
+        };
+    }
+}
+
+/**
+ * 모델 응답에서 JSON 객체 추출 (코드 블록에 감싸진 JSON 포함)
+ * @returns {Object|null} 처음 찾은 JSON 객체
+ */
+function parseJson(text) {
+    if (typeof text !== 'string') {
+        return isPlainObject(text) ? text : null;
+    }
+
+    try {
+        const parsed = JSON.parse(text);
+        return isPlainObject(parsed) ? parsed : null;
+    } catch {
+        // 코드 블록 등에 감싸진 JSON은 응답 파서로 추출
+    }
+
+    const json = responseParser.extractJSON(text).find(entry => entry.valid && isPlainObject(entry.parsed));
+    return json ? json.parsed : null;
+}
+
+function parseStructured(successful) {
+    return successful
+        .map(entry => ({ ...entry, json: parseJson(entry.output) }))
+        .filter(entry => entry.json);
+}
+
+function keepPrimary(successful, rationale) {
+    return { result: successful[0].output, winner: successful[0].agentId, rationale };
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isScalar(value) {
+    return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+/**
+ * 다수 값 선택 (값은 JSON 표현으로 비교, 동률이면 먼저 나온 값)
+ * @param {Array<*>} values - 후보 순서의 값
+ * @returns {Object} { value, count, counts: JSON 표현별 득표 수 }
+ */
+function majority(values) {
+    const counts = {};
+    for (const value of values) {
+        const key = JSON.stringify(value);
+        counts[key] = (counts[key] || 0) + 1;
+    }
+
+    const [winningKey] = Object.entries(counts).reduce((top, entry) => (entry[1] > top[1] ? entry : top));
+    return { value: JSON.parse(winningKey), count: counts[winningKey], counts };
+}
+
+/**
+ * 후보 값 병합 (재귀)
+ * @param {Array<*>} values - 후보 순서의 값
+ * @param {string} path - 필드 경로 (예: endpoints.orders)
+ * @param {Array<Object>} conflicts - 충돌 필드 수집 목록 ({ field, values, chosen })
+ * @returns {*} 병합된 값
+ */
+function mergeValues(values, path, conflicts) {
+    if (values.every(isPlainObject)) {
+        const keys = [...new Set(values.flatMap(value => Object.keys(value)))];
+        return Object.fromEntries(keys.map(key => [
+            key,
+            mergeValues(values.filter(value => value[key] !== undefined).map(value => value[key]), path ? `${path}.${key}` : key, conflicts)
+        ]));
+    }
+
+    if (values.every(Array.isArray)) {
+        const seen = new Set();
+        return values.flat().filter(item => {
+            const key = JSON.stringify(item);
+            return seen.has(key) ? false : seen.add(key);
+        });
+    }
+
+    const { value, counts } = majority(values);
+    if (Object.keys(counts).length > 1) {
+        conflicts.push({ field: path, values, chosen: value });
+    }
+    return value;
+}
+
+EnsembleStrategy.DECISIONS = DECISIONS;
+EnsembleStrategy.DEFAULTS = DEFAULT_ENSEMBLE;
+
+module.exports = { EnsembleStrategy };
@@ -10,6 +10,16 @@ class ProjectAnalyzer {
         this.projectTemplates = {
             'web_application': {
                 phases: ['requirements_analysis', 'ui_design', 'backend_development', 'frontend_development', 'integration', 'testing', 'deployment'],
+                // 단계별 선행 단계 (지정하지 않은 템플릿은 순차 실행)
+                dependencies: {
+                    'requirements_analysis': [],
+                    'ui_design': ['requirements_analysis'],
+                    'backend_development': ['requirements_analysis'],
+                    'frontend_development': ['ui_design'],
+                    'integration': ['backend_development', 'frontend_development'],
+                    'testing': ['integration'],
+                    'deployment': ['testing']
+                },
                 complexity: 'medium',
                 technologies: ['html', 'css', 'javascript', 'nodejs', 'database']
             },
@@ -20,6 +30,14 @@ class ProjectAnalyzer {
             },
             'api_service': {
                 phases: ['api_design', 'backend_development', 'database_design', 'testing', 'documentation', 'deployment'],
+                dependencies: {
+                    'api_design': [],
+                    'backend_development': ['api_design'],
+                    'database_design': ['api_design'],
+                    'testing': ['backend_development', 'database_design'],
+                    'documentation': ['api_design'],
+                    'deployment': ['testing', 'documentation']
+                },
                 complexity: 'medium',
                 technologies: ['nodejs', 'python', 'database', 'rest_api']
             },
@@ -207,7 +225,8 @@ class ProjectAnalyzer {
             "description": "단계 설명",
             "estimated_hours": "예상 소요 시간(시간)",
             "role": "담당 역할 (leader, senior_developer, researcher, developer 중 하나)",
-            "deliverables": ["산출물1", "산출물2"]
+            "deliverables": ["산출물1", "산출물2"],
+            "depends_on": ["먼저 완료되어야 하는 앞선 단계명들 (병렬 진행 가능한 단계는 서로 의존하지 않음)"]
         }
     ],
     "risks": ["위험 요소들"],
@@ -289,13 +308,23 @@ class ProjectAnalyzer {
             return this.getDefaultPhases('web_application');
         }
 
-        return phases.map(phase => ({
-            name: phase.name || 'unknown_phase',
-            description: phase.description || '단계 설명',
-            estimated_hours: Math.max(1, parseInt(phase.estimated_hours) || 4),
-            role: this.validateRole(phase.role),
-            deliverables: Array.isArray(phase.deliverables) ? phase.deliverables : ['산출물']
-        }));
+        return phases.map((phase, index) => {
+            const validated = {
+                name: phase.name || 'unknown_phase',
+                description: phase.description || '단계 설명',
+                estimated_hours: Math.max(1, parseInt(phase.estimated_hours) || 4),
+                role: this.validateRole(phase.role),
+                deliverables: Array.isArray(phase.deliverables) ? phase.deliverables : ['산출물']
+            };
+
+            // 의존성은 앞선 단계만 허용 (순환 의존성 방지)
+            if (Array.isArray(phase.depends_on)) {
+                const previousNames = phases.slice(0, index).map(previous => previous.name);
+                validated.depends_on = phase.depends_on.filter(name => previousNames.includes(name));
+            }
+
+            return validated;
+        });
     }
 
     /**
@@ -339,7 +368,7 @@ class ProjectAnalyzer {
         const template = this.projectTemplates[projectType];
         if (!template) return this.getDefaultPhases('web_application');
 
-        return template.phases.map(phaseName => {
+        const phases = template.phases.map(phaseName => {
             const taskTemplate = this.taskTemplates[phaseName];
             return {
                 name: phaseName,
@@ -349,6 +378,15 @@ class ProjectAnalyzer {
                 deliverables: taskTemplate?.deliverables || ['산출물']
             };
         });
+
+        // 템플릿에 선언된 단계 의존성 적용
+        if (template.dependencies) {
+            phases.forEach(phase => {
+                phase.depends_on = template.dependencies[phase.name];
+            });
+        }
+
+        return phases;
     }
 
     /**
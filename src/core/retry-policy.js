@@ -0,0 +1,102 @@
+// 오류 분류 (재시도 가능 여부 판단용)
+const ERROR_CLASSES = ['timeout', 'rate_limit', 'network', 'server_error', 'auth', 'validation', 'cancelled', 'unknown'];
+
+// 대체 실행 방식: none(같은 에이전트), alternate_agent(다른 에이전트), alternate_provider(다른 AI 제공자)
+const FALLBACK_MODES = ['none', 'alternate_agent', 'alternate_provider'];
+
+// 오류 분류 규칙 (위에서부터 순서대로 적용, 해당 없으면 unknown)
+const ERROR_MATCHERS = [
+    { errorClass: 'cancelled', codes: ['ABORT_ERR'], pattern: /aborted|cancelled/i },
+    { errorClass: 'rate_limit', statuses: [429], pattern: /rate.?limit|too many requests|quota/i },
+    { errorClass: 'timeout', codes: ['ETIMEDOUT'], pattern: /timeout|timed out/i },
+    { errorClass: 'network', codes: ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'], pattern: /network|socket hang up/i },
+    { errorClass: 'server_error', statuses: [500, 502, 503, 504, 529], pattern: /overloaded|service unavailable|internal server error/i },
+    { errorClass: 'auth', statuses: [401, 403], pattern: /unauthorized|forbidden|api key/i },
+    { errorClass: 'validation', statuses: [400, 422], pattern: /validation|invalid/i }
+];
+
+const DEFAULT_POLICY = {
+    max_attempts: 3,
+    backoff_ms: 1000,
+    backoff_multiplier: 2,
+    max_backoff_ms: 30000,
+    retry_on: ['timeout', 'rate_limit', 'network', 'server_error', 'unknown'],
+    fallback: 'alternate_agent'
+};
+
+/**
+ * 태스크 재시도 정책
+ * 태스크 유형별 최대 시도 횟수, 지수 백오프, 재시도 대상 오류 분류, 대체 에이전트 사용 여부를 결정
+ */
+class RetryPolicy {
+    constructor(config = {}) {
+        this.defaultPolicy = { ...DEFAULT_POLICY, ...config.default };
+        this.typePolicies = config.types || {};
+    }
+
+    /**
+     * 태스크에 적용할 정책 계산
+     * 우선순위: 워크플로우 정의의 단계별 retry > 태스크 유형별 정책 > 기본 정책
+     * @param {Task} task - 대상 태스크
+     * @returns {Object} 재시도 정책
+     */
+    resolve(task) {
+        return {
+            ...this.defaultPolicy,
+            ...this.typePolicies[task.type],
+            ...task.metadata?.retryPolicy
+        };
+    }
+
+    /**
+     * 오류 분류
+     * @param {Error} error - 발생한 오류 (errorClass가 지정되어 있으면 그대로 사용)
+     * @returns {string} 오류 분류 (ERROR_CLASSES 중 하나)
+     */
+    classifyError(error) {
+        if (ERROR_CLASSES.includes(error?.errorClass)) {
+            return error.errorClass;
+        }
+
+        const status = error?.status || error?.response?.status;
+        const message = error?.message || String(error);
+        const matcher = ERROR_MATCHERS.find(rule =>
+            (rule.statuses || []).includes(status) ||
+            (rule.codes || []).includes(error?.code) ||
+            rule.pattern.test(message)
+        );
+
+        return matcher ? matcher.errorClass : 'unknown';
+    }
+
+    /**
+     * 재시도 여부 판단
+     * @param {Object} policy - resolve() 결과
+     * @param {string} errorClass - 오류 분류
+     * @param {number} attempt - 방금 실패한 시도 번호 (1부터)
+     * @returns {boolean} 재시도 여부
+     */
+    shouldRetry(policy, errorClass, attempt) {
+        return attempt < policy.max_attempts && policy.retry_on.includes(errorClass);
+    }
+
+    /**
+     * 다음 시도까지의 대기 시간 계산 (지수 백오프)
+     * @param {Object} policy - resolve() 결과
+     * @param {number} attempt - 방금 실패한 시도 번호 (1부터)
+     * @param {Error} error - 발생한 오류 (retryAfter가 있으면 우선 사용)
+     * @returns {number} 대기 시간 (ms)
+     */
+    getDelay(policy, attempt, error = null) {
+        const backoff = policy.backoff_ms * Math.pow(policy.backoff_multiplier, attempt - 1);
+        const delay = Math.max(backoff, error?.retryAfter || 0);
+
+        return Math.min(delay, policy.max_backoff_ms);
+    }
+}
+
+RetryPolicy.ERROR_CLASSES = ERROR_CLASSES;
+RetryPolicy.FALLBACK_MODES = FALLBACK_MODES;
+RetryPolicy.DEFAULTS = DEFAULT_POLICY;
+
+module.exports = { RetryPolicy };
@@ -0,0 +1,227 @@
+const { isCancellation, delay, raceWithAbort } = require('../utils/cancellation');
+const chalk = require('chalk');
+
+// 리뷰 요청에 포함할 산출물 길이
+const MAX_REVIEW_ARTIFACT_LENGTH = 8000;
+// 산출물 리뷰 기본 설정 (team-config.json의 review)
+const DEFAULT_REVIEW_CONFIG = { enabled: false, reviewerRole: 'leader', maxRevisionRounds: 2 };
+
+/**
+ * 리뷰 수정 요청 오류
+ * 리뷰어가 산출물에 revise/reject 판정을 내렸음을 나타내며, 같은 담당자에게 수정 요청을 보내는 데 쓰인다.
+ * 수정 한도를 넘어 실패로 처리될 때도 같은 산출물을 재시도하지 않도록 validation으로 분류한다.
+ */
+class RevisionRequestedError extends Error {
+    /**
+     * @param {Object} review - 리뷰 결과 ({ reviewer, verdict, summary, comments })
+     */
+    constructor(review) {
+        super(`${review.reviewer} requested revision${review.summary ? `: ${review.summary}` : ''}`);
+        this.name = 'RevisionRequestedError';
+        this.errorClass = 'validation';
+        this.review = review;
+    }
+}
+
+/**
+ * 리뷰 게이트 - 리뷰 단계가 설정된 태스크의 산출물을 다른 팀원에게 리뷰받고 수정 요청과 리뷰 보고서를 관리
+ * 태스크 큐와 이벤트는 워크플로우 엔진의 것을 그대로 사용한다.
+ */
+class ReviewGate {
+    /**
+     * @param {WorkflowEngine} workflowEngine - 태스크 상태를 가진 워크플로우 엔진
+     * @param {Object} config - 리뷰 설정 (team-config.json의 review, 단계 정의의 review가 없으면 enabled를 따름)
+     */
+    constructor(workflowEngine, config = {}) {
+        this.workflowEngine = workflowEngine;
+        this.config = { ...DEFAULT_REVIEW_CONFIG, ...config };
+    }
+
+    /**
+     * 단계의 산출물 리뷰 설정 (단계 정의에 없으면 review 설정을 따름)
+     * @param {Object} phaseDetails - 단계 상세 정보
+     * @returns {Object} 태스크 메타데이터 ({ review, reviewerRole, acceptanceCriteria })
+     */
+    getReviewSettings(phaseDetails) {
+        return {
+            review: phaseDetails.review ?? this.config.enabled,
+            reviewerRole: phaseDetails.reviewer_role || this.config.reviewerRole,
+            acceptanceCriteria: phaseDetails.acceptance_criteria || []
+        };
+    }
+
+    /**
+     * 산출물 리뷰가 필요한 태스크인지 확인
+     * @param {Task} task - 완료된 태스크
+     * @returns {boolean} 리뷰 필요 여부
+     */
+    needsReview(task) {
+        return Boolean(task.metadata?.review);
+    }
+
+    /**
+     * 리뷰 요청 data 생성 (review_request 메시지 형식)
+     * @param {Task} task - 리뷰할 태스크
+     * @param {Object} result - 태스크 실행 결과
+     * @returns {Object} 리뷰 요청 ({ taskId, artifact, summary, criteria })
+     */
+    createReviewRequest(task, result) {
+        const { contextBuilder } = this.workflowEngine;
+        const deliverable = contextBuilder.extractDeliverable(result);
+
+        return {
+            taskId: task.id,
+            artifact: contextBuilder.truncate(deliverable, MAX_REVIEW_ARTIFACT_LENGTH),
+            summary: task.description,
+            criteria: task.metadata?.acceptanceCriteria || []
+        };
+    }
+
+    /**
+     * 리뷰 결과 기록 (통합 보고서용)
+     * @param {string} taskId - 리뷰한 태스크 ID
+     * @param {Object} review - 리뷰 결과 ({ reviewer, verdict, summary, comments })
+     * @returns {Object} 기록된 리뷰
+     */
+    recordReview(taskId, review) {
+        const task = this.workflowEngine.taskQueue.get(taskId);
+        if (!task) {
+            throw new Error(`Task ${taskId} not found in queue`);
+        }
+
+        const entry = {
+            round: (task.metadata.revisionRounds || 0) + 1,
+            reviewer: review.reviewer,
+            verdict: review.verdict,
+            summary: review.summary || '',
+            comments: review.comments || [],
+            reviewedAt: new Date().toISOString()
+        };
+        task.metadata.reviews = [...(task.metadata.reviews || []), entry];
+
+        this.workflowEngine.emit('task_reviewed', task, entry);
+
+        return entry;
+    }
+
+    /**
+     * 리뷰 단계가 설정된 태스크의 산출물 리뷰
+     * 리뷰어 역할(기본값 leader)의 다른 팀원에게 수용 기준과 함께 산출물을 보내고,
+     * 승인되지 않으면 TaskRunner가 같은 담당자에게 수정을 요청하도록 RevisionRequestedError를 발생시킨다.
+     * 리뷰어가 없거나 리뷰에 실패하면 리뷰 없이 완료한다.
+     * @param {Task} task - 완료된 태스크
+     * @param {Object} result - 태스크 실행 결과
+     * @param {TeamManager} teamManager - 작성자와 리뷰어를 찾을 팀 관리자
+     * @param {Object} options - 옵션 ({ simulationDelay: 시뮬레이션 리뷰 소요 시간 (ms) })
+     */
+    async reviewDeliverable(task, result, teamManager, options = {}) {
+        if (!this.needsReview(task)) {
+            return;
+        }
+
+        const reviewer = teamManager.getMembersByRole(task.metadata.reviewerRole)
+            .find(member => member.id !== task.assignee && !['offline', 'error'].includes(member.status));
+        if (!reviewer) {
+            console.warn(chalk.yellow(`⚠️ 리뷰어(${task.metadata.reviewerRole})가 없어 리뷰 생략: ${task.id}`));
+            return;
+        }
+
+        const author = teamManager.getAgent(task.assignee);
+        const request = this.createReviewRequest(task, result);
+        let feedback;
+        try {
+            // 실제 AI 에이전트는 메시지 브로커로 리뷰 요청 (시뮬레이션 팀원은 승인)
+            feedback = author.collaboration && reviewer.collaboration
+                ? await raceWithAbort(author.collaboration.requestReview(reviewer.id, request, { timeout: this.config.timeoutMs }), task.signal)
+                : await this.simulateReview(task, options.simulationDelay);
+        } catch (error) {
+            if (isCancellation(error)) {
+                throw error;
+            }
+            console.warn(chalk.yellow(`⚠️ ${reviewer.id} 리뷰 실패, 리뷰 없이 완료: ${error.message}`));
+            this.recordReview(task.id, { reviewer: reviewer.id, verdict: 'skipped', summary: error.message });
+            return;
+        }
+
+        const review = this.recordReview(task.id, { reviewer: reviewer.id, ...feedback });
+        if (review.verdict !== 'approve') {
+            throw new RevisionRequestedError({ ...review, deliverable: request.artifact });
+        }
+    }
+
+    /**
+     * 시뮬레이션 모드 리뷰 (항상 승인)
+     * @param {Task} task - 리뷰할 태스크
+     * @param {number} duration - 리뷰 소요 시간 (ms)
+     * @returns {Promise<Object>} 리뷰 결과 ({ taskId, verdict, summary, comments })
+     */
+    async simulateReview(task, duration = 0) {
+        await delay(duration, task.signal);
+
+        return { taskId: task.id, verdict: 'approve', summary: 'Approved (simulation)', comments: [] };
+    }
+
+    /**
+     * 리뷰 수정 요청
+     * 리뷰 코멘트와 이전 산출물을 피드백으로 남기고 태스크를 같은 담당자에게 다시 배정한다.
+     * @param {string} taskId - 리뷰에서 수정 요청을 받은 태스크 ID
+     * @param {RevisionRequestedError} revision - 수정 요청 오류
+     * @returns {boolean} 수정 요청 여부 (수정 한도를 넘으면 false)
+     */
+    requestRevision(taskId, revision) {
+        const engine = this.workflowEngine;
+        const task = engine.taskQueue.get(taskId);
+        const round = (task?.metadata.revisionRounds || 0) + 1;
+        if (!task || round > this.config.maxRevisionRounds) {
+            return false;
+        }
+
+        const { reviewer, verdict, summary, comments, deliverable } = revision.review;
+        task.reset();
+        task.metadata.preferredAgent = task.assignee;
+        task.metadata.reviewFeedback = [
+            ...(task.metadata.reviewFeedback || []),
+            { round, reviewer, verdict, summary, comments, deliverable }
+        ];
+        task.metadata.revisionRounds = round;
+        engine.abortControllers.delete(taskId);
+
+        console.warn(chalk.yellow(`📝 ${revision.message} - ${task.assignee} 수정 요청 (${round}/${this.config.maxRevisionRounds})`));
+        engine.emit('task_revision', task, { round, reviewer, verdict });
+
+        return true;
+    }
+
+    /**
+     * 산출물 리뷰 보고서 (리뷰 판정과 수정 횟수)
+     * @param {string} workflowId - 워크플로우 ID (없으면 모든 태스크)
+     * @returns {Object} 리뷰 보고서 ({ reviewed, approved, revisions, tasks })
+     */
+    getReviewReport(workflowId = null) {
+        const { completedTasks, failedTasks, taskQueue } = this.workflowEngine;
+        const tasks = [...completedTasks.values(), ...failedTasks.values(), ...taskQueue.values()]
+            .filter(task => task.metadata?.reviews?.length > 0)
+            .filter(task => !workflowId || task.metadata.workflowId === workflowId)
+            .map(task => {
+                const reviews = task.metadata.reviews;
+                return {
+                    taskId: task.id,
+                    phase: task.metadata.phase || task.type,
+                    author: task.assignee,
+                    reviewer: reviews[reviews.length - 1].reviewer,
+                    verdict: reviews[reviews.length - 1].verdict,
+                    revisions: task.metadata.revisionRounds || 0,
+                    rounds: reviews
+                };
+            });
+
+        return {
+            reviewed: tasks.length,
+            approved: tasks.filter(task => task.verdict === 'approve').length,
+            revisions: tasks.reduce((sum, task) => sum + task.revisions, 0),
+            tasks
+        };
+    }
+}
+
+module.exports = { ReviewGate, RevisionRequestedError };
@@ -0,0 +1,308 @@
+const { RetryPolicy } = require('./retry-policy');
+const { TestFailureError } = require('./test-gate');
+const { RevisionRequestedError } = require('./review-gate');
+const { delay } = require('../utils/cancellation');
+
+/**
+ * 태스크 그래프 실행기
+ * 준비된 태스크를 빈 에이전트에 배정하여 실행하고, 실패한 시도는 재시도 정책에 따라
+ * 같은 에이전트 또는 대체 에이전트/제공자로 다시 실행한다.
+ */
+class TaskRunner {
+    /**
+     * @param {Object} options - 실행기 옵션
+     * @param {WorkflowEngine} options.workflowEngine - 워크플로우 엔진
+     * @param {TeamManager} options.teamManager - 팀 관리자
+     * @param {Function} options.executeTask - 태스크 1회 실행 함수 (task => Promise<result>)
+     * @param {RetryPolicy} options.retryPolicy - 재시도 정책
+     */
+    constructor(options) {
+        this.workflowEngine = options.workflowEngine;
+        this.teamManager = options.teamManager;
+        this.executeTask = options.executeTask;
+        this.retryPolicy = options.retryPolicy || new RetryPolicy();
+        this.busyAgents = new Set(); // 작업 중인 에이전트 ID (앙상블 후보/판정자 예약 포함)
+    }
+
+    /**
+     * 의존성 그래프 실행 루프
+     * 준비된 태스크를 빈 에이전트에 배정하고, 완료/실패를 WorkflowEngine에 반영하며
+     * 더 이상 실행할 태스크가 없을 때 종료한다. 일시 정지된 워크플로우는 재개/취소될 때까지 기다린다.
+     * @param {Array<Task>} tasks - 분배된 태스크 목록
+     * @returns {Promise<Array<Object>>} Promise.allSettled 형식의 태스크별 결과
+     */
+    async run(tasks) {
+        const settled = new Map(); // taskId -> { status, value | reason }
+        const running = new Map(); // taskId -> 실행 Promise
+        const busyAgents = this.busyAgents;
+
+        for (;;) {
+            this.dispatchReadyTasks({ running, busyAgents, settled });
+
+            if (running.size === 0 && !this.hasPausedTasks(tasks)) {
+                break;
+            }
+
+            await this.waitForProgress(running);
+        }
+
+        // 실행되지 못하고 남은 태스크 정리 (배정 가능한 에이전트 없음 등)
+        for (const task of tasks) {
+            if (this.workflowEngine.taskQueue.has(task.id)) {
+                this.workflowEngine.markTaskFailed(task.id, new Error('No available agent to execute task'));
+            }
+        }
+
+        return tasks.map(task => settled.get(task.id) || {
+            status: 'rejected',
+            reason: task.error || new Error(`Task ${task.id} was not executed`)
+        });
+    }
+
+    /**
+     * 준비된 태스크를 빈 에이전트에 배정하여 실행
+     * @param {Object} state - 실행 루프 상태 ({ running, busyAgents, settled })
+     */
+    dispatchReadyTasks({ running, busyAgents, settled }) {
+        for (const task of this.workflowEngine.getReadyTasks()) {
+            const agentId = this.selectAgentForTask(task, busyAgents);
+            if (!agentId) {
+                continue;
+            }
+
+            busyAgents.add(agentId);
+            this.workflowEngine.markTaskStarted(task.id, agentId);
+
+            const execution = this.executeWithRetry(task, busyAgents).then(
+                (result) => this.settle(task, { status: 'fulfilled', value: result }, settled),
+                (error) => this.settle(task, { status: 'rejected', reason: error }, settled)
+            ).finally(() => {
+                // 재시도 중 담당자가 바뀌었을 수 있으므로 현재 담당자를 해제
+                running.delete(task.id);
+                busyAgents.delete(task.assignee);
+            });
+
+            running.set(task.id, execution);
+        }
+    }
+
+    /**
+     * 태스크 실행 결과를 WorkflowEngine에 반영
+     * 실행 도중 취소된 태스크는 이미 큐에서 빠졌으므로 결과만 기록한다.
+     * 테스트 실패는 작성 태스크 재작업을 요청하고, 요청되면 테스트 태스크를 실패 처리하지 않고 재실행을 기다린다.
+     * 리뷰 수정 요청은 같은 태스크를 리뷰 피드백과 함께 다시 실행한다.
+     * @param {Task} task - 실행한 태스크
+     * @param {Object} outcome - Promise.allSettled 형식의 결과
+     * @param {Map} settled - 태스크별 결과 저장소
+     */
+    settle(task, outcome, settled) {
+        if (!this.workflowEngine.taskQueue.has(task.id)) {
+            settled.set(task.id, { status: 'rejected', reason: task.error });
+            return;
+        }
+        if (outcome.reason instanceof TestFailureError && this.workflowEngine.testGate.requestRework(task.id, outcome.reason)) {
+            return;
+        }
+        if (outcome.reason instanceof RevisionRequestedError && this.workflowEngine.reviewGate.requestRevision(task.id, outcome.reason)) {
+            return;
+        }
+
+        settled.set(task.id, outcome);
+        if (outcome.status === 'fulfilled') {
+            this.workflowEngine.markTaskCompleted(task.id, outcome.value);
+        } else {
+            this.workflowEngine.markTaskFailed(task.id, outcome.reason);
+        }
+    }
+
+    /**
+     * 일시 정지된 워크플로우에 남은 태스크가 있는지 확인
+     * @param {Array<Task>} tasks - 실행 대상 태스크 목록
+     * @returns {boolean} 재개를 기다려야 하는지 여부
+     */
+    hasPausedTasks(tasks) {
+        return tasks.some(task =>
+            this.workflowEngine.taskQueue.has(task.id) &&
+            this.workflowEngine.workflowControl.isWorkflowPaused(task.metadata?.workflowId)
+        );
+    }
+
+    /**
+     * 실행 중인 태스크 하나가 끝나거나 워크플로우가 재개/취소될 때까지 대기
+     * @param {Map} running - 실행 중인 태스크 Promise
+     * @returns {Promise<void>}
+     */
+    waitForProgress(running) {
+        const events = ['workflow_resumed', 'workflow_cancelled'];
+
+        return new Promise(resolve => {
+            const done = () => {
+                events.forEach(event => this.workflowEngine.off(event, done));
+                resolve();
+            };
+
+            events.forEach(event => this.workflowEngine.on(event, done));
+            Promise.race(running.values()).then(done);
+        });
+    }
+
+    /**
+     * 에이전트 예약 (앙상블 후보/판정자처럼 배정된 태스크 외의 작업에 쓰는 에이전트)
+     * 예약된 에이전트에는 해제될 때까지 새 태스크가 배정되지 않는다.
+     * @param {Array<string>} agentIds - 예약할 에이전트 ID
+     * @returns {Array<string>} 새로 예약된 에이전트 ID (이미 작업 중인 에이전트 제외, releaseAgents에 전달)
+     */
+    reserveAgents(agentIds) {
+        const reserved = agentIds.filter(agentId => !this.busyAgents.has(agentId));
+        reserved.forEach(agentId => this.busyAgents.add(agentId));
+        return reserved;
+    }
+
+    /**
+     * 예약한 에이전트 해제
+     * @param {Array<string>} agentIds - reserveAgents가 반환한 에이전트 ID
+     */
+    releaseAgents(agentIds) {
+        agentIds.forEach(agentId => this.busyAgents.delete(agentId));
+    }
+
+    /**
+     * 태스크를 수행할 에이전트 선택
+     * @param {Task} task - 배정할 태스크
+     * @param {Set<string>} busyAgents - 작업 중인 에이전트 ID
+     * @returns {string|null} 선택된 에이전트 ID
+     */
+    selectAgentForTask(task, busyAgents) {
+        const candidates = this.teamManager.getTeamMembers()
+            .filter(member => !busyAgents.has(member.id))
+            .filter(member => member.status !== 'offline' && member.status !== 'error');
+
+        return this.workflowEngine.assignTaskToAgent(task, candidates).agentId;
+    }
+
+    /**
+     * 재시도 정책을 적용하여 태스크 실행
+     * 모든 시도는 태스크 history에 기록된다.
+     * @param {Task} task - 실행할 태스크
+     * @param {Set<string>} busyAgents - 작업 중인 에이전트 ID
+     * @returns {Promise<Object>} 실행 결과
+     */
+    async executeWithRetry(task, busyAgents) {
+        const policy = this.retryPolicy.resolve(task);
+        const triedAgents = new Set();
+
+        for (let attempt = 1; ; attempt++) {
+            const startedAt = new Date();
+            triedAgents.add(task.assignee);
+
+            try {
+                const result = await this.executeTask(task);
+                task.recordAttempt({ attempt, agentId: task.assignee, status: 'succeeded', startedAt, endedAt: new Date() });
+                return result;
+            } catch (error) {
+                // 취소된 태스크는 재시도하지 않음
+                if (task.signal?.aborted) {
+                    task.recordAttempt({ attempt, agentId: task.assignee, status: 'cancelled', error: task.signal.reason, startedAt, endedAt: new Date() });
+                    throw task.signal.reason;
+                }
+
+                const errorClass = this.retryPolicy.classifyError(error);
+                const retrying = this.retryPolicy.shouldRetry(policy, errorClass, attempt);
+                const backoff = retrying ? this.retryPolicy.getDelay(policy, attempt, error) : 0;
+
+                task.recordAttempt({
+                    attempt,
+                    agentId: task.assignee,
+                    status: 'failed',
+                    error,
+                    errorClass,
+                    delay: backoff,
+                    startedAt,
+                    endedAt: new Date()
+                });
+
+                if (!retrying) {
+                    throw error;
+                }
+
+                // 백오프 동안 에이전트가 남긴 failed 상태로 동시 실행 슬롯이 비지 않도록 재시도 대기 상태로 전환
+                task.waitForRetry();
+                await delay(backoff, task.signal);
+                this.prepareRetry(task, { attempt: attempt + 1, policy, error, errorClass, delay: backoff }, busyAgents, triedAgents);
+            }
+        }
+    }
+
+    /**
+     * 다음 시도 준비 (대체 에이전트 선택 및 재시도 상태 전환)
+     * @param {Task} task - 재시도할 태스크
+     * @param {Object} retry - 재시도 정보 ({ attempt, policy, error, errorClass, delay })
+     * @param {Set<string>} busyAgents - 작업 중인 에이전트 ID
+     * @param {Set<string>} triedAgents - 이미 시도한 에이전트 ID
+     */
+    prepareRetry(task, retry, busyAgents, triedAgents) {
+        const previousAgentId = task.assignee;
+        const agentId = this.selectFallbackAgent(task, retry.policy, busyAgents, triedAgents) || previousAgentId;
+
+        busyAgents.delete(previousAgentId);
+        busyAgents.add(agentId);
+
+        this.workflowEngine.markTaskRetrying(task.id, {
+            attempt: retry.attempt,
+            maxAttempts: retry.policy.max_attempts,
+            agentId,
+            previousAgentId,
+            errorClass: retry.errorClass,
+            delay: retry.delay,
+            error: retry.error.message
+        });
+    }
+
+    /**
+     * 재시도할 대체 에이전트 선택
+     * 대체 후보가 없으면 null을 반환하여 같은 에이전트로 재시도하게 한다.
+     * @param {Task} task - 재시도할 태스크
+     * @param {Object} policy - 재시도 정책
+     * @param {Set<string>} busyAgents - 작업 중인 에이전트 ID
+     * @param {Set<string>} triedAgents - 이미 시도한 에이전트 ID
+     * @returns {string|null} 대체 에이전트 ID
+     */
+    selectFallbackAgent(task, policy, busyAgents, triedAgents) {
+        if (policy.fallback === 'none') {
+            return null;
+        }
+
+        const members = this.teamManager.getTeamMembers();
+        const failedProvider = this.getProvider(members.find(member => member.id === task.assignee));
+        const excludeIds = members
+            .filter(member => busyAgents.has(member.id) || triedAgents.has(member.id) ||
+                (policy.fallback === 'alternate_provider' && this.getProvider(member) === failedProvider))
+            .map(member => member.id);
+
+        const capabilities = task.metadata?.requiredCapabilities || this.workflowEngine.getRequiredCapabilities(task.type);
+        const fallback = this.teamManager.findBestMember(capabilities, task.type, excludeIds);
+
+        return fallback ? fallback.id : null;
+    }
+
+    /**
+     * 팀원의 AI 제공자 추정 (에이전트 클래스, 모델명, 엔드포인트 기준)
+     * @param {Object} member - 팀원 또는 에이전트
+     * @returns {string} 제공자 이름 (claude, gemini, unknown)
+     */
+    getProvider(member) {
+        if (!member) {
+            return 'unknown';
+        }
+        if (member.provider) {
+            return member.provider;
+        }
+
+        const descriptor = `${member.constructor.name} ${member.model || ''} ${member.mcpEndpoint || ''}`;
+        const match = descriptor.match(/claude|gemini/i);
+
+        return match ? match[0].toLowerCase() : 'unknown';
+    }
+}
+
+module.exports = { TaskRunner };
@@ -334,9 +334,13 @@ class TeamManager extends EventEmitter {
 
     /**
      * 최적의 팀원 찾기
+     * @param {Array<string>} requiredCapabilities - 필요한 능력
+     * @param {string} taskType - 태스크 유형
+     * @param {Array<string>} excludeIds - 제외할 팀원 ID (재시도 시 이미 실패한 팀원 등)
      */
-    findBestMember(requiredCapabilities = [], taskType = null) {
-        const availableMembers = this.getAvailableMembers();
+    findBestMember(requiredCapabilities = [], taskType = null, excludeIds = []) {
+        const availableMembers = this.getAvailableMembers()
+            .filter(member => !excludeIds.includes(member.id));
         
         if (availableMembers.length === 0) {
             return null;
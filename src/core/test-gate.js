@@ -0,0 +1,116 @@
+const chalk = require('chalk');
+
+// 테스트 실패 시 재작업을 맡길 작성자 역할
+const AUTHOR_ROLES = ['developer', 'senior_developer'];
+// 재작업 피드백에 포함할 테스트 출력 길이
+const MAX_FEEDBACK_LENGTH = 4000;
+
+/**
+ * 테스트 실패 오류
+ * 테스트 단계에서 code_runner 실행이 실패로 끝났음을 나타내며, 작성 태스크 재작업 요청에 쓰인다.
+ * 재작업 없이 실패로 처리될 때도 같은 테스트를 재시도하지 않도록 validation으로 분류한다.
+ */
+class TestFailureError extends Error {
+    /**
+     * @param {Object} run - 마지막 code_runner 실행 결과 ({ exitCode, stdout, stderr, timedOut })
+     */
+    constructor(run) {
+        super(run.timedOut ? 'Tests timed out' : `Tests failed with exit code ${run.exitCode}`);
+        this.name = 'TestFailureError';
+        this.errorClass = 'validation';
+        this.output = [run.stdout, run.stderr].filter(Boolean).join('\n').slice(-MAX_FEEDBACK_LENGTH);
+    }
+}
+
+/**
+ * 테스트 게이트 - code_runner 실행 결과로 테스트 태스크를 판정하고 실패 시 작성 태스크 재작업을 요청
+ * 태스크 큐와 이벤트는 워크플로우 엔진의 것을 그대로 사용한다.
+ */
+class TestGate {
+    /**
+     * @param {WorkflowEngine} workflowEngine - 태스크 상태를 가진 워크플로우 엔진
+     * @param {Object} config - 테스트 설정 (team-config.json의 testing)
+     */
+    constructor(workflowEngine, config = {}) {
+        this.workflowEngine = workflowEngine;
+
+        this.maxReworkRounds = config?.maxReworkRounds ?? 2; // 테스트 실패로 인한 재작업 최대 횟수
+        this.testRuns = new Map(); // 태스크별 마지막 code_runner 실행 결과 (테스트 실패 판정용)
+    }
+
+    /**
+     * 태스크의 code_runner 실행 결과 기록 (마지막 실행만 보관)
+     * @param {string} taskId - 태스크 ID
+     * @param {Object} run - code_runner 실행 결과 ({ exitCode, stdout, stderr, timedOut })
+     */
+    recordTestRun(taskId, run) {
+        this.testRuns.set(taskId, run);
+    }
+
+    /**
+     * code_runner가 필요한 태스크의 마지막 실행 결과 확인
+     * 마지막 실행이 실패로 끝났으면 TaskRunner가 작성 태스크 재작업을 요청하도록 TestFailureError를 발생시킨다.
+     * @param {Task} task - 완료된 태스크
+     */
+    checkTestResults(task) {
+        const run = this.testRuns.get(task.id);
+        if (!task.metadata?.requiredTools?.includes('code_runner') || !run) {
+            return;
+        }
+
+        if (run.exitCode !== 0 || run.timedOut) {
+            throw new TestFailureError(run);
+        }
+    }
+
+    /**
+     * 태스크의 code_runner 실행 결과 삭제 (태스크 시도가 끝날 때 호출, 재시도는 새 실행 결과로 판정)
+     * @param {string} taskId - 태스크 ID
+     */
+    clearTestRun(taskId) {
+        this.testRuns.delete(taskId);
+    }
+
+    /**
+     * 테스트 실패 시 작성 태스크 재작업 요청
+     * 가장 가까운 선행 작성 태스크(developer/senior_developer)를 테스트 출력 피드백과 함께 같은 담당자에게 다시 배정하고,
+     * 테스트 태스크는 작성 태스크가 다시 완료된 뒤 재실행되도록 대기 상태로 되돌린다.
+     * @param {string} taskId - 실패한 테스트 태스크 ID
+     * @param {TestFailureError} failure - 테스트 실패 오류
+     * @returns {boolean} 재작업 요청 여부 (작성 태스크가 없거나 재작업 한도를 넘으면 false)
+     */
+    requestRework(taskId, failure) {
+        const engine = this.workflowEngine;
+        const task = engine.taskQueue.get(taskId);
+        const round = (task?.metadata.reworkRounds || 0) + 1;
+        const author = task?.dependencies
+            .map(depId => engine.completedTasks.get(depId))
+            .filter(dep => dep && AUTHOR_ROLES.includes(dep.metadata?.preferredRole))
+            .pop();
+
+        if (!author || round > this.maxReworkRounds) {
+            return false;
+        }
+
+        // 작성 태스크를 완료 목록에서 대기 큐로 되돌림 (이전 담당자 우선 배정)
+        engine.completedTasks.delete(author.id);
+        author.reset();
+        author.metadata.preferredAgent = author.assignee;
+        author.metadata.reworkFeedback = [
+            ...(author.metadata.reworkFeedback || []),
+            { taskId, round, summary: `${failure.message}\n\n${failure.output || ''}`.trim() }
+        ];
+        engine.taskQueue.set(author.id, author);
+
+        task.reset();
+        task.metadata.reworkRounds = round;
+        engine.abortControllers.delete(taskId);
+
+        console.warn(chalk.yellow(`🔁 ${failure.message} - ${author.id} 재작업 요청 (${round}/${this.maxReworkRounds})`));
+        engine.emit('task_rework', task, author, { round, error: failure.message });
+
+        return true;
+    }
+}
+
+module.exports = { TestGate, TestFailureError };
@@ -0,0 +1,249 @@
+const EventEmitter = require('events');
+const { Task } = require('../agents/base-agent');
+const chalk = require('chalk');
+
+/**
+ * 워크플로우 체크포인터 - 실행 중인 워크플로우 상태를 디스크에 기록하고 재개 시 복원
+ * 계획과 태스크 상태는 FileManager.saveRun으로(shared/runs/), 태스크 결과는 FileManager.saveResult로 저장한다.
+ */
+class WorkflowCheckpointer extends EventEmitter {
+    /**
+     * @param {WorkflowEngine} workflowEngine - 상태를 기록할 워크플로우 엔진
+     * @param {FileManager} fileManager - 파일 저장소
+     */
+    constructor(workflowEngine, fileManager) {
+        super();
+
+        this.workflowEngine = workflowEngine;
+        this.fileManager = fileManager;
+
+        this.trackedRuns = new Set();
+        this.writeQueue = Promise.resolve(); // 같은 파일에 대한 동시 쓰기 방지
+        this.listeners = null;
+    }
+
+    /**
+     * 워크플로우 체크포인트 기록 시작
+     * @param {string} runId - 실행 ID (워크플로우 ID)
+     */
+    async start(runId) {
+        // initialize()는 파일 감시자까지 시작하므로 디렉터리만 준비
+        await this.fileManager.createDirectories();
+
+        this.trackedRuns.add(runId);
+        this.attachListeners();
+
+        await this.checkpoint(runId);
+    }
+
+    /**
+     * 워크플로우 체크포인트 기록 종료
+     * @param {string} runId - 실행 ID
+     * @param {string} status - 최종 상태 (completed, failed, cancelled)
+     */
+    async finish(runId, status) {
+        const workflow = this.workflowEngine.activeWorkflows.get(runId);
+        if (workflow) {
+            workflow.status = status;
+            workflow.completedAt = new Date();
+        }
+
+        await this.checkpoint(runId);
+
+        this.trackedRuns.delete(runId);
+        if (this.trackedRuns.size === 0) {
+            this.detachListeners();
+        }
+    }
+
+    /**
+     * 엔진 이벤트 구독 (태스크 상태 전이마다 체크포인트)
+     */
+    attachListeners() {
+        if (this.listeners) {
+            return;
+        }
+
+        this.listeners = {
+            task_started: (task) => this.onTransition(task.id),
+            task_retrying: (task) => this.onTransition(task.id),
+            task_rework: (task) => this.onTransition(task.id),
+            task_revision: (task) => this.onTransition(task.id),
+            task_completed: (taskId, result) => this.onTransition(taskId, result),
+            task_failed: (taskId) => this.onTransition(taskId),
+            task_cancelled: (task) => this.onTransition(task.id),
+            workflow_paused: (workflow) => this.onWorkflowTransition(workflow.id),
+            workflow_resumed: (workflow) => this.onWorkflowTransition(workflow.id),
+            workflow_cancelled: (workflow) => this.onWorkflowTransition(workflow.id)
+        };
+
+        for (const [event, listener] of Object.entries(this.listeners)) {
+            this.workflowEngine.on(event, listener);
+        }
+    }
+
+    /**
+     * 엔진 이벤트 구독 해제
+     */
+    detachListeners() {
+        if (!this.listeners) {
+            return;
+        }
+
+        for (const [event, listener] of Object.entries(this.listeners)) {
+            this.workflowEngine.off(event, listener);
+        }
+        this.listeners = null;
+    }
+
+    /**
+     * 태스크 상태 전이 처리
+     * @param {string} taskId - 태스크 ID
+     * @param {Object} result - 완료 결과 (완료 시에만)
+     */
+    onTransition(taskId, result) {
+        const task = this.findTask(taskId);
+        const runId = task?.metadata?.workflowId;
+        if (!runId || !this.trackedRuns.has(runId)) {
+            return;
+        }
+
+        if (result !== undefined) {
+            this.enqueue(() => this.fileManager.saveResult(task.assignee, task.id, result));
+        }
+
+        this.checkpoint(runId).catch(() => {
+            // 오류는 checkpoint_failed 이벤트로 전달됨
+        });
+    }
+
+    /**
+     * 워크플로우 상태 전이 처리 (일시 정지, 재개, 취소)
+     * @param {string} runId - 실행 ID
+     */
+    onWorkflowTransition(runId) {
+        if (!this.trackedRuns.has(runId)) {
+            return;
+        }
+
+        this.checkpoint(runId).catch(() => {
+            // 오류는 checkpoint_failed 이벤트로 전달됨
+        });
+    }
+
+    /**
+     * 워크플로우 상태를 디스크에 기록
+     * @param {string} runId - 실행 ID
+     * @returns {Promise<void>}
+     */
+    checkpoint(runId) {
+        return this.enqueue(() => this.fileManager.saveRun(runId, this.createSnapshot(runId)))
+            .then(() => this.emit('checkpoint_saved', runId));
+    }
+
+    /**
+     * 대기 중인 기록 완료까지 대기
+     */
+    async flush() {
+        await this.writeQueue;
+    }
+
+    /**
+     * 쓰기 작업을 순서대로 실행
+     * @param {Function} write - 쓰기 작업
+     * @returns {Promise} 쓰기 결과
+     */
+    enqueue(write) {
+        const pending = this.writeQueue.then(write);
+
+        // 실패한 쓰기가 이후 기록을 막지 않도록 큐는 항상 이어감
+        this.writeQueue = pending.catch((error) => {
+            console.warn(chalk.yellow(`⚠️  체크포인트 저장 실패: ${error.message}`));
+            this.emit('checkpoint_failed', error);
+        });
+
+        return pending;
+    }
+
+    /**
+     * 워크플로우 스냅샷 생성 (태스크 결과는 결과 파일에 따로 저장)
+     * @param {string} runId - 실행 ID
+     * @returns {Object} 스냅샷
+     */
+    createSnapshot(runId) {
+        const workflow = this.workflowEngine.activeWorkflows.get(runId);
+        if (!workflow) {
+            throw new Error(`Workflow ${runId} not found`);
+        }
+
+        const { tasks = [], ...plan } = workflow;
+
+        return {
+            runId,
+            status: workflow.status,
+            plan,
+            tasks: tasks.map(task => {
+                const state = task.toJSON();
+                delete state.result;
+                return state;
+            }),
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * 체크포인트에서 실행 상태 로드
+     * @param {string} runId - 실행 ID
+     * @returns {Promise<Object>} { plan, tasks, status }
+     */
+    async load(runId) {
+        const { data: snapshot } = await this.fileManager.loadRun(runId);
+
+        const tasks = [];
+        for (const state of snapshot.tasks) {
+            const task = Task.fromJSON(state);
+            if (task.status === 'completed') {
+                try {
+                    const saved = await this.fileManager.loadResult(task.assignee, task.id);
+                    task.result = saved.result;
+                } catch (error) {
+                    // 결과 파일이 없으면 완료로 볼 수 없으므로 다시 실행
+                    console.warn(chalk.yellow(`⚠️  ${task.id} 결과를 찾을 수 없어 다시 실행합니다: ${error.message}`));
+                    task.reset();
+                }
+            }
+            tasks.push(task);
+        }
+
+        return {
+            plan: snapshot.plan,
+            tasks,
+            status: snapshot.status
+        };
+    }
+
+    /**
+     * 체크포인트에서 엔진 상태 복원
+     * @param {string} runId - 실행 ID
+     * @returns {Promise<Object>} { plan, unfinished, completed } - 다시 실행할 태스크와 완료된 태스크
+     */
+    async restore(runId) {
+        const { plan, tasks } = await this.load(runId);
+        const unfinished = await this.workflowEngine.workflowControl.restoreWorkflow(plan, tasks);
+        const completed = tasks.filter(task => task.status === 'completed');
+
+        return { plan, unfinished, completed };
+    }
+
+    /**
+     * 엔진에서 태스크 조회 (대기/완료/실패 목록 전체)
+     * @param {string} taskId - 태스크 ID
+     * @returns {Task|undefined} 태스크
+     */
+    findTask(taskId) {
+        const { taskQueue, completedTasks, failedTasks } = this.workflowEngine;
+        return taskQueue.get(taskId) || completedTasks.get(taskId) || failedTasks.get(taskId);
+    }
+}
+
+module.exports = { WorkflowCheckpointer };
@@ -0,0 +1,181 @@
+const { createCancellationError } = require('../utils/cancellation');
+
+/**
+ * 워크플로우 제어 - 실행 중인 워크플로우와 태스크의 일시 정지, 재개, 취소와 체크포인트 복원
+ * 태스크 큐와 이벤트는 워크플로우 엔진의 것을 그대로 사용한다.
+ */
+class WorkflowControl {
+    /**
+     * @param {WorkflowEngine} workflowEngine - 태스크 상태를 가진 워크플로우 엔진
+     */
+    constructor(workflowEngine) {
+        this.workflowEngine = workflowEngine;
+    }
+
+    /**
+     * 워크플로우 일시 정지
+     * 새 태스크 배정만 멈추고, 이미 실행 중인 태스크는 끝까지 실행한다.
+     * @param {string} workflowId - 워크플로우 ID
+     * @returns {Object} 워크플로우
+     */
+    pauseWorkflow(workflowId) {
+        const workflow = this.getControllableWorkflow(workflowId);
+        if (workflow.status === 'paused') {
+            return workflow;
+        }
+
+        workflow.status = 'paused';
+        workflow.pausedAt = new Date();
+        workflow.updatedAt = new Date();
+
+        this.workflowEngine.emit('workflow_paused', workflow);
+
+        return workflow;
+    }
+
+    /**
+     * 일시 정지된 워크플로우 재개
+     * @param {string} workflowId - 워크플로우 ID
+     * @returns {Object} 워크플로우
+     */
+    resumeWorkflow(workflowId) {
+        const workflow = this.getControllableWorkflow(workflowId);
+        if (workflow.status !== 'paused') {
+            throw new Error(`Workflow ${workflowId} is not paused`);
+        }
+
+        workflow.status = 'in_progress';
+        workflow.pausedAt = null;
+        workflow.updatedAt = new Date();
+
+        this.workflowEngine.emit('workflow_resumed', workflow);
+
+        return workflow;
+    }
+
+    /**
+     * 워크플로우 취소
+     * 실행 중인 태스크는 중단하고 대기 중인 태스크는 모두 취소한다.
+     * @param {string} workflowId - 워크플로우 ID
+     * @param {string} reason - 취소 사유
+     * @returns {Array<Task>} 취소된 태스크 목록
+     */
+    cancelWorkflow(workflowId, reason = 'Workflow cancelled') {
+        const workflow = this.getControllableWorkflow(workflowId);
+
+        const cancelled = Array.from(this.workflowEngine.taskQueue.values())
+            .filter(task => task.metadata?.workflowId === workflowId)
+            .map(task => this.markTaskCancelled(task.id, reason));
+
+        workflow.status = 'cancelled';
+        workflow.cancelledAt = new Date();
+        workflow.updatedAt = new Date();
+
+        this.workflowEngine.emit('workflow_cancelled', workflow, cancelled);
+
+        return cancelled;
+    }
+
+    /**
+     * 일시 정지/재개/취소 가능한 워크플로우 조회
+     * @param {string} workflowId - 워크플로우 ID
+     * @returns {Object} 워크플로우
+     */
+    getControllableWorkflow(workflowId) {
+        const workflow = this.workflowEngine.activeWorkflows.get(workflowId);
+        if (!workflow) {
+            throw new Error(`Workflow ${workflowId} not found`);
+        }
+        if (['completed', 'failed', 'cancelled'].includes(workflow.status)) {
+            throw new Error(`Workflow ${workflowId} is already ${workflow.status}`);
+        }
+
+        return workflow;
+    }
+
+    /**
+     * 워크플로우 일시 정지 여부 확인
+     * @param {string} workflowId - 워크플로우 ID
+     * @returns {boolean} 일시 정지 여부
+     */
+    isWorkflowPaused(workflowId) {
+        return this.workflowEngine.activeWorkflows.get(workflowId)?.status === 'paused';
+    }
+
+    /**
+     * 태스크 취소
+     * 실행 중인 태스크는 취소 신호로 CLI 프로세스, API 요청, 도구 실행을 중단하고
+     * 대기 중인 태스크는 실행되지 않도록 큐에서 제거한다. 후속 태스크는 실패와 같이 차단된다.
+     * @param {string} taskId - 취소할 태스크 ID
+     * @param {string} reason - 취소 사유
+     * @returns {Task} 취소된 태스크
+     */
+    cancelTask(taskId, reason = 'Task cancelled') {
+        const task = this.markTaskCancelled(taskId, reason);
+        this.workflowEngine.handleTaskFailure(taskId);
+
+        return task;
+    }
+
+    /**
+     * 태스크 취소 처리 (후속 태스크 차단 없이 상태만 전환)
+     * @param {string} taskId - 취소할 태스크 ID
+     * @param {string} reason - 취소 사유
+     * @returns {Task} 취소된 태스크
+     */
+    markTaskCancelled(taskId, reason) {
+        const engine = this.workflowEngine;
+        const task = engine.taskQueue.get(taskId);
+        if (!task) {
+            throw new Error(`Task ${taskId} not found in queue`);
+        }
+
+        const error = createCancellationError(reason);
+        engine.abortControllers.get(taskId)?.abort(error);
+        engine.abortControllers.delete(taskId);
+
+        task.cancel(error);
+
+        // 큐에서 실패로 이동
+        engine.taskQueue.delete(taskId);
+        engine.failedTasks.set(taskId, task);
+
+        engine.emit('task_cancelled', task, error);
+
+        return task;
+    }
+
+    /**
+     * 체크포인트로부터 워크플로우 상태 복원
+     * 완료된 태스크는 완료 목록에 그대로 두고, 나머지(대기/진행/실패)는 대기 상태로 되돌려 큐에 다시 넣는다.
+     * @param {Object} plan - 실행 계획
+     * @param {Array<Task>} tasks - 복원된 태스크 목록
+     * @returns {Array<Task>} 다시 실행할 태스크 목록
+     */
+    async restoreWorkflow(plan, tasks) {
+        const engine = this.workflowEngine;
+        const unfinished = [];
+
+        for (const task of tasks) {
+            if (task.status === 'completed') {
+                engine.completedTasks.set(task.id, task);
+                continue;
+            }
+
+            task.reset();
+            engine.failedTasks.delete(task.id);
+            await engine.addTask(task);
+            unfinished.push(task);
+        }
+
+        plan.tasks = tasks;
+        plan.status = 'in_progress';
+        engine.activeWorkflows.set(plan.id, plan);
+
+        engine.emit('workflow_restored', plan, unfinished);
+
+        return unfinished;
+    }
+}
+
+module.exports = { WorkflowControl };
@@ -0,0 +1,300 @@
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const { RetryPolicy } = require('./retry-policy');
+const { EnsembleStrategy } = require('./ensemble-strategy');
+
+const ROLES = ['leader', 'senior_developer', 'researcher', 'developer'];
+
+// 재시도 정책 스키마
+const RETRY_SCHEMA = {
+    type: 'object',
+    properties: {
+        max_attempts: { type: 'integer', minimum: 1 },
+        backoff_ms: { type: 'integer', minimum: 0 },
+        backoff_multiplier: { type: 'number', minimum: 1 },
+        max_backoff_ms: { type: 'integer', minimum: 0 },
+        retry_on: { type: 'array', items: { type: 'string', enum: RetryPolicy.ERROR_CLASSES } },
+        fallback: { type: 'string', enum: RetryPolicy.FALLBACK_MODES }
+    }
+};
+
+// 앙상블 실행 스키마 (strategy: ensemble)
+const ENSEMBLE_SCHEMA = {
+    type: 'object',
+    properties: {
+        size: { type: 'integer', minimum: 2 },
+        decision: { type: 'string', enum: EnsembleStrategy.DECISIONS },
+        judge_role: { type: 'string', enum: ROLES },
+        vote_fields: { type: 'array', items: { type: 'string' } }
+    }
+};
+
+// 단계 정의 스키마
+const PHASE_SCHEMA = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+        name: { type: 'string', pattern: /^[a-z][a-z0-9_]*$/ },
+        description: { type: 'string' },
+        role: { type: 'string', enum: ROLES },
+        depends_on: { type: 'array', items: { type: 'string' } },
+        capabilities: { type: 'array', items: { type: 'string' } },
+        tools: { type: 'array', items: { type: 'string' } },
+        estimated_hours: { type: 'number', minimum: 0 },
+        timeout_ms: { type: 'integer', minimum: 1 },
+        retry: RETRY_SCHEMA,
+        deliverables: { type: 'array', items: { type: 'string' } },
+        acceptance_criteria: { type: 'array', items: { type: 'string' } },
+        review: { type: 'boolean' },
+        reviewer_role: { type: 'string', enum: ROLES },
+        strategy: { type: 'string', enum: ['single', 'ensemble'] },
+        ensemble: ENSEMBLE_SCHEMA
+    }
+};
+
+// 워크플로우 정의 스키마
+const WORKFLOW_SCHEMA = {
+    type: 'object',
+    required: ['name', 'phases'],
+    properties: {
+        name: { type: 'string' },
+        version: { type: ['string', 'number'] },
+        description: { type: 'string' },
+        project_type: { type: 'string' },
+        complexity: { type: 'string', enum: ['low', 'medium', 'high'] },
+        estimated_duration_days: { type: 'number', minimum: 0 },
+        key_technologies: { type: 'array', items: { type: 'string' } },
+        defaults: {
+            type: 'object',
+            properties: {
+                role: { type: 'string', enum: ROLES },
+                estimated_hours: { type: 'number', minimum: 0 },
+                timeout_ms: { type: 'integer', minimum: 1 },
+                retry: RETRY_SCHEMA,
+                review: { type: 'boolean' },
+                reviewer_role: { type: 'string', enum: ROLES }
+            }
+        },
+        phases: { type: 'array', minItems: 1, items: PHASE_SCHEMA }
+    }
+};
+
+/**
+ * 선언형 워크플로우 정의 로더
+ * shared/workflows/의 YAML/JSON 파일을 읽고 스키마 검증 후 실행 계획용 단계 목록으로 변환
+ */
+class WorkflowDefinitionLoader {
+    constructor(config = {}) {
+        this.workflowsDir = config.workflowsDir || path.join(__dirname, '../../shared/workflows');
+    }
+
+    /**
+     * 워크플로우 정의 파일 로드
+     * @param {string} filePath - 파일 경로 (없으면 shared/workflows 기준으로 탐색)
+     * @returns {Promise<Object>} 검증된 워크플로우 정의
+     */
+    async load(filePath) {
+        const resolvedPath = await this.resolvePath(filePath);
+        const content = await fs.readFile(resolvedPath, 'utf8');
+
+        const definition = this.parse(content, path.extname(resolvedPath));
+        this.validate(definition, resolvedPath);
+
+        return { ...definition, source: resolvedPath };
+    }
+
+    /**
+     * 파일 경로 해석
+     * @param {string} filePath - 파일 경로 또는 shared/workflows 내 파일명
+     * @returns {Promise<string>} 실제 파일 경로
+     */
+    async resolvePath(filePath) {
+        const candidates = [
+            path.resolve(filePath),
+            path.join(this.workflowsDir, filePath)
+        ];
+
+        for (const candidate of candidates) {
+            const exists = await fs.access(candidate).then(() => true, () => false);
+            if (exists) {
+                return candidate;
+            }
+        }
+
+        throw new Error(`Workflow definition not found: ${filePath}`);
+    }
+
+    /**
+     * 파일 내용 파싱
+     * @param {string} content - 파일 내용
+     * @param {string} extension - 파일 확장자
+     * @returns {Object} 파싱된 정의
+     */
+    parse(content, extension) {
+        try {
+            return extension === '.json' ? JSON.parse(content) : yaml.load(content);
+        } catch (error) {
+            throw new Error(`Invalid workflow definition syntax: ${error.message}`);
+        }
+    }
+
+    /**
+     * 스키마 검증
+     * @param {Object} definition - 워크플로우 정의
+     * @param {string} source - 오류 메시지용 출처
+     */
+    validate(definition, source = 'workflow') {
+        const errors = [];
+        this.validateValue(definition, WORKFLOW_SCHEMA, '', errors);
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid workflow definition (${source}):\n  - ${errors.join('\n  - ')}`);
+        }
+    }
+
+    /**
+     * 스키마에 대한 값 검증 (재귀)
+     * @param {*} value - 검증할 값
+     * @param {Object} schema - 스키마
+     * @param {string} location - 값 위치 (예: phases[0].role)
+     * @param {Array<string>} errors - 오류 수집 목록
+     */
+    validateValue(value, schema, location, errors) {
+        const label = location || 'workflow';
+        const types = [].concat(schema.type);
+
+        if (!types.some(type => this.matchesType(value, type))) {
+            errors.push(`${label} must be ${types.join(' or ')}`);
+            return;
+        }
+
+        this.validateConstraints(value, schema, label, errors);
+
+        if (Array.isArray(value)) {
+            this.validateArray(value, schema, label, errors);
+        } else if (schema.type === 'object') {
+            this.validateObject(value, schema, location, errors);
+        }
+    }
+
+    /**
+     * 값 제약 조건 검증 (enum, minimum, pattern)
+     * @param {*} value - 검증할 값
+     * @param {Object} schema - 스키마
+     * @param {string} label - 값 위치
+     * @param {Array<string>} errors - 오류 수집 목록
+     */
+    validateConstraints(value, schema, label, errors) {
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${label} must be one of: ${schema.enum.join(', ')}`);
+        }
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${label} must be >= ${schema.minimum}`);
+        }
+        if (schema.pattern && !schema.pattern.test(value)) {
+            errors.push(`${label} must match ${schema.pattern}`);
+        }
+    }
+
+    /**
+     * 배열 값 검증
+     * @param {Array} value - 배열 값
+     * @param {Object} schema - 배열 스키마
+     * @param {string} label - 값 위치
+     * @param {Array<string>} errors - 오류 수집 목록
+     */
+    validateArray(value, schema, label, errors) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${label} must have at least ${schema.minItems} item(s)`);
+        }
+
+        value.forEach((item, index) => {
+            this.validateValue(item, schema.items, `${label}[${index}]`, errors);
+        });
+    }
+
+    /**
+     * 객체 값 검증 (알 수 없는 필드는 오타 방지를 위해 거부)
+     * @param {Object} value - 객체 값
+     * @param {Object} schema - 객체 스키마
+     * @param {string} location - 값 위치
+     * @param {Array<string>} errors - 오류 수집 목록
+     */
+    validateObject(value, schema, location, errors) {
+        const prefix = location ? `${location}.` : '';
+
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push(`${prefix}${key} is required`);
+            }
+        }
+
+        for (const [key, child] of Object.entries(value)) {
+            const childSchema = schema.properties[key];
+            if (!childSchema) {
+                errors.push(`${prefix}${key} is not a known field`);
+            } else {
+                this.validateValue(child, childSchema, `${prefix}${key}`, errors);
+            }
+        }
+    }
+
+    /**
+     * 타입 일치 여부 확인
+     * @param {*} value - 값
+     * @param {string} type - 스키마 타입
+     * @returns {boolean} 일치 여부
+     */
+    matchesType(value, type) {
+        switch (type) {
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        default: return typeof value === type;
+        }
+    }
+
+    /**
+     * 정의를 실행 계획 단계 목록으로 변환 (defaults 적용)
+     * @param {Object} definition - 검증된 워크플로우 정의
+     * @returns {Array<Object>} 단계 목록 (ProjectAnalyzer 분석 결과와 같은 형식)
+     */
+    toPhases(definition) {
+        const defaults = definition.defaults || {};
+
+        return definition.phases.map(phase => ({
+            name: phase.name,
+            description: phase.description || `${phase.name} 단계`,
+            estimated_hours: phase.estimated_hours ?? defaults.estimated_hours ?? 4,
+            role: phase.role || defaults.role || 'developer',
+            deliverables: phase.deliverables || ['산출물'],
+            depends_on: phase.depends_on,
+            capabilities: phase.capabilities,
+            tools: phase.tools,
+            timeout_ms: phase.timeout_ms ?? defaults.timeout_ms,
+            retry: phase.retry || defaults.retry,
+            strategy: phase.strategy,
+            ensemble: phase.ensemble,
+            ...this.toReviewSettings(phase, defaults)
+        }));
+    }
+
+    /**
+     * 단계의 산출물 리뷰 설정 (defaults 적용)
+     * @param {Object} phase - 단계 정의
+     * @param {Object} defaults - 워크플로우 기본값
+     * @returns {Object} 리뷰 설정 ({ review, reviewer_role, acceptance_criteria })
+     */
+    toReviewSettings(phase, defaults) {
+        return {
+            review: phase.review ?? defaults.review,
+            reviewer_role: phase.reviewer_role || defaults.reviewer_role,
+            acceptance_criteria: phase.acceptance_criteria
+        };
+    }
+}
+
+WorkflowDefinitionLoader.SCHEMA = WORKFLOW_SCHEMA;
+
+module.exports = { WorkflowDefinitionLoader };
@@ -1,8 +1,18 @@
 const EventEmitter = require('events');
 const { Task } = require('../agents/base-agent');
 const { ProjectAnalyzer } = require('./project-analyzer');
+const { WorkflowDefinitionLoader } = require('./workflow-definition');
+const { ContextBuilder } = require('../utils/context-builder');
+const { EnsembleStrategy } = require('./ensemble-strategy');
+const { TestGate } = require('./test-gate');
+const { ReviewGate } = require('./review-gate');
+const { WorkflowControl } = require('./workflow-control');
 const chalk = require('chalk');
 
+function createEnsembleStrategy(config, contextBuilder) {
+    return new EnsembleStrategy(config?.ensemble, contextBuilder);
+}
+
 /**
  * 워크플로우 엔진 - 태스크 분해, 분배, 실행 관리
  */
@@ -15,6 +25,15 @@ class WorkflowEngine extends EventEmitter {
         // 프로젝트 분석기 초기화
         this.projectAnalyzer = new ProjectAnalyzer();
         
+        // 선언형 워크플로우 정의 로더
+        this.definitionLoader = new WorkflowDefinitionLoader(config?.workflows);
+        
+        // 선행 태스크 산출물 전달용 컨텍스트 빌더
+        this.contextBuilder = new ContextBuilder(config?.context);
+
+        // 여러 에이전트에 같은 태스크를 실행시키는 앙상블 전략 (태스크 metadata.strategy가 ensemble일 때)
+        this.ensembleStrategy = createEnsembleStrategy(config, this.contextBuilder);
+        
         // 활성 워크플로우 저장소
         this.activeWorkflows = new Map();
         
@@ -22,6 +41,7 @@ class WorkflowEngine extends EventEmitter {
         this.taskQueue = new Map(); // 대기 중인 태스크
         this.completedTasks = new Map(); // 완료된 태스크
         this.failedTasks = new Map(); // 실패한 태스크
+        this.abortControllers = new Map(); // 실행 중인 태스크 취소용 (taskId -> AbortController)
         
         // 태스크 분류 및 우선순위 매트릭스
         this.taskClassification = {
@@ -29,7 +49,7 @@ class WorkflowEngine extends EventEmitter {
             'research': { priority: 4, complexity: 'medium', role: 'researcher' },
             'complex_coding': { priority: 5, complexity: 'high', role: 'senior_developer' },
             'implementation': { priority: 3, complexity: 'medium', role: 'developer' },
-            'testing': { priority: 3, complexity: 'low', role: 'developer' },
+            'testing': { priority: 3, complexity: 'low', role: 'developer', tools: ['code_runner'] },
             'documentation': { priority: 2, complexity: 'low', role: 'developer' },
             'deployment': { priority: 4, complexity: 'medium', role: 'senior_developer' },
             'architecture': { priority: 5, complexity: 'high', role: 'leader' },
@@ -37,8 +57,15 @@ class WorkflowEngine extends EventEmitter {
         };
         
         // 설정
-        this.maxConcurrentTasks = 10;
+        this.maxConcurrentTasks = config?.performance?.maxConcurrentTasks || 10;
         this.defaultEstimatedTime = 3600000; // 1시간
+
+        // 테스트 실패 시 재작업 요청과 산출물 리뷰 단계
+        this.testGate = new TestGate(this, config?.testing);
+        this.reviewGate = new ReviewGate(this, config?.review);
+
+        // 워크플로우 일시 정지/재개/취소와 체크포인트 복원
+        this.workflowControl = new WorkflowControl(this);
         
         // 상태 관리
         this.isInitialized = false;
@@ -90,6 +117,7 @@ class WorkflowEngine extends EventEmitter {
             this.taskQueue.clear();
             this.completedTasks.clear();
             this.failedTasks.clear();
+            this.abortControllers.clear();
             
             this.isShutdown = true;
             this.isInitialized = false;
@@ -135,14 +163,22 @@ class WorkflowEngine extends EventEmitter {
     /**
      * 태스크 실패 처리
      */
-    handleTaskFailure(taskId, error) {
+    handleTaskFailure(taskId, _error) {
         // 실패한 태스크에 의존하는 태스크들 처리
         const dependentTasks = Array.from(this.taskQueue.values())
-            .filter(task => task.dependencies.includes(taskId));
-        
+            .filter(task => task.dependencies.includes(taskId) && task.status === 'pending');
+
         for (const task of dependentTasks) {
+            // 앞선 연쇄 처리에서 이미 실패 처리된 경우
+            if (!this.taskQueue.has(task.id)) {
+                continue;
+            }
+
             console.warn(chalk.yellow(`⚠️  Task ${task.id} blocked due to failed dependency ${taskId}`));
             this.emit('task_blocked', task.id, taskId);
+
+            // 실행될 수 없으므로 실패 처리 (task_failed 이벤트로 하위 태스크까지 연쇄 전파)
+            this.markTaskFailed(task.id, new Error(`Blocked by failed dependency ${taskId}`));
         }
     }
 
@@ -281,7 +317,7 @@ class WorkflowEngine extends EventEmitter {
             
             return plan;
             
-        } catch (error) {
+        } catch {
             console.warn(chalk.yellow('⚠️  AI 분석 실패, 기본 분석으로 대체'));
             
             // 폴백: 기존 방식으로 계획 생성
@@ -289,6 +325,51 @@ class WorkflowEngine extends EventEmitter {
         }
     }
 
+    /**
+     * 선언형 워크플로우 정의로 실행 계획 생성 (AI 분석 생략)
+     * @param {string} assigneeId - 계획 담당자 ID
+     * @param {string} filePath - 워크플로우 정의 파일 (YAML/JSON)
+     * @param {string} projectDescription - 프로젝트 설명 (없으면 정의의 description 사용)
+     * @returns {Object} 실행 계획
+     */
+    async createPlanFromDefinition(assigneeId, filePath, projectDescription = null) {
+        const definition = await this.definitionLoader.load(filePath);
+        const phases = this.definitionLoader.toPhases(definition);
+
+        // 의존성 오류(중복, 미정의, 순환)는 실행 전에 거부
+        this.buildPhaseGraph(phases);
+
+        const totalHours = phases.reduce((sum, phase) => sum + phase.estimated_hours, 0);
+        const estimatedDurationDays = definition.estimated_duration_days ?? Math.ceil(totalHours / 8);
+
+        const plan = {
+            id: `plan_${Date.now()}`,
+            title: definition.name,
+            description: projectDescription || definition.description || definition.name,
+            assignedBy: assigneeId,
+            projectType: definition.project_type || 'custom',
+            complexity: definition.complexity || 'medium',
+            estimatedDurationDays,
+            keyTechnologies: definition.key_technologies || [],
+            phases: phases.map(phase => phase.name),
+            detailedPhases: phases,
+            risks: [],
+            recommendations: [],
+            estimatedDuration: this.calculateDurationFromDays(estimatedDurationDays),
+            analysisSource: 'workflow_definition',
+            workflowDefinition: definition.source,
+            createdAt: new Date(),
+            status: 'created'
+        };
+
+        this.activeWorkflows.set(plan.id, plan);
+        this.emit('plan_created', plan);
+
+        console.log(chalk.green(`✅ 워크플로우 정의 로드 완료: ${definition.name} (${phases.length}개 단계)`));
+
+        return plan;
+    }
+
     /**
      * 태스크 분배 (AI 분석 기반)
      * @param {Object} plan - 실행 계획
@@ -296,10 +377,9 @@ class WorkflowEngine extends EventEmitter {
      */
     async distributeTasks(plan) {
         const tasks = [];
-        let previousTaskId = null;
-        
+
         console.log(chalk.blue('📋 태스크 분배 시작...'));
-        
+
         // AI 분석 결과가 있는 경우 상세 단계 사용
         const phasesToProcess = plan.detailedPhases || plan.phases.map(phase => ({
             name: phase,
@@ -308,37 +388,156 @@ class WorkflowEngine extends EventEmitter {
             role: this.taskClassification[phase]?.role || 'developer',
             deliverables: ['산출물']
         }));
-        
-        for (let i = 0; i < phasesToProcess.length; i++) {
+
+        // 단계 의존성 그래프 구성 (순환 의존성 검사 포함)
+        const phaseGraph = this.buildPhaseGraph(phasesToProcess);
+
+        // 의존성이 뒤쪽 단계를 가리킬 수 있으므로 태스크 ID를 먼저 확정
+        const taskConfigs = phasesToProcess.map((phaseDetails, i) =>
+            this.createEnhancedTaskConfig(phaseDetails, plan, [], i)
+        );
+        const taskIdByPhase = new Map(taskConfigs.map(config => [config.metadata.phase, config.id]));
+
+        for (let i = 0; i < taskConfigs.length; i++) {
             const phaseDetails = phasesToProcess[i];
-            const taskConfig = this.createEnhancedTaskConfig(phaseDetails, plan, previousTaskId, i);
-            
+            const taskConfig = taskConfigs[i];
+            taskConfig.dependencies = phaseGraph.get(phaseDetails.name).map(name => taskIdByPhase.get(name));
+
             const task = new Task(taskConfig);
             tasks.push(task);
-            
+
             console.log(chalk.green(`   ✅ ${task.id}: ${phaseDetails.description} → ${phaseDetails.role}`));
-            
-            // 다음 태스크의 의존성으로 현재 태스크 설정
-            previousTaskId = task.id;
-            
+
             // 태스크 큐에 추가
             await this.addTask(task);
         }
-        
+
+        // 워크플로우에 태스크 기록 (getTaskGraph에서 사용)
+        plan.tasks = tasks;
+
         console.log(chalk.blue(`📋 총 ${tasks.length}개 태스크 분배 완료`));
-        
+
         return tasks;
     }
 
+    /**
+     * 단계 의존성 그래프 생성
+     * depends_on이 지정되지 않은 단계는 바로 앞 단계에 의존한다 (기존 순차 동작).
+     * @param {Array<Object>} phases - 단계 목록
+     * @returns {Map<string, Array<string>>} 단계명 -> 선행 단계명 목록
+     */
+    buildPhaseGraph(phases) {
+        const names = phases.map(phase => phase.name);
+        const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+        if (duplicate) {
+            throw new Error(`Duplicate phase name: ${duplicate}`);
+        }
+
+        const graph = new Map();
+        phases.forEach((phase, index) => {
+            const declared = phase.depends_on;
+            const dependencies = Array.isArray(declared)
+                ? declared
+                : (index > 0 ? [names[index - 1]] : []);
+
+            for (const dependency of dependencies) {
+                if (!names.includes(dependency)) {
+                    throw new Error(`Phase ${phase.name} depends on unknown phase ${dependency}`);
+                }
+            }
+
+            graph.set(phase.name, [...new Set(dependencies)]);
+        });
+
+        const cycle = this.findDependencyCycle(graph);
+        if (cycle) {
+            throw new Error(`Circular dependency detected: ${cycle.join(' -> ')}`);
+        }
+
+        return graph;
+    }
+
+    /**
+     * 의존성 그래프에서 순환 경로 탐색 (DFS)
+     * @param {Map<string, Array<string>>} graph - 노드 -> 선행 노드 목록
+     * @returns {Array<string>|null} 순환 경로 또는 null
+     */
+    findDependencyCycle(graph) {
+        const visiting = new Set();
+        const visited = new Set();
+        const path = [];
+
+        const visit = (node) => {
+            if (visiting.has(node)) {
+                return [...path.slice(path.indexOf(node)), node];
+            }
+            if (visited.has(node) || !graph.has(node)) {
+                return null;
+            }
+
+            visiting.add(node);
+            path.push(node);
+            for (const dependency of graph.get(node)) {
+                const cycle = visit(dependency);
+                if (cycle) {
+                    return cycle;
+                }
+            }
+            path.pop();
+            visiting.delete(node);
+            visited.add(node);
+            return null;
+        };
+
+        for (const node of graph.keys()) {
+            const cycle = visit(node);
+            if (cycle) {
+                return cycle;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * 병렬 실행 단계 계산 (위상 정렬 레벨)
+     * @param {Object} dependencies - 태스크 ID -> 선행 태스크 ID 목록
+     * @returns {Array<Array<string>>} 동시에 실행 가능한 태스크 ID 묶음
+     */
+    computeExecutionLevels(dependencies) {
+        const remaining = new Map(Object.entries(dependencies).map(([id, deps]) =>
+            [id, deps.filter(depId => depId in dependencies)]
+        ));
+        const levels = [];
+        const done = new Set();
+
+        while (remaining.size > 0) {
+            const level = Array.from(remaining.keys())
+                .filter(id => remaining.get(id).every(depId => done.has(depId)));
+
+            if (level.length === 0) {
+                throw new Error('Circular dependency detected in task graph');
+            }
+
+            level.forEach(id => {
+                remaining.delete(id);
+                done.add(id);
+            });
+            levels.push(level);
+        }
+
+        return levels;
+    }
+
     /**
      * 향상된 태스크 설정 생성 (AI 분석 기반)
      * @param {Object} phaseDetails - 단계 상세 정보
      * @param {Object} plan - 실행 계획
-     * @param {string} previousTaskId - 이전 태스크 ID
+     * @param {Array<string>} dependencies - 선행 태스크 ID 목록
      * @param {number} index - 단계 인덱스
      * @returns {Object} 향상된 태스크 설정
      */
-    createEnhancedTaskConfig(phaseDetails, plan, previousTaskId, index) {
+    createEnhancedTaskConfig(phaseDetails, plan, dependencies, index) {
         const taskId = `${plan.id}_${phaseDetails.name}_${Date.now()}_${index}`;
         const classification = this.taskClassification[phaseDetails.name] || {
             priority: 3,
@@ -356,7 +555,7 @@ class WorkflowEngine extends EventEmitter {
             description: phaseDetails.description || `${phaseDetails.name} for ${plan.description}`,
             priority: classification.priority,
             complexity: classification.complexity,
-            dependencies: previousTaskId ? [previousTaskId] : [],
+            dependencies: dependencies || [],
             estimatedTime: estimatedTimeMs,
             deliverables: phaseDetails.deliverables || ['산출물'],
             metadata: {
@@ -367,7 +566,14 @@ class WorkflowEngine extends EventEmitter {
                 keyTechnologies: plan.keyTechnologies,
                 analysisSource: plan.analysisSource,
                 phaseIndex: index,
-                originalEstimatedHours: phaseDetails.estimated_hours
+                originalEstimatedHours: phaseDetails.estimated_hours,
+                requiredCapabilities: phaseDetails.capabilities,
+                requiredTools: phaseDetails.tools || classification.tools,
+                timeout: phaseDetails.timeout_ms,
+                retryPolicy: phaseDetails.retry,
+                strategy: phaseDetails.strategy,
+                ensemble: phaseDetails.ensemble,
+                ...this.reviewGate.getReviewSettings(phaseDetails)
             }
         };
     }
@@ -394,7 +600,8 @@ class WorkflowEngine extends EventEmitter {
             metadata: {
                 workflowId: plan.id,
                 phase,
-                preferredRole: classification.role
+                preferredRole: classification.role,
+                requiredTools: classification.tools
             }
         };
     }
@@ -417,11 +624,69 @@ class WorkflowEngine extends EventEmitter {
      * @returns {Task|null} 다음 태스크 또는 null
      */
     getNextTask() {
-        const availableTasks = Array.from(this.taskQueue.values())
-            .filter(task => this.areDependendenciesMet(task))
-            .sort((a, b) => b.priority - a.priority); // 우선순위 내림차순
-        
-        return availableTasks[0] || null;
+        const [nextTask] = this.getReadyTasks();
+        return nextTask || null;
+    }
+
+    /**
+     * 실행 가능한 태스크 목록 조회
+     * 의존성이 충족된 대기 태스크를 우선순위순으로 남은 동시 실행 슬롯만큼 반환한다.
+     * @returns {Array<Task>} 실행 가능한 태스크 목록
+     */
+    getReadyTasks() {
+        const freeSlots = this.maxConcurrentTasks - this.getRunningTaskCount();
+        if (freeSlots <= 0) {
+            return [];
+        }
+
+        return Array.from(this.taskQueue.values())
+            .filter(task => task.status === 'pending' && this.areDependendenciesMet(task))
+            .filter(task => !this.workflowControl.isWorkflowPaused(task.metadata?.workflowId))
+            .sort((a, b) => b.priority - a.priority) // 우선순위 내림차순
+            .slice(0, freeSlots);
+    }
+
+    /**
+     * 실행 중인 태스크 수 조회 (재시도 백오프 중인 태스크 포함)
+     * @returns {number} 실행 중인 태스크 수
+     */
+    getRunningTaskCount() {
+        return Array.from(this.taskQueue.values())
+            .filter(task => ['in_progress', 'retrying'].includes(task.status)).length;
+    }
+
+    /**
+     * 태스크 시작 처리
+     * @param {string} taskId - 시작할 태스크 ID
+     * @param {string} assignee - 담당 에이전트 ID
+     * @returns {Task} 시작된 태스크
+     */
+    markTaskStarted(taskId, assignee = null) {
+        const task = this.taskQueue.get(taskId);
+        if (!task) {
+            throw new Error(`Task ${taskId} not found in queue`);
+        }
+
+        if (assignee) {
+            task.assignee = assignee;
+        }
+
+        // 선행 태스크 산출물을 프롬프트 컨텍스트로 전달
+        const upstreamTasks = task.dependencies
+            .map(depId => this.completedTasks.get(depId))
+            .filter(Boolean);
+        task.upstreamContext = this.contextBuilder.buildUpstreamContext(upstreamTasks);
+
+        // 취소 신호 (에이전트 호출, 도구 실행까지 전달됨)
+        const controller = new AbortController();
+        this.abortControllers.set(taskId, controller);
+        task.signal = controller.signal;
+
+        task.start();
+
+        this.emit('task_started', task);
+
+        return task;
     }
 
     /**
@@ -447,6 +712,7 @@ class WorkflowEngine extends EventEmitter {
         }
         
         task.complete(result);
+        this.abortControllers.delete(taskId);
         
         // 큐에서 완료로 이동
         this.taskQueue.delete(taskId);
@@ -467,6 +733,7 @@ class WorkflowEngine extends EventEmitter {
         }
         
         task.fail(error);
+        this.abortControllers.delete(taskId);
         
         // 큐에서 실패로 이동
         this.taskQueue.delete(taskId);
@@ -475,13 +742,74 @@ class WorkflowEngine extends EventEmitter {
         this.emit('task_failed', taskId, error);
     }
 
+    /**
+     * 태스크 재시도 처리
+     * 실패한 시도를 실패 목록으로 옮기지 않고 (다른 에이전트에서) 다시 실행 상태로 전환한다.
+     * @param {string} taskId - 재시도할 태스크 ID
+     * @param {Object} retry - 재시도 정보 ({ attempt, agentId, previousAgentId, errorClass, delay, error })
+     * @returns {Task} 재시도 중인 태스크
+     */
+    markTaskRetrying(taskId, retry) {
+        const task = this.taskQueue.get(taskId);
+        if (!task) {
+            throw new Error(`Task ${taskId} not found in queue`);
+        }
+
+        task.assignee = retry.agentId || task.assignee;
+        task.error = null;
+        task.start();
+
+        this.emit('task_retrying', task, retry);
+
+        return task;
+    }
+
+    /**
+     * 여러 에이전트에 실행시킬 앙상블 태스크인지 확인
+     * @param {Task} task - 태스크
+     * @returns {boolean} 앙상블 여부
+     */
+    isEnsembleTask(task) {
+        return task.metadata?.strategy === 'ensemble';
+    }
+
+    /**
+     * 실행 중인 태스크의 스트리밍 출력 전달
+     * 에이전트가 응답을 받는 대로 대시보드에 표시할 수 있도록 청크 단위로 이벤트를 발생시킨다.
+     * @param {string} taskId - 태스크 ID
+     * @param {string} chunk - 출력 청크
+     */
+    recordTaskOutput(taskId, chunk) {
+        const task = this.taskQueue.get(taskId);
+        if (!task || task.status !== 'in_progress') {
+            return; // 이미 끝났거나 취소된 태스크의 늦은 출력은 무시
+        }
+
+        this.emit('task_output_chunk', task, chunk);
+    }
+
+    /**
+     * 실행 중인 태스크의 도구 사용 단계 전달
+     * @param {string} taskId - 태스크 ID
+     * @param {Object} step - 도구 실행 단계 ({ name, toolName, method, arguments, duration, isError })
+     */
+    recordToolStep(taskId, step) {
+        const task = this.taskQueue.get(taskId);
+        if (!task || task.status !== 'in_progress') {
+            return;
+        }
+
+        this.emit('task_tool_step', task, step);
+    }
+
     /**
      * 결과 통합
      * @param {string} integrator - 통합 담당자 ID
      * @param {Array} results - Promise.allSettled 결과
+     * @param {string} workflowId - 워크플로우 ID (리뷰 보고서 대상)
      * @returns {Object} 통합된 결과
      */
-    async integrateResults(integrator, results) {
+    async integrateResults(integrator, results, workflowId = null) {
         const successful = results.filter(r => r.status === 'fulfilled');
         const failed = results.filter(r => r.status === 'rejected');
         
@@ -493,6 +821,7 @@ class WorkflowEngine extends EventEmitter {
             results: successful.map(r => r.value),
             failures: failed.map(r => r.reason),
             summary: this.generateSummary(successful, failed),
+            review: this.reviewGate.getReviewReport(workflowId),
             integratedBy: integrator,
             timestamp: new Date()
         };
@@ -554,6 +883,16 @@ class WorkflowEngine extends EventEmitter {
      * @returns {Object} 할당 결과
      */
     assignTaskToAgent(task, availableAgents) {
+        // 재작업 태스크는 가능하면 이전 담당자에게 배정
+        const preferredAgent = availableAgents.find(agent => agent.id === task.metadata?.preferredAgent);
+        if (preferredAgent) {
+            return {
+                agentId: preferredAgent.id,
+                confidence: 1,
+                reasoning: `Reassigned to ${preferredAgent.id} to rework its previous deliverable`
+            };
+        }
+
         let bestAgent = null;
         let bestScore = 0;
         
@@ -595,7 +934,7 @@ class WorkflowEngine extends EventEmitter {
         }
         
         // 능력 매칭 (30점)
-        const requiredCapabilities = this.getRequiredCapabilities(task.type);
+        const requiredCapabilities = task.metadata?.requiredCapabilities || this.getRequiredCapabilities(task.type);
         if (agent.capabilities) {
             const matchingCapabilities = requiredCapabilities.filter(cap => 
                 agent.capabilities.includes(cap)
@@ -860,11 +1199,11 @@ class WorkflowEngine extends EventEmitter {
     }
 
     /**
-     * 워크플로우 상태 조회
+     * 개별 워크플로우 실행 상태 조회 (엔진 전체 상태는 getWorkflowStatus)
      * @param {string} workflowId - 워크플로우 ID
      * @returns {Object} 워크플로우 상태
      */
-    async getWorkflowStatus(workflowId) {
+    async getRunStatus(workflowId) {
         const workflow = this.activeWorkflows.get(workflowId);
         if (!workflow) {
             throw new Error(`Workflow ${workflowId} not found`);
@@ -988,15 +1327,30 @@ class WorkflowEngine extends EventEmitter {
         const workflow = await this.getWorkflow(workflowId);
         
         // 태스크 의존성 그래프 생성
+        const tasks = workflow.tasks || [];
         const dependencies = {};
-        for (const task of workflow.tasks) {
+        const dependents = {};
+        for (const task of tasks) {
             dependencies[task.id] = task.dependencies || [];
+            dependents[task.id] = [];
         }
-        
+
+        // 역방향 간선 (선행 태스크 -> 후속 태스크)
+        for (const task of tasks) {
+            for (const depId of dependencies[task.id]) {
+                if (dependents[depId]) {
+                    dependents[depId].push(task.id);
+                }
+            }
+        }
+
         return {
             workflowId,
-            tasks: workflow.tasks,
-            dependencies
+            tasks,
+            dependencies,
+            dependents,
+            roots: tasks.filter(task => dependencies[task.id].length === 0).map(task => task.id),
+            levels: this.computeExecutionLevels(dependencies)
         };
     }
 
@@ -3,11 +3,34 @@
 const { TeamManager } = require('./core/team-manager');
 const { LogVisualizer } = require('./visualization/log-visualizer');
 const { WorkflowEngine } = require('./core/workflow-engine');
+const { WorkflowCheckpointer } = require('./core/workflow-checkpointer');
+const { TaskRunner } = require('./core/task-runner');
+const { RetryPolicy } = require('./core/retry-policy');
 const { MCPToolManager } = require('./tools/mcp-tool-manager');
+const { MessageBroker } = require('./communication/message-broker');
 const { ClaudeAgent } = require('./agents/claude-agent');
 const { GeminiAgent } = require('./agents/gemini-agent');
+const { LLMAgent } = require('./agents/llm-agent');
 const { ApiConfigManager } = require('./utils/api-config');
+const FileManager = require('./utils/file-manager');
+const { isCancellation, delay } = require('./utils/cancellation');
 const chalk = require('chalk');
+const config = require('../config/team-config.json');
+const mcpToolsConfig = require('../config/mcp-tools.json');
+
+// 로컬 CLI를 우선 사용하는 제공자별 에이전트 (그 외 제공자는 LLMAgent로 HTTP API 호출)
+const CLI_AGENTS = {
+    claude: ClaudeAgent,
+    gemini: GeminiAgent
+};
+
+// 시뮬레이션 모드 팀원 (팀장, 김선임은 Claude / 이조사, 박개발은 Gemini 역할)
+const SIMULATION_MEMBERS = [
+    { id: 'claude_leader', name: '팀장', role: 'leader', capabilities: ['planning', 'coordination', 'quality_assurance'], color: 'blue', mcpEndpoint: 'simulation://claude-3-5-sonnet' },
+    { id: 'kim_senior', name: '김선임', role: 'senior_developer', capabilities: ['complex_coding', 'architecture', 'debugging'], color: 'cyan', mcpEndpoint: 'simulation://claude-3-5-sonnet' },
+    { id: 'lee_researcher', name: '이조사', role: 'researcher', capabilities: ['data_collection', 'analysis', 'documentation'], color: 'green', mcpEndpoint: 'simulation://gemini-1.5-flash' },
+    { id: 'park_developer', name: '박개발', role: 'developer', capabilities: ['coding', 'testing', 'maintenance'], color: 'yellow', mcpEndpoint: 'simulation://gemini-1.5-flash' }
+];
 
 /**
  * Claude-Gemini 팀 협업 시스템 메인 클래스
@@ -16,12 +39,51 @@ class ClaudeGeminiTeamSystem {
     constructor() {
         this.teamManager = new TeamManager();
         this.logVisualizer = new LogVisualizer();
-        this.workflowEngine = new WorkflowEngine();
-        this.toolManager = new MCPToolManager();
+        this.workflowEngine = new WorkflowEngine(config);
+        this.toolManager = new MCPToolManager(mcpToolsConfig);
+        this.messageBroker = new MessageBroker(config);
+        this.messageBroker.connectTeamManager(this.teamManager);
+        // 에이전트 간 협업 메시지(질문, 리뷰 등)는 로그에 기록 (대화 스레드는 브로커가 태스크별로 저장)
+        this.messageBroker.on('collaboration_message', (message) => {
+            this.logVisualizer.messageSent(message.from, message.to, `${message.type} (${message.data.taskId})`);
+        });
         this.apiConfig = new ApiConfigManager();
+        this.fileManager = new FileManager();
+        this.checkpointer = new WorkflowCheckpointer(this.workflowEngine, this.fileManager);
+        this.taskRunner = new TaskRunner({
+            workflowEngine: this.workflowEngine,
+            teamManager: this.teamManager,
+            executeTask: (task) => this.executeTask(task),
+            retryPolicy: new RetryPolicy(config.retry)
+        });
+        this.workflowEngine.on('task_retrying', (task, retry) => {
+            this.logVisualizer.taskRetrying(task.assignee, task.id, task.description, retry);
+        });
+        this.workflowEngine.on('task_cancelled', (task, error) => {
+            this.logVisualizer.taskCancelled(task.assignee || 'system', task.id, task.description, error.message);
+        });
+        this.workflowEngine.on('task_reviewed', (task, review) => {
+            this.logVisualizer.info(review.reviewer, `📝 리뷰 ${review.verdict}: ${task.id} (${review.comments.length} comments)`);
+        });
+        // 승인이 필요한 도구 호출은 대시보드(CLI/웹)에서 응답할 때까지 대기
+        this.toolManager.on('approval_requested', (request) => {
+            this.logVisualizer.warn(request.agentId || 'system', `🔐 도구 실행 승인 대기: ${request.tool}.${request.method} (${request.reason || 'policy'})`);
+        });
+        this.toolManager.on('approval_resolved', ({ request, decision }) => {
+            this.logVisualizer.info(request.agentId || 'system', `🔐 도구 실행 ${decision}: ${request.tool}.${request.method}`);
+        });
+        // code_runner 실행 결과는 엔진에 기록 (테스트 실패 판정용)
+        this.toolManager.on('execution_complete', ({ toolName, result, taskId }) => {
+            if (toolName === 'code_runner' && taskId && result?.structuredContent) {
+                this.workflowEngine.testGate.recordTestRun(taskId, result.structuredContent);
+            }
+        });
         
         this.isInitialized = false;
         this.realAiMode = false; // 실제 AI 사용 여부
+        this.simulationDelay = 500; // 시뮬레이션 태스크 소요 시간 (ms)
+        this.progressMonitoringInterval = null;
+        this.currentRunId = null; // 실행 중인 워크플로우 ID (일시 정지/취소 제어용)
     }
 
     /**
@@ -50,6 +112,9 @@ class ClaudeGeminiTeamSystem {
                 await this.initializeSimulationAgents();
             }
 
+            await this.toolManager.initialize();
+            await this.messageBroker.initialize();
+
             this.isInitialized = true;
             console.log(chalk.bold.green('✅ 팀 초기화 완료'));
             
@@ -61,74 +126,23 @@ class ClaudeGeminiTeamSystem {
 
     /**
      * 실제 AI 에이전트 초기화
+     * team-config.json의 team.members에 선언된 팀원을 제공자별 에이전트로 생성한다.
      */
     async initializeRealAiAgents() {
-        const claudeConfig = this.apiConfig.getApiConfig('claude');
-        const geminiConfig = this.apiConfig.getApiConfig('gemini');
-
-        // Claude 팀장 (로컬 CLI 우선, API 폴백)
-        const claudeLeader = new ClaudeAgent({
-            id: 'claude_leader',
-            name: '팀장',
-            role: 'leader',
-            capabilities: ['planning', 'coordination', 'quality_assurance', 'strategic_thinking'],
-            color: 'blue',
-            useLocalCLI: true,
-            cliPath: process.env.CLAUDE_CLI_PATH || 'claude',
-            apiKey: claudeConfig.apiKey,
-            apiBaseUrl: claudeConfig.apiUrl,
-            model: 'claude-sonnet-4'
-        });
-
-        // Claude 선임 개발자 (로컬 CLI 우선, API 폴백)
-        const claudeSenior = new ClaudeAgent({
-            id: 'kim_senior',
-            name: '김선임',
-            role: 'senior_developer',
-            capabilities: ['complex_coding', 'architecture', 'debugging', 'code_review'],
-            color: 'cyan',
-            useLocalCLI: true,
-            cliPath: process.env.CLAUDE_CLI_PATH || 'claude',
-            apiKey: claudeConfig.apiKey,
-            apiBaseUrl: claudeConfig.apiUrl,
-            model: 'claude-sonnet-4'
-        });
-
-        // Gemini 연구원 (로컬 CLI 우선, API 폴백)
-        const geminiResearcher = new GeminiAgent({
-            id: 'lee_researcher',
-            name: '이조사',
-            role: 'researcher',
-            capabilities: ['research', 'data_collection', 'analysis', 'documentation'],
-            color: 'green',
-            useLocalCLI: true,
-            cliPath: process.env.GEMINI_CLI_PATH || 'gemini',
-            apiKey: geminiConfig.apiKey,
-            apiBaseUrl: geminiConfig.apiUrl,
-            model: 'gemini-2.5-flash'
-        });
-
-        // Gemini 개발자 (로컬 CLI 우선, API 폴백)
-        const geminiDeveloper = new GeminiAgent({
-            id: 'park_developer',
-            name: '박개발',
-            role: 'developer',
-            capabilities: ['coding', 'testing', 'maintenance', 'implementation'],
-            color: 'yellow',
-            useLocalCLI: true,
-            cliPath: process.env.GEMINI_CLI_PATH || 'gemini',
-            apiKey: geminiConfig.apiKey,
-            apiBaseUrl: geminiConfig.apiUrl,
-            model: 'gemini-2.5-flash'
-        });
-
-        // 에이전트 초기화 및 팀에 추가
-        const agents = [claudeLeader, claudeSenior, geminiResearcher, geminiDeveloper];
+        const agents = config.team.members.map(member => this.createAgent(member));
         
         for (const agent of agents) {
             try {
                 await agent.initialize();
                 await this.teamManager.addAgent(agent);
+                agent.collaboration.connect(this.messageBroker);
+                // 스트리밍 출력은 엔진 이벤트로 대시보드에 전달
+                agent.on('task_output_chunk', (task, chunk) => this.workflowEngine.recordTaskOutput(task.id, chunk));
+                // 도구 사용 루프의 단계별 도구 실행은 로그와 대시보드에 기록
+                agent.on('tool_step', (task, step) => {
+                    this.logVisualizer.toolExecuted(agent.id, step.toolName, step.method, step.duration);
+                    this.workflowEngine.recordToolStep(task.id, step);
+                });
                 console.log(chalk.green(`✅ ${agent.name} (${agent.constructor.name}) 초기화 완료`));
             } catch (error) {
                 console.warn(chalk.yellow(`⚠️  ${agent.name} 초기화 실패, 시뮬레이션 모드로 전환: ${error.message}`));
@@ -146,83 +160,57 @@ class ClaudeGeminiTeamSystem {
     }
 
     /**
-     * 시뮬레이션 에이전트 초기화 (기존 방식)
+     * 팀원 선언으로 에이전트 생성
+     * claude/gemini는 로컬 CLI 우선(API 폴백) 에이전트를, 그 외 제공자는 LLMAgent를 사용한다.
+     * @param {Object} member - 팀원 선언 ({ id, name, role, provider, model, capabilities, color, apiBaseUrl })
+     * @returns {BaseAgent} 에이전트
      */
-    async initializeSimulationAgents() {
-        // 팀장 Claude 설정
-        await this.teamManager.addTeamMember({
-            id: 'claude_leader',
-            name: '팀장',
-            role: 'leader',
-            capabilities: ['planning', 'coordination', 'quality_assurance'],
-            color: 'blue',
-            mcpEndpoint: 'simulation://claude-3-5-sonnet'
-        });
-
-        // 김선임 Claude 설정
-        await this.teamManager.addTeamMember({
-            id: 'kim_senior',
-            name: '김선임',
-            role: 'senior_developer',
-            capabilities: ['complex_coding', 'architecture', 'debugging'],
-            color: 'cyan',
-            mcpEndpoint: 'simulation://claude-3-5-sonnet'
-        });
+    createAgent(member) {
+        const apiConfig = this.apiConfig.hasProvider(member.provider) ? this.apiConfig.getApiConfig(member.provider) : {};
+        const AgentClass = CLI_AGENTS[member.provider] || LLMAgent;
 
-        // 이조사 Gemini 설정
-        await this.teamManager.addTeamMember({
-            id: 'lee_researcher',
-            name: '이조사',
-            role: 'researcher',
-            capabilities: ['data_collection', 'analysis', 'documentation'],
-            color: 'green',
-            mcpEndpoint: 'simulation://gemini-1.5-flash'
+        return new AgentClass({
+            ...member,
+            capabilities: member.capabilities || config.team.defaultCapabilities[member.role],
+            model: member.model || apiConfig.model,
+            apiKey: apiConfig.apiKey,
+            apiBaseUrl: member.apiBaseUrl || apiConfig.apiUrl
         });
+    }
 
-        // 박개발 Gemini 설정
-        await this.teamManager.addTeamMember({
-            id: 'park_developer',
-            name: '박개발',
-            role: 'developer',
-            capabilities: ['coding', 'testing', 'maintenance'],
-            color: 'yellow',
-            mcpEndpoint: 'simulation://gemini-1.5-flash'
-        });
+    /**
+     * 시뮬레이션 에이전트 초기화 (기존 방식)
+     */
+    async initializeSimulationAgents() {
+        for (const member of SIMULATION_MEMBERS) {
+            await this.teamManager.addTeamMember(member);
+        }
     }
 
     /**
      * 프로젝트 실행
      * @param {string} projectDescription - 프로젝트 설명
+     * @param {Object} options - 실행 옵션 ({ workflowFile: 선언형 워크플로우 정의 파일 })
      */
-    async executeProject(projectDescription) {
+    async executeProject(projectDescription, options = {}) {
         await this.initializeTeam();
+        await this.workflowEngine.initialize();
         
         console.log(chalk.bold.magenta('🚀 프로젝트 시작'));
-        console.log(chalk.cyan(`📋 프로젝트: ${projectDescription}`));
+        console.log(chalk.cyan(`📋 프로젝트: ${projectDescription || options.workflowFile}`));
         
         try {
-            // 1. 팀장이 프로젝트 분석 및 계획 수립
-            const plan = await this.workflowEngine.createExecutionPlan(
-                'claude_leader',
-                projectDescription
-            );
+            // 1. 팀장이 프로젝트 분석 및 계획 수립 (워크플로우 정의 파일이 있으면 AI 분석 생략)
+            const plan = options.workflowFile
+                ? await this.workflowEngine.createPlanFromDefinition('claude_leader', options.workflowFile, projectDescription)
+                : await this.workflowEngine.createExecutionPlan('claude_leader', projectDescription);
 
-            // 2. 태스크 분배 및 병렬 실행
+            // 2. 태스크 분배 (의존성 그래프 구성)
             const tasks = await this.workflowEngine.distributeTasks(plan);
+            await this.workflowEngine.startWorkflow(plan.id);
             
-            // 3. 실시간 진행 상황 모니터링
-            this.startProgressMonitoring();
-            
-            // 4. 태스크 실행
-            const results = await Promise.allSettled(
-                tasks.map(task => this.executeTask(task))
-            );
-
-            // 5. 결과 통합 및 품질 검증
-            const finalResult = await this.workflowEngine.integrateResults(
-                'claude_leader',
-                results
-            );
+            // 3. 태스크 실행 및 결과 통합
+            const finalResult = await this.runWorkflow(plan, tasks);
 
             console.log(chalk.bold.green('🎉 프로젝트 완료!'));
             return finalResult;
@@ -233,62 +221,233 @@ class ClaudeGeminiTeamSystem {
         }
     }
 
+    /**
+     * 중단된 프로젝트 재개
+     * 체크포인트에서 엔진 상태를 복원하고 완료되지 않은 태스크만 다시 실행한다.
+     * @param {string} runId - 실행 ID
+     */
+    async resumeProject(runId) {
+        await this.initializeTeam();
+        await this.workflowEngine.initialize();
+
+        console.log(chalk.bold.magenta(`🔄 프로젝트 재개: ${runId}`));
+
+        try {
+            const { plan, unfinished, completed } = await this.checkpointer.restore(runId);
+            console.log(chalk.cyan(`📋 완료된 태스크 ${completed.length}개, 남은 태스크 ${unfinished.length}개`));
+
+            // 이전 실행에서 완료된 결과는 그대로 통합에 포함
+            const previousResults = completed.map(task => ({ status: 'fulfilled', value: task.result }));
+            const finalResult = await this.runWorkflow(plan, unfinished, previousResults);
+
+            console.log(chalk.bold.green('🎉 프로젝트 완료!'));
+            return finalResult;
+        } catch (error) {
+            console.error(chalk.bold.red('❌ 프로젝트 재개 실패:'), error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * 워크플로우 실행 (체크포인트 기록, 진행 상황 모니터링, 결과 통합)
+     * @param {Object} plan - 실행 계획
+     * @param {Array<Task>} tasks - 실행할 태스크 목록
+     * @param {Array<Object>} previousResults - 이전 실행에서 완료된 결과
+     * @returns {Promise<Object>} 통합된 결과
+     */
+    async runWorkflow(plan, tasks, previousResults = []) {
+        await this.checkpointer.start(plan.id);
+        console.log(chalk.gray(`💾 실행 ID: ${plan.id} (중단 시 resume ${plan.id} 명령으로 재개)`));
+        // 에이전트 산출물 파일은 실행별 작업 공간에 저장 (재개 시 같은 작업 공간 사용)
+        const workspace = await this.toolManager.openWorkspace(plan.id);
+        if (workspace) {
+            console.log(chalk.gray(`📁 작업 공간: ${workspace}`));
+        }
+        this.startProgressMonitoring();
+        this.currentRunId = plan.id;
+
+        try {
+            // 의존성 순서에 따라 태스크 실행 (실패한 시도는 재시도 정책 적용)
+            const results = [...previousResults, ...await this.taskRunner.run(tasks)];
+            await this.checkpointer.finish(plan.id, this.getFinalStatus(plan.id, results));
+
+            // 결과 통합 및 품질 검증 (리뷰 판정과 수정 횟수 포함)
+            const integration = await this.workflowEngine.integrateResults('claude_leader', results, plan.id);
+            if (integration.review.reviewed > 0) {
+                const { reviewed, approved, revisions } = integration.review;
+                console.log(chalk.cyan(`📝 리뷰: ${reviewed}개 태스크 중 ${approved}개 승인, 수정 ${revisions}회`));
+            }
+            return integration;
+        } finally {
+            this.currentRunId = null;
+            this.stopProgressMonitoring();
+        }
+    }
+
+    /**
+     * 워크플로우 최종 상태 결정
+     * @param {string} runId - 실행 ID
+     * @param {Array<Object>} results - 태스크별 결과
+     * @returns {string} 최종 상태 (completed, failed, cancelled)
+     */
+    getFinalStatus(runId, results) {
+        if (this.workflowEngine.activeWorkflows.get(runId)?.status === 'cancelled') {
+            return 'cancelled';
+        }
+
+        return results.some(result => result.status === 'rejected') ? 'failed' : 'completed';
+    }
+
     /**
      * 개별 태스크 실행
      * @param {Object} task - 실행할 태스크
      */
     async executeTask(task) {
         const agent = this.teamManager.getAgent(task.assignee);
+        const startTime = Date.now();
         
-        this.logVisualizer.displayRealtimeLog(
-            `작업 시작: ${task.description}`,
-            task.assignee
-        );
+        let releaseTools = () => {};
+
+        this.logVisualizer.taskStarted(task.assignee, task.id, task.description);
 
         try {
-            // MCP 도구 할당
-            await this.toolManager.assignToolToAgent(
-                task.assignee,
-                task.type
-            );
+            // MCP 도구 할당 (실패해도 태스크는 진행)
+            releaseTools = await this.assignTools(task);
 
-            // 작업 실행
-            const result = await agent.executeTask(task);
+            // 작업 실행 (앙상블 태스크는 여러 에이전트에 실행시킨 뒤 결과 결정)
+            const result = this.workflowEngine.isEnsembleTask(task)
+                ? await this.executeEnsemble(task)
+                : await this.runOnMember(task, agent);
+            this.workflowEngine.testGate.checkTestResults(task);
+            await this.workflowEngine.reviewGate.reviewDeliverable(task, result, this.teamManager, { simulationDelay: this.simulationDelay / 5 });
 
-            this.logVisualizer.displayRealtimeLog(
-                `작업 완료: ${task.description}`,
-                task.assignee
-            );
+            this.logVisualizer.taskCompleted(task.assignee, task.id, task.description, Date.now() - startTime);
 
             return result;
             
         } catch (error) {
-            this.logVisualizer.displayRealtimeLog(
-                `작업 실패: ${task.description} - ${error.message}`,
-                task.assignee
-            );
+            // 취소는 task_cancelled 이벤트에서 기록
+            if (!isCancellation(error)) {
+                this.logVisualizer.taskFailed(task.assignee, task.id, task.description, error);
+            }
             throw error;
+        } finally {
+            releaseTools();
+            this.workflowEngine.testGate.clearTestRun(task.id);
         }
     }
 
+    /**
+     * 팀원 1명에게 태스크 실행 (시뮬레이션 팀원은 실행 구현이 없음)
+     * @param {Task} task - 실행할 태스크
+     * @param {Object} member - 담당 에이전트 또는 팀원
+     * @returns {Promise<Object>} 실행 결과
+     */
+    async runOnMember(task, member) {
+        const result = typeof member.executeTask === 'function'
+            ? await member.executeTask(task)
+            : await this.simulateTaskExecution(task, member);
+
+        // 에이전트가 실패를 결과 객체로 반환하는 경우 (재시도 정책이 status, code로 분류하도록 원래 오류를 전달)
+        if (result && result.success === false) {
+            throw result.cause instanceof Error ? result.cause : new Error(result.error || 'Task execution failed');
+        }
+        return result;
+    }
+
+    /**
+     * 앙상블 태스크 실행 (후보 선택과 결과 결정은 EnsembleStrategy에서 수행)
+     * @param {Task} task - 실행할 태스크
+     * @returns {Promise<Object>} 최종 결과 (후보별 결과와 결정 근거는 result.ensemble에 기록)
+     */
+    executeEnsemble(task) {
+        return this.workflowEngine.ensembleStrategy.execute(task, {
+            members: this.teamManager.getTeamMembers(),
+            taskRunner: this.taskRunner,
+            logger: this.logVisualizer,
+            simulationDelay: this.simulationDelay / 5,
+            runCandidate: async (candidate, member) => {
+                // 담당자의 도구는 executeTask에서 할당/해제
+                const releaseTools = member.id !== task.assignee ? await this.assignTools(candidate) : () => {};
+                try {
+                    return await this.runOnMember(candidate, member);
+                } finally {
+                    releaseTools();
+                }
+            }
+        });
+    }
+
+    /**
+     * 태스크에 MCP 도구 할당 (mcp-tools.json의 assignmentRules와 담당자 역할 기준)
+     * 실제 AI 에이전트에는 태스크 컨텍스트가 묶인 도구 핸들이 추가되므로 태스크가 끝나면 반환된 함수로 제거한다.
+     * @param {Task} task - 실행할 태스크
+     * @returns {Promise<Function>} 추가한 도구 핸들 제거 함수 (할당에 실패하면 아무것도 하지 않음)
+     */
+    async assignTools(task) {
+        try {
+            const agent = this.teamManager.getAgent(task.assignee);
+            const { tool, release } = await this.toolManager.attachTaskTools(agent, task, this.currentRunId);
+            if (tool) {
+                this.logVisualizer.debug(task.assignee, `도구 할당: ${tool.name} (${task.type})`);
+            }
+            return release;
+        } catch (error) {
+            this.logVisualizer.warn(task.assignee, `도구 할당 실패: ${error.message}`);
+            return () => {};
+        }
+    }
+
+    /**
+     * 시뮬레이션 모드 태스크 실행
+     * @param {Task} task - 실행할 태스크
+     * @param {TeamMember} member - 담당 팀원
+     * @returns {Promise<Object>} 모의 실행 결과
+     */
+    async simulateTaskExecution(task, member) {
+        await delay(this.simulationDelay, task.signal);
+
+        const result = `${member.name} completed ${task.type} task (simulation)`;
+        this.workflowEngine.recordTaskOutput(task.id, result);
+
+        return {
+            success: true,
+            data: { result },
+            source: 'simulation'
+        };
+    }
+
     /**
      * 진행 상황 모니터링 시작
      */
     startProgressMonitoring() {
+        this.stopProgressMonitoring();
+
         const intervalId = setInterval(() => {
             const teamStatus = this.teamManager.getTeamStatusDetailed();
             // 로그로 상태 출력 (LogVisualizer에 displayTeamStatus 메서드가 없으므로)
             this.logVisualizer.info('system', `팀 상태: ${teamStatus.activeMembers}/${teamStatus.totalMembers} 활성`, teamStatus);
         }, 5000);
+        this.progressMonitoringInterval = intervalId;
 
         // 정리 함수 등록
-        process.on('SIGINT', () => {
+        process.once('SIGINT', () => {
             clearInterval(intervalId);
             console.log(chalk.yellow('\n👋 시스템 종료 중...'));
             process.exit(0);
         });
     }
 
+    /**
+     * 진행 상황 모니터링 중지
+     */
+    stopProgressMonitoring() {
+        if (this.progressMonitoringInterval) {
+            clearInterval(this.progressMonitoringInterval);
+            this.progressMonitoringInterval = null;
+        }
+    }
+
     /**
      * 시스템 상태 확인
      */
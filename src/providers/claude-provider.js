@@ -0,0 +1,151 @@
+const { LLMProvider } = require('./llm-provider');
+const { readServerSentEvents } = require('../utils/sse-reader');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// Messages API 스트리밍 이벤트 처리 (텍스트 델타는 반환값으로 전달)
+const STREAM_EVENT_HANDLERS = {
+    message_start: (event, message) => {
+        message.usage.input_tokens = event.message.usage?.input_tokens || 0;
+    },
+    content_block_delta: (event) => (event.delta.type === 'text_delta' ? event.delta.text : null),
+    message_delta: (event, message) => {
+        message.usage.output_tokens = event.usage?.output_tokens || 0;
+    },
+    error: (event) => {
+        throw new Error(event.error?.message || 'Claude API stream error');
+    }
+};
+
+// 대화 메시지 → Messages API 메시지 (도구 호출은 tool_use, 결과는 user 메시지의 tool_result 블록)
+const MESSAGE_FORMATTERS = {
+    user: (message) => ({ role: 'user', content: message.content }),
+    assistant: (message) => ({
+        role: 'assistant',
+        content: [
+            ...(message.content ? [{ type: 'text', text: message.content }] : []),
+            ...(message.toolCalls || []).map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments }))
+        ]
+    }),
+    tool: (message) => ({
+        role: 'user',
+        content: message.results.map(result => ({
+            type: 'tool_result',
+            tool_use_id: result.id,
+            content: result.content,
+            is_error: result.isError
+        }))
+    })
+};
+
+/**
+ * Claude 제공자 - Anthropic Messages API
+ */
+class ClaudeProvider extends LLMProvider {
+    constructor(config = {}) {
+        super({
+            ...config,
+            name: 'claude',
+            model: config.model || 'claude-sonnet-4',
+            baseUrl: config.baseUrl || process.env.CLAUDE_API_URL || 'https://api.anthropic.com/v1/messages'
+        });
+    }
+
+    /**
+     * Messages API 요청 생성
+     */
+    buildRequest(prompt, options) {
+        const body = {
+            model: this.model,
+            max_tokens: options.maxTokens || this.maxTokens,
+            messages: this.toMessages(prompt).map(message => MESSAGE_FORMATTERS[message.role](message)),
+            temperature: this.temperature,
+            stream: options.stream
+        };
+        if (options.tools?.length > 0) {
+            body.tools = options.tools.map(tool => ({
+                name: tool.name,
+                description: tool.description,
+                input_schema: tool.inputSchema
+            }));
+        }
+
+        return { url: this.baseUrl, headers: this.getHeaders(), body };
+    }
+
+    getHeaders() {
+        return {
+            'x-api-key': this.apiKey,
+            'anthropic-version': ANTHROPIC_VERSION
+        };
+    }
+
+    /**
+     * 응답 정규화 (content 블록의 텍스트를 이어 붙이고 tool_use 블록은 도구 호출로 변환)
+     */
+    parseResponse(raw) {
+        const blocks = raw.content || [];
+        const text = blocks
+            .filter(block => block.type === undefined || block.type === 'text')
+            .map(block => block.text)
+            .join('');
+        const toolCalls = blocks
+            .filter(block => block.type === 'tool_use')
+            .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} }));
+
+        return {
+            text,
+            toolCalls,
+            usage: {
+                inputTokens: raw.usage?.input_tokens || 0,
+                outputTokens: raw.usage?.output_tokens || 0
+            }
+        };
+    }
+
+    /**
+     * 스트리밍 응답 읽기 (Messages API SSE)
+     * 텍스트 델타를 받는 대로 onChunk로 전달하고, 비스트리밍 응답과 같은 형태로 조립한다.
+     * @param {Response} response - fetch 응답
+     * @param {Function} onChunk - 텍스트 청크 콜백
+     * @returns {Promise<Object>} 조립된 응답 ({ content, usage })
+     */
+    async readStream(response, onChunk) {
+        const message = { content: [{ type: 'text', text: '' }], usage: { input_tokens: 0, output_tokens: 0 } };
+
+        for await (const { data } of readServerSentEvents(response.body)) {
+            const event = JSON.parse(data);
+            const handler = STREAM_EVENT_HANDLERS[event.type];
+            const text = handler ? handler(event, message) : null;
+
+            if (text) {
+                message.content[0].text += text;
+                onChunk(text);
+            }
+        }
+
+        return message;
+    }
+
+    /**
+     * 토큰 수 계산 (count_tokens 엔드포인트)
+     * @param {string} text - 텍스트
+     * @returns {Promise<number>} 입력 토큰 수
+     */
+    async countTokens(text) {
+        const response = await this.fetch(`${this.baseUrl}/count_tokens`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...this.getHeaders() },
+            body: JSON.stringify({ model: this.model, messages: [{ role: 'user', content: text }] })
+        });
+
+        if (!response.ok) {
+            throw await this.createHttpError(response);
+        }
+
+        const { input_tokens: inputTokens } = await response.json();
+        return inputTokens;
+    }
+}
+
+module.exports = { ClaudeProvider };
@@ -0,0 +1,192 @@
+const { LLMProvider } = require('./llm-provider');
+const { readServerSentEvents } = require('../utils/sse-reader');
+
+const SAFETY_SETTINGS = [
+    {
+        category: 'HARM_CATEGORY_HARASSMENT',
+        threshold: 'BLOCK_MEDIUM_AND_ABOVE'
+    },
+    {
+        category: 'HARM_CATEGORY_HATE_SPEECH',
+        threshold: 'BLOCK_MEDIUM_AND_ABOVE'
+    }
+];
+
+// 함수 선언 parameters에 허용되는 스키마 키워드 (OpenAPI 스키마의 부분 집합)
+const SCHEMA_KEYS = ['type', 'description', 'properties', 'required', 'items', 'enum', 'format', 'nullable', 'minimum', 'maximum', 'minItems', 'maxItems'];
+
+// 대화 메시지 → contents (도구 호출은 functionCall, 결과는 functionResponse 파트)
+const CONTENT_FORMATTERS = {
+    user: (message) => ({ role: 'user', parts: [{ text: message.content }] }),
+    assistant: (message) => ({
+        role: 'model',
+        parts: [
+            ...(message.content ? [{ text: message.content }] : []),
+            ...(message.toolCalls || []).map(call => ({ functionCall: { name: call.name, args: call.arguments } }))
+        ]
+    }),
+    tool: (message) => ({
+        role: 'user',
+        parts: message.results.map(result => ({
+            functionResponse: {
+                name: result.name,
+                response: result.isError ? { error: result.content } : { content: result.content }
+            }
+        }))
+    })
+};
+
+/**
+ * JSON Schema를 함수 선언 parameters 형식으로 변환 (지원하지 않는 키워드 제거)
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} 변환된 스키마
+ */
+function toFunctionSchema(schema) {
+    const result = {};
+
+    for (const key of SCHEMA_KEYS.filter(name => schema[name] !== undefined)) {
+        result[key] = schema[key];
+    }
+    if (schema.properties) {
+        result.properties = Object.fromEntries(Object.entries(schema.properties)
+            .map(([name, property]) => [name, toFunctionSchema(property)]));
+    }
+    if (schema.items) {
+        result.items = toFunctionSchema(schema.items);
+    }
+
+    return result;
+}
+
+/**
+ * Gemini 제공자 - Google Generative Language API
+ */
+class GeminiProvider extends LLMProvider {
+    constructor(config = {}) {
+        super({
+            ...config,
+            name: 'gemini',
+            model: config.model || 'gemini-2.5-flash',
+            baseUrl: config.baseUrl || process.env.GEMINI_API_URL || 'https://generativelanguage.googleapis.com/v1beta/models'
+        });
+    }
+
+    /**
+     * generateContent 요청 생성
+     * 스트리밍 요청은 SSE 형식(alt=sse)으로 부분 응답을 받는다.
+     * @param {string|Array} prompt - 텍스트, 대화 메시지 목록 또는 Gemini 형식의 contents 배열 (멀티모달)
+     */
+    buildRequest(prompt, options) {
+        const url = options.stream
+            ? `${this.baseUrl}/${this.model}:streamGenerateContent?alt=sse&key=${this.apiKey}`
+            : `${this.baseUrl}/${this.model}:generateContent?key=${this.apiKey}`;
+        const body = {
+            contents: this.formatContents(prompt),
+            generationConfig: {
+                temperature: this.temperature,
+                maxOutputTokens: options.maxTokens || this.maxTokens,
+                topK: 40,
+                topP: 0.95
+            },
+            safetySettings: SAFETY_SETTINGS
+        };
+        if (options.tools?.length > 0) {
+            body.tools = [{
+                functionDeclarations: options.tools.map(tool => ({
+                    name: tool.name,
+                    description: tool.description,
+                    parameters: toFunctionSchema(tool.inputSchema)
+                }))
+            }];
+        }
+
+        return { url, headers: {}, body };
+    }
+
+    /**
+     * contents 생성 (contents 배열은 그대로 사용하고 대화 메시지는 변환)
+     */
+    formatContents(prompt) {
+        if (typeof prompt === 'string') {
+            return [{ parts: [{ text: prompt }] }];
+        }
+
+        return prompt.map(item => (item.parts ? item : CONTENT_FORMATTERS[item.role](item)));
+    }
+
+    /**
+     * 응답 정규화 (첫 번째 후보의 텍스트 파트를 이어 붙이고 functionCall 파트는 도구 호출로 변환)
+     */
+    parseResponse(raw) {
+        const parts = raw.candidates?.[0]?.content?.parts || [];
+        const toolCalls = parts
+            .filter(part => part.functionCall)
+            .map((part, index) => ({
+                id: part.functionCall.id || `call_${index}`,
+                name: part.functionCall.name,
+                arguments: part.functionCall.args || {}
+            }));
+
+        return {
+            text: this.extractText(raw),
+            toolCalls,
+            usage: {
+                inputTokens: raw.usageMetadata?.promptTokenCount || 0,
+                outputTokens: raw.usageMetadata?.candidatesTokenCount || 0
+            }
+        };
+    }
+
+    extractText(raw) {
+        const parts = raw.candidates?.[0]?.content?.parts || [];
+        return parts.map(part => part.text || '').join('');
+    }
+
+    /**
+     * 스트리밍 응답 읽기 (streamGenerateContent SSE)
+     * 부분 응답의 텍스트를 받는 대로 onChunk로 전달하고, 비스트리밍 응답과 같은 형태로 조립한다.
+     * @param {Response} response - fetch 응답
+     * @param {Function} onChunk - 텍스트 청크 콜백
+     * @returns {Promise<Object>} 조립된 응답 ({ candidates, usageMetadata })
+     */
+    async readStream(response, onChunk) {
+        let text = '';
+        let usageMetadata = null;
+
+        for await (const { data } of readServerSentEvents(response.body)) {
+            const partial = JSON.parse(data);
+            const chunk = this.extractText(partial);
+
+            if (chunk) {
+                text += chunk;
+                onChunk(chunk);
+            }
+            // 토큰 사용량은 마지막 부분 응답에 누적 값으로 포함됨
+            usageMetadata = partial.usageMetadata || usageMetadata;
+        }
+
+        return { candidates: [{ content: { parts: [{ text }] } }], usageMetadata };
+    }
+
+    /**
+     * 토큰 수 계산 (countTokens 엔드포인트)
+     * @param {string} text - 텍스트
+     * @returns {Promise<number>} 토큰 수
+     */
+    async countTokens(text) {
+        const response = await this.fetch(`${this.baseUrl}/${this.model}:countTokens?key=${this.apiKey}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ contents: [{ parts: [{ text }] }] })
+        });
+
+        if (!response.ok) {
+            throw await this.createHttpError(response);
+        }
+
+        const { totalTokens } = await response.json();
+        return totalTokens;
+    }
+}
+
+module.exports = { GeminiProvider };
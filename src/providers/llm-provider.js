@@ -0,0 +1,178 @@
+const { toAbortReason } = require('../utils/cancellation');
+
+// 토큰 수 추정 비율 (문자 수 / 토큰, 토큰 계산 API가 없는 제공자용)
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * LLM 제공자 기본 클래스
+ * 에이전트는 제공자별 HTTP 요청 형식을 몰라도 complete/stream/countTokens/validate로 모델을 호출한다.
+ *
+ * 하위 클래스 구현 항목:
+ * - buildRequest(prompt, options): { url, headers, body } (options.tools가 있으면 도구 정의 포함)
+ * - parseResponse(raw): { text, toolCalls: [{ id, name, arguments }], usage: { inputTokens, outputTokens } }
+ * - readStream(response, onChunk): 스트리밍 응답을 비스트리밍 응답과 같은 형태로 조립
+ *
+ * 대화 형식 (도구 사용 루프용, 제공자별 메시지 형식으로 변환됨):
+ * - { role: 'user', content }
+ * - { role: 'assistant', content, toolCalls: [{ id, name, arguments }] }
+ * - { role: 'tool', results: [{ id, name, content, isError }] }
+ */
+class LLMProvider {
+    constructor(config = {}) {
+        this.name = config.name || 'unknown';
+        this.model = config.model || null;
+        this.apiKey = config.apiKey || null;
+        this.baseUrl = config.baseUrl || null;
+        this.temperature = config.temperature ?? 0.7;
+        this.maxTokens = config.maxTokens || 4000;
+    }
+
+    /**
+     * 응답 생성
+     * @param {string|Array} prompt - 프롬프트, 대화 메시지 목록 또는 제공자가 지원하는 멀티모달 콘텐츠
+     * @param {Object} options - 호출 옵션
+     * @param {AbortSignal} options.signal - 취소 신호 (취소 시 요청 중단 후 signal.reason으로 거부)
+     * @param {Function} options.onChunk - 텍스트 청크 콜백 (지정하면 스트리밍으로 요청)
+     * @param {number} options.maxTokens - 최대 출력 토큰 수
+     * @param {Array<Object>} options.tools - 모델이 호출할 수 있는 도구 ({ name, description, inputSchema })
+     * @returns {Promise<Object>} 응답 ({ text, toolCalls, usage: { inputTokens, outputTokens }, raw })
+     */
+    async complete(prompt, options = {}) {
+        const { signal = null, onChunk = null, tools = [] } = options;
+        // 도구 호출 요청은 스트리밍 조립 방식이 제공자마다 달라 한 번에 받고, 텍스트는 응답 후 onChunk로 전달
+        const stream = Boolean(onChunk) && tools.length === 0;
+        const { url, headers, body } = this.buildRequest(prompt, { ...options, tools, stream });
+
+        try {
+            const response = await this.fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify(body),
+                signal
+            });
+
+            if (!response.ok) {
+                throw await this.createHttpError(response);
+            }
+
+            return await this.readResponse(response, onChunk, stream);
+        } catch (error) {
+            throw toAbortReason(error, signal);
+        }
+    }
+
+    /**
+     * 응답 본문 읽기 및 정규화
+     * @param {Response} response - fetch 응답
+     * @param {Function} onChunk - 텍스트 청크 콜백
+     * @param {boolean} stream - 스트리밍 요청 여부
+     * @returns {Promise<Object>} 응답 ({ text, toolCalls, usage, raw })
+     */
+    async readResponse(response, onChunk, stream) {
+        const raw = stream ? await this.readStream(response, onChunk) : await response.json();
+        const parsed = { toolCalls: [], ...this.parseResponse(raw) };
+        if (onChunk && !stream && parsed.text) {
+            onChunk(parsed.text);
+        }
+
+        return { ...parsed, raw };
+    }
+
+    /**
+     * 프롬프트를 대화 메시지 목록으로 변환
+     * @param {string|Array} prompt - 프롬프트 또는 대화 메시지 목록
+     * @returns {Array<Object>} 대화 메시지 목록
+     */
+    toMessages(prompt) {
+        return typeof prompt === 'string' ? [{ role: 'user', content: prompt }] : prompt;
+    }
+
+    /**
+     * 스트리밍 응답 생성
+     * @param {string|Array} prompt - 프롬프트
+     * @param {Function} onChunk - 텍스트 청크 콜백
+     * @param {Object} options - 호출 옵션 (complete와 동일)
+     * @returns {Promise<Object>} 조립된 응답 ({ text, usage, raw })
+     */
+    async stream(prompt, onChunk, options = {}) {
+        return this.complete(prompt, { ...options, onChunk });
+    }
+
+    /**
+     * 토큰 수 계산 (기본 구현은 문자 수 기반 추정)
+     * @param {string} text - 텍스트
+     * @returns {Promise<number>} 토큰 수
+     */
+    async countTokens(text) {
+        return Math.ceil(text.length / CHARS_PER_TOKEN);
+    }
+
+    /**
+     * 연결 검증 (짧은 요청으로 키/엔드포인트/모델 확인)
+     * @returns {Promise<boolean>} 성공 시 true, 실패 시 원인 오류로 거부
+     */
+    async validate() {
+        await this.complete('Test', { maxTokens: 10 });
+        return true;
+    }
+
+    /**
+     * HTTP 요청
+     * Node 내장 fetch를 사용한다 (node-fetch v3는 ESM 전용이라 require로 불러올 수 없음).
+     * @param {string} url - 요청 주소
+     * @param {Object} init - fetch 옵션
+     * @returns {Promise<Response>} fetch 응답
+     */
+    fetch(url, init) {
+        return global.fetch(url, init);
+    }
+
+    /**
+     * HTTP 오류 응답을 Error로 변환
+     * 재시도 정책이 분류할 수 있도록 status와 retryAfter(ms)를 함께 담는다.
+     * @param {Response} response - fetch 응답
+     * @returns {Promise<Error>} 변환된 오류
+     */
+    async createHttpError(response) {
+        const payload = await response.json().catch(() => ({}));
+        // 로컬 서버(Ollama 등)는 error를 문자열로 반환하기도 함
+        const detail = typeof payload.error === 'string' ? payload.error : payload.error?.message;
+        const error = new Error(detail || `API error: ${response.status}`);
+        const retryAfter = Number(response.headers?.get?.('retry-after'));
+
+        error.status = response.status;
+        error.provider = this.name;
+        if (retryAfter > 0) {
+            error.retryAfter = retryAfter * 1000;
+        }
+
+        return error;
+    }
+
+    /**
+     * 제공자 정보
+     * @returns {Object} 제공자 정보 ({ name, model, baseUrl, hasKey })
+     */
+    describe() {
+        return {
+            name: this.name,
+            model: this.model,
+            baseUrl: this.baseUrl,
+            hasKey: !!this.apiKey
+        };
+    }
+
+    buildRequest() {
+        throw new Error(`buildRequest must be implemented by ${this.constructor.name}`);
+    }
+
+    parseResponse() {
+        throw new Error(`parseResponse must be implemented by ${this.constructor.name}`);
+    }
+
+    async readStream() {
+        throw new Error(`readStream must be implemented by ${this.constructor.name}`);
+    }
+}
+
+module.exports = { LLMProvider };
@@ -0,0 +1,152 @@
+const { LLMProvider } = require('./llm-provider');
+const { readServerSentEvents } = require('../utils/sse-reader');
+
+// 스트림 종료 표시 (data: [DONE])
+const STREAM_DONE = '[DONE]';
+
+// 대화 메시지 → Chat Completions 메시지 (도구 결과는 호출마다 tool 메시지 하나)
+const MESSAGE_FORMATTERS = {
+    user: (message) => [{ role: 'user', content: message.content }],
+    assistant: (message) => [{
+        role: 'assistant',
+        content: message.content || null,
+        ...(message.toolCalls?.length > 0 ? {
+            tool_calls: message.toolCalls.map(call => ({
+                id: call.id,
+                type: 'function',
+                function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+            }))
+        } : {})
+    }],
+    tool: (message) => message.results.map(result => ({ role: 'tool', tool_call_id: result.id, content: result.content }))
+};
+
+/**
+ * 도구 호출 인자 파싱 (로컬 모델이 잘못된 JSON을 보내면 원문을 그대로 전달해 스키마 검증에서 거부되도록 함)
+ * @param {string} text - JSON 문자열
+ * @returns {Object|string} 파싱된 인자
+ */
+function parseArguments(text) {
+    try {
+        return JSON.parse(text || '{}');
+    } catch {
+        return text;
+    }
+}
+
+/**
+ * OpenAI 호환 제공자 - Chat Completions API
+ * OpenAI 외에 Ollama, llama.cpp server, vLLM, LM Studio 등 로컬 서버에도 사용한다.
+ * 로컬 서버는 API 키 없이 동작하므로 키가 있을 때만 Authorization 헤더를 보낸다.
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+    constructor(config = {}) {
+        super({
+            ...config,
+            name: 'openai',
+            model: config.model || 'llama3.1',
+            baseUrl: (config.baseUrl || process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '')
+        });
+    }
+
+    /**
+     * chat/completions 요청 생성
+     */
+    buildRequest(prompt, options) {
+        const body = {
+            model: this.model,
+            messages: this.toMessages(prompt).flatMap(message => MESSAGE_FORMATTERS[message.role](message)),
+            temperature: this.temperature,
+            max_tokens: options.maxTokens || this.maxTokens,
+            stream: options.stream
+        };
+        if (options.tools?.length > 0) {
+            body.tools = options.tools.map(tool => ({
+                type: 'function',
+                function: { name: tool.name, description: tool.description, parameters: tool.inputSchema }
+            }));
+        }
+        if (options.stream) {
+            // 마지막 청크에 토큰 사용량 포함 요청 (지원하지 않는 서버는 무시)
+            body.stream_options = { include_usage: true };
+        }
+
+        return { url: `${this.baseUrl}/chat/completions`, headers: this.getHeaders(), body };
+    }
+
+    getHeaders() {
+        return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+    }
+
+    /**
+     * 응답 정규화 (tool_calls는 도구 호출로 변환)
+     */
+    parseResponse(raw) {
+        const message = raw.choices?.[0]?.message || {};
+        const toolCalls = (message.tool_calls || []).map(call => ({
+            id: call.id,
+            name: call.function.name,
+            arguments: parseArguments(call.function.arguments)
+        }));
+
+        return {
+            text: message.content || '',
+            toolCalls,
+            usage: {
+                inputTokens: raw.usage?.prompt_tokens || 0,
+                outputTokens: raw.usage?.completion_tokens || 0
+            }
+        };
+    }
+
+    /**
+     * 스트리밍 응답 읽기 (chat.completion.chunk SSE)
+     * delta 텍스트를 받는 대로 onChunk로 전달하고, 비스트리밍 응답과 같은 형태로 조립한다.
+     * @param {Response} response - fetch 응답
+     * @param {Function} onChunk - 텍스트 청크 콜백
+     * @returns {Promise<Object>} 조립된 응답 ({ choices, usage })
+     */
+    async readStream(response, onChunk) {
+        let text = '';
+        let usage = null;
+
+        for await (const { data } of readServerSentEvents(response.body)) {
+            if (data === STREAM_DONE) {
+                break;
+            }
+
+            const chunk = JSON.parse(data);
+            const delta = chunk.choices?.[0]?.delta?.content;
+            if (delta) {
+                text += delta;
+                onChunk(delta);
+            }
+            usage = chunk.usage || usage;
+        }
+
+        return { choices: [{ message: { role: 'assistant', content: text } }], usage };
+    }
+
+    /**
+     * 연결 검증 (모델 목록 조회로 서버와 모델 확인, 토큰을 소모하지 않음)
+     * @returns {Promise<boolean>} 성공 시 true, 실패 시 원인 오류로 거부
+     */
+    async validate() {
+        const response = await this.fetch(`${this.baseUrl}/models`, { headers: this.getHeaders() });
+        if (!response.ok) {
+            throw await this.createHttpError(response);
+        }
+
+        const { data = [] } = await response.json();
+        const modelIds = data.map(model => model.id);
+        // Ollama는 태그를 붙여(llama3.1:latest) 반환하고, llama.cpp는 로드된 모델 하나만 서비스하므로 이름이 달라도 허용
+        const hasModel = modelIds.some(id => id === this.model || id.startsWith(`${this.model}:`));
+        if (modelIds.length > 1 && !hasModel) {
+            throw new Error(`Model ${this.model} not found at ${this.baseUrl} (available: ${modelIds.join(', ')})`);
+        }
+
+        return true;
+    }
+}
+
+module.exports = { OpenAICompatibleProvider };
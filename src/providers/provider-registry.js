@@ -0,0 +1,47 @@
+const { ClaudeProvider } = require('./claude-provider');
+const { GeminiProvider } = require('./gemini-provider');
+const { OpenAICompatibleProvider } = require('./openai-compatible-provider');
+
+/**
+ * LLM 제공자 레지스트리
+ * team-config.json의 provider 이름을 제공자 구현으로 연결한다.
+ */
+
+const PROVIDERS = {
+    claude: ClaudeProvider,
+    gemini: GeminiProvider,
+    openai: OpenAICompatibleProvider
+};
+
+// 로컬 서버 별칭 (OpenAI 호환 API의 기본 주소)
+const PROVIDER_ALIASES = {
+    ollama: { provider: 'openai', baseUrl: 'http://localhost:11434/v1' },
+    llamacpp: { provider: 'openai', baseUrl: 'http://localhost:8080/v1' }
+};
+
+/**
+ * 제공자 생성
+ * @param {string} name - 제공자 이름 (claude, gemini, openai, ollama, llamacpp)
+ * @param {Object} config - 제공자 설정 ({ model, apiKey, baseUrl, temperature, maxTokens })
+ * @returns {LLMProvider} 제공자 인스턴스
+ */
+function createProvider(name, config = {}) {
+    const alias = PROVIDER_ALIASES[name];
+    const ProviderClass = PROVIDERS[alias ? alias.provider : name];
+
+    if (!ProviderClass) {
+        throw new Error(`Unknown LLM provider: ${name}. 가능한 제공자: ${getProviderNames().join(', ')}`);
+    }
+
+    return new ProviderClass(alias ? { ...config, baseUrl: config.baseUrl || alias.baseUrl } : config);
+}
+
+/**
+ * 사용 가능한 제공자 이름 목록
+ * @returns {Array<string>} 제공자 이름 (별칭 포함)
+ */
+function getProviderNames() {
+    return [...Object.keys(PROVIDERS), ...Object.keys(PROVIDER_ALIASES)];
+}
+
+module.exports = { createProvider, getProviderNames, PROVIDERS };
@@ -0,0 +1,199 @@
+const { ProcessRunner } = require('../utils/process-runner');
+const { MCPError } = require('./mcp-client');
+
+const DEFAULT_COMMANDS = ['node', 'npm', 'npx', 'python3', 'python', 'sh', 'bash'];
+const DEFAULT_TIMEOUT = 120000; // 2분
+const DEFAULT_MAX_MEMORY_MB = 1024;
+const DEFAULT_MAX_OUTPUT = 1024 * 1024; // 1MB (stdout + stderr)
+// 모델에 돌려주는 출력 길이 (stdout, stderr 각각 끝부분만)
+const OUTPUT_TAIL_LENGTH = 8000;
+
+// 메서드 입력 스키마 (tools/list 형식)
+const CODE_RUNNER_TOOLS = [
+    {
+        name: 'run',
+        description: 'Run a command (node, npm, npx, python, sh) on the host from the run workspace directory without network access and return stdout, stderr and the exit code',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                command: { type: 'string' },
+                args: { type: 'array', items: { type: 'string' } },
+                cwd: { type: 'string' },
+                input: { type: 'string' },
+                timeout: { type: 'integer', minimum: 1 }
+            },
+            required: ['command']
+        }
+    }
+];
+
+/**
+ * 코드 실행 도구 - code_runner 기본 도구의 구현
+ * 샌드박스가 아니라 호스트에서 시스템 사용자 권한으로 코드를 실행한다. 작업 공간은 작업 디렉터리일 뿐이며
+ * 실행된 코드는 사용자가 접근할 수 있는 모든 파일을 읽고 쓸 수 있으므로 localTools.code_runner.enabled로 켤 때만 등록된다.
+ * 허용된 명령만 실행하며(인자는 셸 해석 없이 전달), CPU 시간/메모리(ulimit), 실행 시간, 출력 크기를 제한한다.
+ * 네트워크만 새 네트워크 네임스페이스(unshare --net)로 차단하며, 격리를 지원하지 않는 환경에서는 network가 allow일 때만 실행한다.
+ * 환경 변수는 PATH와 최소한의 값만 전달해 API 키 등 비밀 값이 환경 변수로 노출되지 않게 한다.
+ */
+class CodeRunner {
+    /**
+     * @param {Object} config - 설정 (mcp-tools.json의 localTools.code_runner)
+     * @param {LocalFileSystem} config.fileSystem - 작업 공간을 제공하는 파일 시스템 도구
+     * @param {Array<string>} config.commands - 실행을 허용할 명령
+     * @param {number} config.timeout - 기본 및 최대 실행 시간 (ms)
+     * @param {number} config.maxMemoryMb - 프로세스 가상 메모리 한도 (MB)
+     * @param {number} config.maxCpuSeconds - 프로세스 CPU 시간 한도 (초, 기본값은 실행 시간 한도)
+     * @param {number} config.maxOutput - stdout + stderr 최대 크기 (바이트)
+     * @param {string} config.network - deny(기본값, 격리 불가 시 실행 거부) 또는 allow
+     * @param {Object} config.rolePermissions - 역할 -> 허용 메서드 목록 (default는 목록에 없는 역할용)
+     */
+    constructor(config = {}) {
+        this.fileSystem = config.fileSystem;
+        this.commands = config.commands || DEFAULT_COMMANDS;
+        this.timeout = config.timeout || DEFAULT_TIMEOUT;
+        this.maxMemoryMb = config.maxMemoryMb || DEFAULT_MAX_MEMORY_MB;
+        this.maxCpuSeconds = config.maxCpuSeconds || Math.ceil(this.timeout / 1000);
+        this.maxOutput = config.maxOutput || DEFAULT_MAX_OUTPUT;
+        this.network = config.network || 'deny';
+        this.rolePermissions = config.rolePermissions || {};
+        this.processRunner = new ProcessRunner({ maxBuffer: this.maxOutput });
+        this.isolationCheck = null;
+    }
+
+    /**
+     * 역할의 메서드 실행 권한 확인 (역할이 없는 시스템 내부 호출은 허용)
+     * @param {string} method - 메서드명
+     * @param {string} role - 에이전트 역할
+     * @returns {boolean} 허용 여부
+     */
+    isAllowed(method, role) {
+        if (!role) {
+            return true;
+        }
+
+        const methods = this.rolePermissions[role] ?? this.rolePermissions.default ?? ['run'];
+        return methods.includes(method);
+    }
+
+    /**
+     * 메서드 실행
+     * @param {string} method - 메서드명 (run)
+     * @param {Object} params - 파라미터 ({ command, args, cwd, input, timeout })
+     * @param {Object} context - 실행 컨텍스트 ({ role, signal, runId: 작업 공간을 정할 워크플로우 실행 ID })
+     * @returns {Promise<Object>} MCP 도구 결과 형식 ({ content, structuredContent: { exitCode, stdout, stderr, timedOut, duration } })
+     */
+    async execute(method, params = {}, context = {}) {
+        if (method !== 'run') {
+            throw new MCPError(`Method ${method} not supported`, { errorClass: 'validation' });
+        }
+        if (!this.isAllowed(method, context.role)) {
+            throw new MCPError(`Role ${context.role} is not allowed to run commands`, { errorClass: 'auth' });
+        }
+        if (!this.commands.includes(params.command)) {
+            throw new MCPError(
+                `Command not allowed: ${params.command} (allowed: ${this.commands.join(', ')})`,
+                { errorClass: 'validation' }
+            );
+        }
+
+        return this.run(params, context);
+    }
+
+    /**
+     * 제한을 적용해 명령 실행 (0이 아닌 종료 코드와 시간 초과도 결과로 반환)
+     */
+    async run({ command, args = [], cwd = '.', input, timeout }, context = {}) {
+        const { signal, runId } = context;
+        const root = await this.fileSystem.openWorkspace(runId);
+        const workdir = await this.fileSystem.resolvePath(root, cwd);
+        const invocation = await this.buildCommand(command, args);
+        const limit = Math.min(timeout || this.timeout, this.timeout);
+
+        let outcome;
+        try {
+            outcome = await this.processRunner.run(invocation.command, invocation.args, {
+                cwd: workdir,
+                env: { PATH: process.env.PATH, HOME: root, LANG: 'C.UTF-8', CI: 'true' },
+                input,
+                timeout: limit,
+                signal
+            });
+        } catch (error) {
+            if (signal?.aborted || !error.kind) {
+                throw error;
+            }
+            if (error.kind === 'spawn_failed') {
+                throw new MCPError(`Failed to start ${command}: ${error.message}`, { errorClass: 'validation' });
+            }
+            outcome = error; // 0이 아닌 종료 코드(명령 없음 127 포함), 시간 초과, 출력 초과는 결과로 보고
+        }
+
+        return formatRunResult(command, args, outcome);
+    }
+
+    /**
+     * 네트워크 격리와 리소스 제한을 적용한 실행 명령 구성 (파일 시스템은 격리하지 않음)
+     * unshare --net --map-root-user sh -c 'ulimit ...; exec "$0" "$@"' command args...
+     */
+    async buildCommand(command, args) {
+        const limits = `ulimit -v ${this.maxMemoryMb * 1024}; ulimit -t ${this.maxCpuSeconds}; exec "$0" "$@"`;
+        const limited = ['-c', limits, command, ...args];
+
+        if (this.network === 'allow') {
+            return { command: 'sh', args: limited };
+        }
+        if (!await this.supportsNetworkIsolation()) {
+            throw new MCPError(
+                'Network isolation is unavailable (unshare --net failed); set localTools.code_runner.network to "allow" to run without it',
+                { errorClass: 'validation' }
+            );
+        }
+
+        return { command: 'unshare', args: ['--net', '--map-root-user', 'sh', ...limited] };
+    }
+
+    /**
+     * 네트워크 네임스페이스 생성 가능 여부 (최초 1회 확인 후 재사용)
+     * @returns {Promise<boolean>} 지원 여부
+     */
+    supportsNetworkIsolation() {
+        if (!this.isolationCheck) {
+            this.isolationCheck = this.processRunner.run('unshare', ['--net', '--map-root-user', 'true'], { timeout: 5000 })
+                .then(() => true, () => false);
+        }
+
+        return this.isolationCheck;
+    }
+}
+
+/**
+ * 실행 결과를 MCP 도구 결과 형식으로 변환
+ */
+function formatRunResult(command, args, outcome) {
+    const timedOut = outcome.kind === 'timeout';
+    const result = {
+        exitCode: outcome.exitCode,
+        stdout: tail(outcome.stdout),
+        stderr: tail(outcome.stderr),
+        timedOut,
+        duration: outcome.duration
+    };
+
+    const status = timedOut ? 'timed out' : `exited with code ${outcome.exitCode ?? outcome.signal}`;
+    const text = [
+        `$ ${[command, ...args].join(' ')}`,
+        `${command} ${status} in ${outcome.duration}ms`,
+        result.stdout && `--- stdout ---\n${result.stdout}`,
+        result.stderr && `--- stderr ---\n${result.stderr}`
+    ].filter(Boolean).join('\n');
+
+    return { content: [{ type: 'text', text }], structuredContent: result };
+}
+
+function tail(output = '') {
+    return output.length > OUTPUT_TAIL_LENGTH ? `... (truncated)\n${output.slice(-OUTPUT_TAIL_LENGTH)}` : output;
+}
+
+CodeRunner.TOOLS = CODE_RUNNER_TOOLS;
+
+module.exports = { CodeRunner };
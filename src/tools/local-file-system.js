@@ -0,0 +1,407 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { MCPError } = require('./mcp-client');
+
+const PROJECT_ROOT = path.join(__dirname, '../..');
+const DEFAULT_WORKSPACE_ROOT = 'shared/workspace';
+const DEFAULT_MAX_FILE_SIZE = 1024 * 1024; // 1MB
+const DEFAULT_MAX_SEARCH_RESULTS = 100;
+
+// 역할별 권한 프리셋 (rolePermissions 값으로 프리셋 이름 또는 메서드 목록을 사용)
+const PERMISSION_PRESETS = {
+    read_only: ['read', 'list', 'search'],
+    read_write: ['read', 'list', 'search', 'write', 'delete', 'mkdir', 'apply_patch']
+};
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+\d+(?:,\d+)? @@/;
+
+// 메서드 입력 스키마 (tools/list 형식)
+const FILE_SYSTEM_TOOLS = [
+    {
+        name: 'read',
+        description: 'Read a text file in the workspace',
+        inputSchema: { type: 'object', properties: { path: { type: 'string' } }, required: ['path'] }
+    },
+    {
+        name: 'write',
+        description: 'Create or overwrite a text file in the workspace (parent directories are created)',
+        inputSchema: { type: 'object', properties: { path: { type: 'string' }, content: { type: 'string' } }, required: ['path', 'content'] }
+    },
+    {
+        name: 'list',
+        description: 'List directory entries in the workspace',
+        inputSchema: { type: 'object', properties: { path: { type: 'string' } } }
+    },
+    {
+        name: 'delete',
+        description: 'Delete a file or directory in the workspace',
+        inputSchema: { type: 'object', properties: { path: { type: 'string' }, recursive: { type: 'boolean' } }, required: ['path'] }
+    },
+    {
+        name: 'mkdir',
+        description: 'Create a directory in the workspace',
+        inputSchema: { type: 'object', properties: { path: { type: 'string' } }, required: ['path'] }
+    },
+    {
+        name: 'search',
+        description: 'Search workspace files for lines containing the query',
+        inputSchema: { type: 'object', properties: { query: { type: 'string', minLength: 1 }, path: { type: 'string' } }, required: ['query'] }
+    },
+    {
+        name: 'apply_patch',
+        description: 'Apply a unified diff to a file in the workspace',
+        inputSchema: { type: 'object', properties: { path: { type: 'string' }, patch: { type: 'string' } }, required: ['path', 'patch'] }
+    }
+];
+
+/**
+ * 로컬 파일 시스템 도구 - file_system 기본 도구의 구현
+ * 모든 경로는 작업 공간 디렉터리 기준 상대 경로로 해석하며, 작업 공간 밖을 가리키는 경로(.., 절대 경로, 심볼릭 링크)는 거부한다.
+ * 실행 컨텍스트에 runId가 있으면 작업 공간 루트 아래 실행별 하위 디렉터리를 작업 공간으로 사용하므로
+ * 동시에 진행되는 실행(또는 실행 중 재개)이 서로의 작업 공간을 바꾸지 않는다.
+ */
+class LocalFileSystem {
+    /**
+     * @param {Object} config - 설정 (mcp-tools.json의 localTools.file_system)
+     * @param {string} config.workspaceRoot - 작업 공간 루트 (프로젝트 루트 기준 상대 경로 또는 절대 경로)
+     * @param {number} config.maxFileSize - 읽기/쓰기 최대 파일 크기 (바이트)
+     * @param {number} config.maxSearchResults - search 최대 결과 수
+     * @param {Object} config.rolePermissions - 역할 -> 권한 프리셋 이름 또는 메서드 목록 (default는 목록에 없는 역할용)
+     */
+    constructor(config = {}) {
+        this.workspaceRoot = path.resolve(PROJECT_ROOT, config.workspaceRoot || DEFAULT_WORKSPACE_ROOT);
+        this.maxFileSize = config.maxFileSize || DEFAULT_MAX_FILE_SIZE;
+        this.maxSearchResults = config.maxSearchResults || DEFAULT_MAX_SEARCH_RESULTS;
+        this.rolePermissions = config.rolePermissions || {};
+    }
+
+    /**
+     * 실행별 작업 공간 경로 (작업 공간 루트 아래 runId 디렉터리, runId가 없으면 작업 공간 루트)
+     * @param {string} runId - 워크플로우 실행 ID
+     * @returns {string} 작업 공간 경로
+     */
+    getRoot(runId = null) {
+        return runId ? path.join(this.workspaceRoot, path.basename(runId)) : this.workspaceRoot;
+    }
+
+    /**
+     * 실행별 작업 공간 준비
+     * @param {string} runId - 워크플로우 실행 ID
+     * @returns {Promise<string>} 작업 공간 경로
+     */
+    async openWorkspace(runId) {
+        const root = this.getRoot(runId);
+        await fs.mkdir(root, { recursive: true });
+        return root;
+    }
+
+    /**
+     * 역할의 메서드 실행 권한 확인
+     * 역할이 없는 호출(시스템 내부 호출)은 모두 허용한다.
+     * @param {string} method - 메서드명
+     * @param {string} role - 에이전트 역할
+     * @returns {boolean} 허용 여부
+     */
+    isAllowed(method, role) {
+        if (!role) {
+            return true;
+        }
+
+        const policy = this.rolePermissions[role] ?? this.rolePermissions.default ?? 'read_write';
+        const methods = Array.isArray(policy) ? policy : PERMISSION_PRESETS[policy] || [];
+        return methods.includes(method);
+    }
+
+    /**
+     * 메서드 실행
+     * @param {string} method - 메서드명
+     * @param {Object} params - 파라미터
+     * @param {Object} context - 실행 컨텍스트 ({ role: 에이전트 역할, runId: 작업 공간을 정할 워크플로우 실행 ID })
+     * @returns {Promise<Object>} MCP 도구 결과 형식 ({ content, structuredContent })
+     */
+    async execute(method, params = {}, context = {}) {
+        const handler = this.methods[method];
+        if (!handler) {
+            throw new MCPError(`Method ${method} not supported`, { errorClass: 'validation' });
+        }
+        if (!this.isAllowed(method, context.role)) {
+            throw new MCPError(`Role ${context.role} is not allowed to ${method} files`, { errorClass: 'auth' });
+        }
+
+        const root = await this.openWorkspace(context.runId);
+
+        try {
+            return await handler.call(this, params, root);
+        } catch (error) {
+            throw toToolError(error, params.path);
+        }
+    }
+
+    get methods() {
+        return {
+            read: this.read,
+            write: this.write,
+            list: this.list,
+            delete: this.remove,
+            mkdir: this.mkdir,
+            search: this.search,
+            apply_patch: this.applyPatch
+        };
+    }
+
+    async read({ path: filePath }, root) {
+        const target = await this.resolvePath(root, filePath);
+        const stats = await fs.stat(target);
+        this.checkSize(stats.size, filePath);
+
+        return textResult(await fs.readFile(target, 'utf8'));
+    }
+
+    async write({ path: filePath, content }, root) {
+        const size = Buffer.byteLength(content);
+        this.checkSize(size, filePath);
+
+        const target = await this.resolvePath(root, filePath);
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.writeFile(target, content, 'utf8');
+
+        const relative = toRelative(root, target);
+        return textResult(`Wrote ${size} bytes to ${relative}`, { path: relative, size });
+    }
+
+    async list({ path: dirPath = '.' }, root) {
+        const target = await this.resolvePath(root, dirPath);
+        const dirents = await fs.readdir(target, { withFileTypes: true });
+        const entries = await Promise.all(dirents.map(async (dirent) => {
+            const type = dirent.isDirectory() ? 'directory' : 'file';
+            const size = type === 'file' ? (await fs.lstat(path.join(target, dirent.name))).size : 0;
+            return { name: dirent.name, type, size };
+        }));
+        entries.sort((a, b) => a.name.localeCompare(b.name));
+
+        const text = entries.map(entry => (entry.type === 'directory' ? `${entry.name}/` : `${entry.name} (${entry.size} bytes)`));
+        return textResult(text.join('\n') || '(empty)', { entries });
+    }
+
+    async remove({ path: filePath, recursive = false }, root) {
+        const target = await this.resolvePath(root, filePath);
+        if (target === root) {
+            throw new MCPError('Cannot delete the workspace root', { errorClass: 'validation' });
+        }
+
+        const stats = await fs.lstat(target);
+        if (stats.isDirectory()) {
+            await (recursive ? fs.rm(target, { recursive: true }) : fs.rmdir(target));
+        } else {
+            await fs.unlink(target);
+        }
+
+        return textResult(`Deleted ${toRelative(root, target)}`);
+    }
+
+    async mkdir({ path: dirPath }, root) {
+        const target = await this.resolvePath(root, dirPath);
+        await fs.mkdir(target, { recursive: true });
+
+        return textResult(`Created ${toRelative(root, target)}/`);
+    }
+
+    /**
+     * 작업 공간 파일에서 query가 포함된 줄 검색 (심볼릭 링크와 최대 크기를 넘는 파일은 건너뜀)
+     */
+    async search({ query, path: dirPath = '.' }, root) {
+        const matches = [];
+
+        for await (const file of this.walk(await this.resolvePath(root, dirPath))) {
+            const stats = await fs.stat(file);
+            if (stats.size > this.maxFileSize) {
+                continue;
+            }
+
+            const lines = (await fs.readFile(file, 'utf8')).split('\n');
+            lines.forEach((text, index) => {
+                if (text.includes(query) && matches.length < this.maxSearchResults) {
+                    matches.push({ path: toRelative(root, file), line: index + 1, text: text.trim() });
+                }
+            });
+            if (matches.length >= this.maxSearchResults) {
+                break;
+            }
+        }
+
+        const text = matches.map(match => `${match.path}:${match.line}: ${match.text}`);
+        return textResult(text.join('\n') || 'No matches', { matches });
+    }
+
+    /**
+     * unified diff 적용 (hunk의 문맥과 삭제 줄이 파일과 정확히 일치해야 하며, 없는 파일은 새로 생성)
+     */
+    async applyPatch({ path: filePath, patch }, root) {
+        const target = await this.resolvePath(root, filePath);
+        const original = await fs.readFile(target, 'utf8').catch(error => {
+            if (error.code === 'ENOENT') {
+                return '';
+            }
+            throw error;
+        });
+
+        const hunks = parseHunks(patch);
+        if (hunks.length === 0) {
+            throw new MCPError('Patch contains no hunks', { errorClass: 'validation' });
+        }
+
+        const content = applyHunks(original.split('\n'), hunks).join('\n');
+        this.checkSize(Buffer.byteLength(content), filePath);
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.writeFile(target, content, 'utf8');
+
+        return textResult(`Applied ${hunks.length} hunk(s) to ${toRelative(root, target)}`);
+    }
+
+    /**
+     * 작업 공간 기준 경로 해석
+     * 작업 공간 밖을 가리키면 거부하며, 심볼릭 링크를 통한 탈출을 막기 위해 실제 경로로도 확인한다.
+     * @param {string} root - 작업 공간 경로 (getRoot 참고)
+     * @param {string} relativePath - 작업 공간 기준 경로
+     * @returns {Promise<string>} 절대 경로
+     */
+    async resolvePath(root, relativePath = '.') {
+        if (typeof relativePath !== 'string' || relativePath.includes('\0')) {
+            throw new MCPError('Invalid path', { errorClass: 'validation' });
+        }
+
+        const target = path.resolve(root, relativePath);
+        const realRoot = await fs.realpath(root);
+        if (!isInside(root, target) || !isInside(realRoot, await realpathOfExisting(target))) {
+            throw new MCPError(`Path is outside the workspace: ${relativePath}`, { errorClass: 'validation' });
+        }
+
+        return target;
+    }
+
+    checkSize(size, filePath) {
+        if (size > this.maxFileSize) {
+            throw new MCPError(
+                `File too large: ${filePath} (${size} bytes, limit ${this.maxFileSize} bytes)`,
+                { errorClass: 'validation' }
+            );
+        }
+    }
+
+    async *walk(dir) {
+        const dirents = await fs.readdir(dir, { withFileTypes: true });
+        for (const dirent of dirents) {
+            const fullPath = path.join(dir, dirent.name);
+            if (dirent.isDirectory()) {
+                yield* this.walk(fullPath);
+            } else if (dirent.isFile()) {
+                yield fullPath;
+            }
+        }
+    }
+}
+
+function textResult(text, structuredContent = null) {
+    return {
+        content: [{ type: 'text', text }],
+        ...(structuredContent ? { structuredContent } : {})
+    };
+}
+
+function toRelative(root, target) {
+    return path.relative(root, target) || '.';
+}
+
+function isInside(root, target) {
+    const relative = toRelative(root, target);
+    return relative === '' || (relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative));
+}
+
+/**
+ * 존재하는 가장 가까운 상위 경로의 실제 경로에 나머지 경로를 이어 붙인 경로
+ */
+async function realpathOfExisting(target) {
+    try {
+        return await fs.realpath(target);
+    } catch (error) {
+        const parent = path.dirname(target);
+        if (error.code !== 'ENOENT' || parent === target) {
+            throw error;
+        }
+        return path.join(await realpathOfExisting(parent), path.basename(target));
+    }
+}
+
+/**
+ * 파일 시스템 오류를 작업 공간 상대 경로로 설명하는 MCPError로 변환
+ */
+function toToolError(error, filePath) {
+    if (error instanceof MCPError) {
+        return error;
+    }
+
+    const messages = {
+        ENOENT: `No such file or directory: ${filePath}`,
+        EISDIR: `Is a directory: ${filePath}`,
+        ENOTDIR: `Not a directory: ${filePath}`,
+        ENOTEMPTY: `Directory not empty: ${filePath} (use recursive to delete it)`,
+        EEXIST: `Already exists: ${filePath}`
+    };
+
+    return new MCPError(messages[error.code] || error.message, { errorClass: messages[error.code] ? 'validation' : undefined });
+}
+
+/**
+ * unified diff를 hunk 목록으로 파싱 (파일 헤더와 "\ No newline" 표시는 무시)
+ * @param {string} patch - unified diff
+ * @returns {Array<Object>} hunk 목록 ({ oldStart, oldCount, lines })
+ */
+function parseHunks(patch) {
+    const hunks = [];
+    let hunk = null;
+
+    for (const line of patch.replace(/\n+$/, '').split('\n')) {
+        const header = line.match(HUNK_HEADER);
+        if (header) {
+            hunk = { oldStart: Number(header[1]), oldCount: header[2] === undefined ? 1 : Number(header[2]), lines: [] };
+            hunks.push(hunk);
+        } else if (hunk && /^[ +-]/.test(line)) {
+            hunk.lines.push(line);
+        } else if (hunk && line === '') {
+            hunk.lines.push(' '); // 끝 공백이 제거된 빈 문맥 줄
+        }
+    }
+
+    return hunks;
+}
+
+/**
+ * hunk 적용 (앞선 hunk로 바뀐 줄 수만큼 위치 보정)
+ * @param {Array<string>} lines - 원본 줄 목록
+ * @param {Array<Object>} hunks - hunk 목록
+ * @returns {Array<string>} 적용된 줄 목록
+ */
+function applyHunks(lines, hunks) {
+    const result = [...lines];
+    let offset = 0;
+
+    for (const hunk of hunks) {
+        const expected = hunk.lines.filter(line => line[0] !== '+').map(line => line.slice(1));
+        const replacement = hunk.lines.filter(line => line[0] !== '-').map(line => line.slice(1));
+        // 삭제/문맥 줄이 없는 hunk(-N,0)는 N번째 줄 뒤에 삽입
+        const start = (hunk.oldCount === 0 ? hunk.oldStart : hunk.oldStart - 1) + offset;
+
+        if (result.slice(start, start + expected.length).join('\n') !== expected.join('\n')) {
+            throw new MCPError(`Patch hunk at line ${hunk.oldStart} does not match the file`, { errorClass: 'validation' });
+        }
+
+        result.splice(start, expected.length, ...replacement);
+        offset += replacement.length - expected.length;
+    }
+
+    return result;
+}
+
+LocalFileSystem.TOOLS = FILE_SYSTEM_TOOLS;
+
+module.exports = { LocalFileSystem };
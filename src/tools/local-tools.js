@@ -0,0 +1,39 @@
+const { LocalFileSystem } = require('./local-file-system');
+const { CodeRunner } = require('./code-runner');
+
+/**
+ * 로컬 구현이 있는 기본 도구 설정 생성 (메서드는 tools/list와 같은 형식으로 선언)
+ * 코드 실행 도구는 파일 시스템 도구의 작업 공간을 작업 디렉터리로 쓰지만 호스트에서 실행되므로,
+ * localTools.code_runner.enabled가 true일 때만 포함한다. 웹 검색 등 외부 기능은 mcp-tools.json의 MCP 서버가 제공한다.
+ * @param {Object} config - mcp-tools.json의 localTools ({ file_system, code_runner })
+ * @returns {Array<Object>} MCPToolManager.registerTool에 전달할 도구 설정
+ */
+function createLocalTools(config = {}) {
+    const fileSystem = new LocalFileSystem(config.file_system);
+    const tools = [
+        {
+            name: 'file_system',
+            description: 'File operations in the run workspace',
+            tools: LocalFileSystem.TOOLS,
+            handler: fileSystem,
+            capabilities: ['file_access']
+        }
+    ];
+
+    if (config.code_runner?.enabled) {
+        const codeRunner = new CodeRunner({ ...config.code_runner, fileSystem });
+        tools.push({
+            name: 'code_runner',
+            description: 'Run code and tests on the host from the run workspace directory without network access',
+            tools: CodeRunner.TOOLS,
+            handler: codeRunner,
+            // 실행 제한 시간은 code_runner가 관리하므로 도구 호출 제한 시간은 그보다 길게 둔다
+            timeout: codeRunner.timeout + 10000,
+            capabilities: ['code_execution']
+        });
+    }
+
+    return tools;
+}
+
+module.exports = { createLocalTools };
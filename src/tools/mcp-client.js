@@ -0,0 +1,300 @@
+const EventEmitter = require('events');
+const { StdioTransport, HttpTransport } = require('./mcp-transports');
+const { version } = require('../../package.json');
+
+const PROTOCOL_VERSION = '2025-03-26';
+const CLIENT_INFO = { name: 'claude-gemini-team', version };
+
+// JSON-RPC 오류 코드
+const RPC_ERRORS = {
+    PARSE_ERROR: -32700,
+    INVALID_REQUEST: -32600,
+    METHOD_NOT_FOUND: -32601,
+    INVALID_PARAMS: -32602,
+    INTERNAL_ERROR: -32603,
+    REQUEST_TIMEOUT: -32001
+};
+
+// JSON-RPC 오류 코드 → 재시도 정책 오류 분류
+const ERROR_CODE_CLASSES = {
+    [RPC_ERRORS.PARSE_ERROR]: 'validation',
+    [RPC_ERRORS.INVALID_REQUEST]: 'validation',
+    [RPC_ERRORS.METHOD_NOT_FOUND]: 'validation',
+    [RPC_ERRORS.INVALID_PARAMS]: 'validation',
+    [RPC_ERRORS.INTERNAL_ERROR]: 'server_error',
+    [RPC_ERRORS.REQUEST_TIMEOUT]: 'timeout'
+};
+
+/**
+ * MCP 오류
+ * JSON-RPC 오류 응답, 요청 시간 초과, 연결 종료를 나타내며 code, data, errorClass를 함께 담는다.
+ */
+class MCPError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'MCPError';
+        this.code = details.code;
+        this.data = details.data;
+        this.errorClass = details.errorClass || ERROR_CODE_CLASSES[details.code];
+    }
+}
+
+/**
+ * MCP 클라이언트 - Model Context Protocol 세션 관리
+ * initialize 핸드셰이크, 요청 ID 매칭, 요청별 시간 초과와 취소, 서버 알림/요청 처리를 담당한다.
+ */
+class MCPClient extends EventEmitter {
+    /**
+     * @param {Object} config - 클라이언트 설정
+     * @param {string} config.command - stdio 서버 실행 파일 (args, env, cwd와 함께 사용)
+     * @param {string} config.url - Streamable HTTP 엔드포인트 (headers와 함께 사용)
+     * @param {number} config.timeout - 요청 제한 시간 (ms, 0이면 무제한)
+     * @param {Object} config.transport - 직접 생성한 전송 (지정하면 command/url 무시)
+     */
+    constructor(config = {}) {
+        super();
+
+        this.transport = config.transport || MCPClient.createTransport(config);
+        this.timeout = config.timeout ?? 30000;
+        this.nextId = 1;
+        this.pending = new Map(); // 요청 ID -> { resolve, reject, timer, method }
+
+        this.connected = false;
+        this.serverInfo = null;
+        this.serverCapabilities = null;
+        this.protocolVersion = null;
+
+        this.transport.on('message', (message) => this.handleMessage(message));
+        // 전송 오류(잘못된 메시지 등)는 세션을 끊지 않으므로 경고로 전달
+        this.transport.on('error', (error) => this.emit('warning', error));
+        this.transport.on('log', (chunk) => this.emit('log', chunk));
+        this.transport.on('close', (info) => this.handleClose(info));
+    }
+
+    /**
+     * 설정에 맞는 전송 생성
+     * @param {Object} config - 클라이언트 설정
+     * @returns {StdioTransport|HttpTransport} 전송
+     */
+    static createTransport(config) {
+        if (config.command) {
+            return new StdioTransport(config);
+        }
+        if (config.url) {
+            return new HttpTransport(config);
+        }
+
+        throw new Error('MCP client requires a command (stdio) or url (http)');
+    }
+
+    /**
+     * 연결 및 initialize 핸드셰이크
+     * @returns {Promise<Object>} 서버 initialize 결과 ({ protocolVersion, capabilities, serverInfo })
+     */
+    async connect() {
+        await this.transport.start();
+
+        try {
+            const result = await this.request('initialize', {
+                protocolVersion: PROTOCOL_VERSION,
+                capabilities: {},
+                clientInfo: CLIENT_INFO
+            });
+
+            this.serverInfo = result.serverInfo || null;
+            this.serverCapabilities = result.capabilities || {};
+            this.protocolVersion = result.protocolVersion;
+            this.transport.protocolVersion = result.protocolVersion;
+
+            await this.notify('notifications/initialized');
+            this.connected = true;
+            this.emit('connected', this.serverInfo);
+
+            return result;
+        } catch (error) {
+            await this.transport.close();
+            throw error;
+        }
+    }
+
+    /**
+     * 요청 전송 후 응답 대기
+     * 시간 초과나 취소 시 서버에 notifications/cancelled를 보내 작업을 중단하도록 알린다.
+     * @param {string} method - JSON-RPC 메서드
+     * @param {Object} params - 파라미터
+     * @param {Object} options - 요청 옵션 ({ timeout, signal })
+     * @returns {Promise<any>} 응답 result
+     */
+    request(method, params = {}, options = {}) {
+        const { signal } = options;
+        if (signal?.aborted) {
+            return Promise.reject(signal.reason);
+        }
+
+        const id = this.nextId++;
+        const timeout = options.timeout ?? this.timeout;
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => this.abandonRequest(id, signal.reason, 'Request cancelled');
+            const entry = {
+                method,
+                resolve,
+                reject,
+                cleanup: () => {
+                    clearTimeout(entry.timer);
+                    signal?.removeEventListener('abort', onAbort);
+                }
+            };
+
+            if (timeout > 0) {
+                entry.timer = setTimeout(() => this.abandonRequest(id, new MCPError(
+                    `MCP request ${method} timed out after ${timeout}ms`,
+                    { code: RPC_ERRORS.REQUEST_TIMEOUT }
+                ), 'Request timed out'), timeout);
+            }
+            signal?.addEventListener('abort', onAbort, { once: true });
+            this.pending.set(id, entry);
+
+            this.transport.send({ jsonrpc: '2.0', id, method, params }, { signal })
+                .catch(error => this.settle(id, (pending) => pending.reject(signal?.aborted ? signal.reason : error)));
+        });
+    }
+
+    /**
+     * 알림 전송 (응답 없음)
+     * @param {string} method - 알림 메서드
+     * @param {Object} params - 파라미터
+     */
+    async notify(method, params = {}) {
+        await this.transport.send({ jsonrpc: '2.0', method, params });
+    }
+
+    /**
+     * 서버 도구 목록 조회 (페이지네이션 커서를 따라 전체 조회)
+     * @param {Object} options - 요청 옵션 ({ timeout, signal })
+     * @returns {Promise<Array<Object>>} 도구 목록 ({ name, description, inputSchema })
+     */
+    async listTools(options = {}) {
+        const tools = [];
+        let cursor;
+
+        do {
+            const result = await this.request('tools/list', cursor ? { cursor } : {}, options);
+            tools.push(...(result.tools || []));
+            cursor = result.nextCursor;
+        } while (cursor);
+
+        return tools;
+    }
+
+    /**
+     * 도구 호출
+     * 도구 실행 오류는 JSON-RPC 오류가 아니라 isError가 설정된 결과로 반환된다.
+     * @param {string} name - 도구 이름
+     * @param {Object} args - 도구 인자
+     * @param {Object} options - 요청 옵션 ({ timeout, signal })
+     * @returns {Promise<Object>} 호출 결과 ({ content, structuredContent, isError })
+     */
+    async callTool(name, args = {}, options = {}) {
+        return this.request('tools/call', { name, arguments: args }, options);
+    }
+
+    /**
+     * 수신 메시지 처리 (응답, 서버 요청, 알림)
+     */
+    handleMessage(message) {
+        if (message.method === undefined) {
+            this.handleResponse(message);
+        } else if (message.id !== undefined) {
+            this.handleServerRequest(message);
+        } else {
+            this.handleNotification(message);
+        }
+    }
+
+    handleResponse(message) {
+        this.settle(message.id, (pending) => {
+            if (message.error) {
+                pending.reject(new MCPError(`MCP ${pending.method} failed: ${message.error.message}`, message.error));
+            } else {
+                pending.resolve(message.result);
+            }
+        });
+    }
+
+    /**
+     * 서버 요청 처리 (ping만 지원, 그 외는 method not found로 응답)
+     */
+    handleServerRequest(message) {
+        const response = message.method === 'ping'
+            ? { jsonrpc: '2.0', id: message.id, result: {} }
+            : { jsonrpc: '2.0', id: message.id, error: { code: RPC_ERRORS.METHOD_NOT_FOUND, message: `Method not found: ${message.method}` } };
+
+        this.transport.send(response).catch(error => this.emit('warning', error));
+    }
+
+    handleNotification(message) {
+        if (message.method === 'notifications/tools/list_changed') {
+            this.emit('tools_changed');
+        }
+
+        this.emit('notification', message);
+    }
+
+    /**
+     * 대기 중인 요청 정리 후 처리 (이미 처리된 요청이면 무시)
+     */
+    settle(id, handler) {
+        const pending = this.pending.get(id);
+        if (!pending) {
+            return;
+        }
+
+        this.pending.delete(id);
+        pending.cleanup();
+        handler(pending);
+    }
+
+    /**
+     * 응답을 기다리지 않고 요청 종료 (서버에 취소 알림 전송)
+     */
+    abandonRequest(id, error, reason) {
+        this.settle(id, (pending) => pending.reject(error));
+        this.notify('notifications/cancelled', { requestId: id, reason }).catch(() => {
+            // 연결이 끊긴 경우 취소 알림은 생략
+        });
+    }
+
+    /**
+     * 연결 종료 처리 (대기 중인 요청은 모두 실패 처리)
+     */
+    handleClose(info) {
+        const wasConnected = this.connected;
+        this.connected = false;
+
+        const detail = info.code ? ` (exit code ${info.code})` : '';
+        for (const id of [...this.pending.keys()]) {
+            this.settle(id, (pending) => pending.reject(new MCPError(
+                `MCP connection closed${detail} before ${pending.method} completed`,
+                { errorClass: 'network' }
+            )));
+        }
+
+        if (wasConnected) {
+            this.emit('disconnected', info);
+        }
+    }
+
+    /**
+     * 연결 종료 (stdio 서버 프로세스 종료 또는 HTTP 세션 종료)
+     */
+    async close() {
+        await this.transport.close();
+        this.handleClose({});
+    }
+}
+
+MCPClient.PROTOCOL_VERSION = PROTOCOL_VERSION;
+MCPClient.RPC_ERRORS = RPC_ERRORS;
+
+module.exports = { MCPClient, MCPError };
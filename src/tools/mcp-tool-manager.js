@@ -1,211 +1,42 @@
 const EventEmitter = require('events');
+const { RetryPolicy } = require('../core/retry-policy');
+const { MCPTool } = require('./mcp-tool');
+const { createLocalTools } = require('./local-tools');
+const { createToolPolicy, authorizeToolCall } = require('./tool-authorization');
+const { ToolCallLog } = require('./tool-call-log');
+const { ToolCallRecorder } = require('./tool-call-recorder');
+const { ToolCallExecutor } = require('./tool-call-executor');
+const { ToolAssigner } = require('./tool-assignment');
 
 /**
- * MCP 도구 클래스 - Model Context Protocol 도구 래퍼
+ * MCP 도구 관리자 - Model Context Protocol 도구들을 관리
  */
-class MCPTool extends EventEmitter {
-    constructor(config) {
+class MCPToolManager extends EventEmitter {
+    /**
+     * @param {Object} config - mcp-tools.json 설정 ({ mcpTools, assignmentRules, fallbackTools })
+     */
+    constructor(config = null) {
         super();
         
-        this.id = `mcp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        this.name = config.name;
-        this.description = config.description || '';
-        this.methods = config.methods || [];
-        this.endpoint = config.endpoint || null;
-        this.capabilities = config.capabilities || [];
+        this.config = config;
         
-        // 연결 상태
-        this.status = 'disconnected';
-        this.connectedAt = null;
-        this.lastUsed = null;
+        // 에이전트별 할당 도구 (agentId -> { agentId, toolName, taskType, assignedAt })
+        this.assignments = new Map();
+        this.assigner = new ToolAssigner(this);
         
-        // 통계
-        this.executionCount = 0;
-        this.errorCount = 0;
-        this.totalExecutionTime = 0;
-    }
-
-    /**
-     * MCP 엔드포인트에 연결
-     */
-    async connect() {
-        try {
-            if (this.endpoint) {
-                // MCP 프로토콜을 통한 연결 요청
-                const response = await this.makeRequest('connect', {});
-                
-                if (response.result?.status === 'connected') {
-                    this.status = 'connected';
-                    this.connectedAt = new Date();
-                    this.emit('connected');
-                } else {
-                    throw new Error('Connection failed: Invalid response');
-                }
-            } else {
-                // 로컬 도구인 경우 즉시 연결
-                this.status = 'connected';
-                this.connectedAt = new Date();
-                this.emit('connected');
-            }
-        } catch (error) {
-            this.status = 'error';
-            this.emit('error', error);
-            throw error;
-        }
-    }
-
-    /**
-     * 도구 메서드 실행
-     * @param {string} method - 실행할 메서드명
-     * @param {Object} params - 메서드 파라미터
-     * @returns {Promise<any>} 실행 결과
-     */
-    async execute(method, params = {}) {
-        if (this.status !== 'connected') {
-            throw new Error('Tool not connected');
-        }
-
-        if (!this.methods.includes(method)) {
-            throw new Error(`Method ${method} not supported`);
-        }
-
-        const startTime = Date.now();
+        // 도구 호출 재시도 정책 (최대 시도 횟수는 도구별 retries로 결정)
+        this.retryPolicy = new RetryPolicy({ default: { backoff_ms: 500, fallback: 'none' } });
         
-        try {
-            this.emit('execution_start', { method, params });
-            
-            let result;
-            if (this.endpoint) {
-                // 원격 MCP 도구 실행
-                const response = await this.makeRequest(method, params);
-                result = response.result;
-            } else {
-                // 로컬 도구 실행 (구현 필요)
-                result = await this.executeLocal(method, params);
-            }
-            
-            // 통계 업데이트
-            this.executionCount++;
-            this.totalExecutionTime += Date.now() - startTime;
-            this.lastUsed = new Date();
-            
-            this.emit('execution_complete', { method, params, result });
-            
-            return result;
-        } catch (error) {
-            this.errorCount++;
-            this.emit('execution_error', { method, params, error });
-            throw error;
-        }
-    }
-
-    /**
-     * MCP 요청 전송
-     * @param {string} method - MCP 메서드
-     * @param {Object} params - 파라미터
-     * @returns {Promise<Object>} 응답
-     */
-    async makeRequest(method, params) {
-        // 실제 구현에서는 HTTP 또는 WebSocket을 통해 MCP 서버와 통신
-        // 여기서는 테스트를 위한 기본 구현
-        const request = {
-            jsonrpc: '2.0',
-            id: Date.now(),
-            method,
-            params
-        };
-
-        // Mock implementation for testing
-        if (this.mockRequest) {
-            return await this.mockRequest(request);
-        }
-
-        // 실제 HTTP 요청 (fetch 또는 axios 사용)
-        // const response = await fetch(this.endpoint, {
-        //     method: 'POST',
-        //     headers: { 'Content-Type': 'application/json' },
-        //     body: JSON.stringify(request)
-        // });
-        // return await response.json();
+        // 도구 호출 권한 정책 (승인 요청은 대시보드에서 응답할 수 있도록 그대로 전달)
+        this.policy = createToolPolicy(config?.policy, this);
         
-        throw new Error('No real MCP endpoint implementation');
-    }
-
-    /**
-     * 로컬 도구 실행
-     * @param {string} method - 메서드명
-     * @param {Object} params - 파라미터
-     * @returns {Promise<any>} 실행 결과
-     */
-    async executeLocal(method, params) {
-        // 로컬 도구별 구현
-        throw new Error('Local execution not implemented');
-    }
-
-    /**
-     * 연결 해제
-     */
-    async disconnect() {
-        try {
-            if (this.endpoint && this.status === 'connected') {
-                await this.makeRequest('disconnect', {});
-            }
-            
-            this.status = 'disconnected';
-            this.connectedAt = null;
-            this.emit('disconnected');
-        } catch (error) {
-            this.emit('error', error);
-            throw error;
-        }
-    }
-
-    /**
-     * 도구 상태 조회
-     */
-    getStatus() {
-        return {
-            id: this.id,
-            name: this.name,
-            status: this.status,
-            connectedAt: this.connectedAt,
-            lastUsed: this.lastUsed,
-            executionCount: this.executionCount,
-            errorCount: this.errorCount,
-            averageExecutionTime: this.executionCount > 0 
-                ? this.totalExecutionTime / this.executionCount 
-                : 0,
-            successRate: this.executionCount > 0 
-                ? ((this.executionCount - this.errorCount) / this.executionCount) * 100 
-                : 100
-        };
-    }
-
-    /**
-     * JSON 직렬화
-     */
-    toJSON() {
-        return {
-            id: this.id,
-            name: this.name,
-            description: this.description,
-            methods: this.methods,
-            capabilities: this.capabilities,
-            status: this.status,
-            connectedAt: this.connectedAt,
-            lastUsed: this.lastUsed
-        };
-    }
-}
-
-/**
- * MCP 도구 관리자 - Model Context Protocol 도구들을 관리
- */
-class MCPToolManager extends EventEmitter {
-    constructor(config = null) {
-        super();
+        // 도구 호출 기록 (재생 중이면 기록된 결과로 응답)
+        this.callLog = new ToolCallLog(config?.callLog);
+        this.callLog.on('record_error', (error) => this.emit('warning', `Failed to write tool call log: ${error.message}`));
+        this.recorder = new ToolCallRecorder(this.callLog);
         
-        this.config = config;
+        // 도구별 시간 초과, 재시도, 대체 도구 정책을 적용하는 실행기
+        this.executor = new ToolCallExecutor(this);
         
         // 도구 저장소
         this.tools = new Map(); // id -> MCPTool
@@ -237,6 +68,9 @@ class MCPToolManager extends EventEmitter {
             // 기본 도구들 로드
             await this.loadDefaultTools();
             
+            // 설정 파일에 선언된 도구들 로드
+            await this.loadConfiguredTools();
+            
             this.isInitialized = true;
             this.emit('initialized');
         } catch (error) {
@@ -254,26 +88,10 @@ class MCPToolManager extends EventEmitter {
     }
 
     /**
-     * 기본 도구들 로드
+     * 기본 도구들 로드 (로컬 구현이 있는 파일 시스템과 코드 실행)
      */
     async loadDefaultTools() {
-        // 기본 도구들 등록 (파일 시스템, 웹 검색 등)
-        const defaultTools = [
-            {
-                name: 'file_system',
-                description: 'File system operations',
-                methods: ['read', 'write', 'list', 'delete'],
-                capabilities: ['file_access']
-            },
-            {
-                name: 'web_search',
-                description: 'Web search capabilities',
-                methods: ['search', 'fetch'],
-                capabilities: ['network_access']
-            }
-        ];
-
-        for (const toolConfig of defaultTools) {
+        for (const toolConfig of createLocalTools(this.config?.localTools)) {
             try {
                 await this.registerTool(toolConfig);
             } catch (error) {
@@ -283,6 +101,28 @@ class MCPToolManager extends EventEmitter {
         }
     }
 
+    /**
+     * mcp-tools.json의 mcpTools에 선언된 도구들 등록
+     * 항목에 command(stdio) 또는 endpoint(HTTP)가 있으면 원격 MCP 서버 도구로 연결한다.
+     */
+    async loadConfiguredTools() {
+        const entries = Object.entries(this.config?.mcpTools || {});
+
+        for (const [name, entry] of entries) {
+            try {
+                await this.registerTool({
+                    ...entry,
+                    name,
+                    description: entry.description || entry.role || '',
+                    timeout: entry.config?.timeout,
+                    retries: entry.config?.retries
+                });
+            } catch (error) {
+                this.emit('warning', `Failed to load configured tool ${name}: ${error.message}`);
+            }
+        }
+    }
+
     /**
      * 도구 등록
      * @param {Object} toolConfig - 도구 설정
@@ -299,6 +139,7 @@ class MCPToolManager extends EventEmitter {
         tool.on('connected', () => this.emit('tool_connected', tool));
         tool.on('disconnected', () => this.emit('tool_disconnected', tool));
         tool.on('error', (error) => this.emit('tool_error', tool, error));
+        tool.on('tools_updated', (schemas) => this.emit('tools_updated', tool, schemas));
         
         // 저장소에 추가
         this.tools.set(tool.id, tool);
@@ -343,6 +184,70 @@ class MCPToolManager extends EventEmitter {
         return toolId ? this.tools.get(toolId) : null;
     }
 
+    /**
+     * 에이전트에 태스크 유형에 맞는 도구 할당 (할당 규칙은 ToolAssigner 참고)
+     * @param {string} agentId - 에이전트 ID
+     * @param {string} taskType - 태스크 유형
+     * @param {string} role - 에이전트 역할 (없으면 적합성 검사 생략)
+     * @returns {Promise<MCPTool|null>} 할당된 도구 (해당 유형의 할당 규칙이 없으면 null)
+     */
+    assignToolToAgent(agentId, taskType, role = null) {
+        return this.assigner.assign(agentId, taskType, role);
+    }
+
+    /**
+     * 태스크 담당 에이전트에 도구 할당과 도구 핸들 추가 (태스크가 끝나면 반환된 release 호출, ToolAssigner 참고)
+     */
+    attachTaskTools(agent, task, runId) {
+        return this.assigner.attachTaskTools(agent, task, runId);
+    }
+
+    /**
+     * 태스크 유형의 할당 후보 도구 조회 (등록된 도구만, 대체 도구는 마지막)
+     */
+    getCandidateTools(taskType, role = null) {
+        return this.assigner.getCandidateTools(taskType, role);
+    }
+
+    /**
+     * 에이전트에 할당된 도구 조회
+     */
+    getAssignedTool(agentId) {
+        return this.assigner.getAssignedTool(agentId);
+    }
+
+    /**
+     * 대체 도구 조회 (실패한 도구와 같은 도구는 제외)
+     */
+    getFallbackTool(toolName, taskType = null) {
+        return this.assigner.getFallbackTool(toolName, taskType);
+    }
+
+    /**
+     * 태스크 유형과 관계없이 모든 에이전트가 사용하는 도구 조회 (mcp-tools.json의 sharedTools)
+     * @returns {Array<MCPTool>} 도구 목록
+     */
+    getSharedTools() {
+        return (this.config?.sharedTools || []).map(name => this.getTool(name)).filter(Boolean);
+    }
+
+    /**
+     * 워크플로우 실행별 작업 공간 준비 (로컬 도구 호출은 컨텍스트의 runId로 실행별 작업 공간을 사용)
+     * @param {string} runId - 워크플로우 실행 ID
+     * @returns {Promise<string|null>} 작업 공간 경로 (작업 공간을 쓰는 도구가 없으면 null)
+     */
+    async openWorkspace(runId) {
+        let workspace = null;
+
+        for (const tool of this.tools.values()) {
+            if (typeof tool.handler?.openWorkspace === 'function') {
+                workspace = await tool.handler.openWorkspace(runId);
+            }
+        }
+
+        return workspace;
+    }
+
     /**
      * 모든 도구 연결
      */
@@ -374,35 +279,56 @@ class MCPToolManager extends EventEmitter {
     }
 
     /**
-     * 도구 실행
+     * 도구 실행 (모든 호출은 호출 기록에 남음)
      * @param {string} toolName - 도구 이름
      * @param {string} method - 실행할 메서드
      * @param {Object} params - 파라미터
+     * @param {Object} options - 실행 옵션 ({ signal: 취소 신호, taskType: 대체 도구 선택용 태스크 유형, runId: 워크플로우 실행 ID, taskId: 호출한 태스크 ID, agentId, role: 권한 확인용 호출자 })
      * @returns {Promise<any>} 실행 결과
      */
-    async executeTool(toolName, method, params = {}) {
+    async executeTool(toolName, method, params = {}, options = {}) {
         const tool = this.getTool(toolName);
         if (!tool) {
             throw new Error(`Tool ${toolName} not found`);
         }
 
-        // 동시 실행 제한 확인
-        if (this.activeExecutions.size >= this.maxConcurrentExecutions) {
-            throw new Error('Maximum concurrent executions reached');
+        // 재생 중이면 기록된 결과로 응답 (실제 실행이 없으므로 권한 확인과 동시 실행 제한을 거치지 않음)
+        const recorded = this.recorder.take(toolName, method, params);
+        if (!recorded) {
+            // 권한 정책 확인 (승인 대기는 동시 실행 수에 포함하지 않음)
+            await this.authorizeCall(toolName, method, params, options);
+
+            // 동시 실행 제한 확인
+            if (this.activeExecutions.size >= this.maxConcurrentExecutions) {
+                throw new Error('Maximum concurrent executions reached');
+            }
         }
 
         const executionId = `exec_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const call = {
+            id: executionId,
+            runId: options.runId,
+            taskId: options.taskId,
+            agentId: options.agentId,
+            tool: toolName,
+            method,
+            params,
+            replayedFrom: recorded ? this.recorder.replay.runId : undefined
+        };
+        const startTime = Date.now();
         this.activeExecutions.add(executionId);
 
         try {
             this.emit('execution_start', { toolName, method, params, executionId });
             
-            const result = await tool.execute(method, params);
+            const result = recorded ? recorded.restore() : await this.executor.execute(tool, method, params, options);
             
-            this.emit('execution_complete', { toolName, method, params, result, executionId });
+            await this.recorder.record(call, { result, duration: Date.now() - startTime });
+            this.emit('execution_complete', { toolName, method, params, result, executionId, taskId: options.taskId, replayed: Boolean(recorded) });
             
             return result;
         } catch (error) {
+            await this.recorder.record(call, { error, duration: Date.now() - startTime });
             this.emit('execution_error', { toolName, method, params, error, executionId });
             throw error;
         } finally {
@@ -410,6 +336,70 @@ class MCPToolManager extends EventEmitter {
         }
     }
 
+    /**
+     * 기록된 실행 재생 시작 (이후 같은 도구, 메서드, 파라미터의 호출은 기록된 결과나 오류로 응답)
+     * @param {string} runId - 재생할 실행 ID
+     * @param {Object} options - 재생 옵션 ({ onMiss: 기록에 없는 호출 처리 - error(기본값) 또는 execute })
+     * @returns {Promise<void>}
+     */
+    async startReplay(runId, options = {}) {
+        const replay = await this.recorder.startReplay(runId, options);
+        this.emit('replay_started', { runId, onMiss: replay.onMiss });
+    }
+
+    /**
+     * 재생 종료 (이후 호출은 실제 도구로 실행)
+     */
+    stopReplay() {
+        this.recorder.stopReplay();
+    }
+
+    /**
+     * 에이전트용 도구 핸들 생성
+     * 에이전트가 도구 사용 루프에서 호출해도 도구별 시간 초과, 재시도, 대체 도구 정책을 거치도록 executeTool로 실행한다.
+     * @param {string} toolName - 도구 이름
+     * 역할에 허용되지 않은 메서드는 모델에 노출하지 않는다.
+     * @param {Object} context - 실행 컨텍스트 ({ taskType: 대체 도구 선택용 태스크 유형, agentId, role: 권한 확인용 에이전트, taskId: 실행 결과 추적용 태스크 ID })
+     * @returns {Object} 도구 핸들 ({ name, description, getToolSchemas(), execute(method, params, options) })
+     */
+    createToolHandle(toolName, context = {}) {
+        const tool = this.getTool(toolName);
+        if (!tool) {
+            throw new Error(`Tool ${toolName} not found`);
+        }
+
+        return {
+            name: tool.name,
+            description: tool.description,
+            getToolSchemas: () => tool.getToolSchemas().filter(schema => tool.isMethodAllowed(schema.name, context.role)),
+            execute: (method, params, options = {}) => this.executeTool(toolName, method, params, { ...context, ...options })
+        };
+    }
+
+    /**
+     * 도구 호출 권한 확인 (거부되면 errorClass가 auth인 MCPError)
+     */
+    authorizeCall(toolName, method, params, options) {
+        return authorizeToolCall(this.policy, toolName, method, params, options);
+    }
+
+    /**
+     * 도구 호출 승인 요청에 응답
+     * @param {string} requestId - 승인 요청 ID
+     * @param {string} decision - 응답 (approve, deny, always_allow)
+     */
+    resolveApproval(requestId, decision) {
+        this.policy.resolveApproval(requestId, decision);
+    }
+
+    /**
+     * 대기 중인 도구 호출 승인 요청 목록
+     * @returns {Array<Object>} 승인 요청 목록
+     */
+    getPendingApprovals() {
+        return this.policy.getPendingApprovals();
+    }
+
     /**
      * 사용 가능한 도구 목록 조회
      * @returns {Array<Object>} 도구 목록
@@ -420,13 +410,14 @@ class MCPToolManager extends EventEmitter {
             name: tool.name,
             description: tool.description,
             methods: tool.methods,
+            tools: tool.getToolSchemas(),
             capabilities: tool.capabilities,
             status: tool.status
         }));
     }
 
     /**
-     * 특정 기능을 가진 도구들 조회
+     * 특정 기능을 가진 도구들 조회 (각 도구의 getToolSchemas()로 메서드 스키마 확인)
      * @param {string} capability - 기능명
      * @returns {Array<MCPTool>} 도구 목록
      */
@@ -469,6 +460,15 @@ class MCPToolManager extends EventEmitter {
         return stats;
     }
 
+    /**
+     * 호출 기록 기반 도구별 통계 조회 (이전 실행의 호출도 포함)
+     * @param {Object} filters - 기록 조건 ({ runId, taskId, agentId, tool, method, status: success | error, since, until })
+     * @returns {Promise<Object>} 도구 이름 -> { calls, errors, replayed, totalDuration, averageDuration, methods: 메서드 -> 호출 수 }
+     */
+    queryCallStats(filters = {}) {
+        return this.recorder.queryStats(filters);
+    }
+
     /**
      * 관리자 종료
      */
@@ -488,6 +488,7 @@ class MCPToolManager extends EventEmitter {
         // 상태 초기화
         this.tools.clear();
         this.toolRegistry.clear();
+        this.assignments.clear();
         this.activeExecutions.clear();
         this.isInitialized = false;
         
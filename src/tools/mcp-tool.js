@@ -0,0 +1,365 @@
+const EventEmitter = require('events');
+const { raceWithAbort } = require('../utils/cancellation');
+const { validateJsonSchema } = require('../utils/json-schema');
+const { MCPClient, MCPError } = require('./mcp-client');
+
+/**
+ * 도구 설정 기본값
+ * - command/args/env/cwd: stdio MCP 서버 실행 정보, headers: HTTP 엔드포인트 추가 헤더
+ * - timeout/retries: 호출당 제한 시간(ms)과 재시도 횟수
+ * - priority/suitableFor: 도구 할당 시 우선순위와 적합한 역할
+ * - handler: 로컬 도구 구현 (execute(method, params, context), isAllowed(method, role))
+ */
+function getToolDefaults() {
+    return {
+        command: null,
+        args: [],
+        env: {},
+        cwd: undefined,
+        headers: {},
+        timeout: 30000,
+        retries: 0,
+        priority: 'medium',
+        suitableFor: [],
+        handler: null
+    };
+}
+
+/**
+ * MCP 도구 클래스 - Model Context Protocol 도구 래퍼
+ * endpoint(Streamable HTTP) 또는 command(stdio)가 지정되면 원격 MCP 서버의 도구를 tools/call로 실행한다.
+ * 원격 도구의 메서드와 입력 스키마는 연결 후 tools/list로 조회하고, 로컬 도구는 설정의 tools로 선언한다.
+ */
+class MCPTool extends EventEmitter {
+    constructor(config) {
+        super();
+        
+        this.id = `mcp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        this.name = config.name;
+        this.description = config.description || '';
+        this.methods = config.methods || [];
+        this.endpoint = config.endpoint || null;
+        this.capabilities = config.capabilities || [];
+        
+        // 메서드별 스키마 (name -> { name, description, inputSchema })
+        this.toolSchemas = new Map();
+        if (config.tools) {
+            this.setToolSchemas(config.tools);
+        }
+        
+        // MCP 서버 설정, 실행 정책, 할당 정보 (기본값은 getToolDefaults 참고)
+        for (const [key, value] of Object.entries(getToolDefaults())) {
+            this[key] = config[key] ?? value;
+        }
+        
+        // 연결 상태
+        this.status = 'disconnected';
+        this.connectedAt = null;
+        this.lastUsed = null;
+        this.client = null;
+        this.serverInfo = null;
+        
+        // 통계
+        this.executionCount = 0;
+        this.errorCount = 0;
+        this.totalExecutionTime = 0;
+    }
+
+    /**
+     * MCP 엔드포인트에 연결
+     * 원격 MCP 서버(endpoint/command)도 로컬 handler도 없는 도구는 실행할 수 없으므로 연결에 실패한다.
+     */
+    async connect() {
+        try {
+            if (!this.isRemote() && !this.handler) {
+                throw new MCPError(`Tool ${this.name} has no MCP server (endpoint or command) or local handler`, { errorClass: 'validation' });
+            }
+
+            if (this.isRemote()) {
+                // initialize 핸드셰이크로 MCP 세션 수립
+                const client = this.createClient();
+                const result = await client.connect();
+                
+                this.client = client;
+                this.serverInfo = result.serverInfo || null;
+                
+                await this.refreshTools();
+            }
+            
+            // 로컬 도구는 세션 없이 즉시 연결
+            this.status = 'connected';
+            this.connectedAt = new Date();
+            this.emit('connected');
+        } catch (error) {
+            await this.closeClient();
+            this.status = 'error';
+            this.emit('error', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 서버의 도구 목록(tools/list)으로 메서드와 입력 스키마 갱신
+     * 서버가 tools 기능을 제공하지 않으면 설정의 methods를 그대로 사용한다.
+     */
+    async refreshTools() {
+        if (!this.client?.serverCapabilities?.tools) {
+            return;
+        }
+
+        this.setToolSchemas(await this.client.listTools());
+        this.emit('tools_updated', this.getToolSchemas());
+    }
+
+    /**
+     * 메서드 스키마 설정 (tools/list 결과 형식, 실행 가능한 메서드 목록도 함께 갱신)
+     * @param {Array<Object>} tools - 도구 목록 ({ name, description, inputSchema })
+     */
+    setToolSchemas(tools) {
+        this.toolSchemas = new Map(tools.map(tool => [tool.name, {
+            name: tool.name,
+            description: tool.description || '',
+            inputSchema: tool.inputSchema || { type: 'object' }
+        }]));
+        this.methods = [...this.toolSchemas.keys()];
+    }
+
+    /**
+     * 메서드 스키마 목록 조회
+     * @returns {Array<Object>} 스키마 목록 ({ name, description, inputSchema })
+     */
+    getToolSchemas() {
+        return [...this.toolSchemas.values()];
+    }
+
+    /**
+     * 입력 스키마로 파라미터 검증 (스키마가 없는 메서드는 검증 생략)
+     * @param {string} method - 메서드명
+     * @param {Object} params - 파라미터
+     */
+    validateParams(method, params) {
+        const schema = this.toolSchemas.get(method)?.inputSchema;
+        const errors = schema ? validateJsonSchema(params, schema) : [];
+
+        if (errors.length > 0) {
+            throw new MCPError(`Invalid params for ${this.name}.${method}: ${errors.join('; ')}`, {
+                code: MCPClient.RPC_ERRORS.INVALID_PARAMS,
+                data: { errors }
+            });
+        }
+    }
+
+    /**
+     * 원격 MCP 서버 도구 여부
+     */
+    isRemote() {
+        return Boolean(this.endpoint || this.command);
+    }
+
+    /**
+     * MCP 클라이언트 생성
+     * 서버 프로세스가 종료되거나 세션이 끊기면 도구를 disconnected 상태로 전환한다.
+     * @returns {MCPClient} 연결 전 클라이언트
+     */
+    createClient() {
+        const client = new MCPClient({
+            command: this.command,
+            args: this.args,
+            env: this.env,
+            cwd: this.cwd,
+            url: this.endpoint,
+            headers: this.headers,
+            timeout: this.timeout
+        });
+        
+        client.on('disconnected', () => {
+            if (this.client === client) {
+                this.client = null;
+                this.status = 'disconnected';
+                this.connectedAt = null;
+                this.emit('disconnected');
+            }
+        });
+        client.on('warning', (error) => this.emit('warning', error));
+        client.on('tools_changed', () => {
+            this.refreshTools().catch(error => this.emit('warning', error));
+        });
+        
+        return client;
+    }
+
+    /**
+     * 도구 메서드 실행
+     * @param {string} method - 실행할 메서드명
+     * @param {Object} params - 메서드 파라미터
+     * @param {Object} options - 실행 옵션 ({ signal: 취소 신호 })
+     * @returns {Promise<any>} 실행 결과
+     */
+    async execute(method, params = {}, options = {}) {
+        if (this.status !== 'connected') {
+            throw new Error('Tool not connected');
+        }
+
+        if (!this.methods.includes(method)) {
+            throw new MCPError(`Method ${method} not supported`, { errorClass: 'validation' });
+        }
+
+        this.validateParams(method, params);
+
+        const startTime = Date.now();
+        
+        try {
+            this.emit('execution_start', { method, params });
+            
+            let result;
+            if (this.isRemote()) {
+                // 원격 MCP 도구 실행 (도구 오류는 isError 결과로 반환됨)
+                result = await raceWithAbort(
+                    this.makeRequest('tools/call', { name: method, arguments: params }, options.signal),
+                    options.signal
+                );
+                if (result?.isError) {
+                    throw this.createToolError(method, result);
+                }
+            } else {
+                // 로컬 도구 실행 (설정의 handler에 위임)
+                result = await raceWithAbort(this.executeLocal(method, params, options), options.signal);
+            }
+            
+            // 통계 업데이트
+            this.executionCount++;
+            this.totalExecutionTime += Date.now() - startTime;
+            this.lastUsed = new Date();
+            
+            this.emit('execution_complete', { method, params, result });
+            
+            return result;
+        } catch (error) {
+            this.errorCount++;
+            this.emit('execution_error', { method, params, error });
+            throw error;
+        }
+    }
+
+    /**
+     * MCP 요청 전송
+     * @param {string} method - MCP 메서드
+     * @param {Object} params - 파라미터
+     * @param {AbortSignal} signal - 취소 신호
+     * @returns {Promise<Object>} 응답
+     */
+    async makeRequest(method, params, signal = null) {
+        if (!this.client) {
+            throw new Error('Tool not connected');
+        }
+
+        return this.client.request(method, params, { signal });
+    }
+
+    /**
+     * tools/call 오류 결과를 Error로 변환 (텍스트 콘텐츠를 메시지로 사용)
+     * @param {string} method - 실행한 메서드명
+     * @param {Object} result - isError가 설정된 호출 결과
+     * @returns {MCPError} 변환된 오류
+     */
+    createToolError(method, result) {
+        const detail = (result.content || [])
+            .filter(item => item.type === 'text')
+            .map(item => item.text)
+            .join('\n');
+
+        return new MCPError(`${this.name}.${method} failed: ${detail || 'Unknown tool error'}`, { data: result });
+    }
+
+    /**
+     * 로컬 도구 실행 (설정의 handler에 위임)
+     * @param {string} method - 메서드명
+     * @param {Object} params - 파라미터
+     * @param {Object} options - 실행 옵션 ({ role: 권한 확인용 에이전트 역할, signal: 취소 신호, runId: 작업 공간을 정할 실행 ID })
+     * @returns {Promise<any>} 실행 결과
+     */
+    async executeLocal(method, params, options = {}) {
+        if (!this.handler) {
+            throw new Error('Local execution not implemented');
+        }
+
+        return this.handler.execute(method, params, { role: options.role, signal: options.signal, runId: options.runId });
+    }
+
+    /**
+     * 역할의 메서드 실행 권한 확인 (권한 정책이 없는 도구는 모두 허용)
+     * @param {string} method - 메서드명
+     * @param {string} role - 에이전트 역할
+     * @returns {boolean} 허용 여부
+     */
+    isMethodAllowed(method, role) {
+        return this.handler?.isAllowed ? this.handler.isAllowed(method, role) : true;
+    }
+
+    /**
+     * 연결 해제
+     */
+    async disconnect() {
+        try {
+            await this.closeClient();
+            
+            this.status = 'disconnected';
+            this.connectedAt = null;
+            this.emit('disconnected');
+        } catch (error) {
+            this.emit('error', error);
+            throw error;
+        }
+    }
+
+    /**
+     * MCP 세션 종료 (서버 프로세스 종료 또는 HTTP 세션 종료)
+     */
+    async closeClient() {
+        const client = this.client;
+        this.client = null;
+        if (client) {
+            await client.close();
+        }
+    }
+
+    /**
+     * 도구 상태 조회
+     */
+    getStatus() {
+        return {
+            id: this.id,
+            name: this.name,
+            status: this.status,
+            connectedAt: this.connectedAt,
+            lastUsed: this.lastUsed,
+            executionCount: this.executionCount,
+            errorCount: this.errorCount,
+            averageExecutionTime: this.executionCount > 0 
+                ? this.totalExecutionTime / this.executionCount 
+                : 0,
+            successRate: this.executionCount > 0 
+                ? ((this.executionCount - this.errorCount) / this.executionCount) * 100 
+                : 100
+        };
+    }
+
+    /**
+     * JSON 직렬화
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            description: this.description,
+            methods: this.methods,
+            tools: this.getToolSchemas(),
+            capabilities: this.capabilities,
+            status: this.status,
+            connectedAt: this.connectedAt,
+            lastUsed: this.lastUsed
+        };
+    }
+}
+
+module.exports = { MCPTool };
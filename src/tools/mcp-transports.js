@@ -0,0 +1,220 @@
+const EventEmitter = require('events');
+const { spawn } = require('child_process');
+const { readServerSentEvents } = require('../utils/sse-reader');
+
+/**
+ * MCP 전송 계층
+ * 두 전송 모두 JSON-RPC 메시지를 받는 대로 'message' 이벤트로 전달하고,
+ * 연결이 끊기면 'close' 이벤트를 보낸다. 요청/응답 매칭은 MCPClient가 담당한다.
+ */
+
+/**
+ * stdio 전송 - 로컬 MCP 서버 프로세스를 실행하고 줄 단위 JSON으로 통신
+ */
+class StdioTransport extends EventEmitter {
+    /**
+     * @param {Object} config - 전송 설정
+     * @param {string} config.command - 서버 실행 파일
+     * @param {Array<string>} config.args - 인자 (셸 해석 없이 그대로 전달)
+     * @param {Object} config.env - 추가 환경 변수
+     * @param {string} config.cwd - 작업 디렉토리
+     * @param {number} config.killGracePeriod - 종료 시 단계별 대기 시간 (ms)
+     */
+    constructor(config) {
+        super();
+        this.command = config.command;
+        this.args = config.args || [];
+        this.env = config.env || {};
+        this.cwd = config.cwd;
+        this.killGracePeriod = config.killGracePeriod || 2000;
+        this.child = null;
+        this.buffer = '';
+    }
+
+    /**
+     * 서버 프로세스 시작 (실행 파일을 찾지 못하면 거부)
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.child = spawn(this.command, this.args, {
+                cwd: this.cwd,
+                env: { ...process.env, ...this.env },
+                stdio: ['pipe', 'pipe', 'pipe'],
+                windowsHide: true
+            });
+
+            // 실행 전 오류(ENOENT 등)는 start 거부로, 실행 후 오류는 error 이벤트로 전달
+            this.child.once('error', reject);
+            this.child.once('spawn', () => {
+                this.child.off('error', reject);
+                this.child.on('error', (error) => this.emit('error', error));
+                resolve();
+            });
+            this.child.on('close', (code, signal) => {
+                this.child = null;
+                this.emit('close', { code, signal });
+            });
+
+            this.child.stdin.on('error', () => {
+                // 서버가 먼저 종료된 경우(EPIPE)는 close 이벤트로 처리
+            });
+            this.child.stdout.setEncoding('utf8');
+            this.child.stdout.on('data', (chunk) => this.handleData(chunk));
+            this.child.stderr.setEncoding('utf8');
+            this.child.stderr.on('data', (chunk) => this.emit('log', chunk));
+        });
+    }
+
+    /**
+     * stdout 데이터 처리 (완성된 줄만 파싱하고 나머지는 다음 청크와 합침)
+     */
+    handleData(chunk) {
+        const lines = (this.buffer + chunk).split('\n');
+        this.buffer = lines.pop();
+
+        for (const line of lines.filter(text => text.trim())) {
+            try {
+                this.emit('message', JSON.parse(line));
+            } catch {
+                this.emit('error', new Error(`Invalid JSON from MCP server ${this.command}: ${line.slice(0, 200)}`));
+            }
+        }
+    }
+
+    /**
+     * 메시지 전송
+     * @param {Object} message - JSON-RPC 메시지
+     */
+    async send(message) {
+        if (!this.child) {
+            throw new Error(`MCP server ${this.command} is not running`);
+        }
+
+        this.child.stdin.write(`${JSON.stringify(message)}\n`);
+    }
+
+    /**
+     * 종료 (stdin을 닫아 서버가 스스로 종료하도록 하고, 응답이 없으면 SIGTERM, SIGKILL 순으로 종료)
+     */
+    async close() {
+        const child = this.child;
+        if (!child) {
+            return;
+        }
+
+        const exited = new Promise(resolve => child.once('close', resolve));
+        const waitForExit = () => Promise.race([
+            exited.then(() => true),
+            new Promise(resolve => setTimeout(() => resolve(false), this.killGracePeriod).unref())
+        ]);
+
+        child.stdin.end();
+        if (await waitForExit()) {
+            return;
+        }
+
+        child.kill('SIGTERM');
+        if (!await waitForExit()) {
+            child.kill('SIGKILL');
+            await exited;
+        }
+    }
+}
+
+/**
+ * Streamable HTTP 전송 - 단일 MCP 엔드포인트에 JSON-RPC 메시지를 POST
+ * 응답은 JSON 본문 또는 SSE 스트림으로 받으며, 세션 ID는 initialize 응답 헤더에서 받아 이후 요청에 포함한다.
+ */
+class HttpTransport extends EventEmitter {
+    /**
+     * @param {Object} config - 전송 설정
+     * @param {string} config.url - MCP 엔드포인트 URL
+     * @param {Object} config.headers - 추가 헤더 (인증 등)
+     */
+    constructor(config) {
+        super();
+        this.url = config.url;
+        this.headers = config.headers || {};
+        this.sessionId = null;
+        this.protocolVersion = null;
+    }
+
+    async start() {
+        // 연결은 요청마다 맺으므로 준비할 것이 없음
+    }
+
+    /**
+     * 메시지 전송 후 응답 메시지 전달
+     * @param {Object} message - JSON-RPC 메시지
+     * @param {Object} options - 전송 옵션 ({ signal: 취소 신호 })
+     */
+    async send(message, options = {}) {
+        const response = await global.fetch(this.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Accept: 'application/json, text/event-stream',
+                ...this.getSessionHeaders()
+            },
+            body: JSON.stringify(message),
+            signal: options.signal
+        });
+
+        this.sessionId = response.headers.get('mcp-session-id') || this.sessionId;
+
+        // 알림/응답은 본문 없이 202 Accepted로 수락됨
+        if (response.status === 202) {
+            return;
+        }
+        if (!response.ok) {
+            const error = new Error(`MCP HTTP error ${response.status} from ${this.url}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        await this.readMessages(response);
+    }
+
+    /**
+     * 응답 본문의 JSON-RPC 메시지 전달 (JSON 단일/배치 또는 SSE 스트림)
+     */
+    async readMessages(response) {
+        const contentType = response.headers.get('content-type') || '';
+
+        if (contentType.includes('text/event-stream')) {
+            for await (const { data } of readServerSentEvents(response.body)) {
+                this.emit('message', JSON.parse(data));
+            }
+            return;
+        }
+
+        const text = await response.text();
+        const messages = text ? [].concat(JSON.parse(text)) : [];
+        messages.forEach(message => this.emit('message', message));
+    }
+
+    getSessionHeaders() {
+        const headers = { ...this.headers };
+        if (this.sessionId) {
+            headers['Mcp-Session-Id'] = this.sessionId;
+        }
+        if (this.protocolVersion) {
+            headers['MCP-Protocol-Version'] = this.protocolVersion;
+        }
+        return headers;
+    }
+
+    /**
+     * 세션 종료 (서버가 세션 종료를 지원하지 않아도 무시)
+     */
+    async close() {
+        if (this.sessionId) {
+            await global.fetch(this.url, { method: 'DELETE', headers: this.getSessionHeaders() }).catch(() => {});
+            this.sessionId = null;
+        }
+
+        this.emit('close', {});
+    }
+}
+
+module.exports = { StdioTransport, HttpTransport };
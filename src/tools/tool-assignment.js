@@ -0,0 +1,135 @@
+// 도구 우선순위 (mcp-tools.json의 priority, 낮을수록 먼저 할당)
+const PRIORITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+/**
+ * 도구 할당기
+ * mcp-tools.json의 assignmentRules(태스크 유형 -> 도구 목록)와 fallbackTools로 에이전트에 도구를 할당하고 대체 도구를 고른다.
+ * 할당 정보는 도구 관리자의 assignments에 저장하고, 할당과 연결 실패는 관리자 이벤트(tool_assigned, connection_error)로 알린다.
+ */
+class ToolAssigner {
+    /**
+     * @param {MCPToolManager} manager - 도구 관리자 (설정, 도구 조회, 할당 정보)
+     */
+    constructor(manager) {
+        this.manager = manager;
+    }
+
+    /**
+     * 에이전트에 태스크 유형에 맞는 도구 할당
+     * assignmentRules의 후보 중 에이전트 역할에 적합한(suitableFor) 도구를 우선순위 순으로 연결해 보고,
+     * 모두 연결에 실패하면 fallbackTools에 지정된 도구를 할당한다.
+     * @param {string} agentId - 에이전트 ID
+     * @param {string} taskType - 태스크 유형
+     * @param {string} role - 에이전트 역할 (없으면 적합성 검사 생략)
+     * @returns {Promise<MCPTool|null>} 할당된 도구 (해당 유형의 할당 규칙이 없으면 null)
+     */
+    async assign(agentId, taskType, role = null) {
+        const candidates = this.getCandidateTools(taskType, role);
+        if (candidates.length === 0) {
+            this.manager.assignments.delete(agentId);
+            return null;
+        }
+
+        for (const tool of candidates) {
+            try {
+                if (tool.status !== 'connected') {
+                    await tool.connect();
+                }
+
+                const assignment = { agentId, toolName: tool.name, taskType, assignedAt: new Date() };
+                this.manager.assignments.set(agentId, assignment);
+                this.manager.emit('tool_assigned', assignment);
+
+                return tool;
+            } catch (error) {
+                this.manager.emit('connection_error', tool, error);
+            }
+        }
+
+        throw new Error(`No available tool for ${taskType} (tried: ${candidates.map(tool => tool.name).join(', ')})`);
+    }
+
+    /**
+     * 태스크 담당 에이전트에 도구를 할당하고 도구 핸들 추가
+     * 할당된 도구, 공용 도구, 태스크에 필요한 도구(테스트 단계의 code_runner 등)는 도구 사용 루프가 있는 에이전트에 추가되어
+     * 모델이 태스크 실행 중 호출할 수 있다. 도구 핸들에는 태스크 컨텍스트(taskId, runId 등)가 묶여 있으므로
+     * 태스크가 끝나면 반환된 release로 제거해야 한다.
+     * @param {Object} agent - 담당 에이전트 또는 팀원
+     * @param {Task} task - 실행할 태스크
+     * @param {string} runId - 워크플로우 실행 ID
+     * @returns {Promise<Object>} { tool: 할당된 도구 (없으면 null), release: 추가한 도구 핸들 제거 함수 }
+     */
+    async attachTaskTools(agent, task, runId) {
+        const tool = await this.assign(task.assignee, task.type, agent?.role);
+        const added = [];
+        const release = () => added.splice(0).forEach(name => agent.removeTool(name));
+        if (typeof agent?.addTool !== 'function') {
+            return { tool, release };
+        }
+
+        const names = new Set([
+            tool?.name,
+            ...this.manager.getSharedTools().map(shared => shared.name),
+            ...(task.metadata?.requiredTools || [])
+        ]);
+        try {
+            for (const name of [...names].filter(name => name && this.manager.getTool(name))) {
+                const context = { taskType: task.type, runId, agentId: agent.id, role: agent.role, taskId: task.id };
+                await agent.addTool(name, this.manager.createToolHandle(name, context));
+                added.push(name);
+            }
+        } catch (error) {
+            release();
+            throw error;
+        }
+        return { tool, release };
+    }
+
+    /**
+     * 태스크 유형의 할당 후보 도구 조회 (등록된 도구만, 대체 도구는 마지막)
+     * @param {string} taskType - 태스크 유형
+     * @param {string} role - 에이전트 역할
+     * @returns {Array<MCPTool>} 후보 도구 목록
+     */
+    getCandidateTools(taskType, role = null) {
+        const candidates = (this.manager.config?.assignmentRules?.[taskType] || [])
+            .map(name => this.manager.getTool(name))
+            .filter(tool => tool && (!role || tool.suitableFor.length === 0 || tool.suitableFor.includes(role)))
+            .sort((a, b) => (PRIORITY_ORDER[a.priority] ?? 1) - (PRIORITY_ORDER[b.priority] ?? 1));
+
+        const fallback = this.manager.getTool(this.manager.config?.fallbackTools?.[taskType]);
+        if (fallback && !candidates.includes(fallback)) {
+            candidates.push(fallback);
+        }
+
+        return candidates;
+    }
+
+    /**
+     * 에이전트에 할당된 도구 조회
+     * @param {string} agentId - 에이전트 ID
+     * @returns {MCPTool|null} 할당된 도구 또는 null
+     */
+    getAssignedTool(agentId) {
+        const assignment = this.manager.assignments.get(agentId);
+        return assignment ? this.manager.getTool(assignment.toolName) : null;
+    }
+
+    /**
+     * 대체 도구 조회
+     * 태스크 유형이 없으면 해당 도구가 포함된 할당 규칙의 대체 도구를 사용한다.
+     * @param {string} toolName - 실패한 도구 이름
+     * @param {string} taskType - 태스크 유형
+     * @returns {MCPTool|null} 대체 도구 또는 null
+     */
+    getFallbackTool(toolName, taskType = null) {
+        const fallbackTools = this.manager.config?.fallbackTools || {};
+        const rules = this.manager.config?.assignmentRules || {};
+        const type = taskType || Object.keys(fallbackTools).find(name => (rules[name] || []).includes(toolName));
+        const fallback = this.manager.getTool(fallbackTools[type]);
+
+        return fallback && fallback.name !== toolName ? fallback : null;
+    }
+}
+
+module.exports = { ToolAssigner };
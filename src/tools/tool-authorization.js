@@ -0,0 +1,48 @@
+const { ToolPolicy } = require('./tool-policy');
+
+// 도구 관리자 이벤트로 전달할 정책 이벤트 (승인 요청은 대시보드에서 응답할 수 있도록 그대로 전달)
+const FORWARDED_EVENTS = {
+    approval_requested: 'approval_requested',
+    approval_resolved: 'approval_resolved',
+    decision: 'policy_decision'
+};
+
+/**
+ * 도구 관리자용 권한 정책 생성
+ * 승인 요청/응답과 결정 이벤트는 관리자 이벤트로 전달하고, 감사 로그 기록 실패는 경고로 알린다.
+ * @param {Object} config - mcp-tools.json의 policy
+ * @param {EventEmitter} manager - 이벤트를 전달받을 도구 관리자
+ * @returns {ToolPolicy} 권한 정책
+ */
+function createToolPolicy(config, manager) {
+    const policy = new ToolPolicy(config);
+
+    Object.entries(FORWARDED_EVENTS).forEach(([event, forwarded]) => {
+        policy.on(event, (payload) => manager.emit(forwarded, payload));
+    });
+    policy.on('audit_error', (error) => manager.emit('warning', `Failed to write tool policy audit log: ${error.message}`));
+
+    return policy;
+}
+
+/**
+ * 도구 호출 권한 확인 (거부되면 errorClass가 auth인 MCPError)
+ * @param {ToolPolicy} policy - 권한 정책
+ * @param {string} toolName - 도구 이름
+ * @param {string} method - 메서드명
+ * @param {Object} params - 파라미터
+ * @param {Object} options - 실행 옵션 ({ agentId, role, taskId, signal })
+ * @returns {Promise<Object>} 결정
+ */
+function authorizeToolCall(policy, toolName, method, params, options) {
+    return policy.authorize({
+        tool: toolName,
+        method,
+        arguments: params,
+        agentId: options.agentId,
+        role: options.role,
+        taskId: options.taskId
+    }, options.signal);
+}
+
+module.exports = { createToolPolicy, authorizeToolCall };
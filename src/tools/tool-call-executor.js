@@ -0,0 +1,83 @@
+const { isCancellation, delay } = require('../utils/cancellation');
+const { MCPError } = require('./mcp-client');
+
+/**
+ * 도구 호출 실행기
+ * 도구별 timeout/retries 설정과 대체 도구 정책을 적용해 호출 1건을 실행한다.
+ * 재시도 오류 분류는 도구 관리자의 RetryPolicy를 따르고, 재시도와 대체 도구 전환은 관리자 이벤트(execution_retry, tool_fallback)로 알린다.
+ */
+class ToolCallExecutor {
+    /**
+     * @param {MCPToolManager} manager - 도구 관리자 (재시도 정책, 기본 제한 시간, 대체 도구 조회, 권한 확인)
+     */
+    constructor(manager) {
+        this.manager = manager;
+    }
+
+    /**
+     * 실행 실패 시 대체 도구로 다시 실행 (취소는 대체하지 않음)
+     */
+    async execute(tool, method, params, options) {
+        try {
+            return await this.executeWithRetry(tool, method, params, options);
+        } catch (error) {
+            const fallback = this.manager.getFallbackTool(tool.name, options.taskType);
+            if (!fallback || options.signal?.aborted || isCancellation(error)) {
+                throw error;
+            }
+
+            this.manager.emit('tool_fallback', { toolName: tool.name, fallbackName: fallback.name, method, error });
+            await this.manager.authorizeCall(fallback.name, method, params, options);
+            return this.executeWithRetry(fallback, method, params, options);
+        }
+    }
+
+    /**
+     * 도구별 retries 설정만큼 재시도 (재시도 대상 오류 분류는 RetryPolicy 기준)
+     */
+    async executeWithRetry(tool, method, params, options) {
+        const policy = { ...this.manager.retryPolicy.resolve({}), max_attempts: tool.retries + 1 };
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this.executeWithTimeout(tool, method, params, options);
+            } catch (error) {
+                const errorClass = this.manager.retryPolicy.classifyError(error);
+                if (!this.manager.retryPolicy.shouldRetry(policy, errorClass, attempt)) {
+                    throw error;
+                }
+
+                this.manager.emit('execution_retry', { toolName: tool.name, method, attempt, errorClass, error });
+                await delay(this.manager.retryPolicy.getDelay(policy, attempt, error), options.signal);
+            }
+        }
+    }
+
+    /**
+     * 도구별 timeout 설정으로 1회 실행 (연결이 끊긴 도구는 다시 연결)
+     * 제한 시간이 지나면 취소 신호로 실행을 중단하고 timeout 오류로 거부한다.
+     */
+    async executeWithTimeout(tool, method, params, options) {
+        const timeout = tool.timeout || this.manager.defaultTimeout;
+        const timeoutController = new AbortController();
+        const timer = setTimeout(() => timeoutController.abort(new MCPError(
+            `Tool ${tool.name}.${method} timed out after ${timeout}ms`,
+            { errorClass: 'timeout' }
+        )), timeout);
+        const signal = options.signal
+            ? AbortSignal.any([options.signal, timeoutController.signal])
+            : timeoutController.signal;
+
+        try {
+            if (tool.status !== 'connected') {
+                await tool.connect();
+            }
+
+            return await tool.execute(method, params, { ...options, signal });
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+module.exports = { ToolCallExecutor };
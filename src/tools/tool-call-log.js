@@ -0,0 +1,203 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { MCPError } = require('./mcp-client');
+
+const PROJECT_ROOT = path.join(__dirname, '../..');
+const DEFAULT_LOG_PATH = 'shared/logs/tool-calls.jsonl';
+
+/**
+ * 도구 호출 기록 저장소 (추가 전용 JSONL)
+ * 모든 도구 호출을 실행(run), 태스크, 에이전트, 도구, 메서드, 파라미터, 결과 다이제스트, 소요 시간, 오류와 함께 한 줄씩 기록한다.
+ * 결과 원문도 함께 저장해 같은 실행을 재생(replay)할 때 외부 도구를 호출하지 않고 기록된 결과를 돌려줄 수 있다.
+ */
+class ToolCallLog extends EventEmitter {
+    /**
+     * @param {Object} config - 설정 (mcp-tools.json의 callLog)
+     * @param {string|boolean} config.path - 기록 파일 경로 (프로젝트 루트 기준, false면 기록하지 않음)
+     */
+    constructor(config = {}) {
+        super();
+
+        this.logPath = config.path === false
+            ? null
+            : path.resolve(PROJECT_ROOT, config.path || DEFAULT_LOG_PATH);
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * 도구 호출 기록 (동시 호출의 기록 순서를 유지하도록 순차 기록)
+     * @param {Object} call - 호출 ({ id, runId, taskId, agentId, tool, method, params, replayedFrom })
+     * @param {Object} outcome - 결과 ({ result, error, duration })
+     * @returns {Promise<Object>} 기록된 항목 (기록 실패는 record_error 이벤트로 알리고 호출은 계속 진행)
+     */
+    record(call, outcome) {
+        const entry = {
+            id: call.id,
+            timestamp: new Date().toISOString(),
+            runId: call.runId,
+            taskId: call.taskId,
+            agentId: call.agentId,
+            tool: call.tool,
+            method: call.method,
+            params: call.params,
+            resultDigest: outcome.error ? null : digest(outcome.result),
+            result: outcome.result,
+            duration: outcome.duration,
+            error: outcome.error ? { message: outcome.error.message, errorClass: outcome.error.errorClass } : null,
+            replayedFrom: call.replayedFrom
+        };
+
+        if (!this.logPath) {
+            return Promise.resolve(entry);
+        }
+
+        this.writeQueue = this.writeQueue
+            .then(async () => {
+                await fs.mkdir(path.dirname(this.logPath), { recursive: true });
+                await fs.appendFile(this.logPath, `${JSON.stringify(entry)}\n`);
+            })
+            .catch(error => this.emit('record_error', error));
+
+        return this.writeQueue.then(() => entry);
+    }
+
+    /**
+     * 기록 조회 (기록 순서)
+     * @param {Object} filters - 조건 ({ runId, taskId, agentId, tool, method, status: success | error, since, until, limit: 마지막 N건 })
+     * @returns {Promise<Array<Object>>} 조건에 맞는 기록
+     */
+    async query(filters = {}) {
+        if (!this.logPath) {
+            return [];
+        }
+
+        await this.writeQueue;
+
+        let content;
+        try {
+            content = await fs.readFile(this.logPath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const entries = content.split('\n')
+            .map(parseLine)
+            .filter(entry => entry && matchesFilters(entry, filters));
+
+        return filters.limit ? entries.slice(-filters.limit) : entries;
+    }
+
+    /**
+     * 실행의 기록을 재생용으로 불러오기
+     * @param {string} runId - 재생할 실행 ID
+     * @param {Object} options - 재생 옵션 ({ onMiss: 기록에 없는 호출 처리 - error(기본값) 또는 execute })
+     * @returns {Promise<ToolCallReplay>} 재생기
+     */
+    async loadReplay(runId, options = {}) {
+        const entries = await this.query({ runId });
+        if (entries.length === 0) {
+            throw new Error(`No recorded tool calls for run ${runId}`);
+        }
+
+        return new ToolCallReplay(runId, entries, options);
+    }
+}
+
+/**
+ * 기록된 도구 호출 재생기
+ * 도구, 메서드, 파라미터가 같은 호출에 기록된 결과를 기록 순서대로 돌려준다 (같은 호출이 여러 번이면 차례로 소비).
+ */
+class ToolCallReplay {
+    constructor(runId, entries, options = {}) {
+        this.runId = runId;
+        this.onMiss = options.onMiss || 'error';
+        this.calls = new Map(); // callKey -> 기록 목록
+
+        for (const entry of entries) {
+            const key = callKey(entry.tool, entry.method, entry.params);
+            if (!this.calls.has(key)) {
+                this.calls.set(key, []);
+            }
+            this.calls.get(key).push(entry);
+        }
+    }
+
+    /**
+     * 같은 호출의 다음 기록 꺼내기
+     * @returns {Object|null} 기록 ({ restore(): 결과 반환 또는 기록된 오류 발생 }), 없으면 null
+     */
+    take(tool, method, params = {}) {
+        const entry = this.calls.get(callKey(tool, method, params))?.shift();
+        if (!entry) {
+            return null;
+        }
+
+        return {
+            entry,
+            restore: () => {
+                if (entry.error) {
+                    throw new MCPError(entry.error.message, { errorClass: entry.error.errorClass });
+                }
+                return entry.result;
+            }
+        };
+    }
+}
+
+/**
+ * 도구 호출 식별 키 (파라미터 객체의 키 순서와 무관)
+ */
+function callKey(tool, method, params = {}) {
+    return `${tool}.${method}:${digest(params)}`;
+}
+
+function digest(value) {
+    return crypto.createHash('sha256').update(stableStringify(value ?? null)).digest('hex');
+}
+
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+
+    return JSON.stringify(value) ?? 'null';
+}
+
+function parseLine(line) {
+    if (!line.trim()) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(line);
+    } catch {
+        return null; // 중단된 기록의 잘린 마지막 줄
+    }
+}
+
+function matchesFilters(entry, filters) {
+    const fields = ['runId', 'taskId', 'agentId', 'tool', 'method'];
+    if (fields.some(field => filters[field] && entry[field] !== filters[field])) {
+        return false;
+    }
+    if (filters.status && (filters.status === 'error') !== Boolean(entry.error)) {
+        return false;
+    }
+
+    const time = new Date(entry.timestamp).getTime();
+    return (!filters.since || time >= new Date(filters.since).getTime()) &&
+        (!filters.until || time <= new Date(filters.until).getTime());
+}
+
+ToolCallLog.callKey = callKey;
+
+module.exports = { ToolCallLog, ToolCallReplay };
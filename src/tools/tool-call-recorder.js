@@ -0,0 +1,96 @@
+const { MCPError } = require('./mcp-client');
+
+/**
+ * 도구 호출 기록기
+ * 도구 관리자의 호출을 호출 기록(ToolCallLog)에 남기고, 재생 중에는 같은 호출의 기록된 결과를 꺼내 준다.
+ * 호출 기록을 도구별로 집계한 통계도 제공한다.
+ */
+class ToolCallRecorder {
+    /**
+     * @param {ToolCallLog} callLog - 호출 기록 저장소
+     */
+    constructor(callLog) {
+        this.callLog = callLog;
+        this.replay = null; // ToolCallReplay
+    }
+
+    /**
+     * 호출 결과 기록
+     * @param {Object} call - 호출 정보 ({ id, runId, taskId, agentId, tool, method, params, replayedFrom })
+     * @param {Object} outcome - 결과 ({ result | error, duration })
+     * @returns {Promise<void>}
+     */
+    record(call, outcome) {
+        return this.callLog.record(call, outcome);
+    }
+
+    /**
+     * 재생 중인 실행에서 같은 호출의 기록 꺼내기 (기록이 없고 onMiss가 error면 실행하지 않고 거부)
+     * @param {string} toolName - 도구 이름
+     * @param {string} method - 메서드명
+     * @param {Object} params - 파라미터
+     * @returns {Object|null} 기록된 호출 (재생 중이 아니거나 실제로 실행할 호출이면 null)
+     */
+    take(toolName, method, params) {
+        if (!this.replay) {
+            return null;
+        }
+
+        const recorded = this.replay.take(toolName, method, params);
+        if (!recorded && this.replay.onMiss !== 'execute') {
+            throw new MCPError(
+                `Tool call ${toolName}.${method} was not recorded in run ${this.replay.runId}`,
+                { errorClass: 'validation' }
+            );
+        }
+
+        return recorded;
+    }
+
+    /**
+     * 기록된 실행 재생 시작
+     * @param {string} runId - 재생할 실행 ID
+     * @param {Object} options - 재생 옵션 ({ onMiss: 기록에 없는 호출 처리 - error(기본값) 또는 execute })
+     * @returns {Promise<ToolCallReplay>} 재생기
+     */
+    async startReplay(runId, options = {}) {
+        this.replay = await this.callLog.loadReplay(runId, options);
+        return this.replay;
+    }
+
+    /**
+     * 재생 종료
+     */
+    stopReplay() {
+        this.replay = null;
+    }
+
+    /**
+     * 호출 기록 기반 도구별 통계 조회 (이전 실행의 호출도 포함)
+     * @param {Object} filters - 기록 조건 ({ runId, taskId, agentId, tool, method, status: success | error, since, until })
+     * @returns {Promise<Object>} 도구 이름 -> { calls, errors, replayed, totalDuration, averageDuration, methods: 메서드 -> 호출 수 }
+     */
+    async queryStats(filters = {}) {
+        const stats = {};
+
+        for (const entry of await this.callLog.query(filters)) {
+            if (!stats[entry.tool]) {
+                stats[entry.tool] = { calls: 0, errors: 0, replayed: 0, totalDuration: 0, methods: {} };
+            }
+            const toolStats = stats[entry.tool];
+            toolStats.calls++;
+            toolStats.errors += entry.error ? 1 : 0;
+            toolStats.replayed += entry.replayedFrom ? 1 : 0;
+            toolStats.totalDuration += entry.duration || 0;
+            toolStats.methods[entry.method] = (toolStats.methods[entry.method] || 0) + 1;
+        }
+
+        for (const toolStats of Object.values(stats)) {
+            toolStats.averageDuration = Math.round(toolStats.totalDuration / toolStats.calls);
+        }
+
+        return stats;
+    }
+}
+
+module.exports = { ToolCallRecorder };
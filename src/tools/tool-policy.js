@@ -0,0 +1,286 @@
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const { MCPError } = require('./mcp-client');
+const { raceWithAbort } = require('../utils/cancellation');
+
+const PROJECT_ROOT = path.join(__dirname, '../..');
+const RULE_DECISIONS = ['allow', 'deny', 'ask'];
+const APPROVAL_DECISIONS = ['approve', 'deny', 'always_allow'];
+const UNATTENDED_DECISIONS = ['deny', 'approve'];
+const DEFAULT_APPROVAL_TIMEOUT = 300000; // 5분 (응답이 없으면 거부)
+const DEFAULT_AUDIT_LOG = 'shared/logs/tool-policy.jsonl';
+
+/**
+ * 도구 호출 권한 정책
+ * mcp-tools.json의 policy.rules를 위에서부터 검사해 처음 일치하는 규칙의 결정(allow, deny, ask)을 적용한다.
+ * ask는 승인 요청(approval_requested)을 발생시키고 대시보드에서 승인/거부/항상 허용할 때까지 호출을 멈춘다.
+ * 승인자(CLI 키보드, 대시보드)가 연결되어 있지 않으면 기다리지 않고 unattended 설정(기본값 deny)대로 바로 결정한다.
+ * 모든 결정은 감사 로그(JSONL)에 한 줄씩 기록된다.
+ *
+ * 규칙 형식: { decision, agent, role, tool, method, arguments, reason }
+ * - agent/role/tool/method: 문자열 또는 문자열 배열 (* 와일드카드 지원, 생략하면 모두 일치)
+ * - arguments: 인자명 -> 정규식 (문자열이 아닌 값은 JSON으로 변환해 검사)
+ */
+class ToolPolicy extends EventEmitter {
+    /**
+     * @param {Object} config - 설정 (mcp-tools.json의 policy)
+     * @param {string} config.default - 일치하는 규칙이 없을 때의 결정 (기본값 allow)
+     * @param {Array<Object>} config.rules - 규칙 목록
+     * @param {number} config.approvalTimeout - 승인 대기 시간 (ms, 0이면 무제한)
+     * @param {string} config.unattended - 승인자가 없을 때의 결정 (deny, approve, 기본값 deny)
+     * @param {string|boolean} config.auditLog - 감사 로그 경로 (프로젝트 루트 기준, false면 기록하지 않음)
+     */
+    constructor(config = {}) {
+        super();
+
+        this.defaultDecision = config.default || 'allow';
+        this.rules = (config.rules || []).map(compileRule);
+        this.approvalTimeout = config.approvalTimeout ?? DEFAULT_APPROVAL_TIMEOUT;
+        this.auditLogPath = config.auditLog === false
+            ? null
+            : path.resolve(PROJECT_ROOT, config.auditLog || DEFAULT_AUDIT_LOG);
+
+        this.sessionRules = []; // always_allow 응답으로 추가된 허용 규칙
+        this.approvers = new Set(); // 승인 요청에 응답할 수 있는 승인자 (cli, web_dashboard 등)
+        this.pendingApprovals = new Map(); // requestId -> { request, resolve, timer }
+        this.auditQueue = Promise.resolve();
+
+        if (!RULE_DECISIONS.includes(this.defaultDecision)) {
+            throw new Error(`Invalid tool policy default: ${this.defaultDecision}`);
+        }
+        this.setUnattendedDecision(config.unattended || 'deny');
+    }
+
+    /**
+     * 승인자 연결 (연결된 승인자가 있어야 ask 호출이 승인을 기다린다)
+     * @param {string} name - 승인자 이름 (cli, web_dashboard 등)
+     * @returns {Function} 연결 해제 함수
+     */
+    attachApprover(name) {
+        this.approvers.add(name);
+        return () => this.approvers.delete(name);
+    }
+
+    /**
+     * 승인자가 없을 때의 결정 변경 (헤드리스/CI 실행용)
+     * @param {string} decision - deny(바로 거부) 또는 approve(바로 허용)
+     */
+    setUnattendedDecision(decision) {
+        if (!UNATTENDED_DECISIONS.includes(decision)) {
+            throw new Error(`Invalid unattended approval decision: ${decision} (expected ${UNATTENDED_DECISIONS.join(' or ')})`);
+        }
+        this.unattendedDecision = decision;
+    }
+
+    /**
+     * 호출에 적용되는 결정 조회
+     * @param {Object} call - 도구 호출 ({ tool, method, arguments, agentId, role, taskId })
+     * @returns {Object} 결정 ({ decision, source: rule | always_allow | default, reason })
+     */
+    evaluate(call) {
+        const rule = [...this.sessionRules, ...this.rules].find(candidate => matchesRule(candidate, call));
+        if (!rule) {
+            return { decision: this.defaultDecision, source: 'default' };
+        }
+
+        return { decision: rule.decision, source: rule.session ? 'always_allow' : 'rule', reason: rule.reason };
+    }
+
+    /**
+     * 호출 권한 확인 (ask 규칙은 승인될 때까지 대기)
+     * @param {Object} call - 도구 호출 ({ tool, method, arguments, agentId, role, taskId })
+     * @param {AbortSignal} signal - 취소 신호 (승인 대기 중 취소되면 signal.reason으로 거부)
+     * @returns {Promise<void>} 허용되면 완료, 거부되면 errorClass가 auth인 MCPError로 거부
+     */
+    async authorize(call, signal = null) {
+        let outcome = this.evaluate(call);
+        if (outcome.decision === 'ask') {
+            outcome = await this.requestApproval(call, outcome.reason, signal);
+        }
+
+        await this.audit(call, outcome);
+
+        if (outcome.decision !== 'allow') {
+            const detail = {
+                timeout: 'approval timed out',
+                unattended: 'approval unavailable, no approver attached'
+            }[outcome.source] || outcome.reason;
+            throw new MCPError(
+                `Tool call ${call.tool}.${call.method} denied by policy${detail ? `: ${detail}` : ''}`,
+                { errorClass: 'auth' }
+            );
+        }
+    }
+
+    /**
+     * 승인 요청 후 응답 대기 (승인자가 없으면 unattended 결정을 바로 반환)
+     */
+    async requestApproval(call, reason, signal) {
+        if (this.approvers.size === 0) {
+            return {
+                decision: this.unattendedDecision === 'approve' ? 'allow' : 'deny',
+                source: 'unattended',
+                approval: this.unattendedDecision,
+                reason
+            };
+        }
+
+        const request = {
+            id: `approval_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            ...call,
+            reason,
+            requestedAt: new Date().toISOString()
+        };
+
+        const response = new Promise(resolve => {
+            const timer = this.approvalTimeout > 0
+                ? setTimeout(() => this.resolveApproval(request.id, 'deny', 'timeout'), this.approvalTimeout)
+                : null;
+            this.pendingApprovals.set(request.id, { request, resolve, timer });
+        });
+        this.emit('approval_requested', request);
+
+        try {
+            return await raceWithAbort(response, signal);
+        } catch (error) {
+            // 승인 대기 중 태스크가 취소된 경우
+            this.discardApproval(request.id, 'cancelled');
+            throw error;
+        }
+    }
+
+    /**
+     * 승인 요청에 응답
+     * @param {string} requestId - 승인 요청 ID
+     * @param {string} decision - 응답 (approve, deny, always_allow)
+     * @param {string} source - 응답 주체 (user, timeout)
+     */
+    resolveApproval(requestId, decision, source = 'user') {
+        if (!APPROVAL_DECISIONS.includes(decision)) {
+            throw new Error(`Unknown approval decision: ${decision}`);
+        }
+
+        const pending = this.pendingApprovals.get(requestId);
+        if (!pending) {
+            throw new Error(`Approval request ${requestId} not found`);
+        }
+
+        if (decision === 'always_allow') {
+            const { tool, method } = pending.request;
+            this.sessionRules.unshift({ ...compileRule({ decision: 'allow', tool, method }), session: true });
+        }
+
+        this.discardApproval(requestId, decision);
+        pending.resolve({
+            decision: decision === 'deny' ? 'deny' : 'allow',
+            source: source === 'timeout' ? 'timeout' : 'user',
+            approval: decision,
+            reason: pending.request.reason
+        });
+    }
+
+    /**
+     * 대기 중인 승인 요청 제거
+     */
+    discardApproval(requestId, decision) {
+        const pending = this.pendingApprovals.get(requestId);
+        if (!pending) {
+            return;
+        }
+
+        clearTimeout(pending.timer);
+        this.pendingApprovals.delete(requestId);
+        this.emit('approval_resolved', { id: requestId, decision, request: pending.request });
+    }
+
+    /**
+     * 대기 중인 승인 요청 목록 (요청 순서)
+     * @returns {Array<Object>} 승인 요청 목록
+     */
+    getPendingApprovals() {
+        return Array.from(this.pendingApprovals.values()).map(pending => pending.request);
+    }
+
+    /**
+     * 결정을 감사 로그에 기록 (기록 실패는 audit_error 이벤트로 알리고 호출은 계속 진행)
+     */
+    audit(call, outcome) {
+        const entry = {
+            timestamp: new Date().toISOString(),
+            decision: outcome.decision,
+            source: outcome.source,
+            approval: outcome.approval,
+            reason: outcome.reason,
+            tool: call.tool,
+            method: call.method,
+            arguments: call.arguments,
+            agentId: call.agentId,
+            role: call.role,
+            taskId: call.taskId
+        };
+        this.emit('decision', entry);
+
+        if (!this.auditLogPath) {
+            return Promise.resolve();
+        }
+
+        // 동시 호출의 기록 순서를 유지하도록 순차 기록
+        this.auditQueue = this.auditQueue
+            .then(async () => {
+                await fs.mkdir(path.dirname(this.auditLogPath), { recursive: true });
+                await fs.appendFile(this.auditLogPath, `${JSON.stringify(entry)}\n`);
+            })
+            .catch(error => this.emit('audit_error', error));
+
+        return this.auditQueue;
+    }
+}
+
+/**
+ * 규칙 검증 및 패턴 컴파일
+ */
+function compileRule(rule, index) {
+    if (!RULE_DECISIONS.includes(rule.decision)) {
+        throw new Error(`Invalid tool policy rule ${index}: decision must be one of ${RULE_DECISIONS.join(', ')}`);
+    }
+
+    return {
+        decision: rule.decision,
+        reason: rule.reason,
+        agent: compileGlobs(rule.agent),
+        role: compileGlobs(rule.role),
+        tool: compileGlobs(rule.tool),
+        method: compileGlobs(rule.method),
+        arguments: Object.entries(rule.arguments || {}).map(([name, pattern]) => [name, new RegExp(pattern)])
+    };
+}
+
+function compileGlobs(patterns) {
+    if (patterns === undefined) {
+        return null;
+    }
+
+    return [].concat(patterns).map(pattern => new RegExp(
+        `^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`
+    ));
+}
+
+function matchesRule(rule, call) {
+    const fields = [[rule.agent, call.agentId], [rule.role, call.role], [rule.tool, call.tool], [rule.method, call.method]];
+
+    return fields.every(([patterns, value]) => !patterns || patterns.some(pattern => pattern.test(value || ''))) &&
+        rule.arguments.every(([name, pattern]) => matchesArgument(pattern, call.arguments?.[name]));
+}
+
+function matchesArgument(pattern, value) {
+    if (value === undefined) {
+        return false;
+    }
+
+    return pattern.test(typeof value === 'string' ? value : JSON.stringify(value));
+}
+
+ToolPolicy.APPROVAL_DECISIONS = APPROVAL_DECISIONS;
+
+module.exports = { ToolPolicy };
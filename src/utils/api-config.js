@@ -6,6 +6,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const chalk = require('chalk');
+const { createProvider } = require('../providers/provider-registry');
 require('dotenv').config();
 
 class ApiConfigManager {
@@ -23,13 +24,31 @@ class ApiConfigManager {
                 urlEnv: 'GEMINI_API_URL',
                 defaultUrl: 'https://generativelanguage.googleapis.com/v1beta/models',
                 name: 'Gemini API'
+            },
+            // OpenAI 호환 서버 (기본값은 로컬 Ollama, 로컬 서버는 API 키 없이 동작)
+            openai: {
+                keyEnv: 'OPENAI_API_KEY',
+                urlEnv: 'OPENAI_BASE_URL',
+                modelEnv: 'OPENAI_MODEL',
+                defaultUrl: 'http://localhost:11434/v1',
+                name: 'OpenAI-compatible API',
+                keyOptional: true
             }
         };
     }
 
+    /**
+     * 설정을 관리하는 제공자인지 확인
+     * @param {string} provider - 제공자 이름
+     * @returns {boolean} 관리 여부
+     */
+    hasProvider(provider) {
+        return Object.prototype.hasOwnProperty.call(this.apiConfigs, provider);
+    }
+
     /**
      * API 키 존재 여부 확인
-     * @param {string} provider - 'claude' 또는 'gemini'
+     * @param {string} provider - 'claude', 'gemini' 또는 'openai'
      * @returns {boolean} API 키 존재 여부
      */
     hasApiKey(provider) {
@@ -41,7 +60,7 @@ class ApiConfigManager {
 
     /**
      * API 설정 정보 조회
-     * @param {string} provider - 'claude' 또는 'gemini'
+     * @param {string} provider - 'claude', 'gemini' 또는 'openai'
      * @returns {Object} API 설정 정보
      */
     getApiConfig(provider) {
@@ -54,6 +73,8 @@ class ApiConfigManager {
             apiKey: process.env[config.keyEnv] || null,
             apiUrl: process.env[config.urlEnv] || config.defaultUrl,
             hasKey: !!process.env[config.keyEnv],
+            keyOptional: !!config.keyOptional,
+            model: process.env[config.modelEnv] || null,
             name: config.name
         };
     }
@@ -69,6 +90,7 @@ class ApiConfigManager {
             status[provider] = {
                 name: config.name,
                 hasKey: this.hasApiKey(provider),
+                keyOptional: !!config.keyOptional,
                 url: process.env[config.urlEnv] || config.defaultUrl,
                 keyEnv: config.keyEnv
             };
@@ -142,13 +164,13 @@ class ApiConfigManager {
 
     /**
      * API 연결 테스트
-     * @param {string} provider - 'claude' 또는 'gemini'
+     * @param {string} provider - 'claude', 'gemini' 또는 'openai'
      * @returns {Promise<boolean>} 연결 성공 여부
      */
     async testApiConnection(provider) {
         const config = this.getApiConfig(provider);
         
-        if (!config.hasKey) {
+        if (!config.hasKey && !config.keyOptional) {
             console.log(chalk.yellow(`⚠️  ${config.name} 키가 설정되지 않았습니다.`));
             return false;
         }
@@ -156,13 +178,12 @@ class ApiConfigManager {
         try {
             console.log(chalk.blue(`🔍 ${config.name} 연결 테스트 중...`));
             
-            if (provider === 'claude') {
-                return await this.testClaudeConnection(config);
-            } else if (provider === 'gemini') {
-                return await this.testGeminiConnection(config);
-            }
-            
-            return false;
+            // 제공자 구현의 검증 요청 사용 (claude/gemini는 짧은 생성 요청, openai는 모델 목록 조회)
+            const llmProvider = createProvider(provider, { apiKey: config.apiKey, baseUrl: config.apiUrl, model: config.model });
+            await llmProvider.validate();
+
+            console.log(chalk.green(`✅ ${config.name} 연결 성공`));
+            return true;
             
         } catch (error) {
             console.log(chalk.red(`❌ ${config.name} 연결 실패: ${error.message}`));
@@ -170,63 +191,6 @@ class ApiConfigManager {
         }
     }
 
-    /**
-     * Claude API 연결 테스트
-     */
-    async testClaudeConnection(config) {
-        const fetch = require('node-fetch');
-        
-        const response = await fetch(config.apiUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'x-api-key': config.apiKey,
-                'anthropic-version': '2023-06-01'
-            },
-            body: JSON.stringify({
-                model: 'claude-3-5-sonnet-20241022',
-                max_tokens: 10,
-                messages: [{ role: 'user', content: 'Test' }]
-            })
-        });
-
-        if (response.ok) {
-            console.log(chalk.green(`✅ Claude API 연결 성공`));
-            return true;
-        } else {
-            const error = await response.json();
-            throw new Error(error.error?.message || `HTTP ${response.status}`);
-        }
-    }
-
-    /**
-     * Gemini API 연결 테스트
-     */
-    async testGeminiConnection(config) {
-        const fetch = require('node-fetch');
-        
-        const url = `${config.apiUrl}/gemini-1.5-flash:generateContent?key=${config.apiKey}`;
-        
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                contents: [{ parts: [{ text: 'Test' }] }],
-                generationConfig: { maxOutputTokens: 10 }
-            })
-        });
-
-        if (response.ok) {
-            console.log(chalk.green(`✅ Gemini API 연결 성공`));
-            return true;
-        } else {
-            const error = await response.json();
-            throw new Error(error.error?.message || `HTTP ${response.status}`);
-        }
-    }
-
     /**
      * 전체 API 상태 출력
      */
@@ -237,6 +201,13 @@ class ApiConfigManager {
         console.log(chalk.dim('─'.repeat(50)));
         
         for (const [provider, config] of Object.entries(status)) {
+            if (config.keyOptional && !config.hasKey) {
+                console.log(`➖ ${config.name}: API 키 없음 (로컬 서버는 키 없이 사용)`);
+                console.log(chalk.dim(`   URL: ${config.url}`));
+                console.log('');
+                continue;
+            }
+
             const statusIcon = config.hasKey ? '✅' : '❌';
             const statusText = config.hasKey ? 'API 키 설정됨' : 'API 키 없음';
             
@@ -266,6 +237,10 @@ class ApiConfigManager {
         console.log(chalk.green('# Gemini API (Google)'));
         console.log(chalk.green('GEMINI_API_KEY=your_gemini_api_key_here'));
         console.log('');
+        console.log(chalk.green('# OpenAI 호환 서버 (Ollama, llama.cpp 등 로컬 서버는 키 불필요)'));
+        console.log(chalk.green('OPENAI_BASE_URL=http://localhost:11434/v1'));
+        console.log(chalk.green('OPENAI_MODEL=llama3.1'));
+        console.log('');
         
         console.log(chalk.white('2. API 키 발급 방법:'));
         console.log(chalk.blue('   • Claude API: https://console.anthropic.com/'));
@@ -294,7 +269,7 @@ class ApiConfigManager {
             this.displayApiStatus();
 
             for (const [provider, config] of Object.entries(this.apiConfigs)) {
-                if (!this.hasApiKey(provider)) {
+                if (!this.hasApiKey(provider) && !config.keyOptional) {
                     console.log(chalk.yellow(`\n${config.name} 설정이 필요합니다.`));
                     const apiKey = await question(`${config.name} API 키를 입력하세요 (건너뛰려면 Enter): `);
                     
@@ -0,0 +1,79 @@
+/**
+ * 태스크 취소 유틸리티
+ * AbortSignal 기반 취소를 에이전트, 도구 실행, 재시도 대기에 전달하기 위한 헬퍼
+ */
+
+/**
+ * 취소 오류 생성
+ * errorClass가 'cancelled'이므로 재시도 정책에서 재시도하지 않는다.
+ * @param {string} reason - 취소 사유
+ * @returns {Error} 취소 오류
+ */
+function createCancellationError(reason = 'Task cancelled') {
+    const error = new Error(reason);
+    error.name = 'AbortError';
+    error.errorClass = 'cancelled';
+    return error;
+}
+
+/**
+ * 취소 오류 여부 확인
+ * @param {Error} error - 확인할 오류
+ * @returns {boolean} 취소 오류 여부
+ */
+function isCancellation(error) {
+    return error?.errorClass === 'cancelled' || error?.name === 'AbortError' || error?.code === 'ABORT_ERR';
+}
+
+/**
+ * 취소로 인한 실패이면 원래 오류 대신 취소 사유를 반환
+ * fetch, child_process 등이 던지는 AbortError를 엔진의 취소 오류로 바꾸는 데 사용
+ * @param {Error} error - 발생한 오류
+ * @param {AbortSignal} signal - 취소 신호
+ * @returns {Error} 호출자에게 전달할 오류
+ */
+function toAbortReason(error, signal) {
+    return signal?.aborted ? signal.reason : error;
+}
+
+/**
+ * 취소 신호가 오면 즉시 거부되는 Promise로 감싸기
+ * 취소를 직접 지원하지 않는 작업(시뮬레이션, 로컬 도구 등)에 사용
+ * @param {Promise} promise - 원래 작업
+ * @param {AbortSignal} signal - 취소 신호 (없으면 원래 작업 그대로 반환)
+ * @returns {Promise} 작업 결과
+ */
+function raceWithAbort(promise, signal) {
+    if (!signal) {
+        return promise;
+    }
+    if (signal.aborted) {
+        return Promise.reject(signal.reason);
+    }
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+
+        promise.then(resolve, reject).finally(() => {
+            signal.removeEventListener('abort', onAbort);
+        });
+    });
+}
+
+/**
+ * 취소 가능한 대기
+ * @param {number} ms - 대기 시간
+ * @param {AbortSignal} signal - 취소 신호
+ * @returns {Promise<void>}
+ */
+function delay(ms, signal = null) {
+    let timer = null;
+    const wait = new Promise(resolve => {
+        timer = setTimeout(resolve, ms);
+    });
+
+    return raceWithAbort(wait, signal).finally(() => clearTimeout(timer));
+}
+
+module.exports = { createCancellationError, isCancellation, toAbortReason, raceWithAbort, delay };
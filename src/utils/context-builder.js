@@ -0,0 +1,110 @@
+/**
+ * 태스크 컨텍스트 빌더
+ * 선행 태스크의 산출물을 토큰 예산에 맞게 잘라 후속 태스크 프롬프트에 전달
+ * 모델로 요약하지 않고, 문자 수로 추정한 예산 안에서 잘라내기 전략(head, tail, middle)에 따라 발췌한다.
+ */
+
+// 토큰 예산을 문자 수로 환산하는 비율 (문자 수 / 토큰)
+const CHARS_PER_TOKEN = 4;
+const TRUNCATION_MARKER = '…[truncated]…';
+
+class ContextBuilder {
+    constructor(config = {}) {
+        this.maxTokens = config.maxUpstreamTokens || 2000;
+        this.strategy = config.truncationStrategy || 'middle';
+
+        if (!ContextBuilder.STRATEGIES.includes(this.strategy)) {
+            throw new Error(
+                `Unknown truncation strategy: ${this.strategy}. 가능한 전략: ${ContextBuilder.STRATEGIES.join(', ')}`
+            );
+        }
+    }
+
+    /**
+     * 선행 태스크 산출물 컨텍스트 생성
+     * 토큰 예산을 선행 태스크들에 나누어 배정하고, 짧은 산출물이 남긴 예산은 나머지에 재분배한다.
+     * @param {Array<Task>} upstreamTasks - 완료된 선행 태스크 목록
+     * @returns {Array<Object>} 태스크별 발췌 ({ taskId, type, description, summary: 잘라낸 산출물, truncated })
+     */
+    buildUpstreamContext(upstreamTasks) {
+        const entries = upstreamTasks.map(task => ({
+            taskId: task.id,
+            type: task.type,
+            description: task.description,
+            text: this.extractDeliverable(task.result)
+        }));
+
+        let remainingChars = this.maxTokens * CHARS_PER_TOKEN;
+        const allocations = new Map();
+
+        // 짧은 산출물부터 배정하여 남는 예산을 긴 산출물에 넘김
+        const byLength = [...entries].sort((a, b) => a.text.length - b.text.length);
+        byLength.forEach((entry, index) => {
+            const share = Math.floor(remainingChars / (byLength.length - index));
+            const allocated = Math.min(entry.text.length, share);
+            allocations.set(entry.taskId, allocated);
+            remainingChars -= allocated;
+        });
+
+        return entries.map(entry => {
+            const limit = allocations.get(entry.taskId);
+            return {
+                taskId: entry.taskId,
+                type: entry.type,
+                description: entry.description,
+                summary: this.truncate(entry.text, limit),
+                truncated: entry.text.length > limit
+            };
+        });
+    }
+
+    /**
+     * 태스크 결과에서 산출물 본문 추출
+     * @param {Object|string} result - 에이전트 실행 결과
+     * @returns {string} 산출물 텍스트
+     */
+    extractDeliverable(result) {
+        if (result === null || result === undefined) {
+            return '';
+        }
+
+        // 에이전트 결과 형식: { success, data: { result } } 또는 { status, output: { result } }
+        const payload = result.data ?? result.output ?? result;
+        const deliverable = payload?.result ?? payload;
+
+        return typeof deliverable === 'string'
+            ? deliverable.trim()
+            : JSON.stringify(deliverable, null, 2);
+    }
+
+    /**
+     * 전략에 따라 텍스트 자르기
+     * @param {string} text - 원본 텍스트
+     * @param {number} maxChars - 최대 문자 수
+     * @returns {string} 잘린 텍스트
+     */
+    truncate(text, maxChars) {
+        if (text.length <= maxChars) {
+            return text;
+        }
+
+        const keep = Math.max(0, maxChars - TRUNCATION_MARKER.length);
+
+        switch (this.strategy) {
+        case 'head':
+            return `${text.slice(0, keep)}${TRUNCATION_MARKER}`;
+        case 'tail':
+            return `${TRUNCATION_MARKER}${text.slice(text.length - keep)}`;
+        default: {
+            const headLength = Math.ceil(keep / 2);
+            const tailLength = keep - headLength;
+            return `${text.slice(0, headLength)}${TRUNCATION_MARKER}${text.slice(text.length - tailLength)}`;
+        }
+        }
+    }
+}
+
+// 지원하는 잘라내기 전략: 앞부분 유지, 뒷부분 유지, 앞뒤 유지
+ContextBuilder.STRATEGIES = ['head', 'tail', 'middle'];
+
+module.exports = { ContextBuilder };
@@ -13,6 +13,7 @@ class FileManager extends EventEmitter {
         super();
         this.sharedDir = path.join(__dirname, '../../shared');
         this.workflowsDir = path.join(this.sharedDir, 'workflows');
+        this.runsDir = path.join(this.sharedDir, 'runs'); // 워크플로우 실행 체크포인트 (생성 파일, workflows의 정의 파일과 분리)
         this.resultsDir = path.join(this.sharedDir, 'results');
         this.statesDir = path.join(this.sharedDir, 'states');
         this.tempDir = path.join(this.sharedDir, 'temp');
@@ -44,6 +45,7 @@ class FileManager extends EventEmitter {
         const dirs = [
             this.sharedDir,
             this.workflowsDir,
+            this.runsDir,
             this.resultsDir,
             this.statesDir,
             this.tempDir
@@ -138,6 +140,42 @@ class FileManager extends EventEmitter {
         }
     }
 
+    /**
+     * 워크플로우 실행 체크포인트 저장
+     */
+    async saveRun(runId, data) {
+        const filePath = path.join(this.runsDir, `${runId}.json`);
+
+        try {
+            await this.writeJsonFile(filePath, {
+                id: runId,
+                data,
+                timestamp: new Date().toISOString(),
+                version: 1
+            });
+
+            this.emit('run:saved', { runId, filePath });
+            return filePath;
+        } catch (error) {
+            console.error(chalk.red(`❌ 실행 체크포인트 저장 실패: ${runId}`), error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * 워크플로우 실행 체크포인트 로드
+     */
+    async loadRun(runId) {
+        const filePath = path.join(this.runsDir, `${runId}.json`);
+
+        try {
+            return await this.readJsonFile(filePath);
+        } catch (error) {
+            console.error(chalk.red(`❌ 실행 체크포인트 로드 실패: ${runId}`), error.message);
+            throw error;
+        }
+    }
+
     /**
      * 결과 파일 저장
      */
@@ -302,6 +340,7 @@ class FileManager extends EventEmitter {
     getTargetDirectory(directory) {
         switch (directory) {
             case 'workflows': return this.workflowsDir;
+            case 'runs': return this.runsDir;
             case 'results': return this.resultsDir;
             case 'states': return this.statesDir;
             case 'temp': return this.tempDir;
@@ -0,0 +1,123 @@
+/**
+ * JSON Schema 검증 유틸리티
+ * MCP 서버가 tools/list로 알려 준 inputSchema로 도구 호출 인자를 전송 전에 검증한다.
+ * 에이전트 간 협업 메시지(collaboration-protocol)의 data 검증에도 사용한다.
+ * 도구 스키마에 주로 쓰이는 키워드만 지원하며, 모르는 키워드는 검증하지 않고 통과시킨다.
+ */
+
+/**
+ * 값 검증
+ * @param {*} value - 검증할 값
+ * @param {Object} schema - JSON Schema
+ * @param {string} location - 오류 메시지용 값 위치
+ * @returns {Array<string>} 오류 목록 (유효하면 빈 배열)
+ */
+function validateJsonSchema(value, schema, location = 'params') {
+    const errors = [];
+    validateValue(value, schema || {}, location, errors);
+    return errors;
+}
+
+function validateValue(value, schema, location, errors) {
+    if (schema.type !== undefined) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push(`${location} must be ${types.join(' or ')}`);
+            return;
+        }
+    }
+
+    validateEnum(value, schema, location, errors);
+
+    if (typeof value === 'string') {
+        validateString(value, schema, location, errors);
+    } else if (typeof value === 'number') {
+        validateNumber(value, schema, location, errors);
+    } else if (Array.isArray(value)) {
+        validateArray(value, schema, location, errors);
+    } else if (matchesType(value, 'object')) {
+        validateObject(value, schema, location, errors);
+    }
+}
+
+function validateEnum(value, schema, location, errors) {
+    if (schema.enum && !schema.enum.some(option => isEqual(option, value))) {
+        errors.push(`${location} must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+    if (schema.const !== undefined && !isEqual(schema.const, value)) {
+        errors.push(`${location} must be ${JSON.stringify(schema.const)}`);
+    }
+}
+
+function validateString(value, schema, location, errors) {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${location} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push(`${location} must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+        errors.push(`${location} must match ${schema.pattern}`);
+    }
+}
+
+function validateNumber(value, schema, location, errors) {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${location} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${location} must be <= ${schema.maximum}`);
+    }
+}
+
+function validateArray(value, schema, location, errors) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${location} must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${location} must have at most ${schema.maxItems} item(s)`);
+    }
+    if (schema.items) {
+        value.forEach((item, index) => validateValue(item, schema.items, `${location}[${index}]`, errors));
+    }
+}
+
+/**
+ * 객체 검증 (additionalProperties가 false이면 선언되지 않은 필드를 거부)
+ */
+function validateObject(value, schema, location, errors) {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+        if (value[key] === undefined) {
+            errors.push(`${location}.${key} is required`);
+        }
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+        if (properties[key]) {
+            validateValue(child, properties[key], `${location}.${key}`, errors);
+        } else if (schema.additionalProperties === false) {
+            errors.push(`${location}.${key} is not allowed`);
+        } else if (typeof schema.additionalProperties === 'object') {
+            validateValue(child, schema.additionalProperties, `${location}.${key}`, errors);
+        }
+    }
+}
+
+function matchesType(value, type) {
+    switch (type) {
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+    }
+}
+
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+module.exports = { validateJsonSchema };
@@ -0,0 +1,217 @@
+const { spawn } = require('child_process');
+
+/**
+ * 비동기 서브프로세스 실행기
+ * 셸 없이 spawn으로 CLI를 실행하고 stdin으로 입력을 전달한다.
+ * 이벤트 루프를 막지 않으므로 여러 에이전트의 CLI 호출을 동시에 실행할 수 있다.
+ */
+
+const DEFAULT_OPTIONS = {
+    timeout: 60000,
+    maxBuffer: 1024 * 1024 * 10, // 10MB (stdout + stderr)
+    killGracePeriod: 2000 // SIGTERM 후 SIGKILL까지 대기 시간
+};
+
+// 셸 관례에 따른 종료 코드 분류
+const EXIT_CODE_KINDS = {
+    126: 'not_executable',
+    127: 'not_found'
+};
+
+const KIND_DESCRIPTIONS = {
+    timeout: 'timed out',
+    output_limit: 'exceeded output limit',
+    not_found: 'command not found',
+    not_executable: 'is not executable',
+    spawn_failed: 'failed to start',
+    killed: 'was killed',
+    exit_code: 'exited with an error'
+};
+
+/**
+ * 프로세스 실행 실패 오류
+ * kind, exitCode, signal, stdout, stderr, duration을 함께 담는다.
+ */
+class ProcessError extends Error {
+    constructor(message, result) {
+        super(message);
+        this.name = 'ProcessError';
+        Object.assign(this, result);
+    }
+}
+
+class ProcessRunner {
+    constructor(config = {}) {
+        this.defaults = { ...DEFAULT_OPTIONS, ...config };
+    }
+
+    /**
+     * 프로세스 실행
+     * @param {string} command - 실행 파일
+     * @param {Array<string>} args - 인자 (셸 해석 없이 그대로 전달)
+     * @param {Object} options - 실행 옵션
+     * @param {string} options.input - stdin으로 전달할 입력 (없으면 stdin을 닫음)
+     * @param {number} options.timeout - 제한 시간 (ms, 0이면 무제한)
+     * @param {AbortSignal} options.signal - 취소 신호 (취소 시 프로세스 종료 후 signal.reason으로 거부)
+     * @param {Function} options.onStdout - stdout 청크 콜백
+     * @param {Function} options.onStderr - stderr 청크 콜백
+     * @returns {Promise<Object>} 실행 결과 ({ command, kind, exitCode, signal, stdout, stderr, duration })
+     */
+    run(command, args = [], options = {}) {
+        const settings = { ...this.defaults, ...options };
+        const { signal } = settings;
+
+        if (signal?.aborted) {
+            return Promise.reject(signal.reason);
+        }
+
+        return new Promise((resolve, reject) => {
+            const state = { command, startTime: Date.now(), stdout: '', stderr: '', outputSize: 0, reason: null, settled: false };
+            const child = spawn(command, args, {
+                cwd: settings.cwd,
+                env: settings.env,
+                windowsHide: true,
+                stdio: [settings.input === undefined ? 'ignore' : 'pipe', 'pipe', 'pipe']
+            });
+
+            const stop = (reason) => this.terminate(child, state, reason, settings.killGracePeriod);
+            const timer = settings.timeout > 0 ? setTimeout(() => stop('timeout'), settings.timeout) : null;
+            const onAbort = () => stop('cancelled');
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            const finish = (code, exitSignal, spawnError = null) => {
+                if (state.settled) {
+                    return;
+                }
+                state.settled = true;
+                clearTimeout(timer);
+                clearTimeout(state.killTimer);
+                signal?.removeEventListener('abort', onAbort);
+
+                const result = this.createResult(state, code, exitSignal, spawnError);
+                if (result.kind === 'success') {
+                    resolve(result);
+                } else {
+                    reject(result.kind === 'cancelled' ? signal.reason : this.createError(result, settings, spawnError));
+                }
+            };
+
+            this.collectOutput(child, state, settings, stop);
+            child.on('error', (error) => finish(null, null, error));
+            child.on('close', (code, exitSignal) => finish(code, exitSignal));
+            this.writeInput(child, settings.input);
+        });
+    }
+
+    /**
+     * stdout/stderr 수집 (청크 단위 콜백 호출, 출력 한도 초과 시 종료)
+     */
+    collectOutput(child, state, settings, stop) {
+        const streams = [
+            [child.stdout, 'stdout', settings.onStdout],
+            [child.stderr, 'stderr', settings.onStderr]
+        ];
+
+        for (const [stream, key, onChunk] of streams) {
+            stream.setEncoding('utf8');
+            stream.on('data', (chunk) => {
+                state.outputSize += Buffer.byteLength(chunk);
+                if (state.outputSize > settings.maxBuffer) {
+                    stop('output_limit');
+                    return;
+                }
+
+                state[key] += chunk;
+                if (onChunk) {
+                    onChunk(chunk);
+                }
+            });
+        }
+    }
+
+    /**
+     * stdin으로 입력 전달
+     */
+    writeInput(child, input) {
+        if (input === undefined) {
+            return;
+        }
+
+        child.stdin.on('error', () => {
+            // 입력을 다 읽기 전에 종료된 경우(EPIPE) 결과는 종료 코드로 판단
+        });
+        child.stdin.end(input);
+    }
+
+    /**
+     * 프로세스 종료 (SIGTERM 후 유예 시간이 지나면 SIGKILL)
+     */
+    terminate(child, state, reason, gracePeriod) {
+        if (state.reason || state.settled) {
+            return;
+        }
+
+        state.reason = reason;
+        child.kill('SIGTERM');
+        state.killTimer = setTimeout(() => child.kill('SIGKILL'), gracePeriod);
+    }
+
+    /**
+     * 실행 결과 생성
+     */
+    createResult(state, code, exitSignal, spawnError) {
+        return {
+            command: state.command,
+            kind: ProcessRunner.classifyExit({ code, signal: exitSignal, reason: state.reason, spawnError }),
+            exitCode: code,
+            signal: exitSignal,
+            stdout: state.stdout,
+            stderr: state.stderr,
+            duration: Date.now() - state.startTime
+        };
+    }
+
+    /**
+     * 실패 결과를 ProcessError로 변환
+     * 시간 초과는 재시도 정책에서 timeout으로 분류되도록 errorClass를 지정한다.
+     */
+    createError(result, settings, spawnError) {
+        const detail = result.kind === 'timeout'
+            ? `${settings.timeout}ms`
+            : spawnError?.message || result.stderr.trim().split('\n').pop() || `exit code ${result.exitCode}`;
+
+        const error = new ProcessError(`${result.command} ${KIND_DESCRIPTIONS[result.kind]}: ${detail}`, result);
+        if (result.kind === 'timeout') {
+            error.errorClass = 'timeout';
+        }
+        if (spawnError) {
+            error.code = spawnError.code;
+        }
+
+        return error;
+    }
+
+    /**
+     * 종료 상태 분류
+     * @param {Object} exit - 종료 정보 ({ code, signal, reason, spawnError })
+     * @returns {string} success, timeout, cancelled, output_limit, not_found, not_executable, spawn_failed, killed, exit_code
+     */
+    static classifyExit({ code, signal, reason, spawnError }) {
+        if (reason) {
+            return reason;
+        }
+        if (spawnError) {
+            return spawnError.code === 'ENOENT' ? 'not_found' : 'spawn_failed';
+        }
+        if (code === 0) {
+            return 'success';
+        }
+        if (EXIT_CODE_KINDS[code]) {
+            return EXIT_CODE_KINDS[code];
+        }
+
+        return signal ? 'killed' : 'exit_code';
+    }
+}
+
+module.exports = { ProcessRunner, ProcessError };
@@ -0,0 +1,56 @@
+/**
+ * Server-Sent Events 스트림 리더
+ * Claude Messages API(stream: true)와 Gemini streamGenerateContent(alt=sse) 응답을 이벤트 단위로 읽는다.
+ */
+
+/**
+ * SSE 응답 본문을 이벤트 단위로 읽기
+ * @param {AsyncIterable<Uint8Array|string>} body - fetch 응답 본문 (Node 스트림 또는 Web ReadableStream)
+ * @returns {AsyncGenerator<Object>} 이벤트 ({ event, data })
+ */
+async function* readServerSentEvents(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of body) {
+        buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+
+        // 빈 줄로 구분된 완성된 이벤트만 처리하고 나머지는 다음 청크와 합침
+        const blocks = buffer.split(/\r?\n\r?\n/);
+        buffer = blocks.pop();
+
+        for (const block of blocks) {
+            const event = parseEvent(block);
+            if (event) {
+                yield event;
+            }
+        }
+    }
+
+    const last = parseEvent(buffer + decoder.decode());
+    if (last) {
+        yield last;
+    }
+}
+
+/**
+ * SSE 이벤트 블록 파싱
+ * @param {string} block - 빈 줄 사이의 이벤트 텍스트
+ * @returns {Object|null} 이벤트 ({ event, data }), data가 없으면 null
+ */
+function parseEvent(block) {
+    let event = 'message';
+    const data = [];
+
+    for (const line of block.split(/\r?\n/)) {
+        if (line.startsWith('event:')) {
+            event = line.slice('event:'.length).trim();
+        } else if (line.startsWith('data:')) {
+            data.push(line.slice('data:'.length).replace(/^ /, ''));
+        }
+    }
+
+    return data.length > 0 ? { event, data: data.join('\n') } : null;
+}
+
+module.exports = { readServerSentEvents, parseEvent };
@@ -0,0 +1,75 @@
+/**
+ * 텍스트 도구 호출 프로토콜
+ * 도구 호출 API가 없는 로컬 CLI용으로, 도구 목록과 호출 형식을 프롬프트에 설명하고
+ * 응답의 ```tool_call 코드 블록을 도구 호출로 해석한다.
+ * CLI는 호출마다 새 세션이므로 대화 전체를 하나의 프롬프트로 다시 만들어 전달한다.
+ */
+
+const TOOL_CALL_BLOCK = /```tool_call\s*\n([\s\S]*?)\n```/g;
+
+/**
+ * 도구 사용 안내문 생성
+ * @param {Array<Object>} tools - 도구 정의 ({ name, description, inputSchema })
+ * @returns {string} 프롬프트 섹션
+ */
+function formatToolInstructions(tools) {
+    const toolList = tools.map(tool =>
+        `- ${tool.name}: ${tool.description}\n  input schema: ${JSON.stringify(tool.inputSchema)}`
+    );
+
+    return [
+        'You can use the following tools:',
+        toolList.join('\n'),
+        'To call a tool, reply with one or more blocks in exactly this format and nothing else:',
+        '```tool_call\n{"name": "<tool name>", "arguments": { ... }}\n```',
+        'Tool results will be sent back to you. When you no longer need tools, reply with your final answer.'
+    ].join('\n\n');
+}
+
+/**
+ * 응답에서 도구 호출 추출
+ * JSON이 잘못된 블록은 error가 설정된 호출로 반환해 모델에게 오류를 알려 줄 수 있게 한다.
+ * @param {string} text - 모델 응답
+ * @returns {Object} { text: 도구 호출 블록을 제외한 본문, toolCalls: [{ id, name, arguments, error }] }
+ */
+function parseToolCalls(text) {
+    const toolCalls = [...text.matchAll(TOOL_CALL_BLOCK)].map((match, index) => {
+        const id = `call_${index + 1}`;
+        try {
+            const { name, arguments: args = {} } = JSON.parse(match[1]);
+            return { id, name, arguments: args };
+        } catch (error) {
+            return { id, name: 'tool_call', arguments: {}, error: `Invalid tool_call JSON: ${error.message}` };
+        }
+    });
+
+    return { text: text.replace(TOOL_CALL_BLOCK, '').trim(), toolCalls };
+}
+
+/**
+ * 대화 기록을 하나의 프롬프트로 변환
+ * @param {Array<Object>} messages - 대화 메시지 목록 (LLMProvider 대화 형식)
+ * @param {Array<Object>} tools - 도구 정의
+ * @returns {string} 프롬프트
+ */
+function renderTranscript(messages, tools) {
+    const sections = messages.map(message => {
+        if (message.role === 'assistant') {
+            const calls = (message.toolCalls || []).map(call =>
+                `\`\`\`tool_call\n${JSON.stringify({ name: call.name, arguments: call.arguments })}\n\`\`\``
+            );
+            return ['Your previous reply:', message.content, ...calls].filter(Boolean).join('\n\n');
+        }
+        if (message.role === 'tool') {
+            const results = message.results.map(result =>
+                `### ${result.name}${result.isError ? ' (error)' : ''}\n${result.content}`
+            );
+            return `Tool results:\n\n${results.join('\n\n')}`;
+        }
+        return message.content;
+    });
+
+    return tools.length > 0 ? [formatToolInstructions(tools), ...sections].join('\n\n') : sections.join('\n\n');
+}
+
+module.exports = { formatToolInstructions, parseToolCalls, renderTranscript };
@@ -7,6 +7,10 @@ const { LogVisualizer } = require('./log-visualizer.js');
 const { ProgressVisualizer } = require('./progress-visualizer.js');
 const { EventEmitter } = require('events');
 const chalk = require('chalk');
+const { summarizeCollaborationMessage } = require('../communication/collaboration-protocol');
+
+// Approval prompt keys -> tool policy decisions
+const APPROVAL_KEYS = { y: 'approve', n: 'deny', a: 'always_allow' };
 
 class Dashboard extends EventEmitter {
     constructor(config = {}) {
@@ -24,7 +28,10 @@ class Dashboard extends EventEmitter {
         
         this.isRunning = false;
         this.currentView = this.config.mode;
+        this.pendingApprovals = []; // Tool calls waiting for [y]/[n]/[a]
+        this.threads = new Map(); // taskId -> collaboration messages
         this.setupEventHandlers();
+        this.setupKeyHandlers();
         this.setupKeyboardHandlers();
     }
 
@@ -61,31 +68,32 @@ class Dashboard extends EventEmitter {
         });
     }
 
+    setupKeyHandlers() {
+        const quit = () => {
+            this.stop();
+            process.exit(0);
+        };
+
+        this.keyHandlers = {
+            '1': () => this.switchView('logs'),
+            '2': () => this.switchView('progress'),
+            '3': () => this.switchView('combined'),
+            'c': () => this.clearScreen(),
+            'e': () => this.exportData(),
+            't': () => this.showThreads(),
+            'h': () => this.showHelp(),
+            'q': quit,
+            '\u0003': quit // Ctrl+C
+        };
+        Object.entries(APPROVAL_KEYS).forEach(([key, decision]) => {
+            this.keyHandlers[key] = () => this.decideApproval(decision);
+        });
+    }
+
     handleKeyPress(key) {
-        switch (key) {
-            case '1':
-                this.switchView('logs');
-                break;
-            case '2':
-                this.switchView('progress');
-                break;
-            case '3':
-                this.switchView('combined');
-                break;
-            case 'c':
-                this.clearScreen();
-                break;
-            case 'e':
-                this.exportData();
-                break;
-            case 'h':
-                this.showHelp();
-                break;
-            case 'q':
-            case '\u0003': // Ctrl+C
-                this.stop();
-                process.exit(0);
-                break;
+        const handler = this.keyHandlers[key];
+        if (handler) {
+            handler();
         }
     }
 
@@ -164,8 +172,10 @@ class Dashboard extends EventEmitter {
             '  3 - Switch to Combined View (split screen)',
             '',
             chalk.white.bold('General Controls:'),
+            '  y/n/a - Approve, deny or always allow the pending tool call',
             '  c - Clear screen and refresh display',
             '  e - Export current data (logs & progress)',
+            '  t - Show agent conversation threads per task',
             '  h - Show this help screen',
             '  q - Quit dashboard (Ctrl+C also works)',
             '',
@@ -335,6 +345,15 @@ class Dashboard extends EventEmitter {
         this.logVisualizer.taskFailed(agentId, taskId, taskTitle, error);
     }
 
+    onTaskRetry(agentId, taskId, taskTitle, retry) {
+        this.progressVisualizer.onTaskRetry(agentId, taskId, taskTitle, retry);
+        this.logVisualizer.taskRetrying(agentId, taskId, taskTitle, retry);
+    }
+
+    onTaskCancelled(agentId, taskId, taskTitle, reason) {
+        this.logVisualizer.taskCancelled(agentId, taskId, taskTitle, reason);
+    }
+
     onAgentStatusChanged(agentId, oldStatus, newStatus) {
         this.progressVisualizer.updateAgentStatus(agentId, newStatus);
         this.logVisualizer.agentStatusChanged(agentId, oldStatus, newStatus);
@@ -345,6 +364,75 @@ class Dashboard extends EventEmitter {
         this.logVisualizer.messageReceived(toAgent, fromAgent, messageType);
     }
 
+    // Tool call approvals (oldest request is answered first)
+    connectToolManager(toolManager) {
+        toolManager.on('approval_requested', (request) => this.onApprovalRequested(request));
+        toolManager.on('approval_resolved', (resolution) => this.onApprovalResolved(resolution));
+        this.on('approval_decision', (requestId, decision) => {
+            try {
+                toolManager.resolveApproval(requestId, decision);
+            } catch (error) {
+                // The request may already have timed out or been cancelled
+                this.logVisualizer.warn('system', error.message);
+            }
+        });
+    }
+
+    onApprovalRequested(request) {
+        this.pendingApprovals.push(request);
+        this.logVisualizer.warn(request.agentId || 'system', `🔐 Approval required: ${request.tool}.${request.method}`, {
+            reason: request.reason,
+            arguments: request.arguments
+        });
+        console.log(chalk.yellow.bold('    [y] Approve  [n] Deny  [a] Always allow'));
+    }
+
+    onApprovalResolved({ id, decision, request }) {
+        this.pendingApprovals = this.pendingApprovals.filter(pending => pending.id !== id);
+        this.logVisualizer.info(request.agentId || 'system', `🔐 ${request.tool}.${request.method}: ${decision}`);
+    }
+
+    decideApproval(decision) {
+        const [request] = this.pendingApprovals;
+        if (request) {
+            this.emit('approval_decision', request.id, decision);
+        }
+    }
+
+    // Agent collaboration threads (questions, reviews, handoffs, blockers) grouped by task
+    connectMessageBroker(messageBroker) {
+        messageBroker.on('collaboration_message', (message) => this.onCollaborationMessage(message));
+    }
+
+    onCollaborationMessage(message) {
+        const taskId = message.data.taskId;
+        if (!this.threads.has(taskId)) {
+            this.threads.set(taskId, []);
+        }
+        this.threads.get(taskId).push(message);
+        this.logVisualizer.info(message.from, `💬 ${message.type} → ${message.to} [${taskId}]: ${summarizeCollaborationMessage(message)}`);
+    }
+
+    showThreads() {
+        this.clearScreen();
+        console.log(chalk.magenta.bold('💬 Conversation Threads'));
+        console.log(chalk.magenta('═'.repeat(80)));
+
+        if (this.threads.size === 0) {
+            console.log(chalk.dim('  No agent conversations yet...'));
+        }
+        for (const [taskId, messages] of this.threads) {
+            console.log(chalk.white.bold(`\n  ${taskId}`));
+            messages.forEach(message => {
+                const timestamp = chalk.dim(new Date(message.timestamp).toTimeString().split(' ')[0]);
+                console.log(`    ${timestamp} ${this.formatAgentName(message.from)} → ${message.to} ${chalk.cyan(message.type)} ${summarizeCollaborationMessage(message)}`);
+            });
+        }
+
+        console.log('');
+        console.log(chalk.dim('Press [3] to return to the combined view'));
+    }
+
     // Logging convenience methods
     log(agentId, level, message, data) {
         this.logVisualizer.log(agentId, level, message, data);
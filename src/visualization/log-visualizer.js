@@ -185,6 +185,20 @@ class LogVisualizer extends EventEmitter {
         this.error(agentId, `❌ Failed task: ${taskTitle}`, { taskId, error: error.message });
     }
 
+    taskRetrying(agentId, taskId, taskTitle, retry) {
+        const fallback = retry.previousAgentId && retry.previousAgentId !== agentId ? ` (from ${retry.previousAgentId})` : '';
+        this.warn(agentId, `🔁 Retrying task: ${taskTitle} - attempt ${retry.attempt}/${retry.maxAttempts}${fallback}`, {
+            taskId,
+            errorClass: retry.errorClass,
+            delay: retry.delay,
+            error: retry.error
+        });
+    }
+
+    taskCancelled(agentId, taskId, taskTitle, reason) {
+        this.warn(agentId, `⏹️ Task cancelled: ${taskTitle}`, { taskId, reason });
+    }
+
     agentStatusChanged(agentId, oldStatus, newStatus) {
         this.info(agentId, `🔄 Status changed: ${oldStatus} → ${newStatus}`);
     }
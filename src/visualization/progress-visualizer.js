@@ -24,7 +24,8 @@ export class ProgressVisualizer extends EventEmitter {
             totalTasks: 0,
             completedTasks: 0,
             failedTasks: 0,
-            activeTasks: 0
+            activeTasks: 0,
+            retries: 0
         };
         
         this.isRunning = false;
@@ -151,6 +152,7 @@ export class ProgressVisualizer extends EventEmitter {
         const completedTasks = this.systemStats.completedTasks;
         const failedTasks = this.systemStats.failedTasks;
         const activeTasks = this.systemStats.activeTasks;
+        const retries = this.systemStats.retries;
         
         const lines = [
             chalk.blue.bold('═'.repeat(80)),
@@ -158,7 +160,7 @@ export class ProgressVisualizer extends EventEmitter {
             chalk.blue('─'.repeat(80)),
             `  Uptime: ${chalk.green(uptime)}`,
             `  Total Tasks: ${chalk.cyan(totalTasks)}`,
-            `  Completed: ${chalk.green(completedTasks)} | Active: ${chalk.yellow(activeTasks)} | Failed: ${chalk.red(failedTasks)}`,
+            `  Completed: ${chalk.green(completedTasks)} | Active: ${chalk.yellow(activeTasks)} | Failed: ${chalk.red(failedTasks)} | Retries: ${chalk.magenta(retries)}`,
             ''
         ];
         
@@ -366,6 +368,23 @@ export class ProgressVisualizer extends EventEmitter {
         this.systemStats.activeTasks = Math.max(0, this.systemStats.activeTasks - 1);
     }
 
+    onTaskRetry(agentId, taskId, taskTitle, retry) {
+        // 대체 에이전트로 넘어간 경우 이전 에이전트는 작업에서 해제
+        const previousAgent = this.agents.get(retry.previousAgentId);
+        if (previousAgent && retry.previousAgentId !== agentId) {
+            this.updateAgentStatus(retry.previousAgentId, 'idle');
+            previousAgent.workload = Math.max(0, previousAgent.workload - 20);
+        }
+
+        const agent = this.agents.get(agentId);
+        if (agent && retry.previousAgentId !== agentId) {
+            this.updateAgentStatus(agentId, 'working', { id: taskId, title: taskTitle });
+            agent.workload = Math.min(100, agent.workload + 20);
+        }
+
+        this.systemStats.retries++;
+    }
+
     // Statistics and export
     getStatistics() {
         const stats = {
@@ -435,7 +454,8 @@ export class ProgressVisualizer extends EventEmitter {
             totalTasks: 0,
             completedTasks: 0,
             failedTasks: 0,
-            activeTasks: 0
+            activeTasks: 0,
+            retries: 0
         };
         
         this.emit('reset');
@@ -8,6 +8,9 @@ const { Dashboard } = require('./dashboard.js');
 const { EventEmitter } = require('events');
 const chalk = require('chalk');
 
+// Conversation history sent to a web client that asks for all threads
+const THREAD_HISTORY_LIMIT = 200;
+
 class WebDashboardBridge extends EventEmitter {
     constructor(config = {}) {
         super();
@@ -34,7 +37,9 @@ class WebDashboardBridge extends EventEmitter {
                 port: this.config.webPort,
                 host: this.config.webHost,
                 enableCors: true,
-                maxConnections: 100
+                maxConnections: 100,
+                allowedOrigins: this.config.webAllowedOrigins,
+                controlToken: this.config.webControlToken
             });
             
             this.setupWebServerEvents();
@@ -267,6 +272,221 @@ class WebDashboardBridge extends EventEmitter {
         this.emit('task_failed', { agentId, taskId, taskTitle, error });
     }
 
+    onTaskRetry(agentId, taskId, taskTitle, retry) {
+        if (this.cliDashboard) {
+            this.cliDashboard.onTaskRetry(agentId, taskId, taskTitle, retry);
+        }
+
+        if (this.webServer) {
+            this.webServer.onTaskRetry(agentId, taskId, taskTitle, retry);
+        }
+
+        this.emit('task_retry', { agentId, taskId, taskTitle, retry });
+    }
+
+    // 스트리밍 출력은 로그가 넘치지 않도록 웹 대시보드에만 전달
+    onTaskOutputChunk(agentId, taskId, chunk) {
+        if (this.webServer) {
+            this.webServer.onTaskOutputChunk(agentId, taskId, chunk);
+        }
+
+        this.emit('task_output_chunk', { agentId, taskId, chunk });
+    }
+
+    // 도구 사용 단계는 로그 시각화 도구가 CLI에 기록하므로 웹 대시보드에만 전달
+    onTaskToolStep(agentId, taskId, step) {
+        if (this.webServer) {
+            this.webServer.onTaskToolStep(agentId, taskId, step);
+        }
+
+        this.emit('tool_step', { agentId, taskId, step });
+    }
+
+    onTaskCancelled(agentId, taskId, taskTitle, reason) {
+        if (this.cliDashboard) {
+            this.cliDashboard.onTaskCancelled(agentId, taskId, taskTitle, reason);
+        }
+
+        if (this.webServer) {
+            this.webServer.onTaskCancelled(agentId, taskId, taskTitle, reason);
+        }
+
+        this.emit('task_cancelled', { agentId, taskId, taskTitle, reason });
+    }
+
+    // Workflow control methods
+    onWorkflowControl(workflow, action, cancelledTasks = []) {
+        this.info('system', `⏯️ Workflow ${workflow.id} ${action}`);
+
+        if (this.webServer) {
+            const handlers = {
+                paused: () => this.webServer.onWorkflowPaused(workflow.id),
+                resumed: () => this.webServer.onWorkflowResumed(workflow.id),
+                cancelled: () => this.webServer.onWorkflowCancelled(workflow.id, cancelledTasks.map(task => task.id))
+            };
+            handlers[action]();
+        }
+
+        this.emit(`workflow_${action}`, { workflowId: workflow.id, cancelledTasks });
+    }
+
+    /**
+     * 워크플로우 엔진 연결
+     * 엔진의 태스크/워크플로우 이벤트를 대시보드에 반영하고,
+     * 웹 대시보드의 일시 정지/재개/취소 요청을 엔진에 전달한다.
+     * @param {WorkflowEngine} workflowEngine - 워크플로우 엔진
+     */
+    connectWorkflowEngine(workflowEngine) {
+        this.workflowEngine = workflowEngine;
+
+        workflowEngine.on('workflow_started', (workflow) => {
+            const totalTasks = Array.from(workflowEngine.taskQueue.values())
+                .filter(task => task.metadata?.workflowId === workflow.id).length;
+            this.addWorkflow(workflow.id, workflow.title || workflow.description, totalTasks);
+        });
+        workflowEngine.on('task_started', (task) => this.onTaskStarted(task.assignee, task.id, task.description));
+        workflowEngine.on('task_output_chunk', (task, chunk) => this.onTaskOutputChunk(task.assignee, task.id, chunk));
+        workflowEngine.on('task_tool_step', (task, step) => this.onTaskToolStep(task.assignee, task.id, step));
+        workflowEngine.on('task_completed', (taskId) => {
+            const task = workflowEngine.completedTasks.get(taskId);
+            this.onTaskCompleted(task.assignee, task.id, task.description, task.actualTime);
+        });
+        workflowEngine.on('task_failed', (taskId, error) => {
+            const task = workflowEngine.failedTasks.get(taskId);
+            this.onTaskFailed(task.assignee, task.id, task.description, error);
+        });
+        workflowEngine.on('task_retrying', (task, retry) => this.onTaskRetry(task.assignee, task.id, task.description, retry));
+        workflowEngine.on('task_cancelled', (task, error) => this.onTaskCancelled(task.assignee, task.id, task.description, error.message));
+        workflowEngine.on('workflow_paused', (workflow) => this.onWorkflowControl(workflow, 'paused'));
+        workflowEngine.on('workflow_resumed', (workflow) => this.onWorkflowControl(workflow, 'resumed'));
+        workflowEngine.on('workflow_cancelled', (workflow, cancelled) => this.onWorkflowControl(workflow, 'cancelled', cancelled));
+
+        if (this.webServer) {
+            this.webServer.on('control_request', (request, respond) => respond(this.handleControlRequest(request)));
+        }
+    }
+
+    /**
+     * 웹 대시보드 제어 요청 처리
+     * @param {Object} request - 제어 요청 ({ action, workflowId, taskId })
+     * @returns {Error|null} 실패 시 오류
+     */
+    handleControlRequest({ action, workflowId, taskId }) {
+        const control = this.workflowEngine.workflowControl;
+        const actions = {
+            pause: () => control.pauseWorkflow(workflowId),
+            resume: () => control.resumeWorkflow(workflowId),
+            cancel: () => control.cancelWorkflow(workflowId, 'Cancelled from web dashboard'),
+            cancel_task: () => control.cancelTask(taskId, 'Cancelled from web dashboard')
+        };
+
+        try {
+            actions[action]();
+            return null;
+        } catch (error) {
+            this.warn('system', `Workflow control failed: ${error.message}`);
+            return error;
+        }
+    }
+
+    /**
+     * 도구 관리자 연결
+     * 정책상 승인이 필요한 도구 호출을 대시보드에 표시하고, 승인/거부/항상 허용 응답을 도구 관리자에 전달한다.
+     * 대시보드가 있으면 승인자로 연결해 ask 호출이 대시보드의 응답을 기다리게 한다.
+     * @param {MCPToolManager} toolManager - 도구 관리자
+     */
+    connectToolManager(toolManager) {
+        this.toolManager = toolManager;
+
+        if (this.cliDashboard) {
+            this.cliDashboard.connectToolManager(toolManager);
+            toolManager.policy.attachApprover('cli_dashboard');
+        }
+
+        if (this.webServer) {
+            toolManager.on('approval_requested', (request) => this.webServer.onApprovalRequested(request));
+            toolManager.on('approval_resolved', (resolution) => this.webServer.onApprovalResolved(resolution));
+            this.webServer.on('approval_decision', (decision, respond) => respond(this.handleApprovalDecision(decision)));
+            toolManager.policy.attachApprover('web_dashboard');
+        }
+    }
+
+    /**
+     * 웹 대시보드 승인 응답 처리
+     * @param {Object} decision - 승인 응답 ({ requestId, decision })
+     * @returns {Error|null} 실패 시 오류
+     */
+    handleApprovalDecision({ requestId, decision }) {
+        try {
+            this.toolManager.resolveApproval(requestId, decision);
+            return null;
+        } catch (error) {
+            this.warn('system', `Approval failed: ${error.message}`);
+            return error;
+        }
+    }
+
+    /**
+     * 메시지 브로커 연결
+     * 데드 레터가 생기면 대시보드에 표시하고, 웹 대시보드의 조회/재전송/삭제 요청을 브로커에 전달한다.
+     * 에이전트 간 협업 메시지는 태스크별 대화 스레드로 대시보드에 표시하고, 웹 대시보드의 스레드 조회 요청에 기록으로 응답한다.
+     * @param {MessageBroker} messageBroker - 메시지 브로커
+     */
+    connectMessageBroker(messageBroker) {
+        this.messageBroker = messageBroker;
+
+        messageBroker.on('message_dead_lettered', (message) => {
+            this.warn(message.to || 'system', `☠️ Dead letter ${message.id} (${message.type}): ${message.deadLetterReason}`);
+            if (this.webServer) {
+                this.webServer.onDeadLettered(message);
+            }
+        });
+
+        if (this.cliDashboard) {
+            this.cliDashboard.connectMessageBroker(messageBroker);
+        }
+
+        if (this.webServer) {
+            this.webServer.on('dead_letter_request', (request, respond) => {
+                this.handleDeadLetterRequest(request).then(
+                    (deadLetters) => respond(null, deadLetters),
+                    (error) => respond(error)
+                );
+            });
+            messageBroker.on('collaboration_message', (message) => this.webServer.onCollaborationMessage(message));
+            this.webServer.on('thread_request', ({ taskId }, respond) => {
+                messageBroker.conversationLog.query({ taskId, limit: taskId ? undefined : THREAD_HISTORY_LIMIT }).then(
+                    (entries) => respond(null, entries),
+                    (error) => respond(error)
+                );
+            });
+        }
+    }
+
+    /**
+     * 웹 대시보드 데드 레터 요청 처리
+     * @param {Object} request - 데드 레터 요청 ({ action: list | redrive | purge, messageId, to })
+     * @returns {Promise<Array<Message>>} 처리 후 남은 데드 레터 목록
+     */
+    async handleDeadLetterRequest({ action, messageId, to }) {
+        // 웹 대시보드에서는 한 번에 하나씩만 처리 (조건 없는 selector는 전체 데드 레터를 대상으로 함)
+        if (action !== 'list' && !messageId) {
+            throw new Error(`messageId is required for ${action}`);
+        }
+
+        if (action === 'redrive') {
+            const { failed } = await this.messageBroker.redrive(messageId, { to: to || undefined });
+            if (failed.length > 0) {
+                throw new Error(failed[0].error);
+            }
+        }
+        if (action === 'purge') {
+            await this.messageBroker.purgeDeadLetters(messageId);
+        }
+
+        return this.messageBroker.getDeadLetterMessages();
+    }
+
     // Agent status methods
     onAgentStatusChanged(agentId, oldStatus, newStatus, data = {}) {
         if (this.cliDashboard) {
@@ -8,8 +8,53 @@ import { EventEmitter } from 'events';
 import http from 'http';
 import path from 'path';
 import fs from 'fs';
+import crypto from 'crypto';
 import chalk from 'chalk';
 
+// 웹 대시보드에서 요청 가능한 워크플로우 제어 동작
+const WORKFLOW_CONTROL_ACTIONS = ['pause', 'resume', 'cancel', 'cancel_task'];
+const APPROVAL_DECISIONS = ['approve', 'deny', 'always_allow'];
+const DEAD_LETTER_ACTIONS = ['list', 'redrive', 'purge'];
+// 제어 권한이 있는 클라이언트만 보낼 수 있는 메시지 (워크플로우 제어, 도구 승인, DLQ 처리, 협업 대화 스레드 조회)
+const CONTROL_MESSAGE_TYPES = ['workflow_control', 'approval_decision', 'dead_letter_action', 'get_thread'];
+// 제어 권한이 없는 클라이언트에는 빼고 보내는 이벤트 필드 (도구 인자, 협업 메시지 본문)
+const RESTRICTED_EVENT_FIELDS = {
+    approval_requested: ['arguments'],
+    collaboration_message: ['data']
+};
+
+/**
+ * 세션 토큰 비교 (길이가 다른 토큰도 같은 길이의 다이제스트로 바꿔 상수 시간에 비교)
+ * @param {string|null} token - 연결 요청의 토큰
+ * @param {string} expected - 설정된 controlToken
+ * @returns {boolean} 일치 여부
+ */
+function tokensMatch(token, expected) {
+    if (typeof token !== 'string') {
+        return false;
+    }
+
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(token), digest(expected));
+}
+
+/**
+ * 제어 권한이 없는 클라이언트에 보낼 이벤트 data (제한 필드를 빼고 redacted 표시)
+ * @param {string} eventType - 이벤트 타입
+ * @param {Object} data - 이벤트 data
+ * @returns {Object|null} 제한 필드가 없는 이벤트면 null
+ */
+function redactEventData(eventType, data) {
+    const fields = RESTRICTED_EVENT_FIELDS[eventType];
+    if (!fields) {
+        return null;
+    }
+
+    const redacted = { ...data, redacted: true };
+    fields.forEach(field => delete redacted[field]);
+    return redacted;
+}
+
 export class RealtimeMonitoringServer extends EventEmitter {
     constructor(config = {}) {
         super();
@@ -19,7 +64,11 @@ export class RealtimeMonitoringServer extends EventEmitter {
             enableCors: config.enableCors !== false,
             maxConnections: config.maxConnections || 100,
             heartbeatInterval: config.heartbeatInterval || 30000,
-            staticPath: config.staticPath || path.join(process.cwd(), 'public')
+            staticPath: config.staticPath || path.join(process.cwd(), 'public'),
+            // 제어 메시지를 허용할 추가 Origin (같은 호스트에서 제공한 대시보드는 항상 허용)
+            allowedOrigins: config.allowedOrigins || [],
+            // 브라우저가 아닌 클라이언트용 세션 토큰 (연결 URL의 ?token= 으로 전달)
+            controlToken: config.controlToken || null
         };
         
         this.server = null;
@@ -37,7 +86,11 @@ export class RealtimeMonitoringServer extends EventEmitter {
             'unsubscribe': this.handleUnsubscribe.bind(this),
             'get_status': this.handleGetStatus.bind(this),
             'get_history': this.handleGetHistory.bind(this),
-            'ping': this.handlePing.bind(this)
+            'ping': this.handlePing.bind(this),
+            'workflow_control': this.handleWorkflowControl.bind(this),
+            'approval_decision': this.handleApprovalDecision.bind(this),
+            'dead_letter_action': this.handleDeadLetterAction.bind(this),
+            'get_thread': this.handleGetThread.bind(this)
         };
     }
 
@@ -223,7 +276,8 @@ export class RealtimeMonitoringServer extends EventEmitter {
             userAgent: req.headers['user-agent'],
             connectedAt: new Date(),
             subscriptions: new Set(),
-            lastPing: Date.now()
+            lastPing: Date.now(),
+            canControl: this.isControlAllowed(req)
         };
 
         this.clients.set(ws, clientInfo);
@@ -255,6 +309,35 @@ export class RealtimeMonitoringServer extends EventEmitter {
         this.emit('client_connected', clientInfo);
     }
 
+    /**
+     * 연결 요청이 워크플로우 제어/승인/DLQ 메시지를 보낼 수 있는지 확인
+     * 다른 사이트의 페이지가 브라우저를 통해 연결하는 경우(cross-site WebSocket)를 막기 위해
+     * Origin이 서버 호스트와 같거나 allowedOrigins에 있거나, 설정된 controlToken을 제시한 연결만 허용한다.
+     * @param {http.IncomingMessage} req - WebSocket 업그레이드 요청
+     * @returns {boolean} 제어 권한 여부
+     */
+    isControlAllowed(req) {
+        const { origin, host } = req.headers;
+        if (this.config.controlToken) {
+            const token = new URL(req.url || '/', 'http://localhost').searchParams.get('token');
+            if (tokensMatch(token, this.config.controlToken)) {
+                return true;
+            }
+        }
+        if (!origin) {
+            return false;
+        }
+        if (this.config.allowedOrigins.includes(origin)) {
+            return true;
+        }
+
+        try {
+            return new URL(origin).host === host;
+        } catch {
+            return false;
+        }
+    }
+
     handleClientMessage(ws, data) {
         this.messagesReceived = (this.messagesReceived || 0) + 1;
 
@@ -267,7 +350,12 @@ export class RealtimeMonitoringServer extends EventEmitter {
             client.lastPing = Date.now();
 
             const handler = this.messageHandlers[message.type];
-            if (handler) {
+            if (handler && CONTROL_MESSAGE_TYPES.includes(message.type) && !client.canControl) {
+                this.sendToClient(ws, {
+                    type: 'error',
+                    message: `Not authorized to send ${message.type}`
+                });
+            } else if (handler) {
                 handler(ws, message);
             } else {
                 this.sendToClient(ws, {
@@ -345,6 +433,107 @@ export class RealtimeMonitoringServer extends EventEmitter {
         });
     }
 
+    handleWorkflowControl(ws, message) {
+        const { action, workflowId, taskId } = message;
+        const respond = (error = null) => {
+            this.sendToClient(ws, {
+                type: 'control_result',
+                action,
+                workflowId,
+                taskId,
+                success: !error,
+                error: error ? error.message : undefined
+            });
+        };
+
+        if (!WORKFLOW_CONTROL_ACTIONS.includes(action)) {
+            respond(new Error(`Unknown control action: ${action}`));
+            return;
+        }
+
+        // 실제 제어는 워크플로우 엔진과 연결된 쪽(WebDashboardBridge)에서 처리
+        if (this.listenerCount('control_request') === 0) {
+            respond(new Error('No workflow engine connected'));
+            return;
+        }
+
+        this.emit('control_request', { action, workflowId, taskId }, respond);
+    }
+
+    handleApprovalDecision(ws, message) {
+        const { requestId, decision } = message;
+        const respond = (error = null) => {
+            this.sendToClient(ws, {
+                type: 'approval_result',
+                requestId,
+                decision,
+                success: !error,
+                error: error ? error.message : undefined
+            });
+        };
+
+        if (!APPROVAL_DECISIONS.includes(decision)) {
+            respond(new Error(`Unknown approval decision: ${decision}`));
+            return;
+        }
+
+        // 승인 처리는 도구 관리자와 연결된 쪽(WebDashboardBridge)에서 처리
+        if (this.listenerCount('approval_decision') === 0) {
+            respond(new Error('No tool manager connected'));
+            return;
+        }
+
+        this.emit('approval_decision', { requestId, decision }, respond);
+    }
+
+    handleDeadLetterAction(ws, message) {
+        const { action, messageId, to } = message;
+        const respond = (error = null, deadLetters = []) => {
+            this.sendToClient(ws, {
+                type: 'dead_letter_result',
+                action,
+                messageId,
+                success: !error,
+                error: error ? error.message : undefined,
+                deadLetters
+            });
+        };
+
+        if (!DEAD_LETTER_ACTIONS.includes(action)) {
+            respond(new Error(`Unknown dead letter action: ${action}`));
+            return;
+        }
+
+        // 데드 레터 처리는 메시지 브로커와 연결된 쪽(WebDashboardBridge)에서 처리하고 남은 데드 레터 목록으로 응답
+        if (this.listenerCount('dead_letter_request') === 0) {
+            respond(new Error('No message broker connected'));
+            return;
+        }
+
+        this.emit('dead_letter_request', { action, messageId, to }, respond);
+    }
+
+    handleGetThread(ws, message) {
+        const { taskId } = message;
+        const respond = (error = null, entries = []) => {
+            this.sendToClient(ws, {
+                type: 'thread_result',
+                taskId,
+                success: !error,
+                error: error ? error.message : undefined,
+                entries
+            });
+        };
+
+        // 대화 기록은 메시지 브로커와 연결된 쪽(WebDashboardBridge)에서 조회 (taskId가 없으면 최근 기록 전체)
+        if (this.listenerCount('thread_request') === 0) {
+            respond(new Error('No message broker connected'));
+            return;
+        }
+
+        this.emit('thread_request', { taskId }, respond);
+    }
+
     sendToClient(ws, data) {
         if (ws.readyState === ws.OPEN) {
             try {
@@ -363,10 +552,13 @@ export class RealtimeMonitoringServer extends EventEmitter {
             data,
             timestamp: new Date().toISOString()
         };
+        // 도구 인자와 협업 메시지 본문은 제어 권한이 있는 클라이언트에만 전달
+        const redactedData = redactEventData(eventType, data);
+        const publicMessage = redactedData ? { ...message, data: redactedData } : message;
 
         this.clients.forEach((client, ws) => {
             if (client.subscriptions.has(eventType) || client.subscriptions.has('*')) {
-                this.sendToClient(ws, message);
+                this.sendToClient(ws, client.canControl ? message : publicMessage);
             }
         });
 
@@ -461,6 +653,97 @@ export class RealtimeMonitoringServer extends EventEmitter {
         });
     }
 
+    onTaskRetry(agentId, taskId, taskTitle, retry) {
+        this.broadcast('task_retry', {
+            agentId,
+            taskId,
+            taskTitle,
+            attempt: retry.attempt,
+            maxAttempts: retry.maxAttempts,
+            previousAgentId: retry.previousAgentId,
+            errorClass: retry.errorClass,
+            delay: retry.delay,
+            error: retry.error,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    onTaskOutputChunk(agentId, taskId, chunk) {
+        this.broadcast('task_output_chunk', {
+            agentId,
+            taskId,
+            chunk,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    onTaskToolStep(agentId, taskId, step) {
+        this.broadcast('tool_step', {
+            agentId,
+            taskId,
+            toolName: step.toolName,
+            method: step.method,
+            duration: step.duration,
+            isError: step.isError,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    onApprovalRequested(request) {
+        this.broadcast('approval_requested', {
+            requestId: request.id,
+            agentId: request.agentId,
+            taskId: request.taskId,
+            tool: request.tool,
+            method: request.method,
+            arguments: request.arguments,
+            reason: request.reason,
+            timestamp: request.requestedAt
+        });
+    }
+
+    onApprovalResolved({ id, decision, request }) {
+        this.broadcast('approval_resolved', {
+            requestId: id,
+            agentId: request.agentId,
+            tool: request.tool,
+            method: request.method,
+            decision,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    onDeadLettered(message) {
+        this.broadcast('message_dead_lettered', {
+            message: message.toJSON(),
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    onCollaborationMessage(message) {
+        // 대화 기록(ConversationLog) 항목과 같은 형태로 전달
+        this.broadcast('collaboration_message', {
+            id: message.id,
+            timestamp: new Date(message.timestamp).toISOString(),
+            taskId: message.data.taskId,
+            type: message.type,
+            from: message.from,
+            to: message.to,
+            correlationId: message.correlationId,
+            data: message.data
+        });
+    }
+
+    onTaskCancelled(agentId, taskId, taskTitle, reason) {
+        this.broadcast('task_cancelled', {
+            agentId,
+            taskId,
+            taskTitle,
+            reason,
+            timestamp: new Date().toISOString()
+        });
+    }
+
     onWorkflowStarted(workflowId, title, totalTasks) {
         this.broadcast('workflow_started', {
             workflowId,
@@ -479,6 +762,28 @@ export class RealtimeMonitoringServer extends EventEmitter {
         });
     }
 
+    onWorkflowPaused(workflowId) {
+        this.broadcast('workflow_paused', {
+            workflowId,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    onWorkflowResumed(workflowId) {
+        this.broadcast('workflow_resumed', {
+            workflowId,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    onWorkflowCancelled(workflowId, cancelledTasks) {
+        this.broadcast('workflow_cancelled', {
+            workflowId,
+            cancelledTasks,
+            timestamp: new Date().toISOString()
+        });
+    }
+
     onLogMessage(agentId, level, message, data) {
         this.broadcast('log_message', {
             agentId,
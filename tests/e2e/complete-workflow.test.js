@@ -49,6 +49,7 @@ describe('Complete Workflow E2E Test', () => {
         teamManager = new TeamManager(testConfig);
         workflowEngine = new WorkflowEngine(testConfig);
         messageBroker = new MessageBroker(testConfig);
+        messageBroker.connectTeamManager(teamManager);
         mcpToolManager = new MCPToolManager(testConfig);
 
         await teamManager.initialize();
@@ -160,7 +161,7 @@ describe('Complete Workflow E2E Test', () => {
         console.log('Step 4: Starting workflow execution...');
         
         await workflowEngine.startWorkflow(workflow.id);
-        const workflowStatus = await workflowEngine.getWorkflowStatus(workflow.id);
+        const workflowStatus = await workflowEngine.getRunStatus(workflow.id);
         expect(workflowStatus.status).toBe('in_progress');
         console.log('✓ Workflow started successfully');
 
@@ -290,7 +291,7 @@ describe('Complete Workflow E2E Test', () => {
         
         // Update workflow status
         await workflowEngine.updateWorkflowStatus(workflow.id, 'completed');
-        const finalStatus = await workflowEngine.getWorkflowStatus(workflow.id);
+        const finalStatus = await workflowEngine.getRunStatus(workflow.id);
         expect(finalStatus.status).toBe('completed');
         
         // Generate project report
@@ -0,0 +1,195 @@
+// 테스트용 MCP 서버 (stdio: `node mcp-stub-server.js`, HTTP: createHttpStubServer())
+
+const http = require('http');
+const readline = require('readline');
+
+const TOOLS = [
+    { name: 'echo', description: 'Echo the message back', inputSchema: { type: 'object', properties: { message: { type: 'string' } }, required: ['message'] } },
+    { name: 'fail', description: 'Always fails', inputSchema: { type: 'object' } },
+    { name: 'slow', description: 'Responds after ms milliseconds', inputSchema: { type: 'object', properties: { ms: { type: 'number' } } } },
+    { name: 'ping_client', description: 'Pings the client before responding', inputSchema: { type: 'object' } },
+    { name: 'add_tool', description: 'Adds a tool and notifies list_changed', inputSchema: { type: 'object', properties: { name: { type: 'string' } } } }
+];
+const PAGE_SIZE = 2;
+
+/**
+ * 프로토콜 처리기 생성 (전송과 무관하게 메시지를 받아 send로 응답)
+ * @returns {Object} 처리기 ({ handle(message, send), cancelled: 취소된 요청 ID 목록 })
+ */
+function createStubServer() {
+    const running = new Map(); // 요청 ID -> 진행 중인 slow 호출 종료 함수
+    const clientRequests = new Map(); // 서버 요청 ID -> 응답 대기 resolve
+    const cancelled = [];
+    const tools = [...TOOLS];
+    let nextServerRequestId = 1;
+
+    const callTool = async (params, id, send) => {
+        const args = params.arguments || {};
+
+        switch (params.name) {
+        case 'echo':
+            send({ jsonrpc: '2.0', method: 'notifications/message', params: { level: 'info', data: 'echoing' } });
+            return { content: [{ type: 'text', text: args.message }] };
+        case 'fail':
+            return { content: [{ type: 'text', text: 'disk is full' }], isError: true };
+        case 'slow':
+            await new Promise((resolve, reject) => {
+                const timer = setTimeout(resolve, args.ms);
+                running.set(id, () => {
+                    clearTimeout(timer);
+                    reject(new Error('cancelled'));
+                });
+            });
+            running.delete(id);
+            return { content: [{ type: 'text', text: `waited ${args.ms}ms` }] };
+        case 'ping_client': {
+            const requestId = `server_${nextServerRequestId++}`;
+            const reply = new Promise(resolve => clientRequests.set(requestId, resolve));
+            send({ jsonrpc: '2.0', id: requestId, method: 'ping' });
+            await reply;
+            return { content: [{ type: 'text', text: 'pong' }] };
+        }
+        case 'add_tool':
+            tools.push({ name: args.name, description: 'Added at runtime', inputSchema: { type: 'object' } });
+            send({ jsonrpc: '2.0', method: 'notifications/tools/list_changed' });
+            return { content: [{ type: 'text', text: `added ${args.name}` }] };
+        default:
+            throw Object.assign(new Error(`Unknown tool: ${params.name}`), { code: -32602 });
+        }
+    };
+
+    const methods = {
+        initialize: (params) => ({
+            protocolVersion: params.protocolVersion,
+            capabilities: { tools: { listChanged: true } },
+            serverInfo: { name: 'stub-server', version: '1.0.0' }
+        }),
+        ping: () => ({}),
+        'tools/list': (params) => {
+            const start = Number(params.cursor || 0);
+            const next = start + PAGE_SIZE;
+            return {
+                tools: tools.slice(start, next),
+                ...(next < tools.length ? { nextCursor: String(next) } : {})
+            };
+        },
+        'tools/call': callTool
+    };
+
+    const handleNotification = (message) => {
+        if (message.method === 'notifications/cancelled') {
+            cancelled.push(message.params.requestId);
+            running.get(message.params.requestId)?.();
+        }
+    };
+
+    const handle = async (message, send) => {
+        if (message.method === undefined) {
+            clientRequests.get(message.id)?.(message);
+            return;
+        }
+        if (message.id === undefined) {
+            handleNotification(message);
+            return;
+        }
+
+        const method = methods[message.method];
+        if (!method) {
+            send({ jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } });
+            return;
+        }
+
+        try {
+            const result = await method(message.params || {}, message.id, send);
+            send({ jsonrpc: '2.0', id: message.id, result });
+        } catch (error) {
+            // 취소된 요청에는 응답하지 않음
+            if (!cancelled.includes(message.id)) {
+                send({ jsonrpc: '2.0', id: message.id, error: { code: error.code || -32603, message: error.message } });
+            }
+        }
+    };
+
+    return { handle, cancelled };
+}
+
+/**
+ * stdio 서버 실행 (줄 단위 JSON, 취소 알림은 stderr로 기록)
+ */
+function runStdioServer() {
+    const server = createStubServer();
+    const send = (message) => process.stdout.write(`${JSON.stringify(message)}\n`);
+    const input = readline.createInterface({ input: process.stdin });
+
+    input.on('line', (line) => {
+        const message = JSON.parse(line);
+        if (message.method === 'notifications/cancelled') {
+            process.stderr.write(`cancelled ${message.params.requestId}\n`);
+        }
+        server.handle(message, send);
+    });
+    // stdin이 닫히면 종료 (클라이언트의 정상 종료 절차)
+    input.on('close', () => process.exit(0));
+}
+
+/**
+ * Streamable HTTP 서버 생성
+ * tools/call은 SSE 스트림으로, 그 외 요청은 JSON으로 응답하며 initialize 이후에는 세션 ID를 요구한다.
+ * @returns {Promise<Object>} 서버 ({ url, cancelled, closedSessions, close() })
+ */
+async function createHttpStubServer() {
+    const stub = createStubServer();
+    const sessionId = 'stub-session-1';
+    const closedSessions = [];
+
+    const server = http.createServer(async (req, res) => {
+        if (req.method === 'DELETE') {
+            closedSessions.push(req.headers['mcp-session-id']);
+            res.writeHead(200).end();
+            return;
+        }
+
+        let body = '';
+        for await (const chunk of req) {
+            body += chunk;
+        }
+        const message = JSON.parse(body);
+
+        if (message.method !== 'initialize' && req.headers['mcp-session-id'] !== sessionId) {
+            res.writeHead(400, { 'Content-Type': 'application/json' }).end(JSON.stringify({ error: 'Missing session' }));
+            return;
+        }
+        if (message.id === undefined || message.method === undefined) {
+            stub.handle(message, () => {});
+            res.writeHead(202).end();
+            return;
+        }
+
+        if (message.method === 'tools/call') {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            await stub.handle(message, (reply) => res.write(`event: message\ndata: ${JSON.stringify(reply)}\n\n`));
+            res.end();
+            return;
+        }
+
+        await stub.handle(message, (reply) => {
+            res.writeHead(200, { 'Content-Type': 'application/json', 'Mcp-Session-Id': sessionId });
+            res.end(JSON.stringify(reply));
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}/mcp`,
+        cancelled: stub.cancelled,
+        closedSessions,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+if (require.main === module) {
+    runStdioServer();
+}
+
+module.exports = { createStubServer, createHttpStubServer, STUB_SERVER_PATH: __filename };
@@ -47,6 +47,7 @@ describe('Team Workflow Integration Tests', () => {
         teamManager = new TeamManager(testConfig);
         workflowEngine = new WorkflowEngine(testConfig);
         messageBroker = new MessageBroker(testConfig);
+        messageBroker.connectTeamManager(teamManager);
         mcpToolManager = new MCPToolManager(testConfig);
     });
 
@@ -293,6 +293,31 @@ describe('ClaudeAgent', () => {
             expect(response.content[0].text).toBe('Test response');
         });
 
+        test('should stream text deltas and assemble the response', async () => {
+            const events = [
+                { type: 'message_start', message: { usage: { input_tokens: 12 } } },
+                { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Hello' } },
+                { type: 'content_block_delta', delta: { type: 'text_delta', text: ', team' } },
+                { type: 'message_delta', usage: { output_tokens: 4 } },
+                { type: 'message_stop' }
+            ];
+            global.fetch = jest.fn().mockResolvedValue({
+                ok: true,
+                body: events.map(event => `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`)
+            });
+            const onChunk = jest.fn();
+
+            const response = await agent.callClaudeAPI('Test prompt', null, onChunk);
+
+            expect(JSON.parse(global.fetch.mock.calls[0][1].body).stream).toBe(true);
+            expect(onChunk.mock.calls).toEqual([['Hello'], [', team']]);
+            expect(response).toEqual({
+                content: [{ type: 'text', text: 'Hello, team' }],
+                usage: { input_tokens: 12, output_tokens: 4 }
+            });
+            expect(agent.metrics.totalTokensUsed).toBe(16);
+        });
+
         test('should handle API errors', async () => {
             const mockFetch = jest.fn().mockResolvedValue({
                 ok: false,
@@ -351,6 +376,39 @@ describe('ClaudeAgent', () => {
         });
     });
 
+    describe('callLocalCLI', () => {
+        test('should pass the prompt through stdin without a shell', async () => {
+            agent.processRunner.run = jest.fn().mockResolvedValue({ stdout: '  response  \n' });
+
+            const response = await agent.callLocalCLI('Design the API');
+
+            expect(response).toBe('response');
+            expect(agent.processRunner.run).toHaveBeenCalledWith(
+                agent.cliPath,
+                ['--model', agent.model, '--print'],
+                expect.objectContaining({ input: 'Design the API', timeout: 60000 })
+            );
+        });
+
+        test('should wrap CLI failures', async () => {
+            agent.processRunner.run = jest.fn().mockRejectedValue(new Error('claude exited with an error: overloaded'));
+
+            await expect(agent.callLocalCLI('prompt')).rejects.toThrow('Claude CLI execution failed: claude exited with an error: overloaded');
+        });
+    });
+
+    describe('validateLocalCLI', () => {
+        test('should report CLI availability from the version command', async () => {
+            agent.processRunner.run = jest.fn()
+                .mockResolvedValueOnce({ stdout: '1.0.0\n' })
+                .mockRejectedValueOnce(new Error('claude command not found'));
+
+            expect(await agent.validateLocalCLI()).toBe(true);
+            expect(await agent.validateLocalCLI()).toBe(false);
+            expect(agent.processRunner.run).toHaveBeenCalledWith(agent.cliPath, ['--version'], { timeout: 5000 });
+        });
+    });
+
     describe('getCapabilityScore', () => {
         test('should return high score for planning tasks', () => {
             const score = agent.getCapabilityScore('planning');
@@ -298,6 +298,25 @@ describe('GeminiAgent', () => {
             expect(response.candidates).toBeDefined();
         });
 
+        test('should stream partial responses from streamGenerateContent', async () => {
+            const partials = [
+                { candidates: [{ content: { parts: [{ text: '시장 ' }] } }] },
+                { candidates: [{ content: { parts: [{ text: '조사 결과' }] } }], usageMetadata: { promptTokenCount: 8, candidatesTokenCount: 5 } }
+            ];
+            global.fetch = jest.fn().mockResolvedValue({
+                ok: true,
+                body: partials.map(partial => `data: ${JSON.stringify(partial)}\r\n\r\n`)
+            });
+            const onChunk = jest.fn();
+
+            const response = await agent.callGeminiAPI('Test prompt', null, onChunk);
+
+            expect(global.fetch.mock.calls[0][0]).toContain(':streamGenerateContent?alt=sse&key=test-api-key');
+            expect(onChunk.mock.calls).toEqual([['시장 '], ['조사 결과']]);
+            expect(response.candidates[0].content.parts[0].text).toBe('시장 조사 결과');
+            expect(response.usageMetadata).toEqual({ promptTokenCount: 8, candidatesTokenCount: 5 });
+        });
+
         test('should handle API errors', async () => {
             const mockFetch = jest.fn().mockResolvedValue({
                 ok: false,
@@ -0,0 +1,137 @@
+const { LLMAgent } = require('../../../src/agents/llm-agent');
+const { BaseAgent, Task } = require('../../../src/agents/base-agent');
+const { RetryPolicy } = require('../../../src/core/retry-policy');
+
+describe('LLMAgent', () => {
+    let agent;
+
+    beforeEach(() => {
+        agent = new LLMAgent({
+            id: 'local_developer',
+            name: '로컬개발',
+            role: 'developer',
+            provider: 'ollama',
+            model: 'qwen2.5-coder',
+            capabilities: ['coding', 'testing']
+        });
+    });
+
+    afterEach(async () => {
+        await agent.shutdown();
+    });
+
+    test('should create agent for the declared provider', () => {
+        expect(agent).toBeInstanceOf(BaseAgent);
+        expect(agent.getProvider().baseUrl).toBe('http://localhost:11434/v1');
+        expect(agent.getStatus()).toMatchObject({ provider: 'ollama', model: 'qwen2.5-coder' });
+    });
+
+    test('should fail fast on unknown providers', () => {
+        expect(() => new LLMAgent({ id: 'bad', provider: 'unknown' })).toThrow('Unknown LLM provider');
+    });
+
+    test('should stream output and parse fenced JSON responses', async () => {
+        const text = '```json\n{"result":"done","reasoning":"ok"}\n```';
+        global.fetch = jest.fn().mockResolvedValue({
+            ok: true,
+            body: [
+                `data: ${JSON.stringify({ choices: [{ delta: { content: text.slice(0, 10) } }] })}\n\n`,
+                `data: ${JSON.stringify({ choices: [{ delta: { content: text.slice(10) } }], usage: { prompt_tokens: 20, completion_tokens: 8 } })}\n\n`,
+                'data: [DONE]\n\n'
+            ]
+        });
+        const task = new Task({ id: 'code_001', type: 'coding', description: 'Implement login API' });
+        const chunkHandler = jest.fn();
+        agent.on('task_output_chunk', chunkHandler);
+
+        const result = await agent.executeTask(task);
+
+        expect(result).toMatchObject({ success: true, data: { result: 'done' }, source: 'ollama' });
+        expect(chunkHandler).toHaveBeenCalledTimes(2);
+        expect(agent.metrics).toMatchObject({ apiCalls: 1, totalTokensUsed: 28, tasksCompleted: 1 });
+        expect(JSON.parse(global.fetch.mock.calls[0][1].body).messages[0].content).toContain('Task: Implement login API');
+    });
+
+    test('should return failures as result objects', async () => {
+        global.fetch = jest.fn().mockRejectedValue(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+
+        const result = await agent.executeTask(new Task({ id: 'code_002', type: 'coding', description: 'Write tests' }));
+
+        expect(result).toMatchObject({ success: false, error: 'connect ECONNREFUSED' });
+        expect(new RetryPolicy().classifyError(result.cause)).toBe('network');
+    });
+
+    describe('tool-use loop', () => {
+        const toolCallResponse = (name, args) => ({
+            ok: true,
+            json: async () => ({
+                choices: [{ message: { content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name, arguments: JSON.stringify(args) } }] } }],
+                usage: { prompt_tokens: 10, completion_tokens: 5 }
+            })
+        });
+        const finalResponse = (content) => ({
+            ok: true,
+            json: async () => ({ choices: [{ message: { content } }], usage: { prompt_tokens: 20, completion_tokens: 5 } })
+        });
+        let fileSystem;
+
+        beforeEach(async () => {
+            fileSystem = {
+                getToolSchemas: () => [{ name: 'read', description: 'Read a file', inputSchema: { type: 'object', properties: { path: { type: 'string' } } } }],
+                execute: jest.fn().mockResolvedValue({ content: [{ type: 'text', text: '# Project' }] })
+            };
+            await agent.addTool('file_system', fileSystem);
+        });
+
+        test('should execute requested tools and send the results back until a final answer', async () => {
+            global.fetch = jest.fn()
+                .mockResolvedValueOnce(toolCallResponse('file_system__read', { path: 'README.md' }))
+                .mockResolvedValueOnce(finalResponse('{"result":"summarized"}'));
+            const steps = [];
+            agent.on('tool_step', (task, step) => steps.push(step));
+            const task = new Task({ id: 'doc_001', type: 'documentation', description: 'Summarize the README' });
+
+            const result = await agent.executeTask(task);
+
+            expect(result).toMatchObject({ success: true, data: { result: 'summarized' } });
+            expect(fileSystem.execute).toHaveBeenCalledWith('read', { path: 'README.md' }, { signal: null });
+            expect(steps).toEqual([expect.objectContaining({ toolName: 'file_system', method: 'read', isError: false })]);
+
+            const [first, second] = global.fetch.mock.calls.map(([, request]) => JSON.parse(request.body));
+            expect(first.tools[0].function.name).toBe('file_system__read');
+            expect(second.messages[2]).toEqual({ role: 'tool', tool_call_id: 'call_1', content: '# Project' });
+            expect(agent.metrics.apiCalls).toBe(2);
+        });
+
+        test('should return tool errors to the model instead of failing the task', async () => {
+            fileSystem.execute.mockRejectedValue(new Error('Access denied: /etc/passwd'));
+            global.fetch = jest.fn()
+                .mockResolvedValueOnce(toolCallResponse('file_system__read', { path: '/etc/passwd' }))
+                .mockResolvedValueOnce(finalResponse('{"result":"could not read"}'));
+
+            const result = await agent.executeTask(new Task({ id: 'doc_002', type: 'documentation', description: 'Read a file' }));
+
+            expect(result.success).toBe(true);
+            const { messages } = JSON.parse(global.fetch.mock.calls[1][1].body);
+            expect(messages[2].content).toBe('Access denied: /etc/passwd');
+        });
+
+        test('should ask for a final answer once the step budget is exhausted', async () => {
+            agent.toolLoop.maxSteps = 1;
+            global.fetch = jest.fn()
+                .mockResolvedValueOnce(toolCallResponse('file_system__read', { path: 'a.md' }))
+                .mockResolvedValueOnce(toolCallResponse('file_system__read', { path: 'b.md' }));
+
+            const response = await agent.toolLoop.run(
+                new Task({ id: 'doc_003', type: 'documentation', description: 'Read files' }),
+                'Read files',
+                (messages, tools) => agent.callProvider(messages, null, null, tools)
+            );
+
+            expect(response).toMatchObject({ steps: 1, stopReason: 'budget_exhausted', usage: { inputTokens: 20, outputTokens: 10 } });
+            expect(fileSystem.execute).toHaveBeenCalledTimes(1);
+            const { messages } = JSON.parse(global.fetch.mock.calls[1][1].body);
+            expect(messages[messages.length - 1].content).toContain('tool budget for this task is exhausted');
+        });
+    });
+});
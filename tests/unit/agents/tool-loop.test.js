@@ -0,0 +1,69 @@
+const { ToolLoop, formatToolResult } = require('../../../src/agents/tool-loop');
+const { BaseAgent, Task } = require('../../../src/agents/base-agent');
+
+describe('ToolLoop', () => {
+    let agent;
+    let fileSystem;
+
+    beforeEach(async () => {
+        agent = new BaseAgent({ id: 'tool_user', name: '도구사용', role: 'developer', maxToolSteps: 3 });
+        fileSystem = {
+            getToolSchemas: () => [{ name: 'read', description: 'Read a file', inputSchema: { type: 'object' } }],
+            execute: jest.fn().mockResolvedValue({ content: [{ type: 'text', text: '# Project' }] })
+        };
+        await agent.addTool('file_system', fileSystem);
+        await agent.addTool('legacy', { execute: jest.fn() });
+    });
+
+    afterEach(async () => {
+        await agent.shutdown();
+    });
+
+    test('should take its budget from the agent config', () => {
+        expect(agent.toolLoop).toBeInstanceOf(ToolLoop);
+        expect(agent.toolLoop).toMatchObject({ maxSteps: 3, maxTokens: 100000 });
+    });
+
+    test('should expose only tools with method schemas as tool__method definitions', () => {
+        expect(agent.toolLoop.getToolDefinitions()).toEqual([{
+            name: 'file_system__read',
+            description: 'Read a file',
+            inputSchema: { type: 'object' },
+            toolName: 'file_system',
+            method: 'read'
+        }]);
+    });
+
+    test('should run requested tools through the agent and report unknown tools as errors', async () => {
+        const steps = [];
+        agent.on('tool_step', (task, step) => steps.push(step));
+        const callModel = jest.fn()
+            .mockResolvedValueOnce({
+                text: '',
+                toolCalls: [
+                    { id: 'call_1', name: 'file_system__read', arguments: { path: 'README.md' } },
+                    { id: 'call_2', name: 'shell__exec', arguments: {} }
+                ],
+                usage: { inputTokens: 10, outputTokens: 5 }
+            })
+            .mockResolvedValueOnce({ text: 'done', usage: { inputTokens: 12, outputTokens: 3 } });
+
+        const response = await agent.toolLoop.run(new Task({ id: 'doc_001', type: 'documentation' }), 'Summarize', callModel);
+
+        expect(response).toEqual({ text: 'done', steps: 1, usage: { inputTokens: 22, outputTokens: 8 }, stopReason: 'final_answer' });
+        expect(callModel.mock.calls[1][0][2].results).toEqual([
+            { id: 'call_1', name: 'file_system__read', content: '# Project', isError: false },
+            { id: 'call_2', name: 'shell__exec', content: 'Unknown tool: shell__exec', isError: true }
+        ]);
+        expect(steps.map(step => [step.toolName, step.method, step.isError])).toEqual([
+            ['file_system', 'read', false],
+            ['shell__exec', null, true]
+        ]);
+    });
+
+    test('should format non-MCP results as JSON and truncate long output', () => {
+        expect(formatToolResult({ files: ['a.js'] })).toBe(JSON.stringify({ files: ['a.js'] }, null, 2));
+        expect(formatToolResult({ content: [{ type: 'text', text: 'x'.repeat(20010) }] }))
+            .toMatch(/\.\.\. \(10 characters truncated\)$/);
+    });
+});
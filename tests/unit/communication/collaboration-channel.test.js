@@ -0,0 +1,76 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { BaseAgent } = require('../../../src/agents/base-agent');
+const { MessageBroker } = require('../../../src/communication/message-broker');
+
+describe('CollaborationChannel', () => {
+    const logPath = path.join(__dirname, '../../../temp/test-conversation-log/conversations.jsonl');
+    let broker;
+    let agent;
+    let reviewer;
+
+    beforeEach(async () => {
+        broker = new MessageBroker({ communication: { conversationLog: { path: logPath } } });
+        await broker.start();
+        agent = new BaseAgent({ id: 'test_member', name: 'Test Member', role: 'developer' });
+        reviewer = new BaseAgent({ id: 'kim_senior', name: 'Kim Senior', role: 'senior_developer' });
+        agent.collaboration.connect(broker);
+        reviewer.collaboration.connect(broker);
+    });
+
+    afterEach(async () => {
+        await agent.shutdown();
+        await reviewer.shutdown();
+        await broker.shutdown();
+        await fs.rm(path.dirname(logPath), { recursive: true, force: true });
+    });
+
+    test('should answer questions and review artifacts through the broker and record the task thread', async () => {
+        reviewer.completePrompt = jest.fn()
+            .mockResolvedValueOnce('Use PostgreSQL for the orders table.')
+            .mockResolvedValueOnce('```json\n{"verdict": "revise", "summary": "Missing tests", "comments": [{"severity": "major", "message": "Add API tests", "location": "src/api.js"}]}\n```');
+
+        const answer = await agent.collaboration.askQuestion('kim_senior', { taskId: 'task_1', question: 'Which database?' });
+        const feedback = await agent.collaboration.requestReview('kim_senior', {
+            taskId: 'task_1',
+            artifact: { files: ['src/api.js'] },
+            criteria: ['Endpoints have tests']
+        });
+
+        expect(answer).toEqual({ taskId: 'task_1', answer: 'Use PostgreSQL for the orders table.' });
+        expect(feedback).toEqual({
+            taskId: 'task_1',
+            verdict: 'revise',
+            summary: 'Missing tests',
+            comments: [{ severity: 'major', message: 'Add API tests', location: 'src/api.js' }]
+        });
+        expect(reviewer.completePrompt.mock.calls[1][0]).toContain('- Endpoints have tests');
+        expect(reviewer.completePrompt.mock.calls[1][0]).toContain('src/api.js');
+
+        const thread = await broker.getThread('task_1');
+        expect(thread.map(entry => `${entry.type}:${entry.from}`)).toEqual([
+            'question:test_member', 'answer:kim_senior', 'review_request:test_member', 'review_feedback:kim_senior'
+        ]);
+        expect(thread[3].correlationId).toBe(thread[2].id);
+    });
+
+    test('should validate payloads, report reviewer failures and notify handoffs and blockers', async () => {
+        reviewer.completePrompt = jest.fn().mockResolvedValue('Looks good to me');
+        const blocker = new Promise(resolve => reviewer.once('blocker_received', resolve));
+
+        await expect(agent.collaboration.sendHandoff('kim_senior', { taskId: 'task_1' }))
+            .rejects.toThrow('Invalid handoff message: handoff.summary is required');
+        await expect(agent.collaboration.requestReview('kim_senior', { taskId: 'task_1', artifact: 'diff' }))
+            .rejects.toThrow('Review response did not contain a JSON verdict');
+
+        await agent.collaboration.reportBlocker('kim_senior', { taskId: 'task_1', description: 'API key missing', severity: 'high' });
+        expect((await blocker).data).toEqual({ taskId: 'task_1', description: 'API key missing', severity: 'high' });
+    });
+
+    test('should require a message broker', async () => {
+        const standalone = new BaseAgent({ id: 'standalone', name: 'Standalone', role: 'developer' });
+
+        await expect(standalone.collaboration.askQuestion('kim_senior', { taskId: 'task_1', question: 'db?' }))
+            .rejects.toThrow('standalone is not connected to a message broker');
+    });
+});
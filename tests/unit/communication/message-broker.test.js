@@ -76,7 +76,7 @@ describe('MessageBroker', () => {
     describe('생성자', () => {
         test('should initialize with empty state', () => {
             expect(broker.subscribers).toBeDefined();
-            expect(broker.messageQueue).toBeDefined();
+            expect(broker.store).toBeDefined();
             expect(broker.messageHistory).toBeDefined();
             expect(broker.isRunning).toBe(false);
         });
@@ -132,7 +132,7 @@ describe('MessageBroker', () => {
             
             await broker.publish(message);
             
-            expect(broker.messageQueue.size).toBe(1);
+            expect(broker.getQueueStatus().queueSize).toBe(1);
             expect(broker.messageHistory.has(message.id)).toBe(true);
         });
 
@@ -192,6 +192,245 @@ describe('MessageBroker', () => {
         });
     });
 
+    describe('broadcast recipients', () => {
+        test('should broadcast to members registered in the team manager', async () => {
+            const teamManager = { getTeamMembers: () => [{ id: 'claude_leader' }, { id: 'kim_developer' }] };
+            const developer = new EventEmitter();
+            const received = jest.fn();
+            developer.on('message', received);
+            broker.subscribe('kim_developer', ['status_update'], developer);
+            broker.connectTeamManager(teamManager);
+
+            await broker.broadcast(new Message({ type: 'status_update', from: 'claude_leader', to: 'broadcast' }));
+            await broker.broadcastState('claude_leader', { phase: 'testing' });
+
+            expect(received).toHaveBeenCalledWith(expect.objectContaining({ to: 'kim_developer' }));
+            expect(broker.getMessageHistory('claude_senior')).toEqual([]);
+            expect(await broker.getAgentState('kim_developer')).toEqual({ phase: 'testing' });
+            expect(await broker.getAgentState('gemini_developer')).toBeNull();
+        });
+    });
+
+    describe('topics', () => {
+        test('should deliver topic messages to every matching subscription', async () => {
+            const completed = jest.fn();
+            const everything = jest.fn();
+            const failed = jest.fn();
+            broker.subscribeTopic('claude_leader', 'task.*.completed', completed);
+            broker.subscribeTopic('claude_leader', 'task.#', everything);
+            broker.subscribeTopic('claude_senior', 'task.*.failed', failed);
+
+            const messages = await broker.publishTopic('task.task_001.completed', { result: 'ok' }, { from: 'gemini_developer' });
+
+            expect(messages).toHaveLength(1);
+            expect(messages[0]).toMatchObject({ type: 'topic', topic: 'task.task_001.completed', from: 'gemini_developer', to: 'claude_leader', status: 'delivered' });
+            expect(completed).toHaveBeenCalledWith(messages[0]);
+            expect(everything).toHaveBeenCalledWith(messages[0]);
+            expect(failed).not.toHaveBeenCalled();
+            await expect(broker.publishTopic('task.*.completed')).rejects.toThrow('Invalid topic: task.*.completed');
+        });
+
+        test('should stop delivering after unsubscribing', async () => {
+            const agent = new EventEmitter();
+            const received = jest.fn();
+            agent.on('message', received);
+            const subscriptionId = broker.subscribeTopic('gemini_researcher', 'workflow.#', agent);
+            broker.subscribeTopic('gemini_researcher', 'task.#', agent);
+
+            await broker.publishTopic('workflow.started');
+            expect(broker.unsubscribeTopic(subscriptionId)).toBe(true);
+            await broker.publishTopic('workflow.completed');
+            broker.unsubscribe('gemini_researcher');
+            await broker.publishTopic('task.task_001.completed');
+
+            expect(received).toHaveBeenCalledTimes(1);
+            expect(broker.topicSubscriptions.size).toBe(0);
+        });
+    });
+
+    describe('request/reply', () => {
+        test('should resolve requests with the correlated reply', async () => {
+            const senior = new EventEmitter();
+            senior.on('message', (message) => broker.reply(message, { answer: `Use ${message.data.question === 'db?' ? 'PostgreSQL' : 'SQLite'}` }));
+            broker.subscribe('claude_senior', ['request'], senior);
+            await broker.start();
+
+            const reply = await broker.request('claude_senior', { question: 'db?' }, { from: 'kim_developer', timeout: 1000 });
+
+            expect(reply).toMatchObject({ type: 'reply', from: 'claude_senior', to: 'kim_developer', data: { answer: 'Use PostgreSQL' } });
+            expect(reply.correlationId).toBe(broker.getMessageHistory('kim_developer').find(message => message.type === 'request').id);
+            expect(broker.pendingRequests.size).toBe(0);
+        });
+
+        test('should reject on error replies and timeouts', async () => {
+            const senior = new EventEmitter();
+            senior.on('message', (message) => broker.reply(message, {}, { error: 'Not my area' }));
+            broker.subscribe('claude_senior', ['request'], senior);
+            await broker.start();
+
+            await expect(broker.request('claude_senior', { question: 'design?' }, { from: 'kim_developer', timeout: 1000 }))
+                .rejects.toThrow('Not my area');
+            await expect(broker.request('gemini_researcher', {}, { from: 'kim_developer', timeout: 50 }))
+                .rejects.toThrow(/^Request msg_\S+ to gemini_researcher timed out after 50ms$/);
+        });
+
+        test('should reject with the publish error and clear the pending request when publishing fails', async () => {
+            broker = new MessageBroker({ communication: { queueSize: 1, overflowPolicy: 'reject' } });
+            const unhandled = jest.fn();
+            process.on('unhandledRejection', unhandled);
+            try {
+                await broker.publish(new Message({ type: 'request', from: 'kim_developer', to: 'claude_senior' }));
+
+                await expect(broker.request('claude_senior', {}, { from: 'kim_developer', timeout: 20 }))
+                    .rejects.toThrow('Queue for claude_senior is full (1 messages)');
+                expect(broker.pendingRequests.size).toBe(0);
+
+                await new Promise(resolve => setTimeout(resolve, 40));
+                expect(unhandled).not.toHaveBeenCalled();
+            } finally {
+                process.off('unhandledRejection', unhandled);
+            }
+        });
+    });
+
+    describe('priority, ttl and backpressure', () => {
+        const send = (to, type, options = {}) => new Message({ type, from: 'claude_leader', to, ...options });
+
+        test('should deliver control messages and higher lanes first without polling', async () => {
+            const received = [];
+            const agent = new EventEmitter();
+            agent.on('message', (message) => received.push(message.type));
+            broker.subscribe('kim_developer', ['chat', 'task_assignment', 'cancel'], agent);
+
+            await broker.publish(send('kim_developer', 'chat', { priority: 'low' }));
+            await broker.publish(send('kim_developer', 'task_assignment'));
+            await broker.publish(send('kim_developer', 'task_assignment', { priority: 'high' }));
+            await broker.publish(send('kim_developer', 'cancel'));
+            expect(broker.getQueueStatus().queueDepth).toEqual({ kim_developer: { total: 4, critical: 1, high: 1, normal: 1, low: 1 } });
+
+            await broker.start();
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(broker.processingInterval).toBeNull();
+            expect(received).toEqual(['cancel', 'task_assignment', 'task_assignment', 'chat']);
+            expect(broker.getQueueStatus()).toMatchObject({ queueSize: 0, queueDepth: {}, queueLimit: 1000, overflowPolicy: 'block' });
+        });
+
+        test('should move expired messages to the dead-letter queue', async () => {
+            const received = jest.fn();
+            const agent = new EventEmitter();
+            agent.on('message', received);
+            broker.subscribe('kim_developer', ['task_assignment'], agent);
+            const expired = send('kim_developer', 'task_assignment', { ttl: 1 });
+
+            await broker.publish(expired);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            await broker.start();
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(received).not.toHaveBeenCalled();
+            expect(expired.status).toBe('expired');
+            expect(await broker.getDeadLetterMessages()).toEqual([expect.objectContaining({ id: expired.id, deadLetterReason: 'Message expired' })]);
+        });
+
+        test('should reject or drop messages when a recipient queue is full', async () => {
+            const rejecting = new MessageBroker({ communication: { queueSize: 2, overflowPolicy: 'reject' } });
+            await rejecting.publish(send('kim_developer', 'chat'));
+            await rejecting.publish(send('kim_developer', 'chat'));
+            await rejecting.publish(send('lee_researcher', 'chat'));
+
+            await expect(rejecting.publish(send('kim_developer', 'chat'))).rejects.toThrow('Queue for kim_developer is full (2 messages)');
+
+            const dropping = new MessageBroker({ communication: { queueSize: 2, overflowPolicy: 'drop-oldest' } });
+            const low = send('kim_developer', 'chat', { priority: 'low' });
+            await dropping.publish(send('kim_developer', 'chat'));
+            await dropping.publish(low);
+            await dropping.publish(send('kim_developer', 'cancel'));
+
+            expect(dropping.getQueueStatus().queueDepth.kim_developer).toMatchObject({ total: 2, critical: 1, normal: 1, low: 0 });
+            expect(await dropping.getDeadLetterMessages()).toEqual([expect.objectContaining({ id: low.id, deadLetterReason: 'Dropped: queue for kim_developer is full' })]);
+            expect(() => new MessageBroker({ communication: { overflowPolicy: 'drop-newest' } })).toThrow('Unknown overflow policy: drop-newest');
+        });
+
+        test('should block publishers until the recipient queue has room', async () => {
+            broker = new MessageBroker({ communication: { queueSize: 1, blockTimeout: 1000 } });
+            const received = jest.fn();
+            const agent = new EventEmitter();
+            agent.on('message', received);
+            broker.subscribe('kim_developer', ['chat'], agent);
+
+            await broker.publish(send('kim_developer', 'chat'));
+            const blocked = broker.publish(send('kim_developer', 'chat'));
+            await broker.start();
+            await blocked;
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(received).toHaveBeenCalledTimes(2);
+
+            const stalled = new MessageBroker({ communication: { queueSize: 1, blockTimeout: 20 } });
+            await stalled.publish(send('kim_developer', 'chat'));
+            await expect(stalled.publish(send('kim_developer', 'chat'))).rejects.toThrow('Queue for kim_developer is still full after 20ms');
+        });
+    });
+
+    describe('dead letters', () => {
+        const deadLetter = async (to, type = 'chat') => {
+            const message = new Message({ type, from: 'claude_leader', to });
+            message.recordFailure('Recipient not found');
+            await broker.store.deadLetter(message, 'Recipient not found');
+            return message;
+        };
+
+        test('should keep the failure history and redrive to another recipient', async () => {
+            const dropped = await deadLetter('gemini_researcher');
+            const deadLettered = jest.fn();
+            broker.on('message_dead_lettered', deadLettered);
+            await deadLetter('kim_developer', 'status_update');
+
+            const [stored] = await broker.getDeadLetterMessages({ to: 'gemini_researcher', reason: 'not found' });
+            expect(stored.failures.map(failure => failure.reason)).toEqual(['Recipient not found', 'Recipient not found']);
+            expect(deadLettered).toHaveBeenCalledWith(expect.objectContaining({ to: 'kim_developer' }));
+
+            const received = jest.fn();
+            const agent = new EventEmitter();
+            agent.on('message', received);
+            broker.subscribe('lee_researcher', ['chat'], agent);
+            await broker.start();
+
+            const { redriven, failed } = await broker.redrive(dropped.id, { to: 'lee_researcher' });
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(failed).toEqual([]);
+            expect(redriven).toEqual([expect.objectContaining({ id: dropped.id, to: 'lee_researcher', retryCount: 0, deadLetterReason: null })]);
+            expect(received).toHaveBeenCalledWith(expect.objectContaining({ id: dropped.id, failures: stored.failures }));
+            expect((await broker.getDeadLetterMessages()).map(message => message.id)).toEqual([expect.stringMatching(/^msg_/)]);
+            await expect(broker.redrive('msg_missing')).rejects.toThrow('Dead letter not found: msg_missing');
+        });
+
+        test('should leave dead letters in place when redrive cannot publish', async () => {
+            broker = new MessageBroker({ communication: { queueSize: 1, overflowPolicy: 'reject' } });
+            const message = await deadLetter('kim_developer');
+            await broker.publish(new Message({ type: 'chat', from: 'claude_leader', to: 'kim_developer' }));
+
+            const { redriven, failed } = await broker.redrive({ to: 'kim_developer' });
+
+            expect(redriven).toEqual([]);
+            expect(failed).toEqual([{ message, error: 'Queue for kim_developer is full (1 messages)' }]);
+            expect(await broker.getDeadLetterMessages()).toEqual([expect.objectContaining({ id: message.id, deadLetterReason: 'Recipient not found' })]);
+        });
+
+        test('should purge dead letters by id or filter', async () => {
+            const first = await deadLetter('kim_developer');
+            await deadLetter('kim_developer', 'status_update');
+            await deadLetter('lee_researcher');
+
+            expect(await broker.purgeDeadLetters(first.id)).toEqual([first]);
+            expect(await broker.purgeDeadLetters({ to: 'kim_developer' })).toHaveLength(1);
+            expect((await broker.getDeadLetterMessages()).map(message => message.to)).toEqual(['lee_researcher']);
+            expect(await broker.purgeDeadLetters()).toHaveLength(1);
+        });
+    });
+
     describe('start', () => {
         test('should start message processing', async () => {
             await broker.start();
@@ -0,0 +1,141 @@
+const { spawn, spawnSync } = require('child_process');
+const EventEmitter = require('events');
+const { RedisMessageStore } = require('../../../src/communication/redis-message-store');
+const { MessageBroker, Message } = require('../../../src/communication/message-broker');
+
+// 로컬 redis-server를 임시 포트로 실행해 테스트 (설치되어 있지 않으면 건너뜀)
+const hasRedisServer = spawnSync('redis-server', ['--version']).status === 0;
+const describeWithRedis = hasRedisServer ? describe : describe.skip;
+
+describeWithRedis('RedisMessageStore', () => {
+    const port = 16379 + Math.floor(Math.random() * 1000);
+    const url = `redis://127.0.0.1:${port}`;
+    let server;
+    let stores;
+
+    const createStore = (config = {}) => {
+        const store = new RedisMessageStore({ url, keyPrefix: `test_${Date.now()}`, ...config });
+        stores.push(store);
+        return store;
+    };
+
+    const message = (to, data = {}) => new Message({ type: 'task_assignment', from: 'claude_leader', to, data });
+
+    beforeAll(async () => {
+        server = spawn('redis-server', ['--port', String(port), '--save', '', '--appendonly', 'no'], { stdio: 'ignore' });
+
+        // 서버가 연결을 받을 때까지 대기
+        for (let attempt = 0; attempt < 50; attempt++) {
+            const probe = new RedisMessageStore({ url });
+            probe.on('error', () => {});
+            try {
+                await probe.connect();
+                await probe.disconnect();
+                return;
+            } catch {
+                await new Promise(resolve => setTimeout(resolve, 100));
+            }
+        }
+        throw new Error('redis-server did not start');
+    });
+
+    afterAll(() => {
+        server?.kill();
+    });
+
+    beforeEach(() => {
+        stores = [];
+    });
+
+    afterEach(async () => {
+        await Promise.all(stores.map(store => store.disconnect()));
+    });
+
+    test('should deliver messages per recipient and remove them after ack', async () => {
+        const store = createStore();
+        await store.connect();
+        const sent = message('kim_senior', { taskId: 'task_001' });
+
+        await store.enqueue(sent);
+        await store.enqueue(message('lee_researcher'));
+        const [delivery, ...rest] = await store.read(['kim_senior']);
+
+        expect(rest).toEqual([]);
+        expect(delivery.message).toBeInstanceOf(Message);
+        expect(delivery.message).toMatchObject({ id: sent.id, to: 'kim_senior', data: { taskId: 'task_001' }, status: 'pending' });
+        expect(store.size).toBe(1);
+
+        await store.ack(delivery.receipt);
+        expect(await store.read(['kim_senior'])).toEqual([]);
+        expect(store.size).toBe(0);
+    });
+
+    test('should read control and high-priority lanes first and drop from the lowest lane', async () => {
+        const store = createStore();
+        await store.connect();
+        await store.enqueue(new Message({ type: 'chat', from: 'claude_leader', to: 'kim_senior', priority: 'low' }));
+        await store.enqueue(message('kim_senior'));
+        await store.enqueue(new Message({ type: 'cancel', from: 'claude_leader', to: 'kim_senior' }));
+
+        expect(await store.depth('kim_senior')).toBe(3);
+        expect(await store.dropOldest('kim_senior', 'Dropped: queue for kim_senior is full')).toMatchObject({ type: 'chat' });
+        expect((await store.read(['kim_senior'])).map(delivery => delivery.message.type)).toEqual(['cancel', 'task_assignment']);
+        expect(store.getDepths()).toEqual({ kim_senior: { total: 2, critical: 1, high: 0, normal: 1, low: 0 } });
+    });
+
+    test('should keep unacknowledged messages for another consumer after a restart', async () => {
+        const keyPrefix = `test_reclaim_${Date.now()}`;
+        const crashed = createStore({ keyPrefix, consumer: 'worker-1' });
+        await crashed.connect();
+        await crashed.enqueue(message('park_developer'));
+        expect(await crashed.read(['park_developer'])).toHaveLength(1);
+        await crashed.disconnect(); // ack 전에 중단
+
+        const restarted = createStore({ keyPrefix, consumer: 'worker-2', claimIdleMs: 50, reclaimIntervalMs: 0 });
+        await restarted.connect();
+        await new Promise(resolve => setTimeout(resolve, 100));
+        const [delivery] = await restarted.read(['park_developer']);
+
+        expect(delivery.message.to).toBe('park_developer');
+        await restarted.ack(delivery.receipt);
+    });
+
+    test('should move messages to the dead-letter stream after too many deliveries', async () => {
+        const store = createStore({ claimIdleMs: 0, reclaimIntervalMs: 0, maxDeliveries: 2 });
+        await store.connect();
+        const sent = message('park_developer');
+        await store.enqueue(sent);
+
+        await store.read(['park_developer']); // 1회 전달
+        await store.read(['park_developer']); // 재전달 (2회)
+        expect(await store.read(['park_developer'])).toEqual([]);
+
+        const [deadLetter] = await store.getDeadLetters();
+        expect(deadLetter).toMatchObject({ id: sent.id, deadLetterReason: 'Not acknowledged after 2 deliveries' });
+        expect(deadLetter.failures.map(failure => failure.reason)).toEqual(['Not acknowledged after 2 deliveries']);
+
+        await store.removeDeadLetters([deadLetter]);
+        expect(await store.getDeadLetters()).toEqual([]);
+    });
+
+    test('should let brokers in separate processes exchange messages', async () => {
+        const keyPrefix = `test_brokers_${Date.now()}`;
+        const config = { communication: { store: { type: 'redis', redis: { url, keyPrefix } } } };
+        const leaderBroker = new MessageBroker(config);
+        const seniorBroker = new MessageBroker(config);
+        const senior = new EventEmitter();
+        senior.on('message', (received) => seniorBroker.reply(received, { answer: 'PostgreSQL' }));
+        seniorBroker.subscribe('kim_senior', ['request'], senior);
+
+        await leaderBroker.start();
+        await seniorBroker.start();
+        try {
+            const reply = await leaderBroker.request('kim_senior', { question: 'db?' }, { from: 'claude_leader', timeout: 5000 });
+
+            expect(reply).toMatchObject({ type: 'reply', from: 'kim_senior', data: { answer: 'PostgreSQL' } });
+        } finally {
+            await leaderBroker.shutdown();
+            await seniorBroker.shutdown();
+        }
+    });
+});
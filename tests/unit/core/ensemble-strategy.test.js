@@ -0,0 +1,215 @@
+/**
+ * EnsembleStrategy 테스트
+ */
+
+const { EnsembleStrategy } = require('../../../src/core/ensemble-strategy');
+const { Task } = require('../../../src/agents/base-agent');
+const { createCancellationError } = require('../../../src/utils/cancellation');
+
+describe('EnsembleStrategy', () => {
+    let strategy;
+
+    const createTask = (ensemble = {}) => new Task({
+        id: 'task_architecture',
+        type: 'architecture',
+        description: '주문 API 아키텍처 설계',
+        assignee: 'claude_leader',
+        metadata: { strategy: 'ensemble', ensemble, preferredRole: 'leader', requiredCapabilities: ['architecture'] }
+    });
+
+    const fulfilled = (agentId, result) => ({ agentId, provider: 'unknown', status: 'fulfilled', result: { success: true, data: { result } }, duration: 10 });
+
+    const members = [
+        { id: 'claude_leader', role: 'leader', provider: 'claude', capabilities: ['planning'], status: 'busy' },
+        { id: 'kim_senior', role: 'senior_developer', provider: 'claude', capabilities: ['architecture'], status: 'idle' },
+        { id: 'lee_researcher', role: 'researcher', provider: 'gemini', capabilities: ['analysis'], status: 'idle' },
+        { id: 'park_developer', role: 'developer', provider: 'gemini', capabilities: ['architecture'], status: 'offline' }
+    ];
+    const getProvider = member => member.provider;
+
+    beforeEach(() => {
+        strategy = new EnsembleStrategy({ size: 2, decision: 'judge', judge_role: 'leader' });
+    });
+
+    test('should reject unknown decision modes', () => {
+        expect(() => new EnsembleStrategy({ decision: 'coin_flip' })).toThrow('Unknown ensemble decision: coin_flip');
+    });
+
+    describe('selectAgents', () => {
+        test('should start with the assignee and prefer another provider', () => {
+            const selected = strategy.selectAgents(createTask(), members, getProvider);
+
+            expect(selected.map(member => member.id)).toEqual(['claude_leader', 'lee_researcher']);
+        });
+
+        test('should fill larger ensembles with matching capabilities and skip unavailable members', () => {
+            const selected = strategy.selectAgents(createTask({ size: 4 }), members, getProvider);
+
+            expect(selected.map(member => member.id)).toEqual(['claude_leader', 'lee_researcher', 'kim_senior']);
+        });
+
+        test('should skip agents that are running other tasks but keep the busy assignee', () => {
+            const selected = strategy.selectAgents(createTask({ size: 3 }), members, getProvider, new Set(['claude_leader', 'lee_researcher']));
+
+            expect(selected.map(member => member.id)).toEqual(['claude_leader', 'kim_senior']);
+        });
+    });
+
+    describe('selectJudge', () => {
+        const leaders = [
+            { id: 'claude_leader', role: 'leader', status: 'busy' },
+            { id: 'gemini_leader', role: 'leader', status: 'idle' }
+        ];
+
+        test('should prefer a judge that is not a candidate', () => {
+            expect(strategy.selectJudge(createTask(), leaders, ['claude_leader']).id).toBe('gemini_leader');
+        });
+
+        test('should fall back to a candidate when the other judges are running other tasks', () => {
+            const judge = strategy.selectJudge(createTask(), leaders, ['claude_leader'], new Set(['claude_leader', 'gemini_leader']));
+
+            expect(judge.id).toBe('claude_leader');
+        });
+
+        test('should return null when every judge is busy elsewhere', () => {
+            expect(strategy.selectJudge(createTask(), leaders, ['kim_senior'], new Set(['claude_leader', 'gemini_leader']))).toBeNull();
+        });
+    });
+
+    test('should run candidates on copies that share the signal but not the status', () => {
+        const task = createTask();
+        task.signal = new AbortController().signal;
+        const candidate = strategy.createCandidateTask(task, 'lee_researcher');
+        candidate.start();
+
+        expect(candidate).toMatchObject({ id: task.id, assignee: 'lee_researcher', signal: task.signal });
+        expect(candidate.metadata.ensembleCandidate).toBe('lee_researcher');
+        expect(task.status).toBe('pending');
+    });
+
+    describe('execute', () => {
+        const createRuntime = (runCandidate) => {
+            const busyAgents = new Set();
+            return {
+                members,
+                runCandidate,
+                logger: { info: jest.fn(), warn: jest.fn() },
+                taskRunner: {
+                    busyAgents,
+                    getProvider,
+                    reserveAgents: jest.fn(ids => ids.filter(id => !busyAgents.has(id) && busyAgents.add(id))),
+                    releaseAgents: jest.fn(ids => ids.forEach(id => busyAgents.delete(id)))
+                }
+            };
+        };
+
+        test('should run every candidate, judge the results and release the reserved agents', async () => {
+            const runtime = createRuntime(jest.fn(async (candidate, member) => {
+                if (member.id === 'lee_researcher') {
+                    throw new Error('rate limit');
+                }
+                return { success: true, data: { result: `${candidate.assignee} design` } };
+            }));
+
+            const result = await strategy.execute(createTask({ size: 3 }), runtime);
+
+            expect(runtime.runCandidate.mock.calls.map(([candidate, member]) => [candidate.metadata.ensembleCandidate, member.id]))
+                .toEqual([['claude_leader', 'claude_leader'], ['lee_researcher', 'lee_researcher'], ['kim_senior', 'kim_senior']]);
+            expect(result.data.result).toBe('claude_leader design');
+            expect(result.ensemble).toMatchObject({ decision: 'judge', winner: 'claude_leader', judge: 'claude_leader' });
+            expect(result.ensemble.candidates[1]).toMatchObject({ agentId: 'lee_researcher', status: 'rejected', error: 'rate limit' });
+            expect(runtime.logger.warn).toHaveBeenCalledWith('lee_researcher', '앙상블 후보 실패: rate limit');
+            expect(runtime.taskRunner.reserveAgents).toHaveBeenCalledWith(['claude_leader', 'lee_researcher', 'kim_senior']);
+            expect(runtime.taskRunner.busyAgents.size).toBe(0);
+        });
+
+        test('should propagate cancellation and still release the reserved agents', async () => {
+            const cancelled = createCancellationError('Task cancelled');
+            const runtime = createRuntime(jest.fn().mockRejectedValue(cancelled));
+
+            await expect(strategy.execute(createTask(), runtime)).rejects.toBe(cancelled);
+            expect(runtime.taskRunner.busyAgents.size).toBe(0);
+        });
+    });
+
+    describe('decide', () => {
+        test('should let the judge pick the winner and record every candidate', async () => {
+            const judge = { id: 'claude_leader', complete: jest.fn().mockResolvedValue('```json\n{"winner": 2, "rationale": "Covers pagination"}\n```') };
+            const candidates = [
+                fulfilled('kim_senior', 'REST design without pagination'),
+                fulfilled('lee_researcher', 'REST design with cursor pagination'),
+                { agentId: 'park_developer', provider: 'gemini', status: 'rejected', error: 'Task timeout', duration: 30 }
+            ];
+
+            const result = await strategy.decide(createTask(), candidates, judge);
+
+            expect(judge.complete.mock.calls[0][0]).toContain('### Candidate 2 (lee_researcher)');
+            expect(result).toMatchObject({
+                success: true,
+                data: { result: 'REST design with cursor pagination' },
+                source: 'ensemble',
+                ensemble: { decision: 'judge', winner: 'lee_researcher', judge: 'claude_leader', rationale: 'Covers pagination' }
+            });
+            expect(result.ensemble.candidates.map(candidate => [candidate.agentId, candidate.status])).toEqual([
+                ['kim_senior', 'fulfilled'],
+                ['lee_researcher', 'fulfilled'],
+                ['park_developer', 'rejected']
+            ]);
+            expect(result.ensemble.candidates[2].error).toBe('Task timeout');
+        });
+
+        test('should keep the primary candidate when the judge answer is not a valid verdict', async () => {
+            const judge = { id: 'claude_leader', complete: jest.fn().mockResolvedValue('Both look fine') };
+
+            const result = await strategy.decide(createTask(), [fulfilled('claude_leader', 'A'), fulfilled('lee_researcher', 'B')], judge);
+
+            expect(result.data.result).toBe('A');
+            expect(result.ensemble).toMatchObject({ winner: 'claude_leader', rationale: expect.stringContaining('did not name a valid candidate') });
+        });
+
+        test('should merge JSON fields and resolve conflicts by majority', async () => {
+            const candidates = [
+                fulfilled('claude_leader', JSON.stringify({ database: 'postgres', endpoints: ['/orders'], auth: { type: 'jwt' } })),
+                fulfilled('kim_senior', '```json\n{"database": "mysql", "endpoints": ["/orders", "/customers"], "auth": {"type": "jwt"}}\n```'),
+                fulfilled('lee_researcher', JSON.stringify({ database: 'mysql', cache: 'redis' }))
+            ];
+
+            const result = await strategy.decide(createTask({ decision: 'merge' }), candidates);
+
+            expect(result.data.result).toEqual({
+                database: 'mysql',
+                endpoints: ['/orders', '/customers'],
+                auth: { type: 'jwt' },
+                cache: 'redis'
+            });
+            expect(result.ensemble).toMatchObject({ decision: 'merge', winner: null });
+            expect(result.ensemble.conflicts).toEqual([{ field: 'database', values: ['postgres', 'mysql', 'mysql'], chosen: 'mysql' }]);
+            expect(result.ensemble.rationale).toContain('1 conflicting field(s) resolved by majority: database');
+        });
+
+        test('should vote on enumerated fields and use the most agreeing candidate', async () => {
+            const candidates = [
+                fulfilled('claude_leader', JSON.stringify({ architecture: 'monolith', risk: 'low', notes: 'simple' })),
+                fulfilled('kim_senior', JSON.stringify({ architecture: 'microservices', risk: 'high', notes: 'scalable' })),
+                fulfilled('lee_researcher', JSON.stringify({ architecture: 'microservices', risk: 'low', notes: 'balanced' }))
+            ];
+
+            const result = await strategy.decide(createTask({ decision: 'vote', vote_fields: ['architecture', 'risk'] }), candidates);
+
+            expect(result.data.result).toEqual({ architecture: 'microservices', risk: 'low', notes: 'balanced' });
+            expect(result.ensemble.winner).toBe('lee_researcher');
+            expect(result.ensemble.votes.architecture).toMatchObject({ value: 'microservices', count: 2, total: 3 });
+            expect(result.ensemble.rationale).toContain('architecture="microservices" (2/3)');
+        });
+
+        test('should fail when every candidate failed', async () => {
+            const candidates = [
+                { agentId: 'claude_leader', status: 'rejected', error: 'rate limit' },
+                { agentId: 'lee_researcher', status: 'rejected', error: 'Task timeout' }
+            ];
+
+            await expect(strategy.decide(createTask(), candidates))
+                .rejects.toThrow('All 2 ensemble candidates failed: claude_leader: rate limit; lee_researcher: Task timeout');
+        });
+    });
+});
@@ -0,0 +1,97 @@
+/**
+ * RetryPolicy 테스트
+ */
+
+const { RetryPolicy } = require('../../../src/core/retry-policy');
+
+describe('RetryPolicy', () => {
+    let retryPolicy;
+
+    beforeEach(() => {
+        retryPolicy = new RetryPolicy({
+            default: { max_attempts: 3, backoff_ms: 100, backoff_multiplier: 2, max_backoff_ms: 1000 },
+            types: {
+                planning: { max_attempts: 2, fallback: 'none' }
+            }
+        });
+    });
+
+    describe('resolve', () => {
+        test('should merge default, type and task level policies', () => {
+            const policy = retryPolicy.resolve({
+                type: 'planning',
+                metadata: { retryPolicy: { backoff_ms: 500 } }
+            });
+
+            expect(policy).toMatchObject({
+                max_attempts: 2,
+                backoff_ms: 500,
+                backoff_multiplier: 2,
+                fallback: 'none'
+            });
+            expect(policy.retry_on).toEqual(RetryPolicy.DEFAULTS.retry_on);
+        });
+
+        test('should use default policy for unknown task types', () => {
+            const policy = retryPolicy.resolve({ type: 'testing', metadata: {} });
+
+            expect(policy.max_attempts).toBe(3);
+            expect(policy.fallback).toBe('alternate_agent');
+        });
+    });
+
+    describe('classifyError', () => {
+        test.each([
+            ['timeout messages', new Error('Task timeout'), 'timeout'],
+            ['HTTP 429', Object.assign(new Error('Request failed'), { status: 429 }), 'rate_limit'],
+            ['rate limit messages', new Error('Rate limit exceeded'), 'rate_limit'],
+            ['network error codes', Object.assign(new Error('connect failed'), { code: 'ECONNREFUSED' }), 'network'],
+            ['HTTP 5xx responses', Object.assign(new Error('Bad gateway'), { response: { status: 502 } }), 'server_error'],
+            ['API key errors', new Error('Invalid API key'), 'auth'],
+            ['HTTP 400', Object.assign(new Error('Bad request'), { status: 400 }), 'validation'],
+            ['other errors', new Error('Task execution failed'), 'unknown']
+        ])('should classify %s', (_label, error, expected) => {
+            expect(retryPolicy.classifyError(error)).toBe(expected);
+        });
+
+        test('should respect explicit error classes', () => {
+            const error = Object.assign(new Error('schema mismatch'), { errorClass: 'validation' });
+
+            expect(retryPolicy.classifyError(error)).toBe('validation');
+        });
+    });
+
+    describe('shouldRetry', () => {
+        test('should retry retriable errors until attempts run out', () => {
+            const policy = retryPolicy.resolve({ type: 'testing' });
+
+            expect(retryPolicy.shouldRetry(policy, 'timeout', 1)).toBe(true);
+            expect(retryPolicy.shouldRetry(policy, 'rate_limit', 2)).toBe(true);
+            expect(retryPolicy.shouldRetry(policy, 'timeout', 3)).toBe(false);
+        });
+
+        test('should not retry validation or auth errors', () => {
+            const policy = retryPolicy.resolve({ type: 'testing' });
+
+            expect(retryPolicy.shouldRetry(policy, 'validation', 1)).toBe(false);
+            expect(retryPolicy.shouldRetry(policy, 'auth', 1)).toBe(false);
+        });
+    });
+
+    describe('getDelay', () => {
+        test('should back off exponentially up to the maximum', () => {
+            const policy = retryPolicy.resolve({ type: 'testing' });
+
+            expect(retryPolicy.getDelay(policy, 1)).toBe(100);
+            expect(retryPolicy.getDelay(policy, 2)).toBe(200);
+            expect(retryPolicy.getDelay(policy, 3)).toBe(400);
+            expect(retryPolicy.getDelay(policy, 10)).toBe(1000);
+        });
+
+        test('should honour retryAfter hints from rate limit errors', () => {
+            const policy = retryPolicy.resolve({ type: 'testing' });
+
+            expect(retryPolicy.getDelay(policy, 1, { retryAfter: 800 })).toBe(800);
+        });
+    });
+});
@@ -0,0 +1,71 @@
+/**
+ * ReviewGate 테스트
+ */
+
+const { WorkflowEngine } = require('../../../src/core/workflow-engine');
+const { ReviewGate } = require('../../../src/core/review-gate');
+
+describe('ReviewGate', () => {
+    let workflowEngine;
+    let reviewGate;
+
+    beforeEach(() => {
+        workflowEngine = new WorkflowEngine();
+        reviewGate = workflowEngine.reviewGate;
+    });
+
+    test('should apply configured defaults to phases without review settings', () => {
+        const gate = new ReviewGate(workflowEngine, { enabled: true });
+
+        expect(gate.getReviewSettings({ reviewer_role: 'senior_developer' })).toEqual({
+            review: true,
+            reviewerRole: 'senior_developer',
+            acceptanceCriteria: []
+        });
+        expect(gate.getReviewSettings({ review: false }).review).toBe(false);
+        expect(gate.config.maxRevisionRounds).toBe(2);
+    });
+
+    describe('reviewDeliverable', () => {
+        let apiDesign;
+
+        const createTeam = (author, reviewers) => ({
+            getAgent: jest.fn().mockReturnValue(author),
+            getMembersByRole: jest.fn().mockReturnValue(reviewers)
+        });
+
+        beforeEach(async () => {
+            const plan = await workflowEngine.createPlanFromDefinition('claude_leader', 'api-service.yaml', 'Order API');
+            const tasks = await workflowEngine.distributeTasks(plan);
+            apiDesign = tasks.find(task => task.type === 'api_design');
+            apiDesign.assignee = 'kim_senior';
+        });
+
+        test('should ask a reviewer other than the author and request a revision unless approved', async () => {
+            const author = { id: 'kim_senior', collaboration: { requestReview: jest.fn().mockResolvedValue({ verdict: 'revise', summary: 'Missing pagination', comments: [] }) } };
+            const reviewers = [
+                { id: 'kim_senior', status: 'idle', collaboration: {} },
+                { id: 'gemini_leader', status: 'offline', collaboration: {} },
+                { id: 'claude_leader', status: 'busy', collaboration: {} }
+            ];
+
+            await expect(reviewGate.reviewDeliverable(apiDesign, { success: true, data: { result: 'GET /orders' } }, createTeam(author, reviewers)))
+                .rejects.toMatchObject({ name: 'RevisionRequestedError', review: expect.objectContaining({ reviewer: 'claude_leader', deliverable: 'GET /orders' }) });
+            expect(author.collaboration.requestReview).toHaveBeenCalledWith('claude_leader', expect.objectContaining({ taskId: apiDesign.id }), expect.any(Object));
+            expect(apiDesign.metadata.reviews.map(review => review.verdict)).toEqual(['revise']);
+        });
+
+        test('should approve simulated members and skip the review when it fails', async () => {
+            const simulated = { id: 'claude_leader', status: 'idle' };
+            await reviewGate.reviewDeliverable(apiDesign, { success: true }, createTeam({ id: 'kim_senior' }, [simulated]));
+
+            const failing = { id: 'kim_senior', collaboration: { requestReview: jest.fn().mockRejectedValue(new Error('Review timeout')) } };
+            await reviewGate.reviewDeliverable(apiDesign, { success: true }, createTeam(failing, [{ ...simulated, collaboration: {} }]));
+
+            expect(apiDesign.metadata.reviews.map(review => [review.verdict, review.summary])).toEqual([
+                ['approve', 'Approved (simulation)'],
+                ['skipped', 'Review timeout']
+            ]);
+        });
+    });
+});
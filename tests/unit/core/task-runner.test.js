@@ -0,0 +1,317 @@
+/**
+ * TaskRunner 테스트
+ */
+
+const { TaskRunner } = require('../../../src/core/task-runner');
+const { RetryPolicy } = require('../../../src/core/retry-policy');
+const { WorkflowEngine } = require('../../../src/core/workflow-engine');
+const { TestFailureError } = require('../../../src/core/test-gate');
+const { RevisionRequestedError } = require('../../../src/core/review-gate');
+const { TeamManager, TeamMember } = require('../../../src/core/team-manager');
+
+describe('TaskRunner', () => {
+    let workflowEngine;
+    let teamManager;
+    let plan;
+
+    const addMember = (config) => {
+        const member = new TeamMember(config);
+        teamManager.teamMembers.set(member.id, member);
+    };
+
+    const createRunner = (executeTask, retryConfig = {}) => new TaskRunner({
+        workflowEngine,
+        teamManager,
+        executeTask,
+        retryPolicy: new RetryPolicy({
+            default: { backoff_ms: 0, ...retryConfig.default },
+            types: retryConfig.types
+        })
+    });
+
+    beforeEach(async () => {
+        workflowEngine = new WorkflowEngine();
+        teamManager = new TeamManager();
+
+        addMember({
+            id: 'kim_senior',
+            name: '김선임',
+            role: 'senior_developer',
+            capabilities: ['complex_coding', 'coding'],
+            mcpEndpoint: 'simulation://claude-3-5-sonnet'
+        });
+        addMember({
+            id: 'choi_senior',
+            name: '최선임',
+            role: 'senior_developer',
+            capabilities: ['complex_coding', 'coding'],
+            mcpEndpoint: 'simulation://claude-3-5-sonnet'
+        });
+        addMember({
+            id: 'park_developer',
+            name: '박개발',
+            role: 'developer',
+            capabilities: ['coding', 'testing'],
+            mcpEndpoint: 'simulation://gemini-1.5-flash'
+        });
+
+        plan = { id: 'plan_runner_test', description: 'REST API 서버', phases: ['development'] };
+        workflowEngine.activeWorkflows.set(plan.id, plan);
+        await workflowEngine.distributeTasks(plan);
+    });
+
+    afterEach(() => {
+        clearInterval(teamManager.saveStateInterval);
+        clearInterval(teamManager.heartbeatInterval);
+    });
+
+    test('should retry failed attempts on an alternate agent and record history', async () => {
+        const executeTask = jest.fn()
+            .mockRejectedValueOnce(new Error('Task timeout'))
+            .mockResolvedValueOnce({ success: true, data: { result: 'server code' } });
+        const retries = [];
+        workflowEngine.on('task_retrying', (task, retry) => retries.push(retry));
+
+        const [result] = await createRunner(executeTask).run(plan.tasks);
+        const [task] = plan.tasks;
+
+        expect(result.status).toBe('fulfilled');
+        expect(task.status).toBe('completed');
+        expect(task.history).toHaveLength(2);
+        expect(task.history[0]).toMatchObject({ attempt: 1, status: 'failed', errorClass: 'timeout', error: 'Task timeout' });
+        expect(task.history[1]).toMatchObject({ attempt: 2, status: 'succeeded', agentId: task.assignee });
+        expect(task.history[1].agentId).not.toBe(task.history[0].agentId);
+        expect(retries[0]).toMatchObject({ attempt: 2, maxAttempts: 3, previousAgentId: task.history[0].agentId });
+    });
+
+    test('should fall back to a different provider when configured', async () => {
+        const executeTask = jest.fn()
+            .mockRejectedValueOnce(Object.assign(new Error('Too many requests'), { status: 429 }))
+            .mockResolvedValueOnce({ success: true });
+
+        await createRunner(executeTask, { default: { fallback: 'alternate_provider' } }).run(plan.tasks);
+        const [task] = plan.tasks;
+
+        // Gemini 개발자 실패 시 Claude 선임에게 재배정
+        expect(task.history[0].agentId).toBe('park_developer');
+        expect(task.history[1].agentId).toMatch(/_senior$/);
+    });
+
+    test('should retry on the same agent when fallback is disabled', async () => {
+        const executeTask = jest.fn()
+            .mockRejectedValueOnce(new Error('socket hang up'))
+            .mockResolvedValueOnce({ success: true });
+
+        await createRunner(executeTask, { types: { development: { fallback: 'none' } } }).run(plan.tasks);
+        const [task] = plan.tasks;
+
+        expect(task.history.map(entry => entry.agentId)).toEqual([task.assignee, task.assignee]);
+    });
+
+    test('should keep a task counted as running during the retry backoff', async () => {
+        const runningCounts = [];
+        const executeTask = jest.fn()
+            .mockImplementationOnce(async (task) => {
+                // 에이전트가 실패 시 태스크를 failed로 표시하는 경로 재현
+                task.fail(new Error('Task timeout'));
+                throw new Error('Task timeout');
+            })
+            .mockResolvedValueOnce({ success: true });
+        workflowEngine.on('task_retrying', () => runningCounts.push(workflowEngine.getRunningTaskCount()));
+        const [task] = plan.tasks;
+        const originalWait = task.waitForRetry.bind(task);
+        task.waitForRetry = () => {
+            originalWait();
+            runningCounts.push(workflowEngine.getRunningTaskCount());
+        };
+
+        await createRunner(executeTask).run(plan.tasks);
+
+        expect(runningCounts).toEqual([1, 1]);
+        expect(task.status).toBe('completed');
+    });
+
+    test('should not retry non-retriable errors', async () => {
+        const executeTask = jest.fn().mockRejectedValue(new Error('Validation failed: missing field'));
+
+        const [result] = await createRunner(executeTask).run(plan.tasks);
+        const [task] = plan.tasks;
+
+        expect(result.status).toBe('rejected');
+        expect(executeTask).toHaveBeenCalledTimes(1);
+        expect(task.history).toEqual([expect.objectContaining({ status: 'failed', errorClass: 'validation', delay: 0 })]);
+        expect(workflowEngine.failedTasks.has(task.id)).toBe(true);
+    });
+
+    test('should fail the task after max attempts', async () => {
+        const executeTask = jest.fn().mockRejectedValue(new Error('Task timeout'));
+
+        const [result] = await createRunner(executeTask, { default: { max_attempts: 2 } }).run(plan.tasks);
+
+        expect(result.status).toBe('rejected');
+        expect(executeTask).toHaveBeenCalledTimes(2);
+        expect(plan.tasks[0].history).toHaveLength(2);
+    });
+
+    test('should stop without retrying when the running task is cancelled', async () => {
+        const executeTask = jest.fn((task) => new Promise((resolve, reject) => {
+            task.signal.addEventListener('abort', () => reject(new Error('The operation was aborted')));
+        }));
+        workflowEngine.on('task_started', (task) => setImmediate(() => workflowEngine.workflowControl.cancelTask(task.id)));
+
+        const [result] = await createRunner(executeTask).run(plan.tasks);
+        const [task] = plan.tasks;
+
+        expect(result.status).toBe('rejected');
+        expect(result.reason.errorClass).toBe('cancelled');
+        expect(executeTask).toHaveBeenCalledTimes(1);
+        expect(task.status).toBe('cancelled');
+        expect(task.history).toEqual([expect.objectContaining({ status: 'cancelled', error: 'Task cancelled' })]);
+    });
+
+    test('should wait for a paused workflow to be resumed', async () => {
+        const executeTask = jest.fn().mockResolvedValue({ success: true });
+        workflowEngine.workflowControl.pauseWorkflow(plan.id);
+
+        const running = createRunner(executeTask).run(plan.tasks);
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(executeTask).not.toHaveBeenCalled();
+
+        workflowEngine.workflowControl.resumeWorkflow(plan.id);
+        const [result] = await running;
+
+        expect(result.status).toBe('fulfilled');
+        expect(executeTask).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not assign tasks to agents reserved by an ensemble until they are released', async () => {
+        const runner = createRunner(jest.fn().mockResolvedValue({ success: true }));
+        const reserved = runner.reserveAgents(['kim_senior', 'choi_senior']);
+
+        expect(runner.reserveAgents(['kim_senior'])).toEqual([]);
+
+        await runner.run(plan.tasks);
+
+        expect(plan.tasks[0].assignee).toBe('park_developer');
+
+        runner.releaseAgents(reserved);
+        expect(runner.busyAgents.size).toBe(0);
+    });
+
+    describe('test failure rework', () => {
+        let reworkPlan;
+
+        const failedRun = { exitCode: 1, stdout: '', stderr: 'AssertionError: expected 200 but got 500', timedOut: false };
+
+        beforeEach(async () => {
+            reworkPlan = { id: 'plan_rework_test', description: 'REST API 서버', phases: ['development', 'testing'] };
+            workflowEngine.activeWorkflows.set(reworkPlan.id, reworkPlan);
+            await workflowEngine.distributeTasks(reworkPlan);
+        });
+
+        test('should send failed tests back to the authoring agent with the test output', async () => {
+            const [development, testing] = reworkPlan.tasks;
+            const executions = [];
+            const executeTask = jest.fn(async (task) => {
+                executions.push({ taskId: task.id, agentId: task.assignee });
+                if (task.id === testing.id && testing.metadata.reworkRounds === undefined) {
+                    throw new TestFailureError(failedRun);
+                }
+                return { success: true };
+            });
+            const reworks = [];
+            workflowEngine.on('task_rework', (task, author, rework) => reworks.push({ author: author.id, ...rework }));
+
+            const results = await createRunner(executeTask).run(reworkPlan.tasks);
+
+            expect(results.map(result => result.status)).toEqual(['fulfilled', 'fulfilled']);
+            expect(testing.metadata.requiredTools).toEqual(['code_runner']);
+            expect(executions.filter(entry => entry.taskId === development.id).map(entry => entry.agentId))
+                .toEqual([development.assignee, development.assignee]);
+            expect(executions.filter(entry => entry.taskId === testing.id)).toHaveLength(2);
+            expect(development.metadata.preferredAgent).toBe(development.assignee);
+            expect(development.metadata.reworkFeedback).toEqual([{
+                taskId: testing.id,
+                round: 1,
+                summary: 'Tests failed with exit code 1\n\nAssertionError: expected 200 but got 500'
+            }]);
+            expect(reworks).toEqual([{ author: development.id, round: 1, error: 'Tests failed with exit code 1' }]);
+        });
+
+        test('should fail the testing task once the rework rounds are used up', async () => {
+            workflowEngine.testGate.maxReworkRounds = 1;
+            const [development, testing] = reworkPlan.tasks;
+            const executeTask = jest.fn(async (task) => {
+                if (task.id === testing.id) {
+                    throw new TestFailureError(failedRun);
+                }
+                return { success: true };
+            });
+
+            const [developmentResult, testingResult] = await createRunner(executeTask).run(reworkPlan.tasks);
+
+            expect(developmentResult.status).toBe('fulfilled');
+            expect(testingResult.status).toBe('rejected');
+            expect(testingResult.reason).toBeInstanceOf(TestFailureError);
+            expect(development.metadata.reworkFeedback).toHaveLength(1);
+            expect(testing.history.filter(entry => entry.status === 'failed')).toHaveLength(2);
+        });
+    });
+
+    describe('review revision', () => {
+        const reviewComments = [{ severity: 'major', message: 'Handle 404 responses', location: 'routes/orders.js' }];
+
+        // 리뷰 판정 순서대로 리뷰하고 승인되지 않으면 수정 요청 (index.js reviewDeliverable과 같은 흐름)
+        const executeWithReviews = (verdicts) => jest.fn(async (task) => {
+            const verdict = verdicts.shift() || 'approve';
+            const review = workflowEngine.reviewGate.recordReview(task.id, {
+                reviewer: 'claude_leader',
+                verdict,
+                summary: verdict === 'approve' ? 'Looks good' : 'Missing error handling',
+                comments: verdict === 'approve' ? [] : reviewComments
+            });
+            if (verdict !== 'approve') {
+                throw new RevisionRequestedError({ ...review, deliverable: `draft ${review.round}` });
+            }
+            return { success: true };
+        });
+
+        test('should send the deliverable back to its author with the review comments', async () => {
+            const [task] = plan.tasks;
+            const executeTask = executeWithReviews(['revise']);
+            const revisions = [];
+            workflowEngine.on('task_revision', (revised, revision) => revisions.push({ ...revision, agentId: revised.assignee }));
+
+            const [result] = await createRunner(executeTask).run(plan.tasks);
+            const assignees = executeTask.mock.calls.map(([running]) => running.assignee);
+
+            expect(result.status).toBe('fulfilled');
+            expect(assignees).toEqual([task.assignee, task.assignee]);
+            expect(task.metadata.preferredAgent).toBe(task.assignee);
+            expect(task.metadata.reviewFeedback).toEqual([{
+                round: 1,
+                reviewer: 'claude_leader',
+                verdict: 'revise',
+                summary: 'Missing error handling',
+                comments: reviewComments,
+                deliverable: 'draft 1'
+            }]);
+            expect(revisions).toEqual([{ round: 1, reviewer: 'claude_leader', verdict: 'revise', agentId: assignees[0] }]);
+            expect(workflowEngine.reviewGate.getReviewReport(plan.id)).toMatchObject({ reviewed: 1, approved: 1, revisions: 1 });
+        });
+
+        test('should fail the task once the revision rounds are used up', async () => {
+            workflowEngine.reviewGate.config.maxRevisionRounds = 1;
+            const [task] = plan.tasks;
+
+            const [result] = await createRunner(executeWithReviews(['revise', 'reject'])).run(plan.tasks);
+
+            expect(result.status).toBe('rejected');
+            expect(result.reason).toBeInstanceOf(RevisionRequestedError);
+            expect(result.reason.review.verdict).toBe('reject');
+            expect(task.metadata.revisionRounds).toBe(1);
+            expect(workflowEngine.reviewGate.getReviewReport(plan.id)).toMatchObject({ reviewed: 1, approved: 0, revisions: 1 });
+        });
+    });
+});
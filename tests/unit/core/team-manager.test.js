@@ -362,6 +362,21 @@ describe('TeamManager', () => {
             
             expect(bestMember.id).toBe('performer');
         });
+
+        test('should skip excluded members', async () => {
+            await teamManager.addTeamMember(createValidMemberConfig({
+                id: 'specialist',
+                capabilities: ['coding', 'testing']
+            }));
+            await teamManager.addTeamMember(createValidMemberConfig({
+                id: 'generalist',
+                capabilities: ['coding']
+            }));
+            
+            const bestMember = teamManager.findBestMember(['coding', 'testing'], 'testing', ['specialist']);
+            
+            expect(bestMember.id).toBe('generalist');
+        });
     });
 
     describe('getTeamStatus', () => {
@@ -0,0 +1,36 @@
+/**
+ * TestGate 테스트
+ */
+
+const { WorkflowEngine } = require('../../../src/core/workflow-engine');
+
+describe('TestGate', () => {
+    let testGate;
+
+    beforeEach(() => {
+        testGate = new WorkflowEngine({ testing: { maxReworkRounds: 1 } }).testGate;
+    });
+
+    test('should read the rework limit from the testing config', () => {
+        expect(testGate.maxReworkRounds).toBe(1);
+    });
+
+    describe('checkTestResults', () => {
+        const testingTask = { id: 'task_testing', metadata: { requiredTools: ['code_runner'] } };
+
+        test('should fail tasks whose last code_runner run failed until the run is cleared', () => {
+            testGate.recordTestRun(testingTask.id, { exitCode: 1, stdout: '1 failing', stderr: '', timedOut: false });
+
+            expect(() => testGate.checkTestResults(testingTask)).toThrow('Tests failed with exit code 1');
+
+            testGate.clearTestRun(testingTask.id);
+            expect(() => testGate.checkTestResults(testingTask)).not.toThrow();
+        });
+
+        test('should ignore runs of tasks that do not require code_runner', () => {
+            testGate.recordTestRun('task_docs', { exitCode: 1, timedOut: false });
+
+            expect(() => testGate.checkTestResults({ id: 'task_docs', metadata: {} })).not.toThrow();
+        });
+    });
+});
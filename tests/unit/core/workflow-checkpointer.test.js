@@ -0,0 +1,146 @@
+/**
+ * WorkflowCheckpointer 테스트
+ */
+
+const { WorkflowCheckpointer } = require('../../../src/core/workflow-checkpointer');
+const { WorkflowEngine } = require('../../../src/core/workflow-engine');
+const FileManager = require('../../../src/utils/file-manager');
+const fs = require('fs').promises;
+const path = require('path');
+
+describe('WorkflowCheckpointer', () => {
+    let workflowEngine;
+    let fileManager;
+    let checkpointer;
+    let testDir;
+    let plan;
+
+    const createPlan = () => ({
+        id: 'plan_checkpoint_test',
+        title: 'Checkpoint 테스트',
+        description: 'REST API 서버',
+        phases: ['planning', 'development', 'testing'],
+        status: 'created'
+    });
+
+    beforeEach(async () => {
+        testDir = path.join(__dirname, '../../../temp/test-checkpoints');
+
+        fileManager = new FileManager();
+        fileManager.sharedDir = testDir;
+        fileManager.workflowsDir = path.join(testDir, 'workflows');
+        fileManager.runsDir = path.join(testDir, 'runs');
+        fileManager.resultsDir = path.join(testDir, 'results');
+        fileManager.statesDir = path.join(testDir, 'states');
+        fileManager.tempDir = path.join(testDir, 'temp');
+
+        workflowEngine = new WorkflowEngine();
+        checkpointer = new WorkflowCheckpointer(workflowEngine, fileManager);
+
+        plan = createPlan();
+        workflowEngine.activeWorkflows.set(plan.id, plan);
+        await workflowEngine.distributeTasks(plan);
+    });
+
+    afterEach(async () => {
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    test('should save plan and task states on start', async () => {
+        await checkpointer.start(plan.id);
+
+        const { data: snapshot } = await fileManager.loadRun(plan.id);
+
+        expect(snapshot.runId).toBe(plan.id);
+        expect(snapshot.plan.phases).toEqual(['planning', 'development', 'testing']);
+        expect(snapshot.plan.tasks).toBeUndefined();
+        expect(snapshot.tasks).toHaveLength(3);
+        expect(snapshot.tasks.every(task => task.status === 'pending')).toBe(true);
+    });
+
+    test('should write checkpoints to the runs directory apart from workflow definitions', async () => {
+        await checkpointer.start(plan.id);
+
+        expect(await fs.readdir(fileManager.runsDir)).toEqual([`${plan.id}.json`]);
+        expect(await fs.readdir(fileManager.workflowsDir)).toEqual([]);
+        await expect(fileManager.loadRun('plan_missing')).rejects.toMatchObject({ code: 'ENOENT' });
+    });
+
+    test('should checkpoint task transitions and save results', async () => {
+        await checkpointer.start(plan.id);
+        const [planning, development] = plan.tasks;
+
+        workflowEngine.markTaskStarted(planning.id, 'claude_leader');
+        workflowEngine.markTaskCompleted(planning.id, { success: true, data: { result: 'plan doc' } });
+        workflowEngine.markTaskStarted(development.id, 'kim_senior');
+        await checkpointer.flush();
+
+        const { data: snapshot } = await fileManager.loadRun(plan.id);
+        const saved = await fileManager.loadResult('claude_leader', planning.id);
+
+        expect(snapshot.tasks.map(task => task.status)).toEqual(['completed', 'in_progress', 'pending']);
+        expect(snapshot.tasks[0].result).toBeUndefined();
+        expect(saved.result).toEqual({ success: true, data: { result: 'plan doc' } });
+    });
+
+    test('should ignore transitions of untracked workflows', async () => {
+        const [planning] = plan.tasks;
+
+        workflowEngine.markTaskStarted(planning.id, 'claude_leader');
+        workflowEngine.markTaskCompleted(planning.id, { result: 'plan doc' });
+        await checkpointer.flush();
+
+        await expect(fs.readdir(fileManager.resultsDir)).rejects.toThrow();
+    });
+
+    test('should record final status on finish', async () => {
+        await checkpointer.start(plan.id);
+        await checkpointer.finish(plan.id, 'failed');
+
+        const { data: snapshot } = await fileManager.loadRun(plan.id);
+
+        expect(snapshot.status).toBe('failed');
+        expect(checkpointer.listeners).toBeNull();
+    });
+
+    test('should restore engine state and requeue only unfinished tasks', async () => {
+        await checkpointer.start(plan.id);
+        const [planning, development, testing] = plan.tasks;
+
+        workflowEngine.markTaskStarted(planning.id, 'claude_leader');
+        workflowEngine.markTaskCompleted(planning.id, { success: true, data: { result: 'plan doc' } });
+        workflowEngine.markTaskStarted(development.id, 'kim_senior');
+        await checkpointer.flush();
+
+        // 프로세스 재시작 후 새 엔진으로 복원
+        const resumedEngine = new WorkflowEngine();
+        const resumedCheckpointer = new WorkflowCheckpointer(resumedEngine, fileManager);
+
+        const { unfinished, completed } = await resumedCheckpointer.restore(plan.id);
+
+        expect(unfinished.map(task => task.id)).toEqual([development.id, testing.id]);
+        expect(completed.map(task => task.id)).toEqual([planning.id]);
+        expect(resumedEngine.completedTasks.get(planning.id).result).toEqual({
+            success: true,
+            data: { result: 'plan doc' }
+        });
+        expect(resumedEngine.taskQueue.get(development.id).status).toBe('pending');
+        expect(resumedEngine.getReadyTasks().map(task => task.id)).toEqual([development.id]);
+        expect(resumedEngine.activeWorkflows.get(plan.id).status).toBe('in_progress');
+    });
+
+    test('should rerun completed tasks whose result file is missing', async () => {
+        await checkpointer.start(plan.id);
+        const [planning] = plan.tasks;
+
+        workflowEngine.markTaskStarted(planning.id, 'claude_leader');
+        workflowEngine.markTaskCompleted(planning.id, { result: 'plan doc' });
+        await checkpointer.flush();
+        await fs.rm(fileManager.resultsDir, { recursive: true, force: true });
+
+        const { tasks } = await checkpointer.load(plan.id);
+
+        expect(tasks[0].status).toBe('pending');
+        expect(tasks[0].result).toBeNull();
+    });
+});
@@ -0,0 +1,104 @@
+/**
+ * WorkflowControl 테스트
+ */
+
+const { WorkflowEngine } = require('../../../src/core/workflow-engine');
+const { Task } = require('../../../src/agents/base-agent');
+const { createValidTask } = require('../../helpers/factories');
+
+describe('WorkflowControl', () => {
+    let workflowEngine;
+    let workflowControl;
+
+    beforeEach(() => {
+        workflowEngine = new WorkflowEngine();
+        workflowControl = workflowEngine.workflowControl;
+    });
+
+    describe('cancelTask', () => {
+        test('should abort the running task and block its dependents', async () => {
+            await workflowEngine.addTask(new Task(createValidTask({ id: 'design' })));
+            await workflowEngine.addTask(new Task(createValidTask({ id: 'build', dependencies: ['design'] })));
+
+            const task = workflowEngine.markTaskStarted('design', 'claude_leader');
+            const cancelledHandler = jest.fn();
+            workflowEngine.on('task_cancelled', cancelledHandler);
+
+            workflowControl.cancelTask('design', 'No longer needed');
+
+            expect(task.signal.aborted).toBe(true);
+            expect(task.signal.reason).toMatchObject({ message: 'No longer needed', errorClass: 'cancelled' });
+            expect(task.status).toBe('cancelled');
+            expect(workflowEngine.failedTasks.has('design')).toBe(true);
+            expect(workflowEngine.failedTasks.get('build').error.message).toContain('Blocked by failed dependency');
+            expect(workflowEngine.abortControllers.size).toBe(0);
+            expect(cancelledHandler).toHaveBeenCalledWith(task, task.signal.reason);
+        });
+
+        test('should throw for unknown tasks', () => {
+            expect(() => workflowControl.cancelTask('missing')).toThrow('Task missing not found in queue');
+        });
+    });
+
+    describe('pauseWorkflow / resumeWorkflow / cancelWorkflow', () => {
+        const workflowTask = (id, overrides = {}) => new Task(createValidTask({ id, metadata: { workflowId: 'wf_control' }, ...overrides }));
+
+        beforeEach(async () => {
+            workflowEngine.activeWorkflows.set('wf_control', { id: 'wf_control', status: 'in_progress' });
+            await workflowEngine.addTask(workflowTask('first'));
+            await workflowEngine.addTask(workflowTask('second'));
+            await workflowEngine.addTask(new Task(createValidTask({ id: 'other' })));
+        });
+
+        test('should hold ready tasks of a paused workflow until resumed', () => {
+            workflowControl.pauseWorkflow('wf_control');
+
+            expect(workflowControl.isWorkflowPaused('wf_control')).toBe(true);
+            expect(workflowEngine.getReadyTasks().map(t => t.id)).toEqual(['other']);
+
+            workflowControl.resumeWorkflow('wf_control');
+
+            expect(workflowEngine.getReadyTasks().map(t => t.id).sort()).toEqual(['first', 'other', 'second']);
+        });
+
+        test('should reject resuming a workflow that is not paused', () => {
+            expect(() => workflowControl.resumeWorkflow('wf_control')).toThrow('Workflow wf_control is not paused');
+        });
+
+        test('should cancel running and pending tasks of the workflow only', () => {
+            const running = workflowEngine.markTaskStarted('first', 'claude_senior');
+            const cancelledHandler = jest.fn();
+            workflowEngine.on('workflow_cancelled', cancelledHandler);
+
+            const cancelled = workflowControl.cancelWorkflow('wf_control');
+
+            expect(cancelled.map(t => t.id).sort()).toEqual(['first', 'second']);
+            expect(running.signal.aborted).toBe(true);
+            expect(Array.from(workflowEngine.taskQueue.keys())).toEqual(['other']);
+            expect(workflowEngine.activeWorkflows.get('wf_control').status).toBe('cancelled');
+            expect(cancelledHandler).toHaveBeenCalledWith(expect.objectContaining({ id: 'wf_control' }), cancelled);
+            expect(() => workflowControl.pauseWorkflow('wf_control')).toThrow('Workflow wf_control is already cancelled');
+        });
+    });
+
+    describe('restoreWorkflow', () => {
+        test('should keep completed tasks and requeue the rest as pending', async () => {
+            const completed = new Task(createValidTask({ id: 'design' }));
+            completed.complete({ success: true });
+            const interrupted = new Task(createValidTask({ id: 'build', dependencies: ['design'] }));
+            interrupted.start();
+            const plan = { id: 'wf_restore', status: 'paused' };
+            const restoredHandler = jest.fn();
+            workflowEngine.on('workflow_restored', restoredHandler);
+
+            const unfinished = await workflowControl.restoreWorkflow(plan, [completed, interrupted]);
+
+            expect(unfinished).toEqual([interrupted]);
+            expect(interrupted.status).toBe('pending');
+            expect(workflowEngine.completedTasks.get('design')).toBe(completed);
+            expect(workflowEngine.getReadyTasks().map(t => t.id)).toEqual(['build']);
+            expect(plan.status).toBe('in_progress');
+            expect(restoredHandler).toHaveBeenCalledWith(plan, unfinished);
+        });
+    });
+});
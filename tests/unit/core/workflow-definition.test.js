@@ -0,0 +1,154 @@
+/**
+ * WorkflowDefinitionLoader 테스트
+ */
+
+const { WorkflowDefinitionLoader } = require('../../../src/core/workflow-definition');
+const fs = require('fs').promises;
+const path = require('path');
+
+describe('WorkflowDefinitionLoader', () => {
+    let loader;
+    let testDir;
+
+    const writeDefinition = async (filename, content) => {
+        const filePath = path.join(testDir, filename);
+        await fs.writeFile(filePath, content, 'utf8');
+        return filePath;
+    };
+
+    beforeEach(async () => {
+        testDir = path.join(__dirname, '../../../temp/test-workflow-definitions');
+        await fs.mkdir(testDir, { recursive: true });
+
+        loader = new WorkflowDefinitionLoader({ workflowsDir: testDir });
+    });
+
+    afterEach(async () => {
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    describe('load', () => {
+        test('should load bundled workflow definitions from shared/workflows', async () => {
+            const bundledLoader = new WorkflowDefinitionLoader();
+
+            const yamlDefinition = await bundledLoader.load('api-service.yaml');
+            const jsonDefinition = await bundledLoader.load('research-report.json');
+
+            expect(yamlDefinition.name).toBe('api-service');
+            expect(yamlDefinition.phases.length).toBeGreaterThan(0);
+            expect(jsonDefinition.name).toBe('research-report');
+        });
+
+        test('should resolve file names relative to workflows directory', async () => {
+            await writeDefinition('simple.yaml', 'name: simple\nphases:\n  - name: planning\n');
+
+            const definition = await loader.load('simple.yaml');
+
+            expect(definition.source).toBe(path.join(testDir, 'simple.yaml'));
+        });
+
+        test('should reject missing files', async () => {
+            await expect(loader.load('missing.yaml')).rejects.toThrow('Workflow definition not found: missing.yaml');
+        });
+
+        test('should reject invalid syntax', async () => {
+            const filePath = await writeDefinition('broken.json', '{ "name": ');
+
+            await expect(loader.load(filePath)).rejects.toThrow('Invalid workflow definition syntax');
+        });
+    });
+
+    describe('validate', () => {
+        test('should collect all schema violations', () => {
+            const definition = {
+                name: 'invalid',
+                complexity: 'extreme',
+                phases: [
+                    { name: 'planning', role: 'manager' },
+                    { description: 'no name', timeout_ms: -1 },
+                    { name: 'testing', retry: { max_attempts: 0 }, owner: 'someone' }
+                ]
+            };
+
+            let message = '';
+            try {
+                loader.validate(definition);
+            } catch (error) {
+                message = error.message;
+            }
+
+            expect(message).toContain('complexity must be one of: low, medium, high');
+            expect(message).toContain('phases[0].role must be one of');
+            expect(message).toContain('phases[1].name is required');
+            expect(message).toContain('phases[1].timeout_ms must be >= 1');
+            expect(message).toContain('phases[2].retry.max_attempts must be >= 1');
+            expect(message).toContain('phases[2].owner is not a known field');
+        });
+
+        test('should validate ensemble settings', () => {
+            expect(() => loader.validate({
+                name: 'ensemble',
+                phases: [{ name: 'architecture', strategy: 'ensemble', ensemble: { size: 2, decision: 'vote', vote_fields: ['pattern'] } }]
+            })).not.toThrow();
+            expect(() => loader.validate({
+                name: 'ensemble',
+                phases: [{ name: 'architecture', strategy: 'parallel', ensemble: { size: 1, decision: 'random' } }]
+            })).toThrow(/strategy must be one of: single, ensemble[\s\S]*ensemble.size must be >= 2[\s\S]*ensemble.decision must be one of: judge, merge, vote/);
+        });
+
+        test('should require at least one phase', () => {
+            expect(() => loader.validate({ name: 'empty', phases: [] }))
+                .toThrow('phases must have at least 1 item(s)');
+        });
+
+        test('should reject non-object definitions', () => {
+            expect(() => loader.validate('just a string')).toThrow('workflow must be object');
+        });
+    });
+
+    describe('toPhases', () => {
+        test('should apply defaults to phases', () => {
+            const phases = loader.toPhases({
+                name: 'defaults',
+                defaults: { role: 'researcher', estimated_hours: 2, timeout_ms: 1000, retry: { max_attempts: 2 } },
+                phases: [
+                    { name: 'research' },
+                    { name: 'reporting', role: 'leader', estimated_hours: 6, depends_on: ['research'], retry: { max_attempts: 5 } }
+                ]
+            });
+
+            expect(phases[0]).toMatchObject({
+                name: 'research',
+                description: 'research 단계',
+                role: 'researcher',
+                estimated_hours: 2,
+                timeout_ms: 1000,
+                retry: { max_attempts: 2 }
+            });
+            expect(phases[1]).toMatchObject({
+                role: 'leader',
+                estimated_hours: 6,
+                depends_on: ['research'],
+                retry: { max_attempts: 5 }
+            });
+        });
+
+        test('should pass review settings through with workflow defaults', () => {
+            const phases = loader.toPhases({
+                name: 'review',
+                defaults: { review: true, reviewer_role: 'senior_developer' },
+                phases: [
+                    { name: 'development', acceptance_criteria: ['All endpoints return JSON'] },
+                    { name: 'documentation', review: false, reviewer_role: 'leader' }
+                ]
+            });
+
+            expect(phases[0]).toMatchObject({
+                review: true,
+                reviewer_role: 'senior_developer',
+                acceptance_criteria: ['All endpoints return JSON']
+            });
+            expect(phases[1]).toMatchObject({ review: false, reviewer_role: 'leader' });
+        });
+    });
+});
@@ -41,10 +41,13 @@ describe('WorkflowEngine', () => {
         test('should include phases in execution plan', async () => {
             const plan = await workflowEngine.createExecutionPlan('claude_leader', 'Test project');
 
-            expect(plan.phases).toContain('planning');
-            expect(plan.phases).toContain('implementation');
+            // 단계 이름은 프로젝트 유형별 분석 결과(detailedPhases)를 따름
+            expect(plan.phases).toEqual(plan.detailedPhases.map(phase => phase.name));
             expect(plan.phases).toContain('testing');
             expect(plan.phases).toContain('deployment');
+            for (const phase of plan.detailedPhases) {
+                expect(plan.phases.slice(0, plan.phases.indexOf(phase.name))).toEqual(expect.arrayContaining(phase.depends_on || []));
+            }
         });
 
         test('should emit plan_created event', async () => {
@@ -57,6 +60,55 @@ describe('WorkflowEngine', () => {
         });
     });
 
+    describe('createPlanFromDefinition', () => {
+        test('should build plan from workflow definition without AI analysis', async () => {
+            const analyzeSpy = jest.spyOn(workflowEngine.projectAnalyzer, 'analyzeWithAI');
+
+            const plan = await workflowEngine.createPlanFromDefinition('claude_leader', 'api-service.yaml', 'Order API');
+            const tasks = await workflowEngine.distributeTasks(plan);
+            const testingTask = tasks.find(task => task.type === 'testing');
+
+            expect(analyzeSpy).not.toHaveBeenCalled();
+            expect(plan.description).toBe('Order API');
+            expect(plan.analysisSource).toBe('workflow_definition');
+            expect(workflowEngine.activeWorkflows.get(plan.id)).toBe(plan);
+            expect(testingTask.metadata).toMatchObject({
+                requiredCapabilities: ['testing'],
+                timeout: 600000,
+                retryPolicy: { max_attempts: 3, backoff_ms: 2000 }
+            });
+        });
+
+        test('should carry review settings and acceptance criteria from the phase definition', async () => {
+            const plan = await workflowEngine.createPlanFromDefinition('claude_leader', 'api-service.yaml', 'Order API');
+            const tasks = await workflowEngine.distributeTasks(plan);
+            const apiDesign = tasks.find(task => task.type === 'api_design');
+            const testing = tasks.find(task => task.type === 'testing');
+
+            expect(workflowEngine.reviewGate.needsReview(apiDesign)).toBe(true);
+            expect(apiDesign.metadata.reviewerRole).toBe('leader');
+            expect(apiDesign.metadata.acceptanceCriteria).toHaveLength(2);
+            expect(workflowEngine.reviewGate.needsReview(testing)).toBe(false);
+            expect(workflowEngine.reviewGate.createReviewRequest(apiDesign, { success: true, data: { result: 'GET /orders' } })).toEqual({
+                taskId: apiDesign.id,
+                artifact: 'GET /orders',
+                summary: apiDesign.description,
+                criteria: apiDesign.metadata.acceptanceCriteria
+            });
+        });
+
+        test('should reject definitions with unknown dependencies', async () => {
+            jest.spyOn(workflowEngine.definitionLoader, 'load').mockResolvedValue({
+                name: 'broken',
+                phases: [{ name: 'testing', depends_on: ['development'] }]
+            });
+
+            await expect(workflowEngine.createPlanFromDefinition('claude_leader', 'broken.yaml'))
+                .rejects.toThrow('Phase testing depends on unknown phase development');
+            expect(workflowEngine.activeWorkflows.size).toBe(0);
+        });
+    });
+
     describe('distributeTasks', () => {
         test('should distribute tasks from execution plan', async () => {
             const plan = {
@@ -103,6 +155,111 @@ describe('WorkflowEngine', () => {
                 tasks.find(t => t.type === 'planning').id
             );
         });
+
+        test('should build dependency graph from depends_on', async () => {
+            const plan = {
+                id: 'plan_dag',
+                description: 'Test project',
+                detailedPhases: [
+                    { name: 'requirements_analysis', role: 'leader', depends_on: [] },
+                    { name: 'backend_development', role: 'senior_developer', depends_on: ['requirements_analysis'] },
+                    { name: 'frontend_development', role: 'developer', depends_on: ['requirements_analysis'] },
+                    { name: 'integration', role: 'senior_developer', depends_on: ['backend_development', 'frontend_development'] }
+                ]
+            };
+
+            const tasks = await workflowEngine.distributeTasks(plan);
+            const byPhase = Object.fromEntries(tasks.map(t => [t.type, t]));
+
+            expect(byPhase.frontend_development.dependencies).toEqual([byPhase.requirements_analysis.id]);
+            expect(byPhase.integration.dependencies).toEqual([
+                byPhase.backend_development.id,
+                byPhase.frontend_development.id
+            ]);
+        });
+
+        test('should reject circular phase dependencies', async () => {
+            const plan = {
+                id: 'plan_cycle',
+                description: 'Test project',
+                detailedPhases: [
+                    { name: 'design', depends_on: ['testing'] },
+                    { name: 'implementation', depends_on: ['design'] },
+                    { name: 'testing', depends_on: ['implementation'] }
+                ]
+            };
+
+            await expect(workflowEngine.distributeTasks(plan))
+                .rejects.toThrow('Circular dependency detected: design -> testing -> implementation -> design');
+            expect(workflowEngine.getActiveTaskCount()).toBe(0);
+        });
+
+        test('should reject unknown phase dependencies', async () => {
+            const plan = {
+                id: 'plan_unknown',
+                description: 'Test project',
+                detailedPhases: [{ name: 'implementation', depends_on: ['design'] }]
+            };
+
+            await expect(workflowEngine.distributeTasks(plan))
+                .rejects.toThrow('Phase implementation depends on unknown phase design');
+        });
+    });
+
+    describe('getReadyTasks', () => {
+        test('should release independent tasks in parallel', async () => {
+            await workflowEngine.addTask(new Task(createValidTask({ id: 'root' })));
+            await workflowEngine.addTask(new Task(createValidTask({ id: 'left', dependencies: ['root'] })));
+            await workflowEngine.addTask(new Task(createValidTask({ id: 'right', dependencies: ['root'] })));
+
+            expect(workflowEngine.getReadyTasks().map(t => t.id)).toEqual(['root']);
+
+            workflowEngine.markTaskStarted('root', 'claude_leader');
+            workflowEngine.markTaskCompleted('root', { result: 'done' });
+
+            expect(workflowEngine.getReadyTasks().map(t => t.id).sort()).toEqual(['left', 'right']);
+        });
+
+        test('should respect maxConcurrentTasks', async () => {
+            workflowEngine.maxConcurrentTasks = 2;
+            for (const id of ['a', 'b', 'c']) {
+                await workflowEngine.addTask(new Task(createValidTask({ id })));
+            }
+
+            workflowEngine.markTaskStarted('a');
+
+            expect(workflowEngine.getRunningTaskCount()).toBe(1);
+            expect(workflowEngine.getReadyTasks()).toHaveLength(1);
+
+            workflowEngine.markTaskStarted('b');
+
+            expect(workflowEngine.getReadyTasks()).toEqual([]);
+            expect(workflowEngine.getNextTask()).toBeNull();
+        });
+    });
+
+    describe('getTaskGraph', () => {
+        test('should expose dependents and execution levels', async () => {
+            const plan = {
+                id: 'plan_graph',
+                description: 'Test project',
+                detailedPhases: [
+                    { name: 'design', depends_on: [] },
+                    { name: 'backend', depends_on: ['design'] },
+                    { name: 'frontend', depends_on: ['design'] },
+                    { name: 'integration', depends_on: ['backend', 'frontend'] }
+                ]
+            };
+            workflowEngine.activeWorkflows.set(plan.id, plan);
+
+            const tasks = await workflowEngine.distributeTasks(plan);
+            const graph = await workflowEngine.getTaskGraph(plan.id);
+            const [design, backend, frontend, integration] = tasks.map(t => t.id);
+
+            expect(graph.roots).toEqual([design]);
+            expect(graph.dependents[design]).toEqual([backend, frontend]);
+            expect(graph.levels).toEqual([[design], [backend, frontend], [integration]]);
+        });
     });
 
     describe('addTask', () => {
@@ -170,6 +327,43 @@ describe('WorkflowEngine', () => {
         });
     });
 
+    describe('markTaskStarted', () => {
+        test('should attach completed dependency deliverables as upstream context', async () => {
+            await workflowEngine.addTask(new Task(createValidTask({ id: 'design', type: 'architecture' })));
+            await workflowEngine.addTask(new Task(createValidTask({ id: 'build', dependencies: ['design'] })));
+
+            workflowEngine.markTaskStarted('design', 'claude_leader');
+            workflowEngine.markTaskCompleted('design', { success: true, data: { result: 'REST API with JWT auth' } });
+
+            const task = workflowEngine.markTaskStarted('build', 'claude_senior');
+
+            expect(task.assignee).toBe('claude_senior');
+            expect(task.upstreamContext).toHaveLength(1);
+            expect(task.upstreamContext[0]).toMatchObject({
+                taskId: 'design',
+                type: 'architecture',
+                summary: 'REST API with JWT auth',
+                truncated: false
+            });
+        });
+    });
+
+    describe('recordTaskOutput', () => {
+        test('should emit output chunks only for running tasks', async () => {
+            await workflowEngine.addTask(new Task(createValidTask({ id: 'build' })));
+            const chunkHandler = jest.fn();
+            workflowEngine.on('task_output_chunk', chunkHandler);
+
+            workflowEngine.recordTaskOutput('build', 'ignored before start');
+            const task = workflowEngine.markTaskStarted('build', 'claude_senior');
+            workflowEngine.recordTaskOutput('build', 'partial output');
+            workflowEngine.markTaskCompleted('build', { result: 'done' });
+            workflowEngine.recordTaskOutput('build', 'late output');
+
+            expect(chunkHandler.mock.calls).toEqual([[task, 'partial output']]);
+        });
+    });
+
     describe('markTaskCompleted', () => {
         test('should move task from queue to completed', async () => {
             const task = new Task(createValidTask());
@@ -194,6 +388,27 @@ describe('WorkflowEngine', () => {
         });
     });
 
+    describe('markTaskFailed', () => {
+        test('should cascade failure to all downstream tasks', async () => {
+            workflowEngine.setupEventListeners();
+            await workflowEngine.addTask(new Task(createValidTask({ id: 'design' })));
+            await workflowEngine.addTask(new Task(createValidTask({ id: 'build', dependencies: ['design'] })));
+            await workflowEngine.addTask(new Task(createValidTask({ id: 'test', dependencies: ['build', 'design'] })));
+            await workflowEngine.addTask(new Task(createValidTask({ id: 'docs' })));
+
+            const blockedHandler = jest.fn();
+            workflowEngine.on('task_blocked', blockedHandler);
+
+            workflowEngine.markTaskFailed('design', new Error('design failed'));
+
+            expect(workflowEngine.failedTasks.has('build')).toBe(true);
+            expect(workflowEngine.failedTasks.has('test')).toBe(true);
+            expect(workflowEngine.failedTasks.get('test').error.message).toContain('Blocked by failed dependency');
+            expect(Array.from(workflowEngine.taskQueue.keys())).toEqual(['docs']);
+            expect(blockedHandler).toHaveBeenCalledWith('build', 'design');
+        });
+    });
+
     describe('integrateResults', () => {
         test('should integrate multiple task results', async () => {
             const results = [
@@ -220,6 +435,39 @@ describe('WorkflowEngine', () => {
             expect(integrated.success).toBe(false);
             expect(integrated.failures).toHaveLength(1);
         });
+
+        test('should report review verdicts and revision counts for the workflow', async () => {
+            const plan = { id: 'plan_review_report', description: 'REST API 서버', phases: ['development', 'documentation'] };
+            workflowEngine.activeWorkflows.set(plan.id, plan);
+            const [development, documentation] = await workflowEngine.distributeTasks(plan);
+            development.assignee = 'kim_senior';
+
+            workflowEngine.reviewGate.recordReview(development.id, {
+                reviewer: 'claude_leader',
+                verdict: 'revise',
+                summary: 'Missing validation',
+                comments: [{ severity: 'major', message: 'Validate request bodies' }]
+            });
+            development.metadata.revisionRounds = 1;
+            workflowEngine.reviewGate.recordReview(development.id, { reviewer: 'claude_leader', verdict: 'approve', comments: [] });
+            workflowEngine.markTaskCompleted(development.id, { success: true });
+            workflowEngine.markTaskCompleted(documentation.id, { success: true });
+
+            const integrated = await workflowEngine.integrateResults('claude_leader', [
+                { status: 'fulfilled', value: { success: true } },
+                { status: 'fulfilled', value: { success: true } }
+            ], plan.id);
+
+            expect(integrated.review).toMatchObject({ reviewed: 1, approved: 1, revisions: 1 });
+            expect(integrated.review.tasks).toEqual([expect.objectContaining({
+                taskId: development.id,
+                author: 'kim_senior',
+                reviewer: 'claude_leader',
+                verdict: 'approve',
+                revisions: 1
+            })]);
+            expect(integrated.review.tasks[0].rounds.map(round => [round.round, round.verdict])).toEqual([[1, 'revise'], [2, 'approve']]);
+        });
     });
 
     describe('getWorkflowStatus', () => {
@@ -0,0 +1,168 @@
+const { OpenAICompatibleProvider } = require('../../../src/providers/openai-compatible-provider');
+const { createProvider } = require('../../../src/providers/provider-registry');
+
+describe('OpenAICompatibleProvider', () => {
+    let provider;
+
+    beforeEach(() => {
+        provider = new OpenAICompatibleProvider({ baseUrl: 'http://localhost:11434/v1/', model: 'llama3.1' });
+    });
+
+    describe('complete', () => {
+        test('should call chat/completions without Authorization for local servers', async () => {
+            global.fetch = jest.fn().mockResolvedValue({
+                ok: true,
+                json: async () => ({
+                    choices: [{ message: { role: 'assistant', content: '{"result":"ok"}' } }],
+                    usage: { prompt_tokens: 9, completion_tokens: 3 }
+                })
+            });
+
+            const response = await provider.complete('Test prompt');
+
+            const [url, request] = global.fetch.mock.calls[0];
+            expect(url).toBe('http://localhost:11434/v1/chat/completions');
+            expect(request.headers.Authorization).toBeUndefined();
+            expect(JSON.parse(request.body)).toMatchObject({
+                model: 'llama3.1',
+                messages: [{ role: 'user', content: 'Test prompt' }],
+                stream: false
+            });
+            expect(response).toMatchObject({ text: '{"result":"ok"}', usage: { inputTokens: 9, outputTokens: 3 } });
+        });
+
+        test('should stream deltas until [DONE]', async () => {
+            const chunks = [
+                { choices: [{ delta: { role: 'assistant' } }] },
+                { choices: [{ delta: { content: 'Hello' } }] },
+                { choices: [{ delta: { content: ' world' } }] },
+                { choices: [], usage: { prompt_tokens: 5, completion_tokens: 2 } }
+            ];
+            global.fetch = jest.fn().mockResolvedValue({
+                ok: true,
+                body: [...chunks.map(chunk => `data: ${JSON.stringify(chunk)}\n\n`), 'data: [DONE]\n\n']
+            });
+            const onChunk = jest.fn();
+
+            const response = await provider.stream('Test prompt', onChunk);
+
+            expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toMatchObject({
+                stream: true,
+                stream_options: { include_usage: true }
+            });
+            expect(onChunk.mock.calls).toEqual([['Hello'], [' world']]);
+            expect(response.text).toBe('Hello world');
+            expect(response.usage).toEqual({ inputTokens: 5, outputTokens: 2 });
+        });
+
+        test('should expose status and retry-after on HTTP errors', async () => {
+            global.fetch = jest.fn().mockResolvedValue({
+                ok: false,
+                status: 429,
+                headers: { get: (name) => (name === 'retry-after' ? '3' : null) },
+                json: async () => ({ error: 'too many requests' })
+            });
+
+            const error = await provider.complete('Test prompt').catch(e => e);
+
+            expect(error.message).toBe('too many requests');
+            expect(error).toMatchObject({ status: 429, retryAfter: 3000, provider: 'openai' });
+        });
+
+        test('should send the API key as a bearer token when configured', async () => {
+            const hosted = new OpenAICompatibleProvider({ baseUrl: 'https://api.openai.com/v1', apiKey: 'sk-test', model: 'gpt-4o-mini' });
+            global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => ({ choices: [] }) });
+
+            const response = await hosted.complete('Test prompt');
+
+            expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer sk-test');
+            expect(response.text).toBe('');
+        });
+    });
+
+    describe('tool calling', () => {
+        const tools = [{ name: 'file_system__read', description: 'Read a file', inputSchema: { type: 'object', properties: { path: { type: 'string' } } } }];
+
+        test('should send tool definitions and parse tool_calls', async () => {
+            global.fetch = jest.fn().mockResolvedValue({
+                ok: true,
+                json: async () => ({
+                    choices: [{
+                        message: {
+                            role: 'assistant',
+                            content: null,
+                            tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'file_system__read', arguments: '{"path":"README.md"}' } }]
+                        }
+                    }]
+                })
+            });
+            const onChunk = jest.fn();
+
+            const response = await provider.complete('Summarize the README', { tools, onChunk });
+
+            const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+            expect(body.stream).toBe(false);
+            expect(body.tools).toEqual([{ type: 'function', function: { name: 'file_system__read', description: 'Read a file', parameters: tools[0].inputSchema } }]);
+            expect(response.toolCalls).toEqual([{ id: 'call_1', name: 'file_system__read', arguments: { path: 'README.md' } }]);
+            expect(onChunk).not.toHaveBeenCalled();
+        });
+
+        test('should format assistant tool calls and tool results as chat messages', async () => {
+            global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => ({ choices: [{ message: { content: 'done' } }] }) });
+
+            await provider.complete([
+                { role: 'user', content: 'Summarize the README' },
+                { role: 'assistant', content: '', toolCalls: [{ id: 'call_1', name: 'file_system__read', arguments: { path: 'README.md' } }] },
+                { role: 'tool', results: [{ id: 'call_1', name: 'file_system__read', content: '# Title', isError: false }] }
+            ], { tools });
+
+            const { messages } = JSON.parse(global.fetch.mock.calls[0][1].body);
+            expect(messages[1]).toEqual({
+                role: 'assistant',
+                content: null,
+                tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'file_system__read', arguments: '{"path":"README.md"}' } }]
+            });
+            expect(messages[2]).toEqual({ role: 'tool', tool_call_id: 'call_1', content: '# Title' });
+        });
+    });
+
+    describe('validate', () => {
+        test('should accept Ollama model tags', async () => {
+            global.fetch = jest.fn().mockResolvedValue({
+                ok: true,
+                json: async () => ({ data: [{ id: 'llama3.1:latest' }, { id: 'qwen2.5-coder:7b' }] })
+            });
+
+            await expect(provider.validate()).resolves.toBe(true);
+            expect(global.fetch.mock.calls[0][0]).toBe('http://localhost:11434/v1/models');
+        });
+
+        test('should reject models the server does not serve', async () => {
+            global.fetch = jest.fn().mockResolvedValue({
+                ok: true,
+                json: async () => ({ data: [{ id: 'mistral:latest' }, { id: 'qwen2.5-coder:7b' }] })
+            });
+
+            await expect(provider.validate()).rejects.toThrow('Model llama3.1 not found');
+        });
+    });
+
+    describe('countTokens', () => {
+        test('should estimate tokens from text length', async () => {
+            await expect(provider.countTokens('a'.repeat(10))).resolves.toBe(3);
+        });
+    });
+});
+
+describe('createProvider', () => {
+    test('should resolve local server aliases to the OpenAI-compatible provider', () => {
+        const provider = createProvider('llamacpp', { model: 'qwen2.5-coder' });
+
+        expect(provider).toBeInstanceOf(OpenAICompatibleProvider);
+        expect(provider.baseUrl).toBe('http://localhost:8080/v1');
+    });
+
+    test('should reject unknown providers', () => {
+        expect(() => createProvider('unknown')).toThrow('Unknown LLM provider: unknown');
+    });
+});
@@ -0,0 +1,79 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { CodeRunner } = require('../../../src/tools/code-runner');
+const { LocalFileSystem } = require('../../../src/tools/local-file-system');
+
+describe('CodeRunner', () => {
+    const testDir = path.join(__dirname, '../../../temp/test-code-runner');
+    let fileSystem;
+    let runner;
+
+    beforeEach(async () => {
+        fileSystem = new LocalFileSystem({ workspaceRoot: testDir });
+        await fileSystem.openWorkspace('workflow_1');
+        runner = new CodeRunner({
+            fileSystem,
+            timeout: 10000,
+            maxMemoryMb: 2048,
+            rolePermissions: { developer: ['run'], default: [] }
+        });
+    });
+
+    afterEach(async () => {
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    test('should run commands in the workspace and capture the output', async () => {
+        await fileSystem.execute('write', { path: 'src/app.js', content: 'console.log(require("path").basename(process.cwd()));' }, { runId: 'workflow_1' });
+
+        const result = await runner.execute('run', { command: 'node', args: ['app.js'], cwd: 'src' }, { runId: 'workflow_1' });
+
+        expect(result.structuredContent).toMatchObject({ exitCode: 0, stdout: 'src\n', stderr: '', timedOut: false });
+        expect(result.content[0].text).toMatch(/^\$ node app\.js\nnode exited with code 0 in \d+ms\n--- stdout ---\nsrc/);
+    });
+
+    test('should report failing commands as results instead of errors', async () => {
+        const result = await runner.execute('run', { command: 'node', args: ['-e', 'console.error("1 failing"); process.exit(1)'] });
+
+        expect(result.structuredContent).toMatchObject({ exitCode: 1, stderr: '1 failing\n', timedOut: false });
+    });
+
+    test('should stop commands that exceed the time limit', async () => {
+        const result = await runner.execute('run', { command: 'node', args: ['-e', 'setInterval(() => {}, 1000)'], timeout: 200 });
+
+        expect(result.structuredContent.timedOut).toBe(true);
+        expect(result.content[0].text).toContain('node timed out');
+    });
+
+    test('should apply resource limits and keep secrets out of the environment', async () => {
+        process.env.CODE_RUNNER_TEST_SECRET = 'secret';
+
+        try {
+            const limits = await runner.execute('run', { command: 'sh', args: ['-c', 'ulimit -v; echo "${CODE_RUNNER_TEST_SECRET:-none}"'] });
+
+            expect(limits.structuredContent.stdout).toBe(`${2048 * 1024}\nnone\n`);
+        } finally {
+            delete process.env.CODE_RUNNER_TEST_SECRET;
+        }
+    });
+
+    test('should block network access or refuse to run without isolation', async () => {
+        const lookup = { command: 'node', args: ['-e', 'require("dns").lookup("example.com", error => process.exit(error ? 3 : 0))'] };
+
+        if (await runner.supportsNetworkIsolation()) {
+            const result = await runner.execute('run', lookup);
+            expect(result.structuredContent.exitCode).toBe(3);
+        } else {
+            await expect(runner.execute('run', lookup)).rejects.toThrow('Network isolation is unavailable');
+        }
+    });
+
+    test('should reject commands, paths and roles that are not allowed', async () => {
+        await expect(runner.execute('run', { command: 'curl', args: ['https://example.com'] }))
+            .rejects.toMatchObject({ errorClass: 'validation', message: expect.stringContaining('Command not allowed: curl') });
+        await expect(runner.execute('run', { command: 'node', cwd: '../..' }))
+            .rejects.toThrow('Path is outside the workspace');
+        await expect(runner.execute('run', { command: 'node' }, { role: 'researcher' }))
+            .rejects.toMatchObject({ errorClass: 'auth', message: 'Role researcher is not allowed to run commands' });
+    });
+});
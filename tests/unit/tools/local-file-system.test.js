@@ -0,0 +1,97 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { LocalFileSystem } = require('../../../src/tools/local-file-system');
+
+describe('LocalFileSystem', () => {
+    const testDir = path.join(__dirname, '../../../temp/test-workspace');
+    const root = path.join(testDir, 'workflow_1');
+    const context = { runId: 'workflow_1' };
+    let fileSystem;
+
+    beforeEach(async () => {
+        fileSystem = new LocalFileSystem({
+            workspaceRoot: testDir,
+            maxFileSize: 64,
+            rolePermissions: { developer: 'read_write', researcher: 'read_only', default: ['read'] }
+        });
+        await fileSystem.openWorkspace('workflow_1');
+    });
+
+    afterEach(async () => {
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    test('should open a workspace directory per run', async () => {
+        expect(fileSystem.getRoot('workflow_1')).toBe(root);
+        expect((await fs.stat(root)).isDirectory()).toBe(true);
+    });
+
+    test('should keep overlapping runs in their own workspaces', async () => {
+        await fileSystem.openWorkspace('workflow_2');
+        await fileSystem.execute('write', { path: 'notes.md', content: 'run 1' }, context);
+        await fileSystem.execute('write', { path: 'notes.md', content: 'run 2' }, { runId: 'workflow_2' });
+
+        expect((await fileSystem.execute('read', { path: 'notes.md' }, context)).content[0].text).toBe('run 1');
+        expect(await fs.readFile(path.join(testDir, 'workflow_2', 'notes.md'), 'utf8')).toBe('run 2');
+    });
+
+    test('should write, read, list and delete files inside the workspace', async () => {
+        await fileSystem.execute('write', { path: 'docs/api.md', content: '# API' }, context);
+
+        const read = await fileSystem.execute('read', { path: 'docs/api.md' }, context);
+        const list = await fileSystem.execute('list', { path: 'docs' }, context);
+        await fileSystem.execute('delete', { path: 'docs', recursive: true }, context);
+
+        expect(read.content[0].text).toBe('# API');
+        expect(list.structuredContent.entries).toEqual([{ name: 'api.md', type: 'file', size: 5 }]);
+        await expect(fs.access(path.join(root, 'docs'))).rejects.toMatchObject({ code: 'ENOENT' });
+    });
+
+    test('should search files and report matching lines', async () => {
+        await fileSystem.execute('mkdir', { path: 'src' }, context);
+        await fileSystem.execute('write', { path: 'src/app.js', content: 'const a = 1;\n// TODO: login\n' }, context);
+
+        const result = await fileSystem.execute('search', { query: 'TODO' }, context);
+
+        expect(result.content[0].text).toBe('src/app.js:2: // TODO: login');
+    });
+
+    test('should apply unified diffs and reject hunks that do not match', async () => {
+        await fileSystem.execute('write', { path: 'app.js', content: 'a\nb\nc\n' }, context);
+
+        await fileSystem.execute('apply_patch', { path: 'app.js', patch: '--- a/app.js\n+++ b/app.js\n@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n' }, context);
+        const error = await fileSystem.execute('apply_patch', { path: 'app.js', patch: '@@ -2,1 +2,1 @@\n-b\n+x\n' }, context).catch(err => err);
+
+        expect(await fs.readFile(path.join(root, 'app.js'), 'utf8')).toBe('a\nB\nc\n');
+        expect(error.message).toBe('Patch hunk at line 2 does not match the file');
+    });
+
+    test('should reject paths outside the workspace', async () => {
+        await expect(fileSystem.execute('read', { path: '../../package.json' }, context)).rejects.toThrow('Path is outside the workspace');
+        await expect(fileSystem.execute('write', { path: '/etc/passwd', content: '' }, context)).rejects.toThrow('Path is outside the workspace');
+    });
+
+    test('should reject symlinks that point outside the workspace', async () => {
+        await fs.symlink(path.join(__dirname), path.join(root, 'escape'));
+
+        await expect(fileSystem.execute('read', { path: 'escape/local-file-system.test.js' }, context))
+            .rejects.toMatchObject({ errorClass: 'validation', message: expect.stringContaining('outside the workspace') });
+    });
+
+    test('should enforce the file size limit', async () => {
+        await expect(fileSystem.execute('write', { path: 'big.txt', content: 'x'.repeat(65) }, context))
+            .rejects.toThrow('File too large: big.txt (65 bytes, limit 64 bytes)');
+    });
+
+    test('should apply per-role permissions', async () => {
+        await expect(fileSystem.execute('write', { path: 'notes.md', content: '' }, { ...context, role: 'researcher' }))
+            .rejects.toMatchObject({ errorClass: 'auth', message: 'Role researcher is not allowed to write files' });
+        await expect(fileSystem.execute('list', {}, { ...context, role: 'qa' })).rejects.toMatchObject({ errorClass: 'auth' });
+        expect(fileSystem.isAllowed('apply_patch', 'developer')).toBe(true);
+        expect(fileSystem.isAllowed('search', 'researcher')).toBe(true);
+    });
+
+    test('should describe missing files relative to the workspace', async () => {
+        await expect(fileSystem.execute('read', { path: 'missing.md' }, context)).rejects.toThrow('No such file or directory: missing.md');
+    });
+});
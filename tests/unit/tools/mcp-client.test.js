@@ -0,0 +1,213 @@
+const { MCPClient, MCPError } = require('../../../src/tools/mcp-client');
+const { MCPTool } = require('../../../src/tools/mcp-tool-manager');
+const { createHttpStubServer, STUB_SERVER_PATH } = require('../../helpers/mcp-stub-server');
+
+describe('MCPClient', () => {
+    describe('stdio', () => {
+        let client;
+
+        beforeEach(async () => {
+            client = new MCPClient({ command: process.execPath, args: [STUB_SERVER_PATH], timeout: 2000 });
+            await client.connect();
+        });
+
+        afterEach(async () => {
+            await client.close();
+        });
+
+        test('should complete the initialize handshake', () => {
+            expect(client.connected).toBe(true);
+            expect(client.serverInfo).toEqual({ name: 'stub-server', version: '1.0.0' });
+            expect(client.protocolVersion).toBe(MCPClient.PROTOCOL_VERSION);
+            expect(client.serverCapabilities.tools).toEqual({ listChanged: true });
+        });
+
+        test('should list tools across pages', async () => {
+            const tools = await client.listTools();
+
+            expect(tools.map(tool => tool.name)).toEqual(['echo', 'fail', 'slow', 'ping_client', 'add_tool']);
+            expect(tools[0].inputSchema.properties.message).toEqual({ type: 'string' });
+        });
+
+        test('should call tools and forward server notifications', async () => {
+            const notifications = [];
+            client.on('notification', (message) => notifications.push(message.method));
+
+            const result = await client.callTool('echo', { message: 'hello' });
+
+            expect(result.content).toEqual([{ type: 'text', text: 'hello' }]);
+            expect(notifications).toEqual(['notifications/message']);
+        });
+
+        test('should answer server ping requests', async () => {
+            const result = await client.callTool('ping_client');
+
+            expect(result.content[0].text).toBe('pong');
+        });
+
+        test('should map JSON-RPC errors to MCPError', async () => {
+            const error = await client.request('resources/list').catch(err => err);
+
+            expect(error).toBeInstanceOf(MCPError);
+            expect(error.code).toBe(MCPClient.RPC_ERRORS.METHOD_NOT_FOUND);
+            expect(error.errorClass).toBe('validation');
+            expect(error.message).toContain('Method not found: resources/list');
+        });
+
+        test('should time out and notify the server of the cancellation', async () => {
+            const logs = [];
+            client.on('log', (chunk) => logs.push(chunk));
+
+            const error = await client.callTool('slow', { ms: 5000 }, { timeout: 100 }).catch(err => err);
+
+            expect(error.errorClass).toBe('timeout');
+            expect(error.message).toContain('timed out after 100ms');
+            await new Promise(resolve => setTimeout(resolve, 100));
+            expect(logs.join('')).toContain('cancelled 2');
+        });
+
+        test('should reject with the abort reason when cancelled', async () => {
+            const controller = new AbortController();
+            const reason = new Error('Task cancelled');
+
+            const call = client.callTool('slow', { ms: 5000 }, { signal: controller.signal });
+            controller.abort(reason);
+
+            await expect(call).rejects.toBe(reason);
+            expect(client.pending.size).toBe(0);
+        });
+
+        test('should fail pending requests when the server exits', async () => {
+            const disconnected = jest.fn();
+            client.on('disconnected', disconnected);
+
+            const call = client.callTool('slow', { ms: 5000 });
+            client.transport.child.kill('SIGKILL');
+
+            await expect(call).rejects.toMatchObject({ errorClass: 'network' });
+            expect(disconnected).toHaveBeenCalledTimes(1);
+            expect(client.connected).toBe(false);
+        });
+    });
+
+    test('should reject connect when the server command does not exist', async () => {
+        const client = new MCPClient({ command: 'mcp-server-that-does-not-exist' });
+
+        await expect(client.connect()).rejects.toMatchObject({ code: 'ENOENT' });
+    });
+
+    describe('Streamable HTTP', () => {
+        let server;
+        let client;
+
+        beforeEach(async () => {
+            server = await createHttpStubServer();
+            client = new MCPClient({ url: server.url, timeout: 2000 });
+            await client.connect();
+        });
+
+        afterEach(async () => {
+            await client.close();
+            await server.close();
+        });
+
+        test('should keep the session id from initialize', async () => {
+            const tools = await client.listTools();
+
+            expect(client.transport.sessionId).toBe('stub-session-1');
+            expect(tools).toHaveLength(5);
+        });
+
+        test('should read tool results from an SSE response', async () => {
+            const notifications = [];
+            client.on('notification', (message) => notifications.push(message.method));
+
+            const result = await client.callTool('echo', { message: 'over http' });
+
+            expect(result.content[0].text).toBe('over http');
+            expect(notifications).toEqual(['notifications/message']);
+        });
+
+        test('should send a cancellation on timeout', async () => {
+            const error = await client.callTool('slow', { ms: 5000 }, { timeout: 100 }).catch(err => err);
+
+            expect(error.errorClass).toBe('timeout');
+            await new Promise(resolve => setTimeout(resolve, 100));
+            expect(server.cancelled).toHaveLength(1);
+        });
+
+        test('should terminate the session on close', async () => {
+            await client.close();
+
+            expect(server.closedSessions).toEqual(['stub-session-1']);
+        });
+    });
+});
+
+describe('MCPTool with a stdio MCP server', () => {
+    let tool;
+
+    beforeEach(async () => {
+        tool = new MCPTool({
+            name: 'stub',
+            command: process.execPath,
+            args: [STUB_SERVER_PATH],
+            timeout: 2000
+        });
+        await tool.connect();
+    });
+
+    afterEach(async () => {
+        await tool.disconnect();
+    });
+
+    test('should execute methods through tools/call', async () => {
+        const result = await tool.execute('echo', { message: 'hi' });
+
+        expect(tool.serverInfo.name).toBe('stub-server');
+        expect(result.content[0].text).toBe('hi');
+        expect(tool.getStatus().executionCount).toBe(1);
+    });
+
+    test('should discover methods and input schemas with tools/list', () => {
+        const echo = tool.getToolSchemas().find(schema => schema.name === 'echo');
+
+        expect(tool.methods).toEqual(['echo', 'fail', 'slow', 'ping_client', 'add_tool']);
+        expect(echo.description).toBe('Echo the message back');
+        expect(echo.inputSchema.required).toEqual(['message']);
+    });
+
+    test('should validate params against the input schema before sending', async () => {
+        const request = jest.spyOn(tool.client, 'request');
+
+        const error = await tool.execute('echo', { message: 42 }).catch(err => err);
+
+        expect(error.errorClass).toBe('validation');
+        expect(error.message).toBe('Invalid params for stub.echo: params.message must be string');
+        expect(request).not.toHaveBeenCalled();
+    });
+
+    test('should refresh tools on list_changed notifications', async () => {
+        const updated = new Promise(resolve => tool.once('tools_updated', resolve));
+
+        await tool.execute('add_tool', { name: 'summarize' });
+        const schemas = await updated;
+
+        expect(schemas.map(schema => schema.name)).toContain('summarize');
+        expect(tool.methods).toContain('summarize');
+    });
+
+    test('should throw tool errors reported with isError', async () => {
+        await expect(tool.execute('fail')).rejects.toThrow('stub.fail failed: disk is full');
+        expect(tool.errorCount).toBe(1);
+    });
+
+    test('should become disconnected when the server exits', async () => {
+        const disconnected = new Promise(resolve => tool.once('disconnected', resolve));
+        tool.client.transport.child.kill('SIGKILL');
+        await disconnected;
+
+        expect(tool.status).toBe('disconnected');
+        await expect(tool.execute('echo', {})).rejects.toThrow('Tool not connected');
+    });
+});
@@ -1,5 +1,7 @@
 const { MCPToolManager, MCPTool } = require('../../../src/tools/mcp-tool-manager');
 const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
 
 describe('MCPTool', () => {
     describe('생성자', () => {
@@ -40,15 +42,16 @@ describe('MCPTool', () => {
             });
             
             // Mock successful connection
-            tool.makeRequest = jest.fn().mockResolvedValue({
-                jsonrpc: '2.0',
-                result: { status: 'connected' }
-            });
+            const client = new EventEmitter();
+            client.connect = jest.fn().mockResolvedValue({ serverInfo: { name: 'test-server' } });
+            tool.createClient = jest.fn(() => client);
             
             await tool.connect();
             
             expect(tool.status).toBe('connected');
             expect(tool.connectedAt).toBeInstanceOf(Date);
+            expect(tool.client).toBe(client);
+            expect(tool.serverInfo).toEqual({ name: 'test-server' });
         });
 
         test('should handle connection failure', async () => {
@@ -58,10 +61,32 @@ describe('MCPTool', () => {
                 endpoint: 'http://localhost:8080/mcp'
             });
             
-            tool.makeRequest = jest.fn().mockRejectedValue(new Error('Connection failed'));
+            const client = new EventEmitter();
+            client.connect = jest.fn().mockRejectedValue(new Error('Connection failed'));
+            tool.createClient = jest.fn(() => client);
             
             await expect(tool.connect()).rejects.toThrow('Connection failed');
             expect(tool.status).toBe('error');
+            expect(tool.client).toBeNull();
+        });
+
+        test('should fail to connect a tool without an MCP server or local handler', async () => {
+            const tool = new MCPTool({ name: 'web_search', methods: ['search'] });
+            tool.on('error', () => {});
+
+            await expect(tool.connect()).rejects.toMatchObject({
+                errorClass: 'validation',
+                message: 'Tool web_search has no MCP server (endpoint or command) or local handler'
+            });
+            expect(tool.status).toBe('error');
+        });
+
+        test('should connect local tools that have a handler', async () => {
+            const tool = new MCPTool({ name: 'local_tool', methods: ['run'], handler: { execute: jest.fn() } });
+
+            await tool.connect();
+
+            expect(tool.status).toBe('connected');
         });
     });
 
@@ -75,14 +100,40 @@ describe('MCPTool', () => {
             
             tool.status = 'connected';
             tool.makeRequest = jest.fn().mockResolvedValue({
-                jsonrpc: '2.0',
-                result: { content: 'file content' }
+                content: [{ type: 'text', text: 'file content' }]
             });
             
             const result = await tool.execute('read', { path: '/test.txt' });
             
-            expect(result).toEqual({ content: 'file content' });
-            expect(tool.makeRequest).toHaveBeenCalledWith('read', { path: '/test.txt' });
+            expect(result).toEqual({ content: [{ type: 'text', text: 'file content' }] });
+            expect(tool.makeRequest).toHaveBeenCalledWith(
+                'tools/call',
+                { name: 'read', arguments: { path: '/test.txt' } },
+                undefined
+            );
+        });
+
+        test('should reject with the abort reason when cancelled', async () => {
+            const tool = new MCPTool({
+                name: 'file_tool',
+                methods: ['read'],
+                endpoint: 'http://localhost:8080/mcp'
+            });
+            const controller = new AbortController();
+            const reason = new Error('Task cancelled');
+
+            tool.status = 'connected';
+            tool.makeRequest = jest.fn(() => new Promise(() => {}));
+
+            const execution = tool.execute('read', { path: '/test.txt' }, { signal: controller.signal });
+            controller.abort(reason);
+
+            await expect(execution).rejects.toBe(reason);
+            expect(tool.makeRequest).toHaveBeenCalledWith(
+                'tools/call',
+                { name: 'read', arguments: { path: '/test.txt' } },
+                controller.signal
+            );
         });
 
         test('should throw error when not connected', async () => {
@@ -113,14 +164,14 @@ describe('MCPTool', () => {
                 methods: ['test']
             });
             
+            const client = { close: jest.fn().mockResolvedValue() };
             tool.status = 'connected';
-            tool.makeRequest = jest.fn().mockResolvedValue({
-                jsonrpc: '2.0',
-                result: { status: 'disconnected' }
-            });
+            tool.client = client;
             
             await tool.disconnect();
             
+            expect(client.close).toHaveBeenCalled();
+            expect(tool.client).toBeNull();
             expect(tool.status).toBe('disconnected');
         });
     });
@@ -304,7 +355,8 @@ describe('MCPToolManager', () => {
             
             const tool = await manager.registerTool({
                 name: 'execution_tool',
-                methods: ['test']
+                methods: ['test'],
+                handler: { execute: jest.fn() }
             });
             
             tool.execute = jest.fn().mockResolvedValue({ result: 'success' });
@@ -312,7 +364,7 @@ describe('MCPToolManager', () => {
             const result = await manager.executeTool('execution_tool', 'test', { param: 'value' });
             
             expect(result).toEqual({ result: 'success' });
-            expect(tool.execute).toHaveBeenCalledWith('test', { param: 'value' });
+            expect(tool.execute).toHaveBeenCalledWith('test', { param: 'value' }, { signal: expect.any(AbortSignal) });
         });
 
         test('should throw error for non-existent tool', async () => {
@@ -322,6 +374,44 @@ describe('MCPToolManager', () => {
         });
     });
 
+    describe('per-tool timeout and retries', () => {
+        test('should time out calls after the tool timeout', async () => {
+            await manager.initialize();
+            await manager.registerTool({ name: 'slow_tool', methods: ['test'], timeout: 50, handler: { execute: () => new Promise(() => {}) } });
+
+            const error = await manager.executeTool('slow_tool', 'test', {}).catch(err => err);
+
+            expect(error.errorClass).toBe('timeout');
+            expect(error.message).toBe('Tool slow_tool.test timed out after 50ms');
+        });
+
+        test('should retry failed calls up to the configured retries', async () => {
+            await manager.initialize();
+            manager.retryPolicy.defaultPolicy.backoff_ms = 1;
+            const handler = {
+                execute: jest.fn()
+                    .mockRejectedValueOnce(new Error('socket hang up'))
+                    .mockRejectedValueOnce(new Error('socket hang up'))
+                    .mockResolvedValue('ok')
+            };
+            await manager.registerTool({ name: 'flaky_tool', methods: ['test'], retries: 2, handler });
+            const retried = jest.fn();
+            manager.on('execution_retry', retried);
+
+            await expect(manager.executeTool('flaky_tool', 'test', {})).resolves.toBe('ok');
+            expect(handler.execute).toHaveBeenCalledTimes(3);
+            expect(retried).toHaveBeenCalledTimes(2);
+        });
+
+        test('should not retry validation errors', async () => {
+            await manager.initialize();
+            const tool = await manager.registerTool({ name: 'strict_tool', methods: ['read'], retries: 3, handler: { execute: jest.fn() } });
+
+            await expect(manager.executeTool('strict_tool', 'write', {})).rejects.toThrow('Method write not supported');
+            expect(tool.status).toBe('connected');
+        });
+    });
+
     describe('getAvailableTools', () => {
         test('should return list of available tools', async () => {
             await manager.initialize();
@@ -331,12 +421,44 @@ describe('MCPToolManager', () => {
             
             const tools = manager.getAvailableTools();
             
-            // 기본 도구 2개 + 추가한 도구 2개 = 총 4개
-            expect(tools).toHaveLength(4);
+            // 기본 도구 1개 (code_runner는 기본값 꺼짐) + 추가한 도구 2개 = 총 3개
+            expect(tools).toHaveLength(3);
             expect(tools.map(t => t.name)).toContain('tool1');
             expect(tools.map(t => t.name)).toContain('tool2');
             expect(tools.map(t => t.name)).toContain('file_system');
-            expect(tools.map(t => t.name)).toContain('web_search');
+            expect(tools.map(t => t.name)).not.toContain('web_search');
+            expect(tools.map(t => t.name)).not.toContain('code_runner');
+        });
+
+        test('should register code_runner only when it is enabled', async () => {
+            const enabled = new MCPToolManager({ localTools: { code_runner: { enabled: true } } });
+
+            try {
+                await enabled.initialize();
+                expect(enabled.getTool('code_runner')).toMatchObject({ capabilities: ['code_execution'] });
+            } finally {
+                await enabled.shutdown();
+            }
+        });
+
+        test('should expose method input schemas', async () => {
+            await manager.initialize();
+
+            const fileSystem = manager.getAvailableTools().find(t => t.name === 'file_system');
+            const read = fileSystem.tools.find(schema => schema.name === 'read');
+
+            expect(fileSystem.methods).toEqual(['read', 'write', 'list', 'delete', 'mkdir', 'search', 'apply_patch']);
+            expect(read.inputSchema).toEqual({ type: 'object', properties: { path: { type: 'string' } }, required: ['path'] });
+        });
+
+        test('should reject params that do not match the input schema', async () => {
+            await manager.initialize();
+            const fileSystem = manager.getTool('file_system');
+            fileSystem.executeLocal = jest.fn();
+
+            await expect(manager.executeTool('file_system', 'read', { file: 'a.txt' }))
+                .rejects.toThrow('Invalid params for file_system.read: params.path is required');
+            expect(fileSystem.executeLocal).not.toHaveBeenCalled();
         });
     });
 
@@ -374,10 +496,201 @@ describe('MCPToolManager', () => {
             
             const status = manager.getToolStatus();
             
-            // 기본 도구 2개 + 추가한 도구 2개 = 총 4개
-            expect(status.totalTools).toBe(4);
+            // 기본 도구 1개 + 추가한 도구 2개 = 총 3개
+            expect(status.totalTools).toBe(3);
             expect(status.connectedTools).toBe(0);
             expect(status.isInitialized).toBe(true);
         });
     });
-});
\ No newline at end of file
+});
+
+describe('MCPToolManager with mcp-tools.json', () => {
+    const mcpToolsConfig = require('../../../config/mcp-tools.json');
+    // code_runner는 기본값 꺼짐이므로 켠 설정으로 검사
+    const localTools = { ...mcpToolsConfig.localTools, code_runner: { ...mcpToolsConfig.localTools.code_runner, enabled: true } };
+    let manager;
+
+    beforeEach(async () => {
+        manager = new MCPToolManager({ ...mcpToolsConfig, localTools });
+        manager.retryPolicy.defaultPolicy.backoff_ms = 1;
+        await manager.initialize();
+    });
+
+    afterEach(async () => {
+        await manager.shutdown();
+    });
+
+    test('should register configured tools with their policies', () => {
+        const tool = manager.getTool('exa-mcp');
+
+        expect(manager.getAvailableTools()).toHaveLength(2 + Object.keys(mcpToolsConfig.mcpTools).length);
+        expect(tool.capabilities).toContain('research_papers');
+        expect(tool.suitableFor).toEqual(['researcher', 'senior_developer']);
+        expect(tool.timeout).toBe(45000);
+        expect(tool.retries).toBe(2);
+    });
+
+    describe('assignToolToAgent', () => {
+        beforeEach(() => {
+            // 설정의 MCP 서버는 endpoint/command가 없으므로 연결 성공으로 대체
+            for (const name of Object.keys(mcpToolsConfig.mcpTools)) {
+                const tool = manager.getTool(name);
+                tool.connect = jest.fn(async () => {
+                    tool.status = 'connected';
+                });
+            }
+        });
+
+        test('should assign the first rule tool suitable for the role', async () => {
+            const tool = await manager.assignToolToAgent('lee_researcher', 'research', 'researcher');
+
+            expect(tool.name).toBe('naver-search-mcp');
+            expect(tool.status).toBe('connected');
+            expect(manager.getAssignedTool('lee_researcher')).toBe(tool);
+        });
+
+        test('should skip tools not suitable for the role and prefer higher priority', async () => {
+            const tool = await manager.assignToolToAgent('kim_senior', 'financial_analysis', 'senior_developer');
+
+            expect(tool.name).toBe('yahoo-finance-mcp');
+            expect(manager.getCandidateTools('financial_analysis', 'developer').map(t => t.name))
+                .toEqual(['alpha-vantage-mcp', 'yahoo-finance-mcp']);
+        });
+
+        test('should fall back to the configured tool when candidates fail to connect', async () => {
+            manager.getTool('supabase-mcp').connect = jest.fn().mockRejectedValue(new Error('ECONNREFUSED'));
+
+            const tool = await manager.assignToolToAgent('park_developer', 'data_management', 'developer');
+
+            expect(tool.name).toBe('fetch-mcp');
+            expect(manager.assignments.get('park_developer').toolName).toBe('fetch-mcp');
+        });
+
+        test('should return null for task types without rules', async () => {
+            await expect(manager.assignToolToAgent('claude_leader', 'planning', 'leader')).resolves.toBeNull();
+        });
+
+        test('should attach task tool handles to the agent until released', async () => {
+            const agent = { id: 'lee_researcher', role: 'researcher', tools: new Map() };
+            agent.addTool = jest.fn(async (name, handle) => agent.tools.set(name, handle));
+            agent.removeTool = jest.fn(name => agent.tools.delete(name));
+            const task = { id: 'task_1', type: 'research', assignee: 'lee_researcher', metadata: { requiredTools: ['code_runner'] } };
+            const execute = jest.spyOn(manager, 'executeTool').mockResolvedValue('ok');
+
+            const { tool, release } = await manager.attachTaskTools(agent, task, 'workflow_1');
+            await agent.tools.get('file_system').execute('read', { path: 'README.md' });
+
+            expect(tool.name).toBe('naver-search-mcp');
+            expect([...agent.tools.keys()]).toEqual(['naver-search-mcp', 'file_system', 'code_runner']);
+            expect(execute).toHaveBeenCalledWith('file_system', 'read', { path: 'README.md' }, expect.objectContaining({ runId: 'workflow_1', taskId: 'task_1', agentId: 'lee_researcher' }));
+
+            release();
+            expect(agent.tools.size).toBe(0);
+        });
+    });
+
+    test('should run the fallback tool when the primary tool fails', async () => {
+        const primary = manager.getTool('exa-mcp');
+        const fallback = manager.getTool('fetch-mcp');
+        primary.methods = ['fetch'];
+        fallback.methods = ['fetch'];
+        primary.handler = { execute: jest.fn().mockRejectedValue(new Error('service unavailable')) };
+        fallback.handler = { execute: jest.fn().mockResolvedValue('fallback result') };
+        const onFallback = jest.fn();
+        manager.on('tool_fallback', onFallback);
+
+        const result = await manager.executeTool('exa-mcp', 'fetch', { url: 'https://example.com' }, { taskType: 'research' });
+
+        expect(result).toBe('fallback result');
+        expect(primary.handler.execute).toHaveBeenCalledTimes(3);
+        expect(onFallback).toHaveBeenCalledWith(expect.objectContaining({ toolName: 'exa-mcp', fallbackName: 'fetch-mcp' }));
+    });
+
+    test('should not fall back when the call is cancelled', async () => {
+        const primary = manager.getTool('exa-mcp');
+        const controller = new AbortController();
+        const reason = new Error('Task cancelled');
+        primary.methods = ['fetch'];
+        primary.handler = { execute: () => new Promise(() => {}) };
+
+        const execution = manager.executeTool('exa-mcp', 'fetch', {}, { signal: controller.signal, taskType: 'research' });
+        controller.abort(reason);
+
+        await expect(execution).rejects.toBe(reason);
+    });
+
+    test('should route agent tool handles through executeTool with the task type and role', async () => {
+        const execute = jest.spyOn(manager, 'executeTool').mockResolvedValue('result');
+        const handle = manager.createToolHandle('file_system', { taskType: 'research', role: 'researcher' });
+
+        await handle.execute('read', { path: 'README.md' }, { signal: null });
+
+        expect(handle.getToolSchemas().map(schema => schema.name)).toEqual(['read', 'list', 'search']);
+        expect(execute).toHaveBeenCalledWith('file_system', 'read', { path: 'README.md' }, { taskType: 'research', role: 'researcher', signal: null });
+    });
+
+    test('should check the tool policy before executing calls', async () => {
+        manager.policy.auditLogPath = null;
+        manager.policy.attachApprover('test');
+        const fileSystem = jest.spyOn(manager.getTool('file_system').handler, 'execute').mockResolvedValue('file');
+        const codeRunner = jest.spyOn(manager.getTool('code_runner').handler, 'execute').mockResolvedValue('ran');
+        const requests = [];
+        manager.on('approval_requested', (request) => {
+            requests.push(request);
+            manager.resolveApproval(request.id, 'approve');
+        });
+
+        await expect(manager.executeTool('file_system', 'read', { path: '.env' }, { agentId: 'park_developer', role: 'developer' }))
+            .rejects.toMatchObject({ errorClass: 'auth', message: expect.stringContaining('denied by policy') });
+        await expect(manager.executeTool('code_runner', 'run', { command: 'sh', args: ['build.sh'] }, { agentId: 'park_developer', role: 'developer' }))
+            .resolves.toBe('ran');
+        await expect(manager.executeTool('code_runner', 'run', { command: 'node', args: ['-e', 'process.exit(0)'] }, { agentId: 'park_developer', role: 'developer' }))
+            .resolves.toBe('ran');
+
+        expect(fileSystem).not.toHaveBeenCalled();
+        expect(codeRunner).toHaveBeenCalledTimes(2);
+        expect(requests).toEqual([
+            expect.objectContaining({ tool: 'code_runner', method: 'run', agentId: 'park_developer', arguments: { command: 'sh', args: ['build.sh'] } }),
+            expect.objectContaining({ tool: 'code_runner', method: 'run', arguments: { command: 'node', args: ['-e', 'process.exit(0)'] } })
+        ]);
+        expect(manager.getPendingApprovals()).toEqual([]);
+    });
+
+    test('should record tool calls and replay them without executing the tool', async () => {
+        const logPath = path.join(__dirname, '../../../temp/test-tool-call-log/calls.jsonl');
+        manager.policy.auditLogPath = null;
+        manager.callLog.logPath = logPath;
+        const read = jest.spyOn(manager.getTool('file_system').handler, 'execute').mockResolvedValue({ content: [{ type: 'text', text: '# API' }] });
+        const context = { runId: 'workflow_1', taskId: 'task_1', agentId: 'park_developer', role: 'developer' };
+
+        try {
+            const result = await manager.executeTool('file_system', 'read', { path: 'docs/api.md' }, context);
+            expect(await manager.queryCallStats({ runId: 'workflow_1' })).toEqual({
+                file_system: expect.objectContaining({ calls: 1, errors: 0, replayed: 0, methods: { read: 1 } })
+            });
+            expect(manager.getUsageStats().file_system).toMatchObject({ name: 'file_system', status: 'connected' });
+
+            await manager.startReplay('workflow_1');
+            const replayed = await manager.executeTool('file_system', 'read', { path: 'docs/api.md' }, { ...context, runId: 'workflow_2' });
+
+            expect(replayed).toEqual(result);
+            expect(read).toHaveBeenCalledTimes(1);
+            await expect(manager.executeTool('file_system', 'read', { path: 'docs/api.md' }, context))
+                .rejects.toThrow('Tool call file_system.read was not recorded in run workflow_1');
+            expect(await manager.callLog.query({ runId: 'workflow_2' })).toEqual([
+                expect.objectContaining({ tool: 'file_system', method: 'read', taskId: 'task_1', replayedFrom: 'workflow_1' })
+            ]);
+        } finally {
+            await fs.rm(path.dirname(logPath), { recursive: true, force: true });
+        }
+    });
+
+    test('should share the file system tool and open a workspace per run', async () => {
+        const fileSystem = manager.getTool('file_system');
+        const open = jest.spyOn(fileSystem.handler, 'openWorkspace').mockImplementation(async (runId) => `/workspace/${runId}`);
+
+        expect(manager.getSharedTools()).toEqual([fileSystem]);
+        await expect(manager.openWorkspace('workflow_1')).resolves.toBe('/workspace/workflow_1');
+        expect(open).toHaveBeenCalledWith('workflow_1');
+    });
+});
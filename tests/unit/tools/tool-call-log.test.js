@@ -0,0 +1,68 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { ToolCallLog } = require('../../../src/tools/tool-call-log');
+const { MCPError } = require('../../../src/tools/mcp-client');
+
+describe('ToolCallLog', () => {
+    const logPath = path.join(__dirname, '../../../temp/test-tool-call-log/calls.jsonl');
+    let callLog;
+
+    const call = (overrides = {}) => ({
+        id: 'exec_1',
+        runId: 'workflow_1',
+        taskId: 'task_1',
+        agentId: 'park_developer',
+        tool: 'file_system',
+        method: 'read',
+        params: { path: 'README.md' },
+        ...overrides
+    });
+
+    beforeEach(() => {
+        callLog = new ToolCallLog({ path: logPath });
+    });
+
+    afterEach(async () => {
+        await fs.rm(path.dirname(logPath), { recursive: true, force: true });
+    });
+
+    test('should append calls with a result digest and query them by filters', async () => {
+        await callLog.record(call(), { result: { content: [{ type: 'text', text: '# README' }] }, duration: 5 });
+        await callLog.record(call({ id: 'exec_2', runId: 'workflow_2', tool: 'code_runner', method: 'run', params: { command: 'npm' } }),
+            { error: new MCPError('Command failed', { errorClass: 'validation' }), duration: 12 });
+
+        const [read] = await callLog.query({ runId: 'workflow_1' });
+
+        expect(read).toMatchObject({ tool: 'file_system', method: 'read', taskId: 'task_1', agentId: 'park_developer', duration: 5, error: null });
+        expect(read.resultDigest).toMatch(/^[0-9a-f]{64}$/);
+        expect(await callLog.query({ status: 'error' })).toEqual([
+            expect.objectContaining({ id: 'exec_2', resultDigest: null, error: { message: 'Command failed', errorClass: 'validation' } })
+        ]);
+        expect((await callLog.query({ limit: 1 })).map(entry => entry.id)).toEqual(['exec_2']);
+        expect(await callLog.query({ since: '2999-01-01T00:00:00Z' })).toEqual([]);
+    });
+
+    test('should skip a truncated last line and return nothing when the log does not exist', async () => {
+        expect(await callLog.query()).toEqual([]);
+
+        await callLog.record(call(), { result: 'ok', duration: 1 });
+        await fs.appendFile(logPath, '{"id":"exec_2","tool":');
+
+        expect(await callLog.query()).toHaveLength(1);
+    });
+
+    test('should replay recorded results in order for identical calls', async () => {
+        await callLog.record(call({ params: { path: 'a.md', encoding: 'utf8' } }), { result: 'first', duration: 1 });
+        await callLog.record(call({ id: 'exec_2', params: { path: 'a.md', encoding: 'utf8' } }), { result: 'second', duration: 1 });
+        await callLog.record(call({ id: 'exec_3', params: { path: 'b.md' } }), { error: new MCPError('No such file or directory: b.md', { errorClass: 'validation' }), duration: 1 });
+
+        const replay = await callLog.loadReplay('workflow_1');
+
+        expect(replay.take('file_system', 'read', { encoding: 'utf8', path: 'a.md' }).restore()).toBe('first');
+        expect(replay.take('file_system', 'read', { encoding: 'utf8', path: 'a.md' }).restore()).toBe('second');
+        expect(replay.take('file_system', 'read', { path: 'a.md', encoding: 'utf8' })).toBeNull();
+        expect(() => replay.take('file_system', 'read', { path: 'b.md' }).restore())
+            .toThrow(expect.objectContaining({ errorClass: 'validation', message: 'No such file or directory: b.md' }));
+        await expect(callLog.loadReplay('workflow_9')).rejects.toThrow('No recorded tool calls for run workflow_9');
+    });
+});
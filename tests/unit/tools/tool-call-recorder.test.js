@@ -0,0 +1,61 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { ToolCallLog } = require('../../../src/tools/tool-call-log');
+const { ToolCallRecorder } = require('../../../src/tools/tool-call-recorder');
+
+describe('ToolCallRecorder', () => {
+    const logPath = path.join(__dirname, '../../../temp/test-tool-call-recorder/calls.jsonl');
+    let recorder;
+
+    const call = (overrides = {}) => ({
+        id: 'exec_1',
+        runId: 'workflow_1',
+        taskId: 'task_1',
+        agentId: 'park_developer',
+        tool: 'file_system',
+        method: 'read',
+        params: { path: 'README.md' },
+        ...overrides
+    });
+
+    beforeEach(() => {
+        recorder = new ToolCallRecorder(new ToolCallLog({ path: logPath }));
+    });
+
+    afterEach(async () => {
+        await fs.rm(path.dirname(logPath), { recursive: true, force: true });
+    });
+
+    test('should aggregate recorded calls per tool', async () => {
+        await recorder.record(call(), { result: 'a', duration: 10 });
+        await recorder.record(call({ id: 'exec_2', method: 'list' }), { result: 'b', duration: 20 });
+        await recorder.record(call({ id: 'exec_3', tool: 'code_runner', method: 'run' }), { error: new Error('exit 1'), duration: 30 });
+
+        expect(await recorder.queryStats({ runId: 'workflow_1' })).toEqual({
+            file_system: { calls: 2, errors: 0, replayed: 0, totalDuration: 30, averageDuration: 15, methods: { read: 1, list: 1 } },
+            code_runner: { calls: 1, errors: 1, replayed: 0, totalDuration: 30, averageDuration: 30, methods: { run: 1 } }
+        });
+    });
+
+    test('should return recorded calls while replaying and reject calls that were not recorded', async () => {
+        await recorder.record(call(), { result: 'README', duration: 5 });
+
+        expect(recorder.take('file_system', 'read', { path: 'README.md' })).toBeNull();
+
+        await recorder.startReplay('workflow_1');
+
+        expect(recorder.take('file_system', 'read', { path: 'README.md' }).restore()).toBe('README');
+        expect(() => recorder.take('file_system', 'read', { path: 'README.md' }))
+            .toThrow('Tool call file_system.read was not recorded in run workflow_1');
+
+        recorder.stopReplay();
+        expect(recorder.take('file_system', 'read', { path: 'README.md' })).toBeNull();
+    });
+
+    test('should execute calls missing from the recording when onMiss is execute', async () => {
+        await recorder.record(call(), { result: 'README', duration: 5 });
+        await recorder.startReplay('workflow_1', { onMiss: 'execute' });
+
+        expect(recorder.take('file_system', 'list', { path: '.' })).toBeNull();
+    });
+});
@@ -0,0 +1,115 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { ToolPolicy } = require('../../../src/tools/tool-policy');
+
+describe('ToolPolicy', () => {
+    const auditLog = path.join(__dirname, '../../../temp/test-tool-policy/audit.jsonl');
+    let policy;
+    let detachApprover;
+
+    const readAudit = async () => (await fs.readFile(auditLog, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+
+    beforeEach(() => {
+        policy = new ToolPolicy({
+            default: 'allow',
+            auditLog,
+            rules: [
+                { decision: 'deny', role: 'researcher', tool: 'file_system', method: ['write', 'delete'] },
+                { decision: 'deny', tool: 'file_system', arguments: { path: '(^|/)\\.env' }, reason: 'Secrets' },
+                { decision: 'ask', tool: 'code_runner', method: 'run', arguments: { command: '^(sh|bash)$' }, reason: 'Runs shell commands' },
+                { decision: 'ask', agent: 'gemini_*', tool: 'supabase-mcp', method: '*insert*' }
+            ]
+        });
+        detachApprover = policy.attachApprover('test');
+    });
+
+    afterEach(async () => {
+        await fs.rm(path.dirname(auditLog), { recursive: true, force: true });
+    });
+
+    test('should apply the first matching rule by role, tool, method, agent and arguments', () => {
+        expect(policy.evaluate({ tool: 'file_system', method: 'delete', role: 'researcher' }).decision).toBe('deny');
+        expect(policy.evaluate({ tool: 'file_system', method: 'read', arguments: { path: 'config/.env' } }))
+            .toEqual({ decision: 'deny', source: 'rule', reason: 'Secrets' });
+        expect(policy.evaluate({ tool: 'code_runner', method: 'run', arguments: { command: 'bash' } }).decision).toBe('ask');
+        expect(policy.evaluate({ tool: 'code_runner', method: 'run', arguments: { command: 'node' } }))
+            .toEqual({ decision: 'allow', source: 'default' });
+        expect(policy.evaluate({ tool: 'supabase-mcp', method: 'bulk_insert', agentId: 'gemini_developer' }).decision).toBe('ask');
+        expect(policy.evaluate({ tool: 'supabase-mcp', method: 'bulk_insert', agentId: 'claude_senior' }).decision).toBe('allow');
+    });
+
+    test('should reject invalid rule decisions', () => {
+        expect(() => new ToolPolicy({ rules: [{ decision: 'maybe' }] }))
+            .toThrow('Invalid tool policy rule 0: decision must be one of allow, deny, ask');
+    });
+
+    test('should deny calls with an auth error and audit every decision', async () => {
+        await policy.authorize({ tool: 'file_system', method: 'read', arguments: { path: 'README.md' }, agentId: 'claude_leader' });
+        await expect(policy.authorize({ tool: 'file_system', method: 'write', role: 'researcher', taskId: 'task_1' }))
+            .rejects.toMatchObject({ errorClass: 'auth', message: 'Tool call file_system.write denied by policy' });
+
+        expect(await readAudit()).toEqual([
+            expect.objectContaining({ decision: 'allow', source: 'default', tool: 'file_system', method: 'read', agentId: 'claude_leader' }),
+            expect.objectContaining({ decision: 'deny', source: 'rule', tool: 'file_system', method: 'write', role: 'researcher', taskId: 'task_1' })
+        ]);
+    });
+
+    test('should wait for approval and remember always-allow answers', async () => {
+        const call = { tool: 'code_runner', method: 'run', arguments: { command: 'sh' }, agentId: 'gemini_developer' };
+        policy.on('approval_requested', (request) => policy.resolveApproval(request.id, 'always_allow'));
+
+        await policy.authorize(call);
+        const requests = [];
+        policy.on('approval_requested', (request) => requests.push(request));
+        await policy.authorize(call);
+
+        expect(requests).toHaveLength(0);
+        expect((await readAudit()).map(entry => [entry.decision, entry.source, entry.approval])).toEqual([
+            ['allow', 'user', 'always_allow'],
+            ['allow', 'always_allow', undefined]
+        ]);
+    });
+
+    test('should deny when the approval times out or is denied', async () => {
+        const call = { tool: 'code_runner', method: 'run', arguments: { command: 'bash' } };
+
+        policy.approvalTimeout = 20;
+        await expect(policy.authorize(call)).rejects.toThrow('Tool call code_runner.run denied by policy: approval timed out');
+
+        policy.approvalTimeout = 0;
+        policy.once('approval_requested', (request) => policy.resolveApproval(request.id, 'deny'));
+        await expect(policy.authorize(call)).rejects.toThrow('denied by policy: Runs shell commands');
+        expect(policy.getPendingApprovals()).toEqual([]);
+    });
+
+    test('should decide immediately without waiting when no approver is attached', async () => {
+        const call = { tool: 'code_runner', method: 'run', arguments: { command: 'bash' } };
+        const requests = [];
+        policy.on('approval_requested', (request) => requests.push(request));
+        detachApprover();
+
+        await expect(policy.authorize(call))
+            .rejects.toThrow('Tool call code_runner.run denied by policy: approval unavailable, no approver attached');
+        policy.setUnattendedDecision('approve');
+        await policy.authorize(call);
+
+        expect(requests).toEqual([]);
+        expect((await readAudit()).map(entry => [entry.decision, entry.source, entry.approval])).toEqual([
+            ['deny', 'unattended', 'deny'],
+            ['allow', 'unattended', 'approve']
+        ]);
+        expect(() => policy.setUnattendedDecision('wait')).toThrow('Invalid unattended approval decision: wait');
+    });
+
+    test('should drop the approval request when the call is cancelled', async () => {
+        const controller = new AbortController();
+        const resolved = [];
+        policy.on('approval_requested', () => controller.abort(new Error('Task cancelled')));
+        policy.on('approval_resolved', (resolution) => resolved.push(resolution.decision));
+
+        await expect(policy.authorize({ tool: 'code_runner', method: 'run', arguments: { command: 'sh' } }, controller.signal))
+            .rejects.toThrow('Task cancelled');
+        expect(resolved).toEqual(['cancelled']);
+        expect(() => policy.resolveApproval('approval_unknown', 'approve')).toThrow('Approval request approval_unknown not found');
+    });
+});
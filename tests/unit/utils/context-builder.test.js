@@ -0,0 +1,120 @@
+/**
+ * ContextBuilder 테스트
+ */
+
+const { ContextBuilder } = require('../../../src/utils/context-builder');
+
+describe('ContextBuilder', () => {
+    const createUpstreamTask = (id, result) => ({
+        id,
+        type: 'architecture',
+        description: `${id} task`,
+        result
+    });
+
+    describe('생성자', () => {
+        test('should use default budget and strategy', () => {
+            const builder = new ContextBuilder();
+
+            expect(builder.maxTokens).toBe(2000);
+            expect(builder.strategy).toBe('middle');
+        });
+
+        test('should reject unknown truncation strategy', () => {
+            expect(() => new ContextBuilder({ truncationStrategy: 'random' }))
+                .toThrow('Unknown truncation strategy: random');
+        });
+    });
+
+    describe('extractDeliverable', () => {
+        test('should unwrap agent result formats', () => {
+            const builder = new ContextBuilder();
+
+            expect(builder.extractDeliverable({ success: true, data: { result: ' design doc ' } })).toBe('design doc');
+            expect(builder.extractDeliverable({ status: 'completed', output: { result: 'output text' } })).toBe('output text');
+            expect(builder.extractDeliverable('plain text')).toBe('plain text');
+            expect(builder.extractDeliverable(null)).toBe('');
+        });
+
+        test('should serialize structured deliverables as JSON', () => {
+            const builder = new ContextBuilder();
+
+            const text = builder.extractDeliverable({ data: { result: { endpoints: ['/users'] } } });
+
+            expect(JSON.parse(text)).toEqual({ endpoints: ['/users'] });
+        });
+    });
+
+    describe('truncate', () => {
+        const text = 'a'.repeat(50) + 'b'.repeat(50);
+
+        test('should keep head', () => {
+            const builder = new ContextBuilder({ truncationStrategy: 'head' });
+            const result = builder.truncate(text, 40);
+
+            expect(result.length).toBe(40);
+            expect(result.startsWith('aaa')).toBe(true);
+            expect(result.endsWith('…[truncated]…')).toBe(true);
+        });
+
+        test('should keep tail', () => {
+            const builder = new ContextBuilder({ truncationStrategy: 'tail' });
+            const result = builder.truncate(text, 40);
+
+            expect(result.length).toBe(40);
+            expect(result.startsWith('…[truncated]…')).toBe(true);
+            expect(result.endsWith('bbb')).toBe(true);
+        });
+
+        test('should keep both ends with middle strategy', () => {
+            const builder = new ContextBuilder();
+            const result = builder.truncate(text, 40);
+
+            expect(result.length).toBe(40);
+            expect(result.startsWith('aaa')).toBe(true);
+            expect(result).toContain('…[truncated]…');
+            expect(result.endsWith('bbb')).toBe(true);
+        });
+
+        test('should return short text unchanged', () => {
+            const builder = new ContextBuilder();
+
+            expect(builder.truncate('short', 40)).toBe('short');
+        });
+    });
+
+    describe('buildUpstreamContext', () => {
+        test('should return empty context without upstream tasks', () => {
+            const builder = new ContextBuilder();
+
+            expect(builder.buildUpstreamContext([])).toEqual([]);
+        });
+
+        test('should keep deliverables within token budget', () => {
+            // 10 토큰 = 40 문자 예산
+            const builder = new ContextBuilder({ maxUpstreamTokens: 10 });
+            const context = builder.buildUpstreamContext([
+                createUpstreamTask('design', 'x'.repeat(100)),
+                createUpstreamTask('research', 'y'.repeat(100))
+            ]);
+
+            const totalChars = context.reduce((sum, entry) => sum + entry.summary.length, 0);
+
+            expect(totalChars).toBeLessThanOrEqual(40);
+            expect(context.every(entry => entry.truncated)).toBe(true);
+            expect(context.map(entry => entry.taskId)).toEqual(['design', 'research']);
+        });
+
+        test('should redistribute budget left over by short deliverables', () => {
+            const builder = new ContextBuilder({ maxUpstreamTokens: 10 });
+            const context = builder.buildUpstreamContext([
+                createUpstreamTask('design', 'z'.repeat(100)),
+                createUpstreamTask('research', 'short')
+            ]);
+
+            expect(context[1]).toMatchObject({ summary: 'short', truncated: false });
+            expect(context[0].summary.length).toBe(35);
+            expect(context[0].truncated).toBe(true);
+        });
+    });
+});
@@ -17,6 +17,7 @@ describe('FileManager', () => {
         // 테스트용 디렉터리 설정
         fileManager.sharedDir = testDir;
         fileManager.workflowsDir = path.join(testDir, 'workflows');
+        fileManager.runsDir = path.join(testDir, 'runs');
         fileManager.resultsDir = path.join(testDir, 'results');
         fileManager.statesDir = path.join(testDir, 'states');
         fileManager.tempDir = path.join(testDir, 'temp');
@@ -41,6 +42,7 @@ describe('FileManager', () => {
         it('should create required directories', async () => {
             const dirs = [
                 fileManager.workflowsDir,
+                fileManager.runsDir,
                 fileManager.resultsDir,
                 fileManager.statesDir,
                 fileManager.tempDir
@@ -0,0 +1,36 @@
+const { validateJsonSchema } = require('../../../src/utils/json-schema');
+
+describe('validateJsonSchema', () => {
+    const schema = {
+        type: 'object',
+        properties: {
+            query: { type: 'string', minLength: 1 },
+            limit: { type: 'integer', minimum: 1, maximum: 50 },
+            sort: { enum: ['relevance', 'date'] },
+            tags: { type: 'array', items: { type: 'string' }, maxItems: 3 }
+        },
+        required: ['query'],
+        additionalProperties: false
+    };
+
+    test('should accept values matching the schema', () => {
+        expect(validateJsonSchema({ query: 'mcp', limit: 10, sort: 'date', tags: ['a'] }, schema)).toEqual([]);
+    });
+
+    test('should report every violation with its location', () => {
+        const errors = validateJsonSchema({ limit: 1.5, sort: 'name', tags: ['a', 2], extra: true }, schema);
+
+        expect(errors).toEqual([
+            'params.query is required',
+            'params.limit must be integer',
+            'params.sort must be one of: "relevance", "date"',
+            'params.tags[1] must be string',
+            'params.extra is not allowed'
+        ]);
+    });
+
+    test('should allow unknown fields and keywords unless additionalProperties is false', () => {
+        expect(validateJsonSchema({ query: 'x', extra: 1 }, { type: 'object', required: ['query'], format: 'ignored' })).toEqual([]);
+        expect(validateJsonSchema('x', undefined)).toEqual([]);
+    });
+});
@@ -0,0 +1,68 @@
+/**
+ * ProcessRunner 테스트
+ */
+
+const { ProcessRunner, ProcessError } = require('../../../src/utils/process-runner');
+
+describe('ProcessRunner', () => {
+    let runner;
+
+    // 테스트용 자식 프로세스는 현재 Node 실행 파일로 실행
+    const runScript = (script, options = {}) => runner.run(process.execPath, ['-e', script], options);
+
+    beforeEach(() => {
+        runner = new ProcessRunner({ timeout: 10000, killGracePeriod: 200 });
+    });
+
+    test('should pipe input through stdin and capture stdout/stderr', async () => {
+        const chunks = [];
+        const result = await runScript(
+            'process.stdin.on("data", d => process.stdout.write(d.toString().toUpperCase())); process.stderr.write("warn")',
+            { input: 'hello', onStdout: chunk => chunks.push(chunk) }
+        );
+
+        expect(result).toMatchObject({ kind: 'success', exitCode: 0, stdout: 'HELLO', stderr: 'warn' });
+        expect(chunks.join('')).toBe('HELLO');
+    });
+
+    test('should reject non-zero exit codes with stderr details', async () => {
+        const error = await runScript('console.error("rate limit exceeded"); process.exit(3)').catch(e => e);
+
+        expect(error).toBeInstanceOf(ProcessError);
+        expect(error).toMatchObject({ kind: 'exit_code', exitCode: 3, stderr: 'rate limit exceeded\n' });
+        expect(error.message).toContain('rate limit exceeded');
+    });
+
+    test('should kill the process on timeout', async () => {
+        const error = await runScript('setInterval(() => {}, 1000)', { timeout: 100 }).catch(e => e);
+
+        expect(error).toMatchObject({ kind: 'timeout', errorClass: 'timeout', signal: 'SIGTERM' });
+    });
+
+    test('should kill the process and reject with the abort reason when cancelled', async () => {
+        const controller = new AbortController();
+        const reason = new Error('Task cancelled');
+        const execution = runScript('setInterval(() => {}, 1000)', { signal: controller.signal });
+
+        setTimeout(() => controller.abort(reason), 50);
+
+        await expect(execution).rejects.toBe(reason);
+    });
+
+    test('should report missing commands', async () => {
+        const error = await runner.run('definitely-not-a-real-cli-command', ['--version']).catch(e => e);
+
+        expect(error).toMatchObject({ kind: 'not_found', code: 'ENOENT' });
+    });
+
+    test.each([
+        ['success', { code: 0 }],
+        ['not_found', { code: 127 }],
+        ['not_executable', { code: 126 }],
+        ['killed', { code: null, signal: 'SIGKILL' }],
+        ['exit_code', { code: 1 }],
+        ['timeout', { code: null, signal: 'SIGTERM', reason: 'timeout' }]
+    ])('should classify %s exits', (expected, exit) => {
+        expect(ProcessRunner.classifyExit(exit)).toBe(expected);
+    });
+});
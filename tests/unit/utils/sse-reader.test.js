@@ -0,0 +1,40 @@
+/**
+ * SSE 리더 테스트
+ */
+
+const { readServerSentEvents, parseEvent } = require('../../../src/utils/sse-reader');
+
+describe('sse-reader', () => {
+    const collect = async (chunks) => {
+        const events = [];
+        for await (const event of readServerSentEvents(chunks)) {
+            events.push(event);
+        }
+        return events;
+    };
+
+    test('should join events split across chunks', async () => {
+        const encoder = new TextEncoder();
+        const events = await collect([
+            encoder.encode('event: content_block_delta\ndata: {"text":"Hel'),
+            encoder.encode('lo"}\n\nevent: message_stop\r\n'),
+            encoder.encode('data: {}\r\n\r\n')
+        ]);
+
+        expect(events).toEqual([
+            { event: 'content_block_delta', data: '{"text":"Hello"}' },
+            { event: 'message_stop', data: '{}' }
+        ]);
+    });
+
+    test('should yield a trailing event without a blank line', async () => {
+        const events = await collect(['data: {"candidates":[]}']);
+
+        expect(events).toEqual([{ event: 'message', data: '{"candidates":[]}' }]);
+    });
+
+    test('should join multi-line data and skip comments', () => {
+        expect(parseEvent(': keep-alive\ndata: first\ndata: second')).toEqual({ event: 'message', data: 'first\nsecond' });
+        expect(parseEvent(': keep-alive')).toBeNull();
+    });
+});
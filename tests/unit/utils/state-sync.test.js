@@ -17,6 +17,7 @@ describe('StateSyncManager', () => {
         // 테스트용 디렉터리 설정
         stateSyncManager.fileManager.sharedDir = testDir;
         stateSyncManager.fileManager.workflowsDir = path.join(testDir, 'workflows');
+        stateSyncManager.fileManager.runsDir = path.join(testDir, 'runs');
         stateSyncManager.fileManager.resultsDir = path.join(testDir, 'results');
         stateSyncManager.fileManager.statesDir = path.join(testDir, 'states');
         stateSyncManager.fileManager.tempDir = path.join(testDir, 'temp');
@@ -0,0 +1,33 @@
+const { parseToolCalls, renderTranscript } = require('../../../src/utils/tool-call-protocol');
+
+describe('tool call protocol', () => {
+    const tools = [{ name: 'web_search__search', description: 'Search the web', inputSchema: { type: 'object' } }];
+
+    test('should extract tool_call blocks and keep the remaining text', () => {
+        const text = 'Let me look that up.\n\n```tool_call\n{"name": "web_search__search", "arguments": {"query": "mcp"}}\n```';
+
+        expect(parseToolCalls(text)).toEqual({
+            text: 'Let me look that up.',
+            toolCalls: [{ id: 'call_1', name: 'web_search__search', arguments: { query: 'mcp' } }]
+        });
+    });
+
+    test('should report invalid JSON as a call error', () => {
+        const { toolCalls } = parseToolCalls('```tool_call\n{"name": "web_search__search",\n```');
+
+        expect(toolCalls[0].error).toMatch(/^Invalid tool_call JSON/);
+    });
+
+    test('should render the conversation with tool instructions and results', () => {
+        const prompt = renderTranscript([
+            { role: 'user', content: 'Find MCP docs' },
+            { role: 'assistant', content: '', toolCalls: [{ id: 'call_1', name: 'web_search__search', arguments: { query: 'mcp' } }] },
+            { role: 'tool', results: [{ id: 'call_1', name: 'web_search__search', content: 'no results', isError: true }] }
+        ], tools);
+
+        expect(prompt).toContain('- web_search__search: Search the web');
+        expect(prompt).toContain('Find MCP docs');
+        expect(prompt).toContain('```tool_call\n{"name":"web_search__search","arguments":{"query":"mcp"}}\n```');
+        expect(prompt).toContain('### web_search__search (error)\nno results');
+    });
+});
@@ -5,6 +5,7 @@
 import { Dashboard } from '../../../src/visualization/dashboard.js';
 import { LogVisualizer } from '../../../src/visualization/log-visualizer.js';
 import { ProgressVisualizer } from '../../../src/visualization/progress-visualizer.js';
+import { EventEmitter } from 'events';
 
 describe('Dashboard Visualization System', () => {
     let dashboard;
@@ -288,4 +289,21 @@ describe('Dashboard Visualization System', () => {
             dashboard.stop();
         });
     });
-});
\ No newline at end of file
+
+    describe('Tool Approvals', () => {
+        test('should answer the oldest pending approval from the keyboard', () => {
+            const toolManager = new EventEmitter();
+            toolManager.resolveApproval = jest.fn();
+            dashboard.connectToolManager(toolManager);
+            const request = { id: 'approval_1', agentId: 'claude_senior', tool: 'file_system', method: 'delete', arguments: { path: 'src' } };
+
+            toolManager.emit('approval_requested', request);
+            toolManager.emit('approval_requested', { ...request, id: 'approval_2' });
+            dashboard.handleKeyPress('a');
+            toolManager.emit('approval_resolved', { id: 'approval_1', decision: 'always_allow', request });
+
+            expect(toolManager.resolveApproval).toHaveBeenCalledWith('approval_1', 'always_allow');
+            expect(dashboard.pendingApprovals.map(pending => pending.id)).toEqual(['approval_2']);
+        });
+    });
+});
@@ -321,6 +321,90 @@ describe('WebSocket Realtime Monitoring Server', () => {
         });
     });
 
+    describe('Control Authorization', () => {
+        const connect = (headers, url = '/') => {
+            const mockWS = { readyState: 1, OPEN: 1, send: jest.fn(), on: jest.fn(), close: jest.fn() };
+            server.handleNewConnection(mockWS, { url, headers, socket: { remoteAddress: '127.0.0.1' } });
+            mockWS.send.mockClear();
+            return mockWS;
+        };
+        const sendApproval = (mockWS) => server.handleClientMessage(mockWS, Buffer.from(JSON.stringify({
+            type: 'approval_decision',
+            requestId: 'approval_1',
+            decision: 'always_allow'
+        })));
+
+        test('should accept control messages from the dashboard served by the same host', () => {
+            const approvals = jest.fn((decision, respond) => respond());
+            server.on('approval_decision', approvals);
+
+            sendApproval(connect({ host: 'localhost:8081', origin: 'http://localhost:8081' }));
+
+            expect(approvals).toHaveBeenCalledWith({ requestId: 'approval_1', decision: 'always_allow' }, expect.any(Function));
+        });
+
+        test('should reject control messages from other origins or clients without an origin', () => {
+            const approvals = jest.fn();
+            server.on('approval_decision', approvals);
+
+            const crossSite = connect({ host: 'localhost:8081', origin: 'https://evil.example' });
+            const noOrigin = connect({ host: 'localhost:8081' });
+            sendApproval(crossSite);
+            sendApproval(noOrigin);
+
+            expect(approvals).not.toHaveBeenCalled();
+            expect(crossSite.send).toHaveBeenCalledWith(JSON.stringify({
+                type: 'error',
+                message: 'Not authorized to send approval_decision'
+            }));
+            expect(noOrigin.send).toHaveBeenCalledTimes(1);
+        });
+
+        test('should accept configured origins and the session token', () => {
+            server = new RealtimeMonitoringServer({ ...testConfig, allowedOrigins: ['http://ops.internal'], controlToken: 'secret' });
+
+            expect(server.isControlAllowed({ url: '/', headers: { host: 'localhost:8081', origin: 'http://ops.internal' } })).toBe(true);
+            expect(server.isControlAllowed({ url: '/?token=secret', headers: { host: 'localhost:8081' } })).toBe(true);
+            expect(server.isControlAllowed({ url: '/?token=guess', headers: { host: 'localhost:8081' } })).toBe(false);
+            expect(server.isControlAllowed({ url: '/?token=secret-but-longer', headers: { host: 'localhost:8081' } })).toBe(false);
+            expect(server.isControlAllowed({ url: '/', headers: { host: 'localhost:8081' } })).toBe(false);
+        });
+
+        test('should not serve conversation threads to unauthorized clients', () => {
+            const threads = jest.fn((request, respond) => respond(null, []));
+            server.on('thread_request', threads);
+
+            const crossSite = connect({ host: 'localhost:8081', origin: 'https://evil.example' });
+            server.handleClientMessage(crossSite, Buffer.from(JSON.stringify({ type: 'get_thread', taskId: 'task_1' })));
+
+            expect(threads).not.toHaveBeenCalled();
+            expect(JSON.parse(crossSite.send.mock.calls[0][0])).toEqual({ type: 'error', message: 'Not authorized to send get_thread' });
+        });
+
+        test('should redact tool arguments and message bodies for unauthorized clients', () => {
+            const dashboard = connect({ host: 'localhost:8081', origin: 'http://localhost:8081' });
+            const crossSite = connect({ host: 'localhost:8081', origin: 'https://evil.example' });
+            server.clients.forEach(client => client.subscriptions.add('*'));
+
+            server.onApprovalRequested({ id: 'approval_1', tool: 'code_runner', method: 'run', arguments: { code: 'cat ~/.ssh/id_rsa' } });
+            server.broadcast('collaboration_message', { taskId: 'task_1', type: 'question', data: { taskId: 'task_1', question: 'Which key?' } });
+
+            const [approval, collaboration] = crossSite.send.mock.calls.map(([data]) => JSON.parse(data).data);
+            expect(approval).toMatchObject({ requestId: 'approval_1', tool: 'code_runner', redacted: true });
+            expect(approval).not.toHaveProperty('arguments');
+            expect(collaboration).toEqual({ taskId: 'task_1', type: 'question', redacted: true });
+            expect(JSON.parse(dashboard.send.mock.calls[0][0]).data.arguments).toEqual({ code: 'cat ~/.ssh/id_rsa' });
+        });
+
+        test('should still serve read-only messages to unauthorized clients', () => {
+            const mockWS = connect({ host: 'localhost:8081', origin: 'https://evil.example' });
+
+            server.handleClientMessage(mockWS, Buffer.from(JSON.stringify({ type: 'ping' })));
+
+            expect(JSON.parse(mockWS.send.mock.calls[0][0]).type).toBe('pong');
+        });
+    });
+
     describe('History Data', () => {
         test('should return mock history data', () => {
             const historyData = server.getHistoryData({ agentId: 'test_agent' });